@@ -10,7 +10,26 @@
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import { useAuthStore } from './stores';
 import { useSocket } from './hooks';
-import { LoginPage, IncidentListPage, IncidentDetailPage } from './pages';
+import {
+  LoginPage,
+  AcceptInvitePage,
+  IncidentListPage,
+  IncidentDetailPage,
+  WorkflowsPage,
+  TemplatesPage,
+  ServicesPage,
+  ServiceDetailPage,
+  PostmortemPage,
+  ActionItemsPage,
+  WebhooksPage,
+  IntegrationsPage,
+  StatusComponentsPage,
+  UsersPage,
+  AccessPage,
+  SessionsPage,
+  StatusPage,
+  PublicIncidentPage
+} from './pages';
 
 /**
  * Protected Route wrapper
@@ -47,6 +66,9 @@ export function App() {
         <Routes>
           {/* Public routes */}
           <Route path="/login" element={<LoginPage />} />
+          <Route path="/invite/:token" element={<AcceptInvitePage />} />
+          <Route path="/status" element={<StatusPage />} />
+          <Route path="/status/incidents/:id" element={<PublicIncidentPage />} />
 
           {/* Protected routes */}
           <Route
@@ -65,6 +87,102 @@ export function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/postmortems/:id"
+            element={
+              <ProtectedRoute>
+                <PostmortemPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/action-items"
+            element={
+              <ProtectedRoute>
+                <ActionItemsPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/services"
+            element={
+              <ProtectedRoute>
+                <ServicesPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/services/:id"
+            element={
+              <ProtectedRoute>
+                <ServiceDetailPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/workflows"
+            element={
+              <ProtectedRoute>
+                <WorkflowsPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/templates"
+            element={
+              <ProtectedRoute>
+                <TemplatesPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/webhooks"
+            element={
+              <ProtectedRoute>
+                <WebhooksPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/integrations"
+            element={
+              <ProtectedRoute>
+                <IntegrationsPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/status-components"
+            element={
+              <ProtectedRoute>
+                <StatusComponentsPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/users"
+            element={
+              <ProtectedRoute>
+                <UsersPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/access"
+            element={
+              <ProtectedRoute>
+                <AccessPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/sessions"
+            element={
+              <ProtectedRoute>
+                <SessionsPage />
+              </ProtectedRoute>
+            }
+          />
 
           {/* Default redirect */}
           <Route path="*" element={<Navigate to="/incidents" replace />} />
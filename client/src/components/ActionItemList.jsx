@@ -1,31 +1,63 @@
 /**
  * ActionItemList Component
  * Role-aware action items display and management - Dark theme
+ *
+ * Items outlive the incident: owner, due date and priority can be set
+ * here and the item is tracked afterwards on the Action Items page.
  */
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useAuthStore, useIncidentStore } from '../stores';
 import { useFocus } from '../hooks';
-import { addActionItem, toggleActionItem } from '../services/socket';
+import { userApi } from '../services/api';
+import { addActionItem, updateActionItem } from '../services/socket';
+import {
+  ACTION_ITEM_STATUSES,
+  ACTION_ITEM_PRIORITIES,
+  getActionItemPriority,
+  isClosed,
+  isOverdue,
+  toDateInputValue,
+  fromDateInputValue
+} from '../utils/actionItems';
 import clsx from 'clsx';
 
+const EMPTY_FORM = { text: '', owner: '', dueDate: '', priority: 'medium' };
+
 export function ActionItemList({ incidentId }) {
   const canWrite = useAuthStore((state) => state.canWrite());
   const actionItems = useIncidentStore((state) => state.getActionItems());
-  const [newItemText, setNewItemText] = useState('');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [owners, setOwners] = useState([]);
   const { onFocus, onBlur, focusedUsers } = useFocus(incidentId, 'action_items');
 
+  // Owners are picked from responders and admins
+  useEffect(() => {
+    if (!canWrite) return;
+
+    userApi.list({})
+      .then(({ users }) => setOwners(users.filter((u) => u.role === 'responder' || u.role === 'admin')))
+      .catch((error) => console.error('Failed to fetch users:', error));
+  }, [canWrite]);
+
+  const setField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
   const handleAddItem = (e) => {
     e.preventDefault();
-    if (!newItemText.trim()) return;
+    if (!form.text.trim()) return;
 
-    addActionItem(incidentId, newItemText.trim());
-    setNewItemText('');
+    addActionItem(incidentId, {
+      text: form.text.trim(),
+      owner: form.owner || null,
+      dueDate: fromDateInputValue(form.dueDate),
+      priority: form.priority
+    });
+    setForm(EMPTY_FORM);
     onBlur();
   };
 
-  const handleToggle = (updateId, currentCompleted) => {
+  const handleChange = (actionItemId, changes) => {
     if (!canWrite) return;
-    toggleActionItem(incidentId, updateId, !currentCompleted);
+    updateActionItem(actionItemId, changes);
   };
 
   return (
@@ -60,63 +92,126 @@ export function ActionItemList({ incidentId }) {
             <p className="empty-state__description">Create tasks to track remediation steps and follow-ups.</p>
           </li>
         ) : (
-          actionItems.map((item) => (
-            <li
-              key={item._id}
-              className={clsx(
-                'flex items-start gap-3 p-2 rounded-lg transition-colors',
-                item.content.completed && 'bg-tertiary'
-              )}
-              style={{ backgroundColor: item.content.completed ? 'var(--bg-tertiary)' : 'transparent' }}
-            >
-              <input
-                type="checkbox"
-                checked={item.content.completed}
-                onChange={() => handleToggle(item._id, item.content.completed)}
-                disabled={!canWrite}
-                className={clsx(
-                  'mt-1 h-4 w-4 rounded accent-accent',
-                  canWrite ? 'cursor-pointer' : 'cursor-not-allowed opacity-60'
-                )}
-                style={{ accentColor: 'var(--accent-primary)' }}
-              />
-              <div className="flex-1">
-                <p
+          actionItems.map((item) => {
+            const closed = isClosed(item);
+            const priority = getActionItemPriority(item.priority);
+            return (
+              <li
+                key={item._id}
+                className="flex items-start gap-3 p-2 rounded-lg transition-colors"
+                style={{ backgroundColor: closed ? 'var(--bg-tertiary)' : 'transparent' }}
+              >
+                <input
+                  type="checkbox"
+                  checked={item.status === 'done'}
+                  onChange={() => handleChange(item._id, { status: item.status === 'done' ? 'open' : 'done' })}
+                  disabled={!canWrite}
                   className={clsx(
-                    'text-primary',
-                    item.content.completed && 'line-through text-muted'
+                    'mt-1 h-4 w-4 rounded accent-accent',
+                    canWrite ? 'cursor-pointer' : 'cursor-not-allowed opacity-60'
                   )}
-                >
-                  {item.content.text}
-                </p>
-                <p className="text-xs text-muted mt-1">
-                  Added by {item.userId?.name || 'Unknown'}
-                </p>
-              </div>
-            </li>
-          ))
+                  style={{ accentColor: 'var(--accent-primary)' }}
+                />
+                <div className="flex-1 min-w-0">
+                  <p className={clsx('text-primary', closed && 'line-through text-muted')}>
+                    {item.text}
+                  </p>
+                  <div className="flex flex-wrap items-center gap-2 text-xs text-muted mt-1">
+                    <span style={{ color: priority.color }}>{priority.label}</span>
+                    <span>· {item.owner?.name || 'No owner'}</span>
+                    {item.dueDate && (
+                      <span className={clsx(isOverdue(item) && 'text-red-500 font-medium')}>
+                        · Due {new Date(item.dueDate).toLocaleDateString()}
+                        {isOverdue(item) && ' (overdue)'}
+                      </span>
+                    )}
+                    <span>· Added by {item.createdBy?.name || 'Unknown'}</span>
+                  </div>
+                  {canWrite && (
+                    <div className="flex flex-wrap gap-2 mt-2">
+                      <select
+                        value={item.status}
+                        onChange={(e) => handleChange(item._id, { status: e.target.value })}
+                        className="select"
+                        style={{ width: 'auto' }}
+                        title="Status"
+                      >
+                        {ACTION_ITEM_STATUSES.map((s) => (
+                          <option key={s.value} value={s.value}>{s.label}</option>
+                        ))}
+                      </select>
+                      <select
+                        value={item.owner?._id || ''}
+                        onChange={(e) => handleChange(item._id, { owner: e.target.value || null })}
+                        className="select"
+                        style={{ width: 'auto' }}
+                        title="Owner"
+                      >
+                        <option value="">No owner</option>
+                        {owners.map((owner) => (
+                          <option key={owner._id} value={owner._id}>{owner.name}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="date"
+                        value={toDateInputValue(item.dueDate)}
+                        onChange={(e) => handleChange(item._id, { dueDate: fromDateInputValue(e.target.value) })}
+                        className="input"
+                        style={{ width: 'auto' }}
+                        title="Due date"
+                      />
+                    </div>
+                  )}
+                </div>
+              </li>
+            );
+          })
         )}
       </ul>
 
       {/* Add new item - only for writers */}
       {canWrite && (
-        <form onSubmit={handleAddItem} className="flex gap-2">
-          <input
-            type="text"
-            value={newItemText}
-            onChange={(e) => setNewItemText(e.target.value)}
-            onFocus={onFocus}
-            onBlur={onBlur}
-            placeholder="Add a remediation task or follow-up..."
-            className="input flex-1"
-          />
-          <button
-            type="submit"
-            disabled={!newItemText.trim()}
-            className="btn btn--primary"
-          >
-            Add
-          </button>
+        <form onSubmit={handleAddItem} className="space-y-2">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={form.text}
+              onChange={setField('text')}
+              onFocus={onFocus}
+              onBlur={onBlur}
+              placeholder="Add a remediation task or follow-up..."
+              className="input flex-1"
+              maxLength={500}
+            />
+            <button
+              type="submit"
+              disabled={!form.text.trim()}
+              className="btn btn--primary"
+            >
+              Add
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <select value={form.owner} onChange={setField('owner')} className="select" style={{ width: 'auto' }} title="Owner">
+              <option value="">No owner</option>
+              {owners.map((owner) => (
+                <option key={owner._id} value={owner._id}>{owner.name}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              value={form.dueDate}
+              onChange={setField('dueDate')}
+              className="input"
+              style={{ width: 'auto' }}
+              title="Due date"
+            />
+            <select value={form.priority} onChange={setField('priority')} className="select" style={{ width: 'auto' }} title="Priority">
+              {ACTION_ITEM_PRIORITIES.map((p) => (
+                <option key={p.value} value={p.value}>{p.label} priority</option>
+              ))}
+            </select>
+          </div>
         </form>
       )}
     </div>
@@ -0,0 +1,105 @@
+/**
+ * AffectedServices Component
+ * Catalog services this incident affects - Dark theme
+ *
+ * Changes are recorded as a field_change entry listing the services by
+ * name; others see them through incident:fieldsUpdated.
+ *
+ * IMPORTANT: Edit controls are for UX only.
+ * The server only accepts changes from admins and responders.
+ */
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuthStore, useIncidentStore } from '../stores';
+import { incidentApi, serviceApi } from '../services/api';
+import { getServiceTier } from '../utils/services';
+import { ServicePicker } from './ServicePicker';
+
+const toIds = (services) => (services || []).map((s) => s._id).sort();
+
+export function AffectedServices({ incident }) {
+  const canWrite = useAuthStore((state) => state.canWrite());
+
+  const [services, setServices] = useState([]);
+  const [selected, setSelected] = useState(null); // IDs while editing
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const affected = incident.affectedServices || [];
+
+  useEffect(() => {
+    if (selected === null || services.length > 0) return;
+
+    serviceApi.list()
+      .then(({ services }) => setServices(services))
+      .catch((err) => setError(err.message));
+  }, [selected]);
+
+  const isDirty = selected !== null && JSON.stringify(selected) !== JSON.stringify(toIds(affected));
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const { incident: updated, updates } = await incidentApi.updateFields(incident._id, {
+        affectedServices: selected
+      });
+      const store = useIncidentStore.getState();
+      store.updateIncident(incident._id, updated);
+      updates.forEach((update) => store.addUpdate({ ...update, incidentId: incident._id }));
+      setSelected(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center">
+        <label className="label">Affected Services</label>
+        {canWrite && selected === null && (
+          <button onClick={() => setSelected(toIds(affected))} className="btn btn--ghost btn--sm">
+            Edit
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-500 mb-2">{error}</p>}
+
+      {selected !== null ? (
+        <div className="space-y-3">
+          <ServicePicker services={services} value={selected} onChange={setSelected} />
+          <div className="flex justify-end gap-2">
+            <button onClick={() => setSelected(null)} className="btn btn--ghost btn--sm">Cancel</button>
+            <button onClick={handleSave} disabled={!isDirty || isSaving} className="btn btn--primary btn--sm">
+              {isSaving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      ) : affected.length > 0 ? (
+        <div className="flex flex-wrap gap-2">
+          {affected.map((service) => {
+            const tier = getServiceTier(service.tier);
+            return (
+              <Link
+                key={service._id}
+                to={`/services/${service._id}`}
+                className="badge"
+                style={{ backgroundColor: `${tier.color}20`, color: tier.color }}
+                title={[tier.label, service.team].filter(Boolean).join(' · ')}
+              >
+                {service.name}
+              </Link>
+            );
+          })}
+        </div>
+      ) : (
+        <p className="text-sm text-muted italic">No services tagged</p>
+      )}
+    </div>
+  );
+}
+
+export default AffectedServices;
@@ -1,18 +1,19 @@
 /**
  * AssignResponder Component
- * Admin-only control to assign responders to incidents - Dark theme
+ * Admin-only control to assign and unassign responders - Dark theme
  */
 import { useState, useEffect } from 'react';
 import { useAuthStore } from '../stores';
 import { useSocketStore } from '../stores';
 import { userApi } from '../services/api';
-import { assignUser } from '../services/socket';
+import { assignUser, unassignUser } from '../services/socket';
 import { canPerformAction } from '../utils/permissions';
 
 export function AssignResponder({ incidentId, currentAssignees = [] }) {
   const [responders, setResponders] = useState([]);
   const [selectedUserId, setSelectedUserId] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [removingUserId, setRemovingUserId] = useState(null);
 
   const user = useAuthStore((state) => state.user);
   const isConnected = useSocketStore((state) => state.isConnected);
@@ -58,8 +59,40 @@ export function AssignResponder({ incidentId, currentAssignees = [] }) {
     }, 500);
   };
 
+  const handleUnassign = (assignee) => {
+    if (!isConnected) return;
+    if (!window.confirm(`Remove ${assignee.name} from this incident?`)) return;
+
+    setRemovingUserId(assignee._id);
+    unassignUser(incidentId, assignee._id);
+
+    setTimeout(() => setRemovingUserId(null), 500);
+  };
+
   return (
     <div className="mt-4 pt-4 border-t" style={{ borderColor: 'var(--border-primary)' }}>
+      {currentAssignees.length > 0 && (
+        <div className="mb-4">
+          <label className="label">Remove Responder</label>
+          <div className="flex flex-wrap gap-2">
+            {currentAssignees.map((assignee) => (
+              <button
+                key={assignee._id}
+                onClick={() => handleUnassign(assignee)}
+                disabled={!isConnected || removingUserId === assignee._id}
+                className="btn btn--secondary btn--sm flex items-center gap-1"
+                title={`Unassign ${assignee.name}`}
+              >
+                {assignee.name}
+                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
       <label className="label flex items-center gap-2">
         Assign Responder
         <span className="text-xs text-muted" title="Only administrators can assign responders">
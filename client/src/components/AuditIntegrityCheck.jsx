@@ -0,0 +1,54 @@
+/**
+ * AuditIntegrityCheck Component
+ * Verifies the incident timeline's hash chain on demand - Dark theme
+ *
+ * The server recomputes every entry's hash; any edited, missing or
+ * reordered entry is reported. The result is a snapshot: entries added
+ * afterwards are not covered until the check is run again.
+ */
+import { useState } from 'react';
+import { incidentApi } from '../services/api';
+
+export function AuditIntegrityCheck({ incidentId }) {
+  const [audit, setAudit] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleVerify = async () => {
+    setIsChecking(true);
+    setError(null);
+    try {
+      const { audit } = await incidentApi.verifyAudit(incidentId);
+      setAudit(audit);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      {error && <span className="text-xs text-red-500">{error}</span>}
+      {audit && (
+        audit.valid ? (
+          <span className="text-xs text-green-500" title={audit.head?.hash}>
+            ✓ {audit.entries} entries verified
+          </span>
+        ) : (
+          <span
+            className="text-xs text-red-500"
+            title={audit.problems.map((p) => `#${p.sequence ?? '?'} ${p.message}`).join('\n')}
+          >
+            ⚠ {audit.problems.length} integrity problem{audit.problems.length === 1 ? '' : 's'}
+          </span>
+        )
+      )}
+      <button onClick={handleVerify} disabled={isChecking} className="btn btn--ghost btn--sm">
+        {isChecking ? 'Verifying...' : 'Verify'}
+      </button>
+    </div>
+  );
+}
+
+export default AuditIntegrityCheck;
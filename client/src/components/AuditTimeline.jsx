@@ -1,23 +1,129 @@
 /**
  * AuditTimeline Component
  * Renders immutable, chronological audit trail - Dark theme
+ *
+ * Status badges use the labels and colors of the incident type's workflow.
+ *
+ * Long timelines are paged: the list scrolls inside its panel, starts at
+ * the newest entry and calls onLoadOlder when scrolled to the top.
+ * New entries arriving via socket keep the view pinned to the bottom.
+ *
+ * Entries of incidents merged into this one are tagged with their source.
+ *
+ * Deactivated users keep their name here, marked "(deactivated)";
+ * anonymized accounts read "Former user".
  */
+import { useRef, useLayoutEffect } from 'react';
+import { useWorkflow } from '../hooks';
+import { getIncidentRole } from '../utils/incidentRoles';
+import { getActionItemStatus, getActionItemPriority } from '../utils/actionItems';
+import { getComponentState, getPublicUpdateStatus } from '../utils/statusPage';
+import { getRelationshipType } from '../utils/relationships';
 
 const UPDATE_ICONS = {
   status_change: '🔄',
   note: '📝',
   assignment: '👤',
-  action_item: '✓'
+  action_item: '✓',
+  field_change: '✏️',
+  commander_change: '⭐',
+  role_change: '🎭',
+  stakeholder_update: '📣',
+  public_update: '🌐',
+  relationship: '🔗'
 };
 
 const UPDATE_COLORS = {
-  status_change: '#8B5CF6', // purple
-  note: '#3B82F6',          // blue
-  assignment: '#10B981',    // green
-  action_item: '#F59E0B'    // amber
+  status_change: '#8B5CF6',      // purple
+  note: '#3B82F6',               // blue
+  assignment: '#10B981',         // green
+  action_item: '#F59E0B',        // amber
+  field_change: '#EC4899',       // pink
+  commander_change: '#6366F1',   // indigo
+  role_change: '#14B8A6',        // teal
+  stakeholder_update: '#F97316', // orange
+  public_update: '#06B6D4',      // cyan
+  relationship: '#84CC16'        // lime
 };
 
-export function AuditTimeline({ updates, grouped = false }) {
+const SEVERITY_COLORS = {
+  critical: '#EF4444',
+  high: '#F59E0B',
+  medium: '#3B82F6',
+  low: '#10B981'
+};
+
+// Unassignments reuse the assignment icon in a neutral color
+const UNASSIGNMENT_COLOR = '#6B7280';
+
+// Distance from the top (px) that triggers loading older entries
+const LOAD_OLDER_THRESHOLD = 80;
+
+// Distance from the bottom (px) within which new entries keep the view pinned
+const STICK_TO_BOTTOM_THRESHOLD = 40;
+
+// Higher rank = more severe (used to label escalations vs. downgrades)
+const SEVERITY_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+
+export function AuditTimeline({
+  updates,
+  incidentId,
+  mergedSources = {},
+  incidentType,
+  grouped = false,
+  hasOlder = false,
+  isLoadingOlder = false,
+  onLoadOlder
+}) {
+  const scrollRef = useRef(null);
+  const scrollState = useRef({ height: 0, top: 0, atBottom: true, initialized: false });
+
+  // Keep position stable when older entries are prepended,
+  // and follow new entries when the user is already at the bottom
+  useLayoutEffect(() => {
+    const el = scrollRef.current;
+    if (!el) return;
+
+    const previous = scrollState.current;
+    if (!previous.initialized) {
+      el.scrollTop = el.scrollHeight;
+      previous.initialized = true;
+    } else if (previous.atBottom) {
+      el.scrollTop = el.scrollHeight;
+    } else if (el.scrollHeight !== previous.height) {
+      el.scrollTop = previous.top + (el.scrollHeight - previous.height);
+    }
+    previous.height = el.scrollHeight;
+    previous.top = el.scrollTop;
+  }, [updates]);
+
+  const handleScroll = () => {
+    const el = scrollRef.current;
+    if (!el) return;
+
+    scrollState.current.top = el.scrollTop;
+    scrollState.current.height = el.scrollHeight;
+    scrollState.current.atBottom =
+      el.scrollHeight - el.scrollTop - el.clientHeight < STICK_TO_BOTTOM_THRESHOLD;
+
+    if (el.scrollTop < LOAD_OLDER_THRESHOLD && hasOlder && !isLoadingOlder && onLoadOlder) {
+      onLoadOlder();
+    }
+  };
+
+  // Shown above the oldest loaded entry while more history exists
+  const olderControl = hasOlder && (
+    <div className="text-center mb-4">
+      <button
+        onClick={onLoadOlder}
+        disabled={isLoadingOlder}
+        className="btn btn--ghost btn--sm"
+      >
+        {isLoadingOlder ? 'Loading older entries...' : 'Load older entries'}
+      </button>
+    </div>
+  );
+
   if (!updates || updates.length === 0) {
     return (
       <div className="empty-state">
@@ -27,6 +133,12 @@ export function AuditTimeline({ updates, grouped = false }) {
     );
   }
 
+  // Title of the merged incident an entry came from (null for this incident's own)
+  const sourceOf = (update) =>
+    incidentId && update.incidentId && update.incidentId !== incidentId
+      ? mergedSources[update.incidentId] || 'merged incident'
+      : null;
+
   // Sort by createdAt ascending (oldest first)
   const sortedUpdates = [...updates].sort(
     (a, b) => new Date(a.createdAt) - new Date(b.createdAt)
@@ -45,13 +157,23 @@ export function AuditTimeline({ updates, grouped = false }) {
       status_change: 'Status Changes',
       note: 'Notes',
       assignment: 'Assignments',
-      action_item: 'Action Items'
+      action_item: 'Action Items',
+      field_change: 'Field Changes',
+      commander_change: 'Command',
+      role_change: 'Roles',
+      stakeholder_update: 'Stakeholder Updates',
+      public_update: 'Status Page Updates',
+      relationship: 'Related Incidents'
     };
 
-    const typeOrder = ['status_change', 'note', 'assignment', 'action_item'];
+    const typeOrder = [
+      'status_change', 'field_change', 'commander_change', 'role_change',
+      'stakeholder_update', 'public_update', 'relationship', 'note', 'assignment', 'action_item'
+    ];
 
     return (
       <div className="audit-timeline">
+        {olderControl}
         {typeOrder.map(type => {
           const typeUpdates = groupedByType[type];
           if (!typeUpdates || typeUpdates.length === 0) return null;
@@ -67,7 +189,13 @@ export function AuditTimeline({ updates, grouped = false }) {
               </h4>
               <div className="space-y-4">
                 {typeUpdates.map((update, index) => (
-                  <TimelineEntry key={update._id || index} update={update} compact />
+                  <TimelineEntry
+                    key={update._id || index}
+                    update={update}
+                    incidentType={incidentType}
+                    source={sourceOf(update)}
+                    compact
+                  />
                 ))}
               </div>
             </div>
@@ -78,30 +206,58 @@ export function AuditTimeline({ updates, grouped = false }) {
   }
 
   return (
-    <div className="audit-timeline">
+    <div
+      ref={scrollRef}
+      onScroll={handleScroll}
+      className="audit-timeline max-h-[36rem] overflow-y-auto"
+    >
+      {olderControl}
       <div className="space-y-4">
         {sortedUpdates.map((update, index) => (
-          <TimelineEntry key={update._id || index} update={update} />
+          <TimelineEntry
+            key={update._id || index}
+            update={update}
+            incidentType={incidentType}
+            source={sourceOf(update)}
+          />
         ))}
       </div>
     </div>
   );
 }
 
+/**
+ * A user's name, marked when the account has been deactivated
+ */
+function UserName({ user, fallback }) {
+  if (!user?.name) return fallback;
+
+  return (
+    <>
+      {user.name}
+      {user.status === 'deactivated' && (
+        <span className="text-xs text-muted font-normal ml-1">(deactivated)</span>
+      )}
+    </>
+  );
+}
+
 /**
  * Individual timeline entry
  */
-function TimelineEntry({ update, compact = false }) {
+function TimelineEntry({ update, incidentType, source = null, compact = false }) {
   const icon = UPDATE_ICONS[update.type] || '•';
-  const color = UPDATE_COLORS[update.type] || '#6B7280';
+  const color = update.type === 'assignment' && update.content?.action === 'unassigned'
+    ? UNASSIGNMENT_COLOR
+    : UPDATE_COLORS[update.type] || '#6B7280';
   const time = new Date(update.createdAt).toLocaleTimeString([], {
     hour: '2-digit',
     minute: '2-digit'
   });
   const date = new Date(update.createdAt).toLocaleDateString();
-  const userName = update.userId?.name || 'Unknown';
+  const userName = <UserName user={update.userId} fallback="Unknown" />;
 
-  const message = formatUpdateMessage(update);
+  const message = formatUpdateMessage(update, incidentType);
 
   // Compact mode for grouped view
   if (compact) {
@@ -112,6 +268,7 @@ function TimelineEntry({ update, compact = false }) {
           <span className="font-medium text-primary">{userName}</span>
           <span className="text-muted mx-1">—</span>
           <span className="text-secondary">{message}</span>
+          {source && <span className="text-xs text-muted ml-2">(from {source})</span>}
         </div>
       </div>
     );
@@ -138,7 +295,10 @@ function TimelineEntry({ update, compact = false }) {
 
       {/* Content */}
       <div className="flex-1 pb-4">
-        <div className="font-medium text-primary">{userName}</div>
+        <div className="font-medium text-primary">
+          {userName}
+          {source && <span className="text-xs text-muted font-normal ml-2">from {source}</span>}
+        </div>
         <div className="text-secondary mt-1">{message}</div>
       </div>
     </div>
@@ -148,7 +308,7 @@ function TimelineEntry({ update, compact = false }) {
 /**
  * Format update into human-readable message
  */
-function formatUpdateMessage(update) {
+function formatUpdateMessage(update, incidentType) {
   switch (update.type) {
     case 'status_change':
       return (
@@ -156,10 +316,10 @@ function formatUpdateMessage(update) {
           Changed status{' '}
           {update.content.previousStatus && (
             <>
-              from <StatusBadge status={update.content.previousStatus} />{' '}
+              from <StatusBadge status={update.content.previousStatus} incidentType={incidentType} />{' '}
             </>
           )}
-          to <StatusBadge status={update.content.newStatus} />
+          to <StatusBadge status={update.content.newStatus} incidentType={incidentType} />
         </span>
       );
 
@@ -172,51 +332,275 @@ function formatUpdateMessage(update) {
 
     case 'assignment':
       const action = update.content.action === 'assigned' ? 'Assigned' : 'Unassigned';
-      const target = update.content.targetUser?.name || 'a user';
+      // Persisted and broadcast updates carry the populated targetUserId
+      const target = (
+        <UserName user={update.content.targetUserId?.name ? update.content.targetUserId : update.content.targetUser} fallback="a user" />
+      );
       return (
         <span>
-          {action} <strong className="text-accent">{target}</strong> to this incident
+          {action} <strong className="text-accent">{target}</strong> {update.content.action === 'assigned' ? 'to' : 'from'} this incident
         </span>
       );
 
     case 'action_item':
-      if (update.content.completed !== undefined) {
-        const status = update.content.completed ? 'completed' : 'added';
-        return (
-          <span>
-            {status === 'completed' ? 'Completed' : 'Added'} action item:{' '}
-            <em className="text-muted">"{update.content.text}"</em>
-          </span>
-        );
-      }
+      return formatActionItemChange(update.content);
+
+    case 'field_change':
+      return formatFieldChange(update.content);
+
+    case 'commander_change':
+      return formatCommanderChange(update.content);
+
+    case 'role_change': {
+      const role = getIncidentRole(update.content.role)?.label || update.content.role;
+      const holder = <UserName user={update.content.targetUserId} fallback="a user" />;
+      return update.content.action === 'assigned' ? (
+        <span>
+          Made <strong className="text-accent">{holder}</strong> {role}
+        </span>
+      ) : (
+        <span>
+          Removed <strong className="text-accent">{holder}</strong> as {role}
+        </span>
+      );
+    }
+
+    case 'stakeholder_update':
       return (
         <span>
-          Added action item: <em className="text-muted">"{update.content.text}"</em>
+          Published stakeholder update: <em className="text-muted">"{update.content.text}"</em>
         </span>
       );
 
+    case 'public_update':
+      return (
+        <span>
+          Posted to the status page ({getPublicUpdateStatus(update.content.newStatus).label.toLowerCase()}):{' '}
+          <em className="text-muted">"{update.content.text}"</em>
+        </span>
+      );
+
+    case 'relationship':
+      return formatRelationshipChange(update.content);
+
     default:
       return <span>Unknown update type</span>;
   }
 }
 
+/**
+ * Format a link, unlink or merge with another incident
+ */
+function formatRelationshipChange({ action, relationship, relatedIncidentId }) {
+  const other = <strong className="text-accent">{relatedIncidentId?.title || 'another incident'}</strong>;
+
+  if (action === 'merged') {
+    return relationship === 'duplicate_of'
+      ? <span>Merged this incident into {other} as a duplicate</span>
+      : <span>Merged duplicate {other} into this incident</span>;
+  }
+
+  const { label, phrase } = getRelationshipType(relationship);
+  return action === 'linked'
+    ? <span>Linked: this incident {phrase} {other}</span>
+    : <span>Removed the "{label}" link to {other}</span>;
+}
+
+/**
+ * Format a title/description/severity or status page setting edit
+ */
+function formatFieldChange({ field, previousValue, newValue }) {
+  if (field === 'severity') {
+    const escalated = SEVERITY_RANK[newValue] > SEVERITY_RANK[previousValue];
+    return (
+      <span>
+        {escalated ? 'Escalated' : 'Downgraded'} severity from{' '}
+        <SeverityBadge severity={previousValue} /> to <SeverityBadge severity={newValue} />
+      </span>
+    );
+  }
+
+  if (field === 'title') {
+    return (
+      <span>
+        Renamed incident from <em className="text-muted">"{previousValue}"</em> to{' '}
+        <em className="text-muted">"{newValue}"</em>
+      </span>
+    );
+  }
+
+  if (field === 'description') {
+    return newValue ? (
+      <span>
+        {previousValue ? 'Rewrote' : 'Added'} description: <em className="text-muted">"{newValue}"</em>
+      </span>
+    ) : (
+      <span>Cleared the description</span>
+    );
+  }
+
+  if (field === 'isPublic') {
+    return newValue
+      ? <span>Showed this incident on the public status page</span>
+      : <span>Removed this incident from the public status page</span>;
+  }
+
+  if (field === 'publicTitle') {
+    return (
+      <span>
+        Set the public title to <em className="text-muted">"{newValue}"</em>
+      </span>
+    );
+  }
+
+  if (field === 'publicImpact') {
+    return <span>Set the public impact to <strong>{getComponentState(newValue).label.toLowerCase()}</strong></span>;
+  }
+
+  if (field === 'affectedComponents') {
+    return newValue.length > 0
+      ? <span>Set affected components: <strong>{newValue.join(', ')}</strong></span>
+      : <span>Cleared the affected components</span>;
+  }
+
+  if (field === 'affectedServices') {
+    return newValue.length > 0
+      ? <span>Set affected services: <strong>{newValue.join(', ')}</strong></span>
+      : <span>Cleared the affected services</span>;
+  }
+
+  return <span>Changed {field}</span>;
+}
+
+/**
+ * Format an action item creation or field change
+ * Entries written before action items had their own model carry
+ * `completed` instead of field/newValue
+ */
+function formatActionItemChange({ text, field, previousValue, newValue, completed, targetUserId }) {
+  const item = <em className="text-muted">"{text}"</em>;
+
+  if (!field) {
+    return <span>{completed ? 'Completed' : 'Added'} action item: {item}</span>;
+  }
+
+  if (field === 'status') {
+    const label = getActionItemStatus(newValue).label;
+    return <span>Marked action item {item} as <strong>{label}</strong></span>;
+  }
+
+  // Owners are populated users; older entries recorded the new owner's name
+  if (field === 'owner') {
+    const owner = targetUserId ? <UserName user={targetUserId} fallback="a user" /> : newValue;
+    return owner ? (
+      <span>Assigned action item {item} to <strong className="text-accent">{owner}</strong></span>
+    ) : (
+      <span>Removed the owner of action item {item}</span>
+    );
+  }
+
+  if (field === 'dueDate') {
+    return newValue ? (
+      <span>Set action item {item} due {new Date(newValue).toLocaleDateString()}</span>
+    ) : (
+      <span>Cleared the due date of action item {item}</span>
+    );
+  }
+
+  if (field === 'priority') {
+    return <span>Changed action item {item} priority to {getActionItemPriority(newValue).label.toLowerCase()}</span>;
+  }
+
+  if (field === 'text') {
+    return (
+      <span>
+        Reworded action item <em className="text-muted">"{previousValue}"</em> to {item}
+      </span>
+    );
+  }
+
+  return <span>Changed action item {item}</span>;
+}
+
+/**
+ * Format a commander handoff proposal, acceptance or decline
+ */
+function formatCommanderChange({ action, targetUserId, previousCommanderId, notes }) {
+  const target = <UserName user={targetUserId} fallback="a user" />;
+  const previous = <UserName user={previousCommanderId} fallback="no commander" />;
+  const handoffNotes = notes && <em className="text-muted"> "{notes}"</em>;
+
+  if (action === 'proposed') {
+    return (
+      <span>
+        Proposed handing command to <strong className="text-accent">{target}</strong>
+        {handoffNotes}
+      </span>
+    );
+  }
+
+  if (action === 'accepted') {
+    return (
+      <span>
+        Took command from <strong className="text-accent">{previous}</strong>
+        {notes && <> with handoff notes:{handoffNotes}</>}
+      </span>
+    );
+  }
+
+  // Offboarding: an admin moved command away from a deactivated user
+  if (action === 'reassigned') {
+    return (
+      <span>
+        Handed command from <strong className="text-accent">{previous}</strong> to{' '}
+        <strong className="text-accent">{target}</strong> while offboarding
+      </span>
+    );
+  }
+
+  if (action === 'withdrawn') {
+    return (
+      <span>
+        Withdrew the command handoff offered to <strong className="text-accent">{target}</strong>
+      </span>
+    );
+  }
+
+  return (
+    <span>
+      Declined the command handoff
+      {notes && <>:{handoffNotes}</>}
+    </span>
+  );
+}
+
+/**
+ * Severity badge for timeline
+ */
+function SeverityBadge({ severity }) {
+  return (
+    <span
+      className="inline-flex px-2 py-0.5 text-xs font-medium rounded text-white"
+      style={{ backgroundColor: SEVERITY_COLORS[severity] || '#6B7280' }}
+    >
+      {severity}
+    </span>
+  );
+}
+
 /**
  * Status badge for timeline
  */
-function StatusBadge({ status }) {
-  const colors = {
-    investigating: '#EF4444',
-    identified: '#F59E0B',
-    monitoring: '#3B82F6',
-    resolved: '#10B981'
-  };
+function StatusBadge({ status, incidentType }) {
+  const { getStatus } = useWorkflow(incidentType);
+  const statusObj = getStatus(status);
 
   return (
     <span
       className="inline-flex px-2 py-0.5 text-xs font-medium rounded text-white"
-      style={{ backgroundColor: colors[status] || '#6B7280' }}
+      style={{ backgroundColor: statusObj?.color || '#6B7280' }}
     >
-      {status}
+      {statusObj?.label || status}
     </span>
   );
 }
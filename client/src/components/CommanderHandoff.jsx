@@ -0,0 +1,153 @@
+/**
+ * CommanderHandoff Component
+ * Propose, accept or decline a transfer of incident command - Dark theme
+ *
+ * FLOW:
+ * 1. Commander (or admin) proposes a handoff with briefing notes
+ * 2. Incident shows the pending handoff to everyone in the room
+ * 3. Only the proposed user can accept (becomes commander) or decline
+ *
+ * IMPORTANT: Visibility rules here are for UX only.
+ * The server checks who may propose and respond.
+ */
+import { useState, useEffect } from 'react';
+import { useAuthStore, useSocketStore } from '../stores';
+import { userApi } from '../services/api';
+import { proposeHandoff, acceptHandoff, declineHandoff } from '../services/socket';
+
+export function CommanderHandoff({ incident }) {
+  const user = useAuthStore((state) => state.user);
+  const canWrite = useAuthStore((state) => state.canWrite());
+  const isConnected = useSocketStore((state) => state.isConnected);
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [candidates, setCandidates] = useState([]);
+  const [targetUserId, setTargetUserId] = useState('');
+  const [notes, setNotes] = useState('');
+
+  const commanderId = incident.commander?._id;
+  const pending = incident.pendingHandoff;
+  const isCommander = user && commanderId === user._id;
+  const canHandOff = canWrite && (isCommander || user?.role === 'admin');
+  const isHandoffTarget = user && pending?.toUser?._id === user._id;
+
+  // Load possible commanders when the form opens
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const fetchUsers = async () => {
+      try {
+        const { users } = await userApi.list({});
+        setCandidates(users.filter(u =>
+          (u.role === 'responder' || u.role === 'admin') && u._id !== commanderId
+        ));
+      } catch (error) {
+        console.error('Failed to fetch users:', error);
+      }
+    };
+
+    fetchUsers();
+  }, [isOpen, commanderId]);
+
+  const handlePropose = (e) => {
+    e.preventDefault();
+    if (!targetUserId || !isConnected) return;
+
+    proposeHandoff(incident._id, targetUserId, notes);
+    setIsOpen(false);
+    setTargetUserId('');
+    setNotes('');
+  };
+
+  const handleDecline = () => {
+    const reason = window.prompt('Reason for declining (optional)');
+    if (reason === null) return;
+    declineHandoff(incident._id, reason);
+  };
+
+  return (
+    <span className="relative flex items-center gap-2">
+      {pending && (
+        <span
+          className="badge"
+          style={{ backgroundColor: '#6366F120', color: '#6366F1' }}
+          title={pending.notes || undefined}
+        >
+          Handoff to {pending.toUser?.name || 'user'} pending
+        </span>
+      )}
+
+      {isHandoffTarget && (
+        <>
+          <button
+            onClick={() => acceptHandoff(incident._id)}
+            disabled={!isConnected}
+            className="btn btn--primary btn--sm"
+          >
+            Accept command
+          </button>
+          <button
+            onClick={handleDecline}
+            disabled={!isConnected}
+            className="btn btn--secondary btn--sm"
+          >
+            Decline
+          </button>
+        </>
+      )}
+
+      {canHandOff && !isHandoffTarget && (
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          disabled={!isConnected}
+          className="btn btn--ghost btn--sm"
+        >
+          {pending ? 'Change handoff' : 'Hand off'}
+        </button>
+      )}
+
+      {isOpen && (
+        <form
+          onSubmit={handlePropose}
+          className="absolute top-full left-0 mt-2 p-4 bg-secondary border rounded-lg shadow-lg z-10 w-80 space-y-3"
+        >
+          <div>
+            <label className="label">New commander</label>
+            <select
+              value={targetUserId}
+              onChange={(e) => setTargetUserId(e.target.value)}
+              className="select w-full"
+            >
+              <option value="">Select a responder...</option>
+              {candidates.map((candidate) => (
+                <option key={candidate._id} value={candidate._id}>
+                  {candidate.name} ({candidate.email})
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="label">Handoff notes</label>
+            <textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              rows={3}
+              className="textarea"
+              placeholder="Current state, open threads, next steps..."
+            />
+          </div>
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={() => setIsOpen(false)} className="btn btn--secondary btn--sm">
+              Cancel
+            </button>
+            <button type="submit" disabled={!targetUserId} className="btn btn--primary btn--sm">
+              Propose
+            </button>
+          </div>
+        </form>
+      )}
+    </span>
+  );
+}
+
+export default CommanderHandoff;
@@ -3,20 +3,24 @@
  * Generates and copies a text summary of the incident - Dark theme
  */
 import { useState } from 'react';
+import { useWorkflow } from '../hooks';
+import { useIncidentStore } from '../stores';
 
 export function CopyIncidentSummary({ incident, updates = [] }) {
   const [copied, setCopied] = useState(false);
+  const actionItems = useIncidentStore((state) => state.activeIncidentActionItems);
+  const { getStatus } = useWorkflow(incident?.incidentType);
 
   if (!incident) return null;
 
   const generateSummary = () => {
     const notesCount = updates.filter(u => u.type === 'note').length;
-    const actionItemsCount = updates.filter(u => u.type === 'action_item').length;
-    const completedItems = updates.filter(u => u.type === 'action_item' && u.content?.completed).length;
+    const actionItemsCount = actionItems.length;
+    const completedItems = actionItems.filter(item => item.status === 'done').length;
 
     const lines = [
       `Incident: ${incident.title}`,
-      `Status: ${incident.status.charAt(0).toUpperCase() + incident.status.slice(1)}`,
+      `Status: ${getStatus(incident.status)?.label || incident.status}`,
       `Severity: ${incident.severity.charAt(0).toUpperCase() + incident.severity.slice(1)}`,
       `Commander: ${incident.commander?.name || 'Unassigned'}`,
       `Assignees: ${incident.assignees?.map(a => a.name).join(', ') || 'None'}`,
@@ -1,8 +1,11 @@
 /**
  * IncidentMetaStrip Component
- * Shows operational metadata: time elapsed, last update, update count - Dark theme
+ * Shows operational metadata: commander (with pending handoff),
+ * response roles, time elapsed, last update, update count - Dark theme
  */
 import { useState, useEffect } from 'react';
+import { CommanderHandoff } from './CommanderHandoff';
+import { IncidentRoleRoster } from './IncidentRoleRoster';
 
 /**
  * Format duration in human-readable form
@@ -34,7 +37,7 @@ const formatTimeAgo = (date) => {
   return 'Just now';
 };
 
-export function IncidentMetaStrip({ incident, updates = [] }) {
+export function IncidentMetaStrip({ incident, updates = [], hasMoreUpdates = false }) {
   const [, setTick] = useState(0);
 
   // Update every minute to keep times fresh
@@ -53,10 +56,24 @@ export function IncidentMetaStrip({ incident, updates = [] }) {
       }, new Date(0))
     : new Date(incident.createdAt);
 
-  const updateCount = updates.length;
+  // Older timeline pages may not be loaded yet
+  const updateCount = hasMoreUpdates ? `${updates.length}+` : updates.length;
 
   return (
-    <div className="flex items-center gap-4 text-sm text-secondary py-3 px-4 mb-6 rounded-lg" style={{ backgroundColor: 'var(--bg-tertiary)' }}>
+    <div className="flex flex-wrap items-center gap-4 text-sm text-secondary py-3 px-4 mb-6 rounded-lg" style={{ backgroundColor: 'var(--bg-tertiary)' }}>
+      <span className="flex items-center gap-1">
+        <span title="Incident Commander">⭐</span>
+        <span className="text-muted">Commander:</span>
+        <span className="font-medium text-primary">{incident.commander?.name || 'Unassigned'}</span>
+        <CommanderHandoff incident={incident} />
+      </span>
+
+      <span className="text-muted">|</span>
+
+      <IncidentRoleRoster incident={incident} />
+
+      <span className="text-muted">|</span>
+
       <span className="flex items-center gap-1">
         <svg className="w-4 h-4 text-muted" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
@@ -0,0 +1,146 @@
+/**
+ * IncidentRoleRoster Component
+ * Shows and manages response roles (scribe, comms lead, SMEs) - Dark theme
+ *
+ * The commander or an admin fills and vacates roles; holders can
+ * step down from their own role.
+ *
+ * IMPORTANT: Visibility rules here are for UX only.
+ * The server checks who may change the roster.
+ */
+import { useState, useEffect } from 'react';
+import { useAuthStore, useSocketStore } from '../stores';
+import { userApi } from '../services/api';
+import { assignIncidentRole, vacateIncidentRole } from '../services/socket';
+import { INCIDENT_ROLES, INCIDENT_ROLE_COLORS, getRoleHolders } from '../utils/incidentRoles';
+
+export function IncidentRoleRoster({ incident }) {
+  const user = useAuthStore((state) => state.user);
+  const canWrite = useAuthStore((state) => state.canWrite());
+  const isConnected = useSocketStore((state) => state.isConnected);
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [candidates, setCandidates] = useState([]);
+  const [role, setRole] = useState(INCIDENT_ROLES[0].value);
+  const [targetUserId, setTargetUserId] = useState('');
+
+  const isCommander = user && incident.commander?._id === user._id;
+  const canManage = canWrite && (isCommander || user?.role === 'admin');
+
+  // Load possible role holders when the form opens
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const fetchUsers = async () => {
+      try {
+        const { users } = await userApi.list({});
+        setCandidates(users.filter(u => u.role === 'responder' || u.role === 'admin'));
+      } catch (error) {
+        console.error('Failed to fetch users:', error);
+      }
+    };
+
+    fetchUsers();
+  }, [isOpen]);
+
+  const handleAssign = (e) => {
+    e.preventDefault();
+    if (!targetUserId || !isConnected) return;
+
+    assignIncidentRole(incident._id, role, targetUserId);
+    setTargetUserId('');
+    setIsOpen(false);
+  };
+
+  return (
+    <span className="relative flex flex-wrap items-center gap-3">
+      {INCIDENT_ROLES.map(({ value, shortLabel, label }) => {
+        const holders = getRoleHolders(incident, value);
+
+        return (
+          <span key={value} className="flex items-center gap-1" title={label}>
+            <span className="text-muted">{shortLabel}:</span>
+            {holders.length === 0 && <span className="text-muted italic">—</span>}
+            {holders.map((holder) => {
+              const canVacate = canWrite && (canManage || holder?._id === user?._id);
+              return (
+                <span
+                  key={holder?._id}
+                  className="badge flex items-center gap-1"
+                  style={{
+                    backgroundColor: `${INCIDENT_ROLE_COLORS[value]}20`,
+                    color: INCIDENT_ROLE_COLORS[value]
+                  }}
+                >
+                  {holder?.name || 'Unknown'}
+                  {canVacate && (
+                    <button
+                      onClick={() => vacateIncidentRole(incident._id, value, holder._id)}
+                      disabled={!isConnected}
+                      title={`Remove ${holder?.name} as ${label}`}
+                    >
+                      ✕
+                    </button>
+                  )}
+                </span>
+              );
+            })}
+          </span>
+        );
+      })}
+
+      {canManage && (
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          disabled={!isConnected}
+          className="btn btn--ghost btn--sm"
+        >
+          Assign role
+        </button>
+      )}
+
+      {isOpen && (
+        <form
+          onSubmit={handleAssign}
+          className="absolute top-full left-0 mt-2 p-4 bg-secondary border rounded-lg shadow-lg z-10 w-80 space-y-3"
+        >
+          <div>
+            <label className="label">Role</label>
+            <select value={role} onChange={(e) => setRole(e.target.value)} className="select w-full">
+              {INCIDENT_ROLES.map((r) => (
+                <option key={r.value} value={r.value}>
+                  {r.label}{r.multiple ? '' : ' (replaces current)'}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="label">User</label>
+            <select
+              value={targetUserId}
+              onChange={(e) => setTargetUserId(e.target.value)}
+              className="select w-full"
+            >
+              <option value="">Select a responder...</option>
+              {candidates.map((candidate) => (
+                <option key={candidate._id} value={candidate._id}>
+                  {candidate.name} ({candidate.email})
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={() => setIsOpen(false)} className="btn btn--secondary btn--sm">
+              Cancel
+            </button>
+            <button type="submit" disabled={!targetUserId} className="btn btn--primary btn--sm">
+              Assign
+            </button>
+          </div>
+        </form>
+      )}
+    </span>
+  );
+}
+
+export default IncidentRoleRoster;
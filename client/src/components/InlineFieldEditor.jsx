@@ -0,0 +1,140 @@
+/**
+ * InlineFieldEditor Component
+ * Role-aware inline editor for incident text fields (title, description) - Dark theme
+ *
+ * USAGE:
+ * <InlineFieldEditor incidentId={id} field="description" value={incident.description} multiline />
+ *
+ * The displayed value always comes from the store; the draft is local
+ * UI state until the server confirms via incident:fieldsUpdated.
+ */
+import { useState } from 'react';
+import { useAuthStore, useSocketStore } from '../stores';
+import { useFocus } from '../hooks';
+import { updateFields } from '../services/socket';
+import clsx from 'clsx';
+
+export function InlineFieldEditor({
+  incidentId,
+  field,
+  value = '',
+  multiline = false,
+  placeholder = '',
+  maxLength,
+  renderValue
+}) {
+  const canWrite = useAuthStore((state) => state.canWrite());
+  const isConnected = useSocketStore((state) => state.isConnected);
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(value);
+  const { onFocus, onBlur, focusedUsers } = useFocus(incidentId, field);
+
+  const display = renderValue ? renderValue(value) : (
+    <span className={clsx(value ? 'text-secondary' : 'text-muted')}>
+      {value || placeholder}
+    </span>
+  );
+
+  // VIEWER: Plain text only
+  if (!canWrite) {
+    return display;
+  }
+
+  const startEditing = () => {
+    setDraft(value);
+    setIsEditing(true);
+    onFocus();
+  };
+
+  const stopEditing = () => {
+    setIsEditing(false);
+    onBlur();
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = draft.trim();
+    if (trimmed !== (value || '').trim()) {
+      updateFields(incidentId, { [field]: trimmed });
+    }
+    stopEditing();
+  };
+
+  const focusIndicators = focusedUsers.length > 0 && (
+    <div className="focus-indicators mb-2 flex gap-1 flex-wrap">
+      {focusedUsers.map((user) => (
+        <span
+          key={user.userId}
+          className="text-xs px-2 py-0.5 rounded"
+          style={{ backgroundColor: user.color, color: 'white' }}
+        >
+          {user.name} is editing...
+        </span>
+      ))}
+    </div>
+  );
+
+  if (!isEditing) {
+    return (
+      <div className="inline-field-editor">
+        {focusIndicators}
+        <div className="flex items-start gap-2">
+          <div className="flex-1">{display}</div>
+          <button
+            type="button"
+            onClick={startEditing}
+            disabled={!isConnected}
+            className="btn btn--ghost btn--sm"
+            title={`Edit ${field}`}
+          >
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+            </svg>
+            Edit
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="inline-field-editor">
+      {focusIndicators}
+      {multiline ? (
+        <textarea
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          rows={4}
+          maxLength={maxLength}
+          className="textarea"
+          placeholder={placeholder}
+          autoFocus
+        />
+      ) : (
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          maxLength={maxLength}
+          className="input"
+          placeholder={placeholder}
+          autoFocus
+        />
+      )}
+      <div className="flex justify-end gap-2 mt-2">
+        <button type="button" onClick={stopEditing} className="btn btn--secondary btn--sm">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={!isConnected || (field === 'title' && !draft.trim())}
+          className="btn btn--primary btn--sm"
+        >
+          Save
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default InlineFieldEditor;
@@ -0,0 +1,115 @@
+/**
+ * InviteForm Component
+ * Invite someone by email with a chosen role - Dark theme
+ *
+ * The invite link is returned once, right after creating it, and shown
+ * here with a Copy button until dismissed. Creating an invite revokes
+ * any older open invite for the same email (the server does this).
+ *
+ * IMPORTANT: Admin only. The server enforces this.
+ */
+import { useState } from 'react';
+import { inviteApi } from '../services/api';
+import { ROLES, getRoleLabel } from '../utils/permissions';
+
+const EMPTY_INVITE = { email: '', role: 'responder' };
+
+export function InviteForm({ onInvited }) {
+  const [form, setForm] = useState(EMPTY_INVITE);
+  const [isSending, setIsSending] = useState(false);
+  const [error, setError] = useState(null);
+  const [sentInvite, setSentInvite] = useState(null); // { email, inviteUrl } after create
+  const [copied, setCopied] = useState(false);
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setIsSending(true);
+    setError(null);
+    try {
+      const { invite, inviteUrl } = await inviteApi.create(form);
+      setSentInvite({ email: invite.email, inviteUrl });
+      setCopied(false);
+      setForm(EMPTY_INVITE);
+      onInvited?.(invite);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(sentInvite.inviteUrl);
+      setCopied(true);
+    } catch {
+      setError('Could not copy the link; select it and copy manually');
+    }
+  };
+
+  return (
+    <>
+      <form onSubmit={handleInvite} className="panel mb-4">
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+            {error}
+          </div>
+        )}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="label">Email *</label>
+            <input
+              type="email"
+              value={form.email}
+              onChange={(e) => setForm({ ...form, email: e.target.value })}
+              required
+              className="input"
+              placeholder="new.responder@example.com"
+            />
+          </div>
+          <div>
+            <label className="label">Role</label>
+            <select
+              value={form.role}
+              onChange={(e) => setForm({ ...form, role: e.target.value })}
+              className="select"
+            >
+              {ROLES.map((role) => (
+                <option key={role} value={role}>{getRoleLabel(role)}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div className="flex justify-end mt-4">
+          <button type="submit" disabled={isSending} className="btn btn--primary">
+            {isSending ? 'Creating...' : 'Create Invite'}
+          </button>
+        </div>
+      </form>
+
+      {sentInvite && (
+        <div className="panel mb-4">
+          <div className="flex justify-between items-start gap-4">
+            <div className="min-w-0">
+              <p className="font-medium text-primary mb-1">Invite link for {sentInvite.email}</p>
+              <p className="text-xs text-muted mb-2">
+                Copy it now: it will not be shown again. It works once and expires.
+              </p>
+              <code className="font-mono text-sm text-accent" style={{ wordBreak: 'break-all' }}>
+                {sentInvite.inviteUrl}
+              </code>
+            </div>
+            <div className="flex gap-2">
+              <button onClick={handleCopy} className="btn btn--secondary btn--sm">
+                {copied ? 'Copied' : 'Copy'}
+              </button>
+              <button onClick={() => setSentInvite(null)} className="btn btn--ghost btn--sm">Dismiss</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default InviteForm;
@@ -0,0 +1,153 @@
+/**
+ * Markdown Component
+ * Renders the small markdown subset used in runbooks - Dark theme
+ *
+ * Supported: # headings, paragraphs, - / 1. lists, > quotes, ``` code
+ * blocks, `code`, **bold**, *italic* and [links](https://...).
+ * Output is built as React elements (never raw HTML), so runbook text
+ * cannot inject markup; links are limited to http(s) and mailto.
+ */
+
+const HEADING_SIZES = ['text-xl', 'text-lg', 'text-base'];
+
+const INLINE_PATTERN = /(`[^`]+`)|(\*\*[^*]+\*\*)|(\*[^*\s][^*]*\*|_[^_\s][^_]*_)|(\[[^\]]+\]\([^)\s]+\))/g;
+
+const SAFE_LINK = /^(https?:|mailto:)/i;
+
+const CODE_FONT = {
+  fontFamily: 'monospace',
+  fontSize: '0.85em',
+  backgroundColor: 'var(--bg-tertiary)'
+};
+
+const INLINE_CODE_STYLE = { ...CODE_FONT, borderRadius: '4px', padding: '0.1rem 0.3rem' };
+
+/**
+ * Render inline formatting within one line of text
+ */
+const renderInline = (text) => {
+  const parts = [];
+  let last = 0;
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    if (match.index > last) parts.push(text.slice(last, match.index));
+    const [token, code, bold, italic, link] = match;
+    const key = match.index;
+
+    if (code) {
+      parts.push(<code key={key} style={INLINE_CODE_STYLE}>{token.slice(1, -1)}</code>);
+    } else if (bold) {
+      parts.push(<strong key={key}>{renderInline(token.slice(2, -2))}</strong>);
+    } else if (italic) {
+      parts.push(<em key={key}>{token.slice(1, -1)}</em>);
+    } else if (link) {
+      const [, label, href] = token.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+      parts.push(SAFE_LINK.test(href)
+        ? <a key={key} href={href} target="_blank" rel="noopener noreferrer" className="text-accent hover:underline">{label}</a>
+        : label);
+    }
+    last = match.index + token.length;
+  }
+
+  if (last < text.length) parts.push(text.slice(last));
+  return parts;
+};
+
+/**
+ * Split markdown into blocks: { type, lines, level?, ordered? }
+ */
+const toBlocks = (markdown) => {
+  const blocks = [];
+  const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.trim().startsWith('```')) {
+      const code = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith('```'); i++) code.push(lines[i]);
+      blocks.push({ type: 'code', lines: code });
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, lines: [heading[2]] });
+      continue;
+    }
+
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+    const quote = line.match(/^>\s?(.*)$/);
+    const previous = blocks[blocks.length - 1];
+
+    if (bullet || numbered) {
+      const ordered = Boolean(numbered);
+      const text = (bullet || numbered)[1];
+      if (previous?.type === 'list' && previous.ordered === ordered) {
+        previous.lines.push(text);
+      } else {
+        blocks.push({ type: 'list', ordered, lines: [text] });
+      }
+    } else if (quote) {
+      if (previous?.type === 'quote') previous.lines.push(quote[1]);
+      else blocks.push({ type: 'quote', lines: [quote[1]] });
+    } else if (!line.trim()) {
+      blocks.push({ type: 'break', lines: [] });
+    } else if (previous?.type === 'paragraph') {
+      previous.lines.push(line);
+    } else {
+      blocks.push({ type: 'paragraph', lines: [line] });
+    }
+  }
+
+  return blocks.filter((block) => block.type !== 'break');
+};
+
+/**
+ * Join wrapped lines with spaces, rendering inline formatting
+ */
+const renderLines = (lines) => renderInline(lines.join(' '));
+
+export function Markdown({ source }) {
+  const blocks = toBlocks(source || '');
+
+  return (
+    <div className="space-y-3 text-sm text-secondary">
+      {blocks.map((block, index) => {
+        switch (block.type) {
+          case 'heading':
+            return (
+              <p key={index} className={`${HEADING_SIZES[Math.min(block.level, 3) - 1]} font-semibold text-primary`}>
+                {renderLines(block.lines)}
+              </p>
+            );
+          case 'code':
+            return (
+              <pre key={index} className="p-3 rounded-md overflow-hidden" style={{ ...CODE_FONT, whiteSpace: 'pre-wrap' }}>
+                {block.lines.join('\n')}
+              </pre>
+            );
+          case 'list': {
+            const List = block.ordered ? 'ol' : 'ul';
+            return (
+              <List key={index} className="space-y-1" style={{ listStyle: block.ordered ? 'decimal' : 'disc', paddingLeft: '1.25rem' }}>
+                {block.lines.map((line, i) => <li key={i}>{renderInline(line)}</li>)}
+              </List>
+            );
+          }
+          case 'quote':
+            return (
+              <blockquote key={index} className="border-l-2 pl-3 italic" style={{ borderColor: 'var(--accent-muted)' }}>
+                {renderLines(block.lines)}
+              </blockquote>
+            );
+          default:
+            return <p key={index}>{renderLines(block.lines)}</p>;
+        }
+      })}
+    </div>
+  );
+}
+
+export default Markdown;
@@ -1,16 +1,20 @@
 /**
  * NoteInput Component
  * Role-aware note input control - Dark theme
+ *
+ * The incident's communications lead can switch to publishing a
+ * stakeholder update instead of an investigation note.
  */
 import { useState } from 'react';
 import { useAuthStore } from '../stores';
 import { useFocus } from '../hooks';
-import { addNote } from '../services/socket';
+import { addNote, addStakeholderUpdate } from '../services/socket';
 import clsx from 'clsx';
 
-export function NoteInput({ incidentId }) {
+export function NoteInput({ incidentId, canPublishStakeholderUpdate = false }) {
   const canWrite = useAuthStore((state) => state.canWrite());
   const [text, setText] = useState('');
+  const [asStakeholderUpdate, setAsStakeholderUpdate] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const { onFocus, onBlur, focusedUsers } = useFocus(incidentId, 'notes');
 
@@ -24,7 +28,11 @@ export function NoteInput({ incidentId }) {
     if (!text.trim()) return;
 
     setIsSubmitting(true);
-    addNote(incidentId, text.trim());
+    if (canPublishStakeholderUpdate && asStakeholderUpdate) {
+      addStakeholderUpdate(incidentId, text.trim());
+    } else {
+      addNote(incidentId, text.trim());
+    }
 
     // Clear after brief delay (server will broadcast confirmation)
     setTimeout(() => {
@@ -75,15 +83,27 @@ export function NoteInput({ incidentId }) {
         />
 
         <div className="flex justify-between items-center px-3 py-2 border-t" style={{ backgroundColor: 'var(--bg-tertiary)', borderColor: 'var(--border-primary)' }}>
-          <span className="text-xs text-muted">
+          <span className="flex items-center gap-3 text-xs text-muted">
             {text.length}/2000 characters
+            {canPublishStakeholderUpdate && (
+              <label className="flex items-center gap-1 text-secondary">
+                <input
+                  type="checkbox"
+                  checked={asStakeholderUpdate}
+                  onChange={(e) => setAsStakeholderUpdate(e.target.checked)}
+                />
+                Stakeholder update
+              </label>
+            )}
           </span>
           <button
             type="submit"
             disabled={!text.trim() || isSubmitting}
             className="btn btn--primary btn--sm"
           >
-            {isSubmitting ? 'Adding...' : 'Add Note'}
+            {isSubmitting
+              ? 'Adding...'
+              : canPublishStakeholderUpdate && asStakeholderUpdate ? 'Publish Update' : 'Add Note'}
           </button>
         </div>
       </div>
@@ -0,0 +1,85 @@
+/**
+ * PostmortemLink Component
+ * Opens or starts the post-incident review - Dark theme
+ *
+ * Shown once the incident is resolved. The commander or an admin
+ * can start the review; everyone can open an existing one.
+ *
+ * IMPORTANT: Visibility rules here are for UX only.
+ * The server checks who may start a postmortem.
+ */
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuthStore, useIncidentStore } from '../stores';
+import { postmortemApi } from '../services/api';
+import { POSTMORTEM_STATUSES } from '../utils/postmortems';
+
+export function PostmortemLink({ incident }) {
+  const navigate = useNavigate();
+  const user = useAuthStore((state) => state.user);
+  const canWrite = useAuthStore((state) => state.canWrite());
+  const postmortem = useIncidentStore((state) => state.activeIncidentPostmortem);
+  const setActivePostmortem = useIncidentStore((state) => state.setActivePostmortem);
+
+  const [isStarting, setIsStarting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isResolved = Boolean(incident.resolvedAt);
+  const canStart = canWrite && (incident.commander?._id === user?._id || user?.role === 'admin');
+
+  // Look up an existing review once the incident is resolved
+  useEffect(() => {
+    if (!isResolved) return;
+
+    postmortemApi.list({ incidentId: incident._id })
+      .then(({ postmortems }) => {
+        const [existing] = postmortems;
+        setActivePostmortem(incident._id, existing ? { _id: existing._id, status: existing.status } : null);
+      })
+      .catch((err) => console.error('Failed to fetch postmortem:', err));
+  }, [incident._id, isResolved]);
+
+  if (!isResolved) return null;
+
+  const handleStart = async () => {
+    setIsStarting(true);
+    setError(null);
+    try {
+      const { postmortem: created } = await postmortemApi.create(incident._id);
+      navigate(`/postmortems/${created._id}`);
+    } catch (err) {
+      // Someone else started it meanwhile: open theirs
+      if (err.status === 409 && err.details?.postmortemId) {
+        navigate(`/postmortems/${err.details.postmortemId}`);
+        return;
+      }
+      setError(err.message);
+      setIsStarting(false);
+    }
+  };
+
+  if (postmortem) {
+    const status = POSTMORTEM_STATUSES[postmortem.status] || POSTMORTEM_STATUSES.draft;
+    return (
+      <button onClick={() => navigate(`/postmortems/${postmortem._id}`)} className="btn btn--secondary btn--sm">
+        Postmortem
+        <span className="badge" style={{ backgroundColor: `${status.color}20`, color: status.color }}>
+          {status.label}
+        </span>
+      </button>
+    );
+  }
+
+  if (!canStart) return null;
+
+  return (
+    <span className="flex items-center gap-2">
+      <button onClick={handleStart} disabled={isStarting} className="btn btn--primary btn--sm">
+        {isStarting ? 'Starting...' : 'Start Postmortem'}
+      </button>
+      {error && <span className="text-sm text-red-500">{error}</span>}
+    </span>
+  );
+}
+
+export default PostmortemLink;
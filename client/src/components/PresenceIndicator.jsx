@@ -1,10 +1,12 @@
 /**
  * PresenceIndicator Component
  * Shows who is currently viewing the incident - Dark theme
+ * Viewers holding an incident role (IC, scribe, comms, SME) get a badge
  */
 import { usePresenceStore, useAuthStore } from '../stores';
+import { getUserIncidentRoles, getIncidentRole, INCIDENT_ROLE_COLORS } from '../utils/incidentRoles';
 
-export function PresenceIndicator({ incidentId }) {
+export function PresenceIndicator({ incidentId, incident }) {
   const users = usePresenceStore((state) => state.getIncidentUsers(incidentId));
   const currentUser = useAuthStore((state) => state.user);
   const currentUserId = currentUser?._id;
@@ -38,6 +40,7 @@ export function PresenceIndicator({ incidentId }) {
           {getInitials(currentUser?.name)}
         </div>
         <span className="text-sm text-primary">You</span>
+        <IncidentRoleBadges roles={getUserIncidentRoles(incident, currentUserId)} />
       </div>
 
       {/* Other users */}
@@ -47,19 +50,25 @@ export function PresenceIndicator({ incidentId }) {
           <div className="flex items-center gap-2">
             <span className="text-sm text-secondary">Also viewing:</span>
             <div className="flex -space-x-2">
-              {otherUsers.slice(0, 5).map((user) => (
-                <div
-                  key={user.userId}
-                  className="w-7 h-7 rounded-full flex items-center justify-center text-white text-xs font-medium border-2"
-                  style={{
-                    backgroundColor: user.color,
-                    borderColor: 'var(--bg-secondary)'
-                  }}
-                  title={user.name}
-                >
-                  {getInitials(user.name)}
-                </div>
-              ))}
+              {otherUsers.slice(0, 5).map((user) => {
+                const roles = getUserIncidentRoles(incident, user.userId);
+                const roleLabels = roles.map((r) => getIncidentRole(r)?.label).join(', ');
+                return (
+                  <div
+                    key={user.userId}
+                    className="relative w-7 h-7 rounded-full flex items-center justify-center text-white text-xs font-medium border-2"
+                    style={{
+                      backgroundColor: user.color,
+                      borderColor: roles.length > 0
+                        ? INCIDENT_ROLE_COLORS[roles[0]]
+                        : 'var(--bg-secondary)'
+                    }}
+                    title={roleLabels ? `${user.name} (${roleLabels})` : user.name}
+                  >
+                    {getInitials(user.name)}
+                  </div>
+                );
+              })}
               {otherUsers.length > 5 && (
                 <div
                   className="w-7 h-7 rounded-full flex items-center justify-center text-white text-xs font-medium border-2"
@@ -72,6 +81,16 @@ export function PresenceIndicator({ incidentId }) {
                 </div>
               )}
             </div>
+            {/* Role holders currently viewing */}
+            {otherUsers.slice(0, 5).map((user) => {
+              const roles = getUserIncidentRoles(incident, user.userId);
+              return roles.length > 0 && (
+                <span key={user.userId} className="flex items-center gap-1 text-xs text-secondary">
+                  {user.name.split(' ')[0]}
+                  <IncidentRoleBadges roles={roles} />
+                </span>
+              );
+            })}
           </div>
         </>
       )}
@@ -79,6 +98,25 @@ export function PresenceIndicator({ incidentId }) {
   );
 }
 
+/**
+ * Small colored badges for incident roles
+ */
+function IncidentRoleBadges({ roles }) {
+  return roles.map((role) => (
+    <span
+      key={role}
+      className="text-xs px-1.5 py-0.5 rounded font-medium"
+      style={{
+        backgroundColor: `${INCIDENT_ROLE_COLORS[role]}20`,
+        color: INCIDENT_ROLE_COLORS[role]
+      }}
+      title={getIncidentRole(role)?.label}
+    >
+      {getIncidentRole(role)?.shortLabel}
+    </span>
+  ));
+}
+
 /**
  * Get initials from name
  */
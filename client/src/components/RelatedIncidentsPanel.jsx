@@ -0,0 +1,220 @@
+/**
+ * RelatedIncidentsPanel Component
+ * Links to other incidents and merging duplicates - Dark theme
+ *
+ * Links show on both incidents with the inverse wording. Merging closes
+ * this incident as a duplicate of the chosen one: its timeline joins
+ * the primary's and everyone viewing it is moved there.
+ *
+ * IMPORTANT: Edit controls are for UX only.
+ * The server checks who may link and merge (merging: a commander of
+ * either incident or an admin).
+ */
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuthStore, useIncidentStore } from '../stores';
+import { incidentApi } from '../services/api';
+import {
+  RELATIONSHIP_TYPES,
+  LINK_TYPES,
+  getRelationshipType,
+  isMergeRelationship
+} from '../utils/relationships';
+
+const SEARCH_DEBOUNCE_MS = 300;
+const SEARCH_LIMIT = 8;
+
+export function RelatedIncidentsPanel({ incident }) {
+  const navigate = useNavigate();
+  const canWrite = useAuthStore((state) => state.canWrite());
+
+  const [type, setType] = useState('related');
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [selected, setSelected] = useState(null); // { _id, title }
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const relationships = incident.relationships || [];
+  const linkedIds = relationships.map((r) => r.incident?._id);
+
+  // Search incidents to link (debounced, server-side full-text)
+  useEffect(() => {
+    const q = query.trim();
+    if (!q || selected) {
+      setResults([]);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      incidentApi.list({ q, limit: SEARCH_LIMIT })
+        .then(({ incidents }) => setResults(incidents))
+        .catch((err) => console.error('Failed to search incidents:', err));
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query, selected]);
+
+  const candidates = results.filter((r) => r._id !== incident._id && !linkedIds.includes(r._id));
+
+  const applyResult = ({ incident: updated, updates }) => {
+    const store = useIncidentStore.getState();
+    store.updateIncident(incident._id, updated);
+    updates.forEach((update) => store.addUpdate({ ...update, incidentId: incident._id }));
+  };
+
+  const resetForm = () => {
+    setSelected(null);
+    setQuery('');
+  };
+
+  const handleLink = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      applyResult(await incidentApi.link(incident._id, type, selected._id));
+      resetForm();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleUnlink = async (relationship) => {
+    setError(null);
+    try {
+      applyResult(await incidentApi.unlink(incident._id, relationship.incident._id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleMerge = async () => {
+    if (!window.confirm(
+      `Merge this incident into "${selected.title}"? It will be closed as a duplicate and its timeline shown there.`
+    )) return;
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      const { primary } = await incidentApi.merge(incident._id, selected._id);
+      navigate(`/incidents/${primary._id}`, { state: { mergedFrom: incident.title } });
+    } catch (err) {
+      setError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold text-primary mb-4">Related Incidents</h3>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      {relationships.length === 0 ? (
+        <p className="text-sm text-muted italic mb-4">No linked incidents</p>
+      ) : (
+        <div className="space-y-3 mb-4">
+          {RELATIONSHIP_TYPES.map(({ value }) => {
+            const links = relationships.filter((r) => r.type === value && r.incident);
+            if (links.length === 0) return null;
+
+            const relationshipType = getRelationshipType(value);
+            return (
+              <div key={value}>
+                <p className="text-xs font-medium uppercase tracking-wider mb-1" style={{ color: relationshipType.color }}>
+                  {relationshipType.label}
+                </p>
+                <div className="space-y-1">
+                  {links.map((relationship) => (
+                    <div key={relationship.incident._id} className="flex items-center justify-between gap-2 text-sm">
+                      <Link to={`/incidents/${relationship.incident._id}`} className="text-primary hover:underline">
+                        {relationship.incident.title}
+                      </Link>
+                      <div className="flex items-center gap-2 flex-shrink-0">
+                        <span className="badge">{relationship.incident.resolvedAt ? 'Resolved' : relationship.incident.status}</span>
+                        {canWrite && !isMergeRelationship(value) && (
+                          <button
+                            onClick={() => handleUnlink(relationship)}
+                            className="btn btn--ghost btn--sm"
+                            title="Remove link"
+                          >
+                            ✕
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {canWrite && !incident.mergedInto && (
+        <div className="space-y-2 pt-4 border-t">
+          <label className="label">Link or merge another incident</label>
+          <div className="flex gap-2">
+            <select
+              value={type}
+              onChange={(e) => setType(e.target.value)}
+              className="select"
+              style={{ width: '10rem' }}
+            >
+              {LINK_TYPES.map((value) => (
+                <option key={value} value={value}>{getRelationshipType(value).label}</option>
+              ))}
+            </select>
+            {selected ? (
+              <div className="input flex items-center justify-between">
+                <span className="text-primary">{selected.title}</span>
+                <button onClick={resetForm} className="btn btn--ghost btn--sm" title="Clear">✕</button>
+              </div>
+            ) : (
+              <input
+                type="text"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                className="input"
+                placeholder="Search incidents by title..."
+              />
+            )}
+          </div>
+
+          {candidates.length > 0 && (
+            <div className="border rounded-lg divide-y">
+              {candidates.map((candidate) => (
+                <button
+                  key={candidate._id}
+                  onClick={() => setSelected({ _id: candidate._id, title: candidate.title })}
+                  className="block w-full text-left px-3 py-2 text-sm text-secondary hover:bg-hover"
+                >
+                  {candidate.title}
+                  <span className="text-xs text-muted ml-2">
+                    {candidate.resolvedAt ? 'Resolved' : candidate.status} · {new Date(candidate.createdAt).toLocaleDateString()}
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="flex justify-end gap-2">
+            <button onClick={handleMerge} disabled={!selected || isSaving} className="btn btn--secondary btn--sm">
+              Merge into selected
+            </button>
+            <button onClick={handleLink} disabled={!selected || isSaving} className="btn btn--primary btn--sm">
+              {isSaving ? 'Saving...' : 'Link'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RelatedIncidentsPanel;
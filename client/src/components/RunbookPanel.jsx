@@ -0,0 +1,38 @@
+/**
+ * RunbookPanel Component
+ * Runbook pinned on incidents created from a template - Dark theme
+ *
+ * Shows the copy taken when the incident was created, so later edits
+ * to the template do not change what responders followed.
+ */
+import { useState } from 'react';
+import { Markdown } from './Markdown';
+
+export function RunbookPanel({ runbook }) {
+  const [isOpen, setIsOpen] = useState(true);
+
+  if (!runbook?.markdown) return null;
+
+  return (
+    <div className="panel mb-6" style={{ borderLeft: '3px solid var(--accent-primary)' }}>
+      <div className="flex justify-between items-center">
+        <div className="flex items-center gap-2">
+          <span title="Pinned">📌</span>
+          <h3 className="text-lg font-semibold text-primary">Runbook</h3>
+          <span className="text-xs text-muted">from template "{runbook.templateName}"</span>
+        </div>
+        <button onClick={() => setIsOpen(!isOpen)} className="btn btn--ghost btn--sm">
+          {isOpen ? 'Collapse' : 'Expand'}
+        </button>
+      </div>
+
+      {isOpen && (
+        <div className="mt-4 pt-4 border-t">
+          <Markdown source={runbook.markdown} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RunbookPanel;
@@ -0,0 +1,192 @@
+/**
+ * ServiceEditor Component
+ * Create/edit form for one service catalog entry - Dark theme
+ *
+ * Dependencies are the services this one needs to work; the server
+ * rejects cycles. Deleting a service removes it from incidents and
+ * from other services' dependencies.
+ *
+ * IMPORTANT: Admin only. The server enforces this.
+ */
+import { useState } from 'react';
+import { serviceApi } from '../services/api';
+import { SERVICE_TIERS } from '../utils/services';
+import { ServicePicker } from './ServicePicker';
+
+// Starting point for a brand new service
+const EMPTY_DRAFT = {
+  name: '',
+  description: '',
+  team: '',
+  tier: 3,
+  runbookUrl: '',
+  dependencies: []
+};
+
+/**
+ * Convert a served service into an editable draft
+ */
+const toDraft = (service) => ({
+  name: service.name,
+  description: service.description || '',
+  team: service.team || '',
+  tier: service.tier,
+  runbookUrl: service.runbookUrl || '',
+  dependencies: service.dependencies.map((d) => d._id).sort()
+});
+
+export function ServiceEditor({ service, services, onSaved, onDeleted, onClose }) {
+  const isNew = !service;
+  const [draft, setDraft] = useState(() => (isNew ? EMPTY_DRAFT : toDraft(service)));
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updateDraft = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const { service: saved } = isNew
+        ? await serviceApi.create(draft)
+        : await serviceApi.update(service._id, draft);
+      await onSaved(saved);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${service.name}"? It is removed from every incident; timeline entries keep its name.`)) return;
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      await serviceApi.remove(service._id);
+      await onDeleted();
+    } catch (err) {
+      setError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="panel">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-primary">
+          {isNew ? 'New Service' : `Edit ${service.name}`}
+        </h3>
+        <button onClick={onClose} className="btn btn--ghost btn--sm">Close</button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="label">Name *</label>
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => updateDraft({ name: e.target.value })}
+              required
+              maxLength={100}
+              className="input"
+              placeholder="payments-api"
+            />
+          </div>
+          <div>
+            <label className="label">Owning Team</label>
+            <input
+              type="text"
+              value={draft.team}
+              onChange={(e) => updateDraft({ team: e.target.value })}
+              maxLength={100}
+              className="input"
+              placeholder="Payments"
+            />
+          </div>
+          <div>
+            <label className="label">Tier</label>
+            <select
+              value={draft.tier}
+              onChange={(e) => updateDraft({ tier: Number(e.target.value) })}
+              className="select"
+            >
+              {SERVICE_TIERS.map((tier) => (
+                <option key={tier.value} value={tier.value}>{tier.label} - {tier.description}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="label">Runbook Link</label>
+            <input
+              type="url"
+              value={draft.runbookUrl}
+              onChange={(e) => updateDraft({ runbookUrl: e.target.value })}
+              maxLength={500}
+              className="input"
+              placeholder="https://wiki.example.com/runbooks/payments-api"
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="label">Description</label>
+          <textarea
+            value={draft.description}
+            onChange={(e) => updateDraft({ description: e.target.value })}
+            rows={2}
+            maxLength={500}
+            className="textarea"
+            placeholder="What this service does"
+          />
+        </div>
+
+        <div>
+          <label className="label">Depends On</label>
+          <ServicePicker
+            services={services}
+            value={draft.dependencies}
+            onChange={(dependencies) => updateDraft({ dependencies })}
+            exclude={service?._id}
+          />
+        </div>
+
+        <div className="flex justify-between">
+          <div>
+            {!isNew && (
+              <button
+                type="button"
+                onClick={handleDelete}
+                disabled={isSaving}
+                className="btn btn--secondary text-red-500"
+              >
+                Delete Service
+              </button>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button type="button" onClick={onClose} className="btn btn--secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={isSaving || !draft.name} className="btn btn--primary">
+              {isSaving ? 'Saving...' : 'Save Service'}
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default ServiceEditor;
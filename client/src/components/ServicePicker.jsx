@@ -0,0 +1,40 @@
+/**
+ * ServicePicker Component
+ * Checkbox list of catalog services - Dark theme
+ *
+ * Controlled: value is an array of service IDs, kept sorted so
+ * re-ticking a box does not count as a change.
+ */
+export function ServicePicker({ services, value, onChange, exclude }) {
+  const options = exclude ? services.filter((service) => service._id !== exclude) : services;
+
+  if (options.length === 0) {
+    return <p className="text-sm text-muted italic">No services in the catalog yet</p>;
+  }
+
+  const toggle = (serviceId) => {
+    onChange(
+      value.includes(serviceId)
+        ? value.filter((id) => id !== serviceId)
+        : [...value, serviceId].sort()
+    );
+  };
+
+  return (
+    <div className="flex flex-wrap gap-3">
+      {options.map((service) => (
+        <label key={service._id} className="flex items-center gap-2 text-sm text-secondary">
+          <input
+            type="checkbox"
+            checked={value.includes(service._id)}
+            onChange={() => toggle(service._id)}
+            style={{ accentColor: 'var(--accent-primary)' }}
+          />
+          {service.name}
+        </label>
+      ))}
+    </div>
+  );
+}
+
+export default ServicePicker;
@@ -0,0 +1,91 @@
+/**
+ * SeveritySelector Component
+ * Role-aware severity control - Dark theme
+ *
+ * Changes are sent over the socket and only reflected once the
+ * server broadcasts incident:fieldsUpdated (no optimistic update).
+ */
+import { useAuthStore, useSocketStore } from '../stores';
+import { useFocus } from '../hooks';
+import { updateFields } from '../services/socket';
+
+const SEVERITIES = [
+  { value: 'critical', label: 'Critical', color: '#EF4444' },
+  { value: 'high', label: 'High', color: '#F59E0B' },
+  { value: 'medium', label: 'Medium', color: '#3B82F6' },
+  { value: 'low', label: 'Low', color: '#10B981' }
+];
+
+export function SeveritySelector({ incidentId, currentSeverity }) {
+  const canWrite = useAuthStore((state) => state.canWrite());
+  const isConnected = useSocketStore((state) => state.isConnected);
+  const { onFocus, onBlur, focusedUsers } = useFocus(incidentId, 'severity');
+
+  const current = SEVERITIES.find((s) => s.value === currentSeverity) || SEVERITIES[2];
+
+  const badge = (
+    <span
+      className="badge"
+      style={{
+        backgroundColor: `${current.color}20`,
+        color: current.color
+      }}
+    >
+      {current.label}
+    </span>
+  );
+
+  // VIEWER: Read-only badge
+  if (!canWrite) {
+    return badge;
+  }
+
+  const handleChange = (e) => {
+    const severity = e.target.value;
+    if (severity !== currentSeverity) {
+      updateFields(incidentId, { severity });
+    }
+    onBlur();
+  };
+
+  // RESPONDER/ADMIN: Editable select
+  return (
+    <div className="severity-selector">
+      {focusedUsers.length > 0 && (
+        <div className="focus-indicators mb-2 flex gap-1 flex-wrap">
+          {focusedUsers.map((user) => (
+            <span
+              key={user.userId}
+              className="text-xs px-2 py-0.5 rounded"
+              style={{ backgroundColor: user.color, color: 'white' }}
+            >
+              {user.name}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center gap-2">
+        {badge}
+        <select
+          value={currentSeverity}
+          onChange={handleChange}
+          onFocus={onFocus}
+          onBlur={onBlur}
+          disabled={!isConnected}
+          className="select"
+          style={{ width: 'auto' }}
+          title="Change severity"
+        >
+          {SEVERITIES.map((severity) => (
+            <option key={severity.value} value={severity.value}>
+              {severity.label}
+            </option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+}
+
+export default SeveritySelector;
@@ -0,0 +1,267 @@
+/**
+ * StatusPagePanel Component
+ * What customers see about this incident - Dark theme
+ *
+ * Nothing is public until a responder ticks "Show on status page" and
+ * gives a public title; internal title, description and notes never
+ * appear there. Customer-facing updates are published separately from
+ * notes and stakeholder updates.
+ *
+ * IMPORTANT: Edit controls are for UX only.
+ * The server only accepts changes from the commander, the
+ * communications lead or an admin.
+ */
+import { useState, useEffect } from 'react';
+import { useAuthStore, useIncidentStore } from '../stores';
+import { incidentApi, statusApi } from '../services/api';
+import {
+  PUBLIC_IMPACTS,
+  PUBLIC_UPDATE_STATUSES,
+  getComponentState,
+  getPublicUpdateStatus,
+  canCommunicatePublicly
+} from '../utils/statusPage';
+
+/**
+ * Form values from the incident's current settings
+ * (component IDs sorted so re-ticking a box does not count as a change)
+ */
+const toSettings = (incident) => ({
+  isPublic: Boolean(incident.isPublic),
+  publicTitle: incident.publicTitle || '',
+  publicImpact: incident.publicImpact || 'partial_outage',
+  affectedComponents: (incident.affectedComponents || []).map((c) => c._id).sort()
+});
+
+export function StatusPagePanel({ incident }) {
+  const user = useAuthStore((state) => state.user);
+  const publicUpdates = useIncidentStore((state) => state.activeIncidentPublicUpdates);
+  const setPublicUpdates = useIncidentStore((state) => state.setPublicUpdates);
+
+  const [components, setComponents] = useState([]);
+  const [settings, setSettings] = useState(() => toSettings(incident));
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const [updateStatus, setUpdateStatus] = useState('investigating');
+  const [message, setMessage] = useState('');
+  const [isPublishing, setIsPublishing] = useState(false);
+
+  const canEdit = canCommunicatePublicly(incident, user);
+
+  useEffect(() => {
+    incidentApi.listPublicUpdates(incident._id)
+      .then(({ publicUpdates }) => setPublicUpdates(incident._id, publicUpdates))
+      .catch((err) => console.error('Failed to fetch public updates:', err));
+
+    statusApi.listComponents()
+      .then(({ components }) => setComponents(components))
+      .catch((err) => console.error('Failed to fetch status components:', err));
+  }, [incident._id]);
+
+  const saved = toSettings(incident);
+  const savedKey = JSON.stringify(saved);
+
+  // Follow changes made by others (incident:fieldsUpdated)
+  useEffect(() => {
+    setSettings(toSettings(incident));
+  }, [savedKey]);
+
+  const changes = Object.fromEntries(
+    Object.entries(settings).filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(saved[key]))
+  );
+  const isDirty = Object.keys(changes).length > 0;
+
+  const toggleComponent = (componentId) => {
+    setSettings((prev) => ({
+      ...prev,
+      affectedComponents: prev.affectedComponents.includes(componentId)
+        ? prev.affectedComponents.filter((id) => id !== componentId)
+        : [...prev.affectedComponents, componentId].sort()
+    }));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const { incident: updated, updates } = await incidentApi.updateStatusPage(incident._id, changes);
+      const store = useIncidentStore.getState();
+      store.updateIncident(incident._id, updated);
+      updates.forEach((update) => store.addUpdate({ ...update, incidentId: incident._id }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handlePublish = async (e) => {
+    e.preventDefault();
+    if (!message.trim()) return;
+
+    setIsPublishing(true);
+    setError(null);
+    try {
+      const { publicUpdate, update } = await incidentApi.addPublicUpdate(incident._id, updateStatus, message.trim());
+      const store = useIncidentStore.getState();
+      store.addPublicUpdate({ ...publicUpdate, incidentId: incident._id });
+      store.addUpdate({ ...update, incidentId: incident._id });
+      setMessage('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsPublishing(false);
+    }
+  };
+
+  const impact = getComponentState(incident.publicImpact);
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-primary">Status Page</h3>
+        {incident.isPublic ? (
+          <span className="badge" style={{ backgroundColor: `${impact.color}20`, color: impact.color }}>
+            Public · {impact.label}
+          </span>
+        ) : (
+          <span className="badge">Internal only</span>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      {canEdit ? (
+        <div className="space-y-3 mb-4">
+          <label className="flex items-center gap-2 text-sm text-secondary">
+            <input
+              type="checkbox"
+              checked={settings.isPublic}
+              onChange={(e) => setSettings({ ...settings, isPublic: e.target.checked })}
+              style={{ accentColor: 'var(--accent-primary)' }}
+            />
+            Show on the public status page
+          </label>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <label className="label">Public title</label>
+              <input
+                type="text"
+                value={settings.publicTitle}
+                onChange={(e) => setSettings({ ...settings, publicTitle: e.target.value })}
+                maxLength={200}
+                className="input"
+                placeholder="Elevated API error rates"
+              />
+            </div>
+            <div>
+              <label className="label">Impact</label>
+              <select
+                value={settings.publicImpact}
+                onChange={(e) => setSettings({ ...settings, publicImpact: e.target.value })}
+                className="select"
+              >
+                {PUBLIC_IMPACTS.map((value) => (
+                  <option key={value} value={value}>{getComponentState(value).label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="label">Affected components</label>
+            {components.length === 0 ? (
+              <p className="text-sm text-muted italic">No components configured yet</p>
+            ) : (
+              <div className="flex flex-wrap gap-3">
+                {components.map((component) => (
+                  <label key={component._id} className="flex items-center gap-2 text-sm text-secondary">
+                    <input
+                      type="checkbox"
+                      checked={settings.affectedComponents.includes(component._id)}
+                      onChange={() => toggleComponent(component._id)}
+                      style={{ accentColor: 'var(--accent-primary)' }}
+                    />
+                    {component.name}
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="flex justify-end gap-2">
+            {isDirty && (
+              <button onClick={() => setSettings(saved)} className="btn btn--ghost btn--sm">Reset</button>
+            )}
+            <button onClick={handleSave} disabled={!isDirty || isSaving} className="btn btn--primary btn--sm">
+              {isSaving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      ) : incident.isPublic && (
+        <div className="text-sm text-secondary mb-4">
+          <p className="font-medium text-primary">{incident.publicTitle}</p>
+          {incident.affectedComponents?.length > 0 && (
+            <p className="text-xs text-muted mt-1">
+              Affects {incident.affectedComponents.map((c) => c.name).join(', ')}
+            </p>
+          )}
+        </div>
+      )}
+
+      {canEdit && incident.isPublic && (
+        <form onSubmit={handlePublish} className="space-y-2 mb-4 pt-4 border-t">
+          <label className="label">Post a customer-facing update</label>
+          <select
+            value={updateStatus}
+            onChange={(e) => setUpdateStatus(e.target.value)}
+            className="select"
+          >
+            {Object.entries(PUBLIC_UPDATE_STATUSES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <textarea
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            rows={3}
+            maxLength={5000}
+            className="textarea"
+            placeholder="What customers should know. Visible to anyone, without signing in."
+          />
+          <div className="flex justify-end">
+            <button type="submit" disabled={isPublishing || !message.trim()} className="btn btn--primary btn--sm">
+              {isPublishing ? 'Publishing...' : 'Publish Update'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="space-y-3 max-h-64 overflow-y-auto">
+        {publicUpdates.map((update) => {
+          const status = getPublicUpdateStatus(update.status);
+          return (
+            <div key={update._id} className="border-l-2 pl-3 py-1" style={{ borderColor: status.color }}>
+              <p className="text-xs font-medium mb-1" style={{ color: status.color }}>{status.label}</p>
+              <p className="text-primary">{update.message}</p>
+              <p className="text-xs text-muted mt-1">
+                {update.publishedBy?.name || 'Unknown'} • {new Date(update.createdAt).toLocaleString()}
+              </p>
+            </div>
+          );
+        })}
+        {publicUpdates.length === 0 && (
+          <p className="text-sm text-muted italic">No customer-facing updates published</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default StatusPagePanel;
@@ -1,23 +1,25 @@
 /**
  * StatusProgression Component
  * Visual representation of incident status state machine - Dark theme
+ *
+ * Steps and "next" hints are driven by the incident type's workflow:
+ * statuses reachable from the current one are outlined.
  */
+import { useWorkflow } from '../hooks';
 
-const STATUSES = [
-  { value: 'investigating', label: 'Investigating', color: '#EF4444' },
-  { value: 'identified', label: 'Identified', color: '#F59E0B' },
-  { value: 'monitoring', label: 'Monitoring', color: '#3B82F6' },
-  { value: 'resolved', label: 'Resolved', color: '#10B981' }
-];
+export function StatusProgression({ incidentType, currentStatus }) {
+  const { statuses, getAllowedTransitions } = useWorkflow(incidentType);
+  const currentIndex = statuses.findIndex(s => s.value === currentStatus);
+  const allowedNext = getAllowedTransitions(currentStatus);
 
-export function StatusProgression({ currentStatus }) {
-  const currentIndex = STATUSES.findIndex(s => s.value === currentStatus);
+  if (statuses.length === 0) return null;
 
   return (
     <div className="status-progression flex items-center gap-1 text-xs">
-      {STATUSES.map((status, index) => {
+      {statuses.map((status, index) => {
         const isCurrent = status.value === currentStatus;
         const isPast = index < currentIndex;
+        const isNext = allowedNext.includes(status.value);
 
         return (
           <div key={status.value} className="flex items-center">
@@ -33,16 +35,18 @@ export function StatusProgression({ currentStatus }) {
                 }
               `}
               style={{
-                backgroundColor: isCurrent || isPast ? status.color : 'var(--bg-tertiary)'
+                backgroundColor: isCurrent || isPast ? status.color : 'var(--bg-tertiary)',
+                border: isNext ? `1px dashed ${status.color}` : '1px solid transparent'
               }}
+              title={isNext ? `Can move to ${status.label}` : undefined}
             >
               {status.label}
             </div>
 
             {/* Arrow connector */}
-            {index < STATUSES.length - 1 && (
+            {index < statuses.length - 1 && (
               <svg
-                className={`w-4 h-4 mx-1 ${index < currentIndex ? 'text-muted' : 'text-muted'}`}
+                className="w-4 h-4 mx-1 text-muted"
                 style={{ opacity: index < currentIndex ? 0.6 : 0.3 }}
                 fill="none"
                 stroke="currentColor"
@@ -1,27 +1,37 @@
 /**
  * StatusSelector Component
  * Role-aware status update control - Dark theme
+ *
+ * Statuses and allowed transitions come from the workflow for the
+ * incident's type (GET /api/workflows); only transitions the server will accept are offered.
  */
 import { useState, useEffect } from 'react';
 import { useAuthStore } from '../stores';
-import { useFocus } from '../hooks';
+import { useFocus, useWorkflow } from '../hooks';
 import { updateStatus } from '../services/socket';
 import clsx from 'clsx';
 
-const STATUSES = [
-  { value: 'investigating', label: 'Investigating', color: '#EF4444' },
-  { value: 'identified', label: 'Identified', color: '#F59E0B' },
-  { value: 'monitoring', label: 'Monitoring', color: '#3B82F6' },
-  { value: 'resolved', label: 'Resolved', color: '#10B981' }
-];
+// Shown until the workflow has loaded
+const UNKNOWN_STATUS_COLOR = '#6B7280';
 
-export function StatusSelector({ incidentId, currentStatus }) {
+export function StatusSelector({ incidentId, incidentType, currentStatus }) {
   const canWrite = useAuthStore((state) => state.canWrite());
   const [isOpen, setIsOpen] = useState(false);
   const [confirmation, setConfirmation] = useState(null);
   const { onFocus, onBlur, focusedUsers } = useFocus(incidentId, 'status');
+  const { getStatus, getAllowedTransitions } = useWorkflow(incidentType);
 
-  const currentStatusObj = STATUSES.find((s) => s.value === currentStatus) || STATUSES[0];
+  const currentStatusObj = getStatus(currentStatus) || {
+    value: currentStatus,
+    label: currentStatus,
+    color: UNKNOWN_STATUS_COLOR
+  };
+
+  // Current status first, then every status reachable from it
+  const options = [
+    currentStatusObj,
+    ...getAllowedTransitions(currentStatus).map(getStatus).filter(Boolean)
+  ];
 
   // Show confirmation when status changes
   useEffect(() => {
@@ -34,8 +44,8 @@ export function StatusSelector({ incidentId, currentStatus }) {
   const handleStatusChange = (newStatus) => {
     if (newStatus !== currentStatus) {
       updateStatus(incidentId, newStatus);
-      const newStatusObj = STATUSES.find(s => s.value === newStatus);
-      setConfirmation(`Status updated to ${newStatusObj?.label}`);
+      const newStatusObj = getStatus(newStatus);
+      setConfirmation(`Status update to ${newStatusObj?.label} requested`);
     }
     setIsOpen(false);
     onBlur();
@@ -104,7 +114,7 @@ export function StatusSelector({ incidentId, currentStatus }) {
 
       {isOpen && (
         <div className="absolute top-full left-0 mt-1 bg-secondary border rounded-lg shadow-lg z-10 min-w-[12rem]">
-          {STATUSES.map((status) => (
+          {options.map((status) => (
             <button
               key={status.value}
               onClick={() => handleStatusChange(status.value)}
@@ -120,6 +130,9 @@ export function StatusSelector({ incidentId, currentStatus }) {
                 style={{ backgroundColor: status.color }}
               />
               {status.label}
+              {status.value !== currentStatus && (
+                <span className="ml-auto text-xs text-muted">→</span>
+              )}
               {status.value === currentStatus && (
                 <svg className="ml-auto w-4 h-4 text-accent" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
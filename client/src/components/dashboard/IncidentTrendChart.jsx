@@ -1,6 +1,8 @@
 /**
  * IncidentTrendChart Component
  * Line/area chart showing incidents over time using Recharts
+ *
+ * Buckets come from GET /api/analytics/trends (UTC days or weeks).
  */
 import {
   AreaChart,
@@ -11,15 +13,18 @@ import {
   Tooltip,
   ResponsiveContainer
 } from 'recharts';
+import { RangeSelect } from './RangeSelect';
 
-// Generate mock data for demo purposes
-const generateMockData = () => {
-  const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
-  return days.map((day) => ({
-    name: day,
-    incidents: Math.floor(Math.random() * 10) + 2,
-    resolved: Math.floor(Math.random() * 8) + 1,
-  }));
+/**
+ * Label a bucket start date (buckets are UTC, so format in UTC)
+ */
+const formatBucket = (date, interval) => {
+  const label = new Date(date).toLocaleDateString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+  return interval === 'week' ? `Wk ${label}` : label;
 };
 
 const CustomTooltip = ({ active, payload, label }) => {
@@ -44,19 +49,20 @@ const CustomTooltip = ({ active, payload, label }) => {
   return null;
 };
 
-export function IncidentTrendChart({ data }) {
-  const chartData = data || generateMockData();
+export function IncidentTrendChart({ trends, range, onRangeChange, error }) {
+  const chartData = (trends?.buckets || []).map((bucket) => ({
+    name: formatBucket(bucket.date, trends.interval),
+    incidents: bucket.opened,
+    resolved: bucket.resolved
+  }));
 
   return (
     <div className="chart-container">
       <div className="chart-container__header">
         <h3 className="chart-container__title">Incident Trends</h3>
-        <select className="select" style={{ width: 'auto', padding: '0.375rem 2rem 0.375rem 0.75rem' }}>
-          <option value="7d">Last 7 days</option>
-          <option value="30d">Last 30 days</option>
-          <option value="90d">Last 90 days</option>
-        </select>
+        <RangeSelect value={range} onChange={onRangeChange} />
       </div>
+      {error && <p className="text-sm text-red-500 mb-2">{error}</p>}
       <div style={{ height: '250px' }}>
         <ResponsiveContainer width="100%" height="100%">
           <AreaChart data={chartData}>
@@ -81,6 +87,7 @@ export function IncidentTrendChart({ data }) {
               stroke="#6b6b6b"
               tick={{ fill: '#a0a0a0', fontSize: 12 }}
               axisLine={{ stroke: '#333' }}
+              allowDecimals={false}
             />
             <Tooltip content={<CustomTooltip />} />
             <Area
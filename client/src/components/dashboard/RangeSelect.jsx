@@ -0,0 +1,22 @@
+/**
+ * RangeSelect Component
+ * Compact date range picker for dashboard widget headers
+ */
+import { ANALYTICS_RANGES } from '../../utils/analytics';
+
+export function RangeSelect({ value, onChange }) {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="select"
+      style={{ width: 'auto', padding: '0.375rem 2rem 0.375rem 0.75rem' }}
+    >
+      {ANALYTICS_RANGES.map((range) => (
+        <option key={range.value} value={range.value}>{range.label}</option>
+      ))}
+    </select>
+  );
+}
+
+export default RangeSelect;
@@ -0,0 +1,75 @@
+/**
+ * ResponseTimesTable Component
+ * Mean time to acknowledge (MTTA) and resolve (MTTR) per severity
+ *
+ * Acknowledged = first timeline entry after the incident was opened.
+ * Means only include incidents that were acknowledged/resolved.
+ */
+import { RangeSelect } from './RangeSelect';
+import { formatDuration } from '../../utils/analytics';
+
+const SEVERITY_COLORS = {
+  critical: '#ef4444',
+  high: '#f59e0b',
+  medium: '#3b82f6',
+  low: '#10b981'
+};
+
+export function ResponseTimesTable({ responseTimes, range, onRangeChange, error }) {
+  const rows = Object.entries(responseTimes?.bySeverity || {});
+  const overall = responseTimes?.overall;
+
+  return (
+    <div className="chart-container">
+      <div className="chart-container__header">
+        <h3 className="chart-container__title">Response Times</h3>
+        <RangeSelect value={range} onChange={onRangeChange} />
+      </div>
+      {error && <p className="text-sm text-red-500 mb-2">{error}</p>}
+
+      {rows.length === 0 ? (
+        <div className="empty-state" style={{ height: '200px', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+          <p className="empty-state__description">No incidents in this period</p>
+        </div>
+      ) : (
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Severity</th>
+              <th>Incidents</th>
+              <th title="Mean time to acknowledge">MTTA</th>
+              <th title="Mean time to resolve">MTTR</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(([severity, stats]) => (
+              <tr key={severity}>
+                <td>
+                  <span style={{ color: SEVERITY_COLORS[severity], textTransform: 'capitalize' }}>
+                    {severity}
+                  </span>
+                </td>
+                <td className="text-secondary">
+                  {stats.incidents}
+                  <span className="text-muted text-xs"> ({stats.resolved} resolved)</span>
+                </td>
+                <td>{formatDuration(stats.mttaMs)}</td>
+                <td>{formatDuration(stats.mttrMs)}</td>
+              </tr>
+            ))}
+            {overall && (
+              <tr>
+                <td className="font-medium">All</td>
+                <td className="text-secondary">{overall.incidents}</td>
+                <td className="font-medium">{formatDuration(overall.mttaMs)}</td>
+                <td className="font-medium">{formatDuration(overall.mttrMs)}</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default ResponseTimesTable;
@@ -10,6 +10,7 @@ import {
   Legend,
   Tooltip
 } from 'recharts';
+import { RangeSelect } from './RangeSelect';
 
 const SEVERITY_COLORS = {
   critical: '#ef4444',
@@ -60,9 +61,11 @@ const CustomLegend = ({ payload }) => {
   );
 };
 
-export function SeverityDistribution({ incidents = [] }) {
-  // Calculate severity distribution from incidents
-  const severityCounts = incidents.reduce((acc, incident) => {
+// The range picker is shown when the parent passes onRangeChange
+export function SeverityDistribution({ incidents = [], counts, range, onRangeChange }) {
+  // Prefer server-computed counts (the dashboard list is paginated);
+  // otherwise count the incidents passed in
+  const severityCounts = counts || incidents.reduce((acc, incident) => {
     acc[incident.severity] = (acc[incident.severity] || 0) + 1;
     return acc;
   }, {});
@@ -79,9 +82,10 @@ export function SeverityDistribution({ incidents = [] }) {
       <div className="chart-container">
         <div className="chart-container__header">
           <h3 className="chart-container__title">Severity Distribution</h3>
+          {onRangeChange && <RangeSelect value={range} onChange={onRangeChange} />}
         </div>
         <div className="empty-state" style={{ height: '200px', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
-          <p className="empty-state__description">No incidents to display</p>
+          <p className="empty-state__description">No incidents in this period</p>
         </div>
       </div>
     );
@@ -91,6 +95,7 @@ export function SeverityDistribution({ incidents = [] }) {
     <div className="chart-container">
       <div className="chart-container__header">
         <h3 className="chart-container__title">Severity Distribution</h3>
+        {onRangeChange && <RangeSelect value={range} onChange={onRangeChange} />}
       </div>
       <div style={{ height: '200px', display: 'flex', alignItems: 'center' }}>
         <ResponsiveContainer width="60%" height="100%">
@@ -0,0 +1,111 @@
+/**
+ * TimeInStatusChart Component
+ * Average time incidents spend in each workflow status using Recharts
+ *
+ * Statuses belong to a workflow, so bars are labelled per incident
+ * type when more than one type appears in the range.
+ */
+import {
+  BarChart,
+  Bar,
+  Cell,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer
+} from 'recharts';
+import { RangeSelect } from './RangeSelect';
+import { useWorkflow } from '../../hooks';
+import { formatDuration } from '../../utils/analytics';
+
+const DEFAULT_BAR_COLOR = '#6b7280';
+const HOUR_MS = 60 * 60 * 1000;
+
+const CustomTooltip = ({ active, payload }) => {
+  if (active && payload && payload.length) {
+    const data = payload[0].payload;
+    return (
+      <div style={{
+        backgroundColor: '#242424',
+        border: '1px solid #333',
+        borderRadius: '0.5rem',
+        padding: '0.75rem',
+        boxShadow: '0 4px 6px rgba(0, 0, 0, 0.3)'
+      }}>
+        <p style={{ color: data.fill, fontWeight: 500, marginBottom: '0.25rem' }}>{data.name}</p>
+        <p style={{ color: '#a0a0a0', fontSize: '0.875rem' }}>
+          Average: {formatDuration(data.avgMs)} ({data.incidents} incidents)
+        </p>
+      </div>
+    );
+  }
+  return null;
+};
+
+export function TimeInStatusChart({ timeInStatus, range, onRangeChange, error }) {
+  const { workflows } = useWorkflow();
+  const entries = timeInStatus?.statuses || [];
+  const showType = new Set(entries.map((e) => e.incidentType)).size > 1;
+
+  const data = entries.map((entry) => {
+    const workflow = workflows.find((w) => w.incidentType === entry.incidentType);
+    const status = workflow?.statuses.find((s) => s.value === entry.status);
+    const label = status?.label || entry.status;
+
+    return {
+      name: showType ? `${workflow?.name || entry.incidentType}: ${label}` : label,
+      hours: entry.avgMs / HOUR_MS,
+      avgMs: entry.avgMs,
+      incidents: entry.incidents,
+      fill: status?.color || DEFAULT_BAR_COLOR
+    };
+  });
+
+  return (
+    <div className="chart-container">
+      <div className="chart-container__header">
+        <h3 className="chart-container__title">Time in Status</h3>
+        <RangeSelect value={range} onChange={onRangeChange} />
+      </div>
+      {error && <p className="text-sm text-red-500 mb-2">{error}</p>}
+
+      {data.length === 0 ? (
+        <div className="empty-state" style={{ height: '200px', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+          <p className="empty-state__description">No status history in this period</p>
+        </div>
+      ) : (
+        <div style={{ height: '250px' }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={data} layout="vertical" margin={{ left: 24 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#333" />
+              <XAxis
+                type="number"
+                stroke="#6b6b6b"
+                tick={{ fill: '#a0a0a0', fontSize: 12 }}
+                axisLine={{ stroke: '#333' }}
+                tickFormatter={(hours) => `${Math.round(hours)}h`}
+              />
+              <YAxis
+                type="category"
+                dataKey="name"
+                width={120}
+                stroke="#6b6b6b"
+                tick={{ fill: '#a0a0a0', fontSize: 12 }}
+                axisLine={{ stroke: '#333' }}
+              />
+              <Tooltip content={<CustomTooltip />} cursor={{ fill: '#ffffff08' }} />
+              <Bar dataKey="hours" radius={[0, 4, 4, 0]}>
+                {data.map((entry, index) => (
+                  <Cell key={`cell-${index}`} fill={entry.fill} />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TimeInStatusChart;
@@ -4,3 +4,6 @@
 export { StatCard } from './StatCard';
 export { IncidentTrendChart } from './IncidentTrendChart';
 export { SeverityDistribution } from './SeverityDistribution';
+export { ResponseTimesTable } from './ResponseTimesTable';
+export { TimeInStatusChart } from './TimeInStatusChart';
+export { RangeSelect } from './RangeSelect';
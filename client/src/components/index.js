@@ -6,25 +6,49 @@
 export { AppLayout, Sidebar, TopBar } from './layout';
 
 // Dashboard components
-export { StatCard, IncidentTrendChart, SeverityDistribution } from './dashboard';
+export {
+  StatCard,
+  IncidentTrendChart,
+  SeverityDistribution,
+  ResponseTimesTable,
+  TimeInStatusChart,
+  RangeSelect
+} from './dashboard';
+
+// Public status page components
+export { StatusPageLayout, PublicUpdateList, UptimeBar } from './status';
 
 // Role-aware components
 export { RoleGate, WriteGate, AdminGate } from './RoleGate';
 export { RoleBadge } from './RoleBadge';
 export { ReadOnlyBanner } from './ReadOnlyBanner';
+export { InviteForm } from './InviteForm';
 
 // Incident components
 export { StatusSelector } from './StatusSelector';
 export { StatusProgression } from './StatusProgression';
+export { SeveritySelector } from './SeveritySelector';
+export { InlineFieldEditor } from './InlineFieldEditor';
 export { NoteInput } from './NoteInput';
 export { ActionItemList } from './ActionItemList';
 export { AssignResponder } from './AssignResponder';
 export { IncidentMetaStrip } from './IncidentMetaStrip';
+export { CommanderHandoff } from './CommanderHandoff';
+export { IncidentRoleRoster } from './IncidentRoleRoster';
 export { CopyIncidentSummary } from './CopyIncidentSummary';
+export { PostmortemLink } from './PostmortemLink';
+export { StatusPagePanel } from './StatusPagePanel';
+export { RunbookPanel } from './RunbookPanel';
+export { RelatedIncidentsPanel } from './RelatedIncidentsPanel';
+export { AffectedServices } from './AffectedServices';
+export { ServicePicker } from './ServicePicker';
+export { ServiceEditor } from './ServiceEditor';
+export { Markdown } from './Markdown';
 
 // Presence & Focus components
 export { PresenceIndicator } from './PresenceIndicator';
 
 // Audit & Status
 export { AuditTimeline } from './AuditTimeline';
+export { AuditIntegrityCheck } from './AuditIntegrityCheck';
 export { ConnectionStatus } from './ConnectionStatus';
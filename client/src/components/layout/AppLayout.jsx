@@ -5,7 +5,7 @@
 import { Sidebar } from './Sidebar';
 import { TopBar } from './TopBar';
 
-export function AppLayout({ children, title, searchQuery, onSearchChange }) {
+export function AppLayout({ children, title, searchQuery, onSearchChange, searchPlaceholder }) {
   return (
     <div className="app-layout">
       {/* Sidebar */}
@@ -19,6 +19,7 @@ export function AppLayout({ children, title, searchQuery, onSearchChange }) {
           title={title}
           searchQuery={searchQuery}
           onSearchChange={onSearchChange}
+          searchPlaceholder={searchPlaceholder}
         />
         <main className="app-layout__content">
           {children}
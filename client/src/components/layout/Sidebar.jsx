@@ -2,8 +2,10 @@
  * Sidebar Component
  * Left navigation with logo, menu items, and user info
  */
-import { NavLink, useNavigate } from 'react-router-dom';
+import { NavLink, Link, useNavigate } from 'react-router-dom';
 import { useAuthStore } from '../../stores';
+import { authApi } from '../../services/api';
+import { AdminGate } from '../RoleGate';
 
 export function Sidebar() {
   const user = useAuthStore((state) => state.user);
@@ -11,6 +13,11 @@ export function Sidebar() {
   const navigate = useNavigate();
 
   const handleLogout = () => {
+    // End the session server-side too; signing out locally never waits on it
+    const { refreshToken } = useAuthStore.getState();
+    if (refreshToken) {
+      authApi.logout(refreshToken).catch(() => {});
+    }
     logout();
     navigate('/login');
   };
@@ -53,6 +60,30 @@ export function Sidebar() {
           Dashboard
         </NavLink>
 
+        <NavLink
+          to="/action-items"
+          className={({ isActive }) =>
+            `sidebar__nav-item ${isActive ? 'sidebar__nav-item--active' : ''}`
+          }
+        >
+          <svg className="sidebar__nav-icon" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+          </svg>
+          Action Items
+        </NavLink>
+
+        <NavLink
+          to="/services"
+          className={({ isActive }) =>
+            `sidebar__nav-item ${isActive ? 'sidebar__nav-item--active' : ''}`
+          }
+        >
+          <svg className="sidebar__nav-icon" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 12h14M5 12a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v4a2 2 0 01-2 2M5 12a2 2 0 00-2 2v4a2 2 0 002 2h14a2 2 0 002-2v-4a2 2 0 00-2-2m-2-4h.01M17 16h.01" />
+          </svg>
+          Services
+        </NavLink>
+
         <NavLink
           to="/incidents"
           className={({ isActive }) =>
@@ -65,6 +96,91 @@ export function Sidebar() {
           Incidents
         </NavLink>
 
+        <AdminGate>
+          <NavLink
+            to="/workflows"
+            className={({ isActive }) =>
+              `sidebar__nav-item ${isActive ? 'sidebar__nav-item--active' : ''}`
+            }
+          >
+            <svg className="sidebar__nav-icon" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h10M4 18h6m10-6l-3 3 3 3" />
+            </svg>
+            Workflows
+          </NavLink>
+
+          <NavLink
+            to="/templates"
+            className={({ isActive }) =>
+              `sidebar__nav-item ${isActive ? 'sidebar__nav-item--active' : ''}`
+            }
+          >
+            <svg className="sidebar__nav-icon" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+            </svg>
+            Templates
+          </NavLink>
+
+          <NavLink
+            to="/webhooks"
+            className={({ isActive }) =>
+              `sidebar__nav-item ${isActive ? 'sidebar__nav-item--active' : ''}`
+            }
+          >
+            <svg className="sidebar__nav-icon" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
+            </svg>
+            Webhooks
+          </NavLink>
+
+          <NavLink
+            to="/integrations"
+            className={({ isActive }) =>
+              `sidebar__nav-item ${isActive ? 'sidebar__nav-item--active' : ''}`
+            }
+          >
+            <svg className="sidebar__nav-icon" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+            </svg>
+            Integrations
+          </NavLink>
+
+          <NavLink
+            to="/status-components"
+            className={({ isActive }) =>
+              `sidebar__nav-item ${isActive ? 'sidebar__nav-item--active' : ''}`
+            }
+          >
+            <svg className="sidebar__nav-icon" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3.055 11H5a2 2 0 012 2v1a2 2 0 002 2 2 2 0 012 2v2.945M8 3.935V5.5A2.5 2.5 0 0010.5 8h.5a2 2 0 012 2 2 2 0 104 0 2 2 0 012-2h1.064M15 20.488V18a2 2 0 012-2h3.064M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+            Status Page
+          </NavLink>
+
+          <NavLink
+            to="/users"
+            className={({ isActive }) =>
+              `sidebar__nav-item ${isActive ? 'sidebar__nav-item--active' : ''}`
+            }
+          >
+            <svg className="sidebar__nav-icon" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z" />
+            </svg>
+            Users
+          </NavLink>
+
+          <NavLink
+            to="/access"
+            className={({ isActive }) =>
+              `sidebar__nav-item ${isActive ? 'sidebar__nav-item--active' : ''}`
+            }
+          >
+            <svg className="sidebar__nav-icon" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18 9v3m0 0v3m0-3h3m-3 0h-3m-2-5a4 4 0 11-8 0 4 4 0 018 0zM3 20a6 6 0 0112 0v1H3v-1z" />
+            </svg>
+            Access
+          </NavLink>
+        </AdminGate>
       </nav>
 
       {/* Footer with user info */}
@@ -73,10 +189,10 @@ export function Sidebar() {
           <div className="sidebar__user-avatar">
             {getInitials(user?.name)}
           </div>
-          <div className="sidebar__user-info">
+          <Link to="/sessions" className="sidebar__user-info" title="Signed-in devices">
             <div className="sidebar__user-name">{user?.name}</div>
             <div className="sidebar__user-role">{user?.role}</div>
-          </div>
+          </Link>
           <button
             onClick={handleLogout}
             className="btn btn--ghost btn--sm"
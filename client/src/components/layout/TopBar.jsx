@@ -4,7 +4,7 @@
  */
 import { ConnectionStatus } from '../ConnectionStatus';
 
-export function TopBar({ title, searchQuery, onSearchChange }) {
+export function TopBar({ title, searchQuery, onSearchChange, searchPlaceholder = 'Search incidents and notes...' }) {
   return (
     <div className="topbar">
       {/* Page Title */}
@@ -20,7 +20,7 @@ export function TopBar({ title, searchQuery, onSearchChange }) {
           </svg>
           <input
             type="text"
-            placeholder="Search incidents..."
+            placeholder={searchPlaceholder}
             value={searchQuery || ''}
             onChange={(e) => onSearchChange(e.target.value)}
             className="topbar__search-input"
@@ -0,0 +1,29 @@
+/**
+ * PublicUpdateList Component
+ * Customer-facing updates of one incident, newest first
+ */
+import { getPublicUpdateStatus } from '../../utils/statusPage';
+
+export function PublicUpdateList({ updates }) {
+  if (updates.length === 0) {
+    return <p className="text-sm text-muted italic">We are looking into this and will post an update shortly.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {updates.map((update) => {
+        const status = getPublicUpdateStatus(update.status);
+        return (
+          <div key={update.id}>
+            <p className="text-primary">
+              <strong style={{ color: status.color }}>{status.label}</strong> - {update.message}
+            </p>
+            <p className="text-xs text-muted mt-1">{new Date(update.createdAt).toLocaleString()}</p>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default PublicUpdateList;
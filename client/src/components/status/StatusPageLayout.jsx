@@ -0,0 +1,28 @@
+/**
+ * StatusPageLayout Component
+ * Frame of the public status pages (no sidebar, no sign-in)
+ */
+import { Link } from 'react-router-dom';
+import { statusApi } from '../../services/api';
+
+export function StatusPageLayout({ title, children }) {
+  return (
+    <div className="min-h-screen bg-primary">
+      <div className="mx-auto px-4 py-8" style={{ maxWidth: '56rem' }}>
+        <div className="flex justify-between items-center mb-6">
+          <Link to="/status" className="text-2xl font-bold text-accent">
+            {title || 'System Status'}
+          </Link>
+          <div className="flex gap-2">
+            <a href={statusApi.feedUrl('rss')} className="btn btn--ghost btn--sm">RSS</a>
+            <a href={statusApi.feedUrl('json')} className="btn btn--ghost btn--sm">JSON Feed</a>
+          </div>
+        </div>
+
+        {children}
+      </div>
+    </div>
+  );
+}
+
+export default StatusPageLayout;
@@ -0,0 +1,45 @@
+/**
+ * UptimeBar Component
+ * One bar per day of a component's uptime history, oldest on the left
+ *
+ * A day takes the color of the worst impact seen that day; days before
+ * the component was added have no data.
+ */
+import { COMPONENT_STATES, NO_DATA_COLOR, getComponentState } from '../../utils/statusPage';
+
+/**
+ * Tooltip text for one day
+ */
+const describeDay = (day) => {
+  if (day.percent === null) return `${day.date}: no data`;
+  const impact = day.impact ? ` · ${getComponentState(day.impact).label}` : '';
+  return `${day.date}: ${day.percent}% uptime${impact}`;
+};
+
+export function UptimeBar({ uptime }) {
+  return (
+    <div>
+      <div className="flex" style={{ gap: '2px', height: '2rem' }}>
+        {uptime.days.map((day) => (
+          <div
+            key={day.date}
+            title={describeDay(day)}
+            className="flex-1 rounded"
+            style={{
+              backgroundColor: day.percent === null
+                ? NO_DATA_COLOR
+                : (COMPONENT_STATES[day.impact] || COMPONENT_STATES.operational).color
+            }}
+          />
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-muted mt-1">
+        <span>{uptime.days.length} days ago</span>
+        <span>{uptime.percent === null ? 'No data' : `${uptime.percent}% uptime`}</span>
+        <span>Today</span>
+      </div>
+    </div>
+  );
+}
+
+export default UptimeBar;
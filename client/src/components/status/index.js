@@ -0,0 +1,6 @@
+/**
+ * Public Status Page Component Exports
+ */
+export { StatusPageLayout } from './StatusPageLayout';
+export { PublicUpdateList } from './PublicUpdateList';
+export { UptimeBar } from './UptimeBar';
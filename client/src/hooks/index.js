@@ -4,3 +4,6 @@
 export { useSocket } from './useSocket';
 export { useIncidentRoom } from './useIncidentRoom';
 export { useFocus } from './useFocus';
+export { useWorkflow } from './useWorkflow';
+export { useIncidentTimeline } from './useIncidentTimeline';
+export { useAnalytics } from './useAnalytics';
@@ -0,0 +1,48 @@
+/**
+ * useAnalytics Hook
+ * Fetches one dashboard metric for a range option
+ *
+ * USAGE:
+ * const { data, isLoading, error } = useAnalytics('trends', '30d');
+ *
+ * Metrics: trends, severity, responseTimes, serviceResponseTimes, timeInStatus
+ * (see analyticsApi);
+ * each endpoint returns its payload under the metric's name.
+ * Refetches when the range changes; stale responses are ignored.
+ */
+import { useState, useEffect } from 'react';
+import { analyticsApi } from '../services/api';
+import { rangeToQuery } from '../utils/analytics';
+
+export function useAnalytics(metric, range) {
+  const [data, setData] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchMetric = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const response = await analyticsApi[metric](rangeToQuery(range));
+        if (!cancelled) setData(response[metric]);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    fetchMetric();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [metric, range]);
+
+  return { data, isLoading, error };
+}
+
+export default useAnalytics;
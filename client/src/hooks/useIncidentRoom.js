@@ -8,7 +8,7 @@
  * Automatically:
  * - Joins room on mount
  * - Leaves room on unmount
- * - Fetches incident data
+ * - Fetches incident data (again when a duplicate is merged in)
  * - Cleans up presence/focus state
  */
 import { useEffect } from 'react';
@@ -23,6 +23,7 @@ export function useIncidentRoom(incidentId) {
   const setError = useIncidentStore((state) => state.setActiveIncidentError);
   const isLoading = useIncidentStore((state) => state.activeIncidentLoading);
   const error = useIncidentStore((state) => state.activeIncidentError);
+  const isTimelineStale = useIncidentStore((state) => state.activeIncidentTimelineStale);
 
   const clearIncidentPresence = usePresenceStore((state) => state.clearIncidentPresence);
   const clearIncidentFocus = useFocusStore((state) => state.clearIncidentFocus);
@@ -37,12 +38,14 @@ export function useIncidentRoom(incidentId) {
 
       try {
         // Fetch incident data via REST
-        const { incident, updates, presence } = await incidentApi.get(incidentId);
+        const {
+          incident, updates, actionItems, updatesCursor, hasMoreUpdates
+        } = await incidentApi.get(incidentId);
 
         if (!mounted) return;
 
-        // Populate store
-        setActiveIncident(incident, updates);
+        // Populate store (older timeline pages load on scroll)
+        setActiveIncident(incident, updates, { actionItems, updatesCursor, hasMoreUpdates });
 
         // Join socket room for real-time updates
         joinIncident(incidentId);
@@ -66,6 +69,19 @@ export function useIncidentRoom(incidentId) {
     };
   }, [incidentId]);
 
+  // A duplicate was merged in: reload so its history joins the timeline
+  useEffect(() => {
+    if (!isTimelineStale) return;
+
+    incidentApi.get(incidentId)
+      .then(({ incident, updates, actionItems, updatesCursor, hasMoreUpdates }) => {
+        if (useIncidentStore.getState().activeIncident?._id === incidentId) {
+          setActiveIncident(incident, updates, { actionItems, updatesCursor, hasMoreUpdates });
+        }
+      })
+      .catch((err) => console.error('Failed to reload merged timeline:', err));
+  }, [isTimelineStale]);
+
   return { isLoading, error };
 }
 
@@ -0,0 +1,56 @@
+/**
+ * useIncidentTimeline Hook
+ * Exposes the loaded part of an incident's timeline and loads older pages
+ *
+ * USAGE:
+ * const { updates, hasOlder, loadOlder, isLoadingOlder } = useIncidentTimeline(incidentId);
+ *
+ * The latest page arrives with the incident (useIncidentRoom) and new
+ * entries keep arriving via socket; this hook only walks backwards.
+ */
+import { useState, useCallback } from 'react';
+import { useIncidentStore } from '../stores';
+import { incidentApi } from '../services/api';
+
+const OLDER_PAGE_SIZE = 50;
+
+export function useIncidentTimeline(incidentId) {
+  const updates = useIncidentStore((state) => state.activeIncidentUpdates);
+  const cursor = useIncidentStore((state) => state.activeIncidentUpdatesCursor);
+  const prependUpdates = useIncidentStore((state) => state.prependUpdates);
+
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadOlder = useCallback(async () => {
+    if (!cursor || isLoadingOlder) return;
+
+    setIsLoadingOlder(true);
+    setError(null);
+    try {
+      const { updates, nextCursor, hasMore } = await incidentApi.listUpdates(incidentId, {
+        before: cursor,
+        limit: OLDER_PAGE_SIZE
+      });
+
+      // Ignore the page if the user has navigated to another incident
+      if (useIncidentStore.getState().activeIncident?._id === incidentId) {
+        prependUpdates(updates, nextCursor, hasMore);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoadingOlder(false);
+    }
+  }, [incidentId, cursor, isLoadingOlder]);
+
+  return {
+    updates,
+    hasOlder: Boolean(cursor),
+    loadOlder,
+    isLoadingOlder,
+    error
+  };
+}
+
+export default useIncidentTimeline;
@@ -13,15 +13,14 @@ import { initSocket, disconnectSocket, sendHeartbeat } from '../services/socket'
 const HEARTBEAT_INTERVAL = 60000; // 1 minute
 
 export function useSocket() {
-  const token = useAuthStore((state) => state.token);
   const isAuthenticated = useAuthStore((state) => state.isAuthenticated);
   const isConnected = useSocketStore((state) => state.isConnected);
   const heartbeatRef = useRef(null);
 
-  // Connect when authenticated
+  // Connect when authenticated (token refreshes reuse the connection)
   useEffect(() => {
-    if (isAuthenticated && token) {
-      initSocket(token);
+    if (isAuthenticated) {
+      initSocket();
     } else {
       disconnectSocket();
     }
@@ -29,7 +28,7 @@ export function useSocket() {
     return () => {
       disconnectSocket();
     };
-  }, [isAuthenticated, token]);
+  }, [isAuthenticated]);
 
   // Heartbeat to keep presence alive
   useEffect(() => {
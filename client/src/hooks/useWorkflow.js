@@ -0,0 +1,73 @@
+/**
+ * useWorkflow Hook
+ * Loads incident workflows from the server (once per session)
+ * and exposes helpers bound to one incident type
+ *
+ * USAGE:
+ * const { statuses, getStatus, getAllowedTransitions } = useWorkflow(incident.incidentType);
+ *
+ * The first component to mount triggers the fetch; the rest read
+ * the cached definitions from workflowStore.
+ */
+import { useEffect, useCallback } from 'react';
+import { useWorkflowStore } from '../stores';
+import { workflowApi } from '../services/api';
+
+/**
+ * Fetch all workflows into the store
+ * Exported so the admin editor can refresh after saving
+ */
+export const loadWorkflows = async () => {
+  const store = useWorkflowStore.getState();
+  store.setLoading(true);
+  try {
+    const { workflows } = await workflowApi.list();
+    useWorkflowStore.getState().setWorkflows(workflows);
+  } catch (err) {
+    useWorkflowStore.getState().setError(err.message);
+  }
+};
+
+export function useWorkflow(incidentType) {
+  // Subscribing to the map re-renders when definitions change
+  const workflows = useWorkflowStore((state) => state.workflows);
+  const isLoading = useWorkflowStore((state) => state.isLoading);
+  const error = useWorkflowStore((state) => state.error);
+
+  useEffect(() => {
+    const store = useWorkflowStore.getState();
+    if (store.isLoaded || store.isLoading) return;
+    loadWorkflows();
+  }, []);
+
+  const store = useWorkflowStore.getState();
+  const workflow = store.getWorkflow(incidentType);
+
+  const getStatus = useCallback(
+    (value) => useWorkflowStore.getState().getStatus(incidentType, value),
+    [incidentType, workflows]
+  );
+
+  const getAllowedTransitions = useCallback(
+    (value) => useWorkflowStore.getState().getAllowedTransitions(incidentType, value),
+    [incidentType, workflows]
+  );
+
+  const isTerminal = useCallback(
+    (value) => useWorkflowStore.getState().isTerminal(incidentType, value),
+    [incidentType, workflows]
+  );
+
+  return {
+    workflow,
+    workflows: Object.values(workflows),
+    statuses: workflow?.statuses || [],
+    isLoading,
+    error,
+    getStatus,
+    getAllowedTransitions,
+    isTerminal
+  };
+}
+
+export default useWorkflow;
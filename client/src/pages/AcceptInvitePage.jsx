@@ -0,0 +1,121 @@
+/**
+ * Accept Invite Page
+ * Create an account from an admin's invitation link - Dark theme
+ *
+ * Public route: the token in the URL is the only credential. The email
+ * and role come from the invite and cannot be changed here.
+ */
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useAuthStore } from '../stores';
+import { authApi } from '../services/api';
+import { getRoleLabel } from '../utils/permissions';
+
+export function AcceptInvitePage() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const setAuth = useAuthStore((state) => state.setAuth);
+
+  const [invite, setInvite] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+
+  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    authApi.getInvite(token)
+      .then(({ invite }) => setInvite(invite))
+      .catch((err) => setLoadError(err.message))
+      .finally(() => setIsLoading(false));
+  }, [token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const { user, token: authToken, refreshToken } = await authApi.acceptInvite(token, { name, password });
+      setAuth(user, authToken, refreshToken);
+      navigate('/incidents');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login-page min-h-screen flex items-center justify-center bg-primary">
+      <div className="w-full max-w-md px-4">
+        <div className="text-center mb-8">
+          <h1 className="text-2xl font-bold text-accent">IncidentHub</h1>
+          <p className="text-muted mt-2">Accept your invitation</p>
+        </div>
+
+        <div className="panel">
+          {isLoading ? (
+            <div className="text-center py-8 text-secondary">
+              <div className="animate-spin inline-block w-8 h-8 border-2 border-accent border-t-transparent rounded-full mb-4"></div>
+              <p>Checking invite...</p>
+            </div>
+          ) : loadError ? (
+            <div className="empty-state">
+              <p className="empty-state__title">{loadError}</p>
+              <p className="empty-state__description">Ask an admin to send you a new invite.</p>
+              <Link to="/login" className="btn btn--secondary mt-4">Go to sign in</Link>
+            </div>
+          ) : (
+            <>
+              <h2 className="text-xl font-semibold text-primary mb-2">Create Account</h2>
+              <p className="text-sm text-secondary mb-6">
+                {invite.invitedBy ? `${invite.invitedBy} invited` : 'You were invited as'}{' '}
+                <span className="text-primary">{invite.email}</span>
+                {invite.invitedBy ? ' to join as ' : ' '}
+                <span className="text-primary">{getRoleLabel(invite.role)}</span>.
+              </p>
+
+              {error && (
+                <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+                  {error}
+                </div>
+              )}
+
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                  <label className="label">Name</label>
+                  <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    required
+                    className="input"
+                    placeholder="Your name"
+                  />
+                </div>
+                <div>
+                  <label className="label">Password</label>
+                  <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    required
+                    className="input"
+                    placeholder="••••••••"
+                  />
+                </div>
+                <button type="submit" disabled={isSubmitting} className="btn btn--primary w-full btn--lg">
+                  {isSubmitting ? 'Creating Account...' : 'Create Account'}
+                </button>
+              </form>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AcceptInvitePage;
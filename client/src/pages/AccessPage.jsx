@@ -0,0 +1,204 @@
+/**
+ * Access Page (Admin)
+ * Approve sign-ups and invite people with a chosen role
+ *
+ * Self-registered accounts wait here as pending viewers until an admin
+ * approves them (picking their role) or rejects them. Invite links are
+ * single-use and expire; the link is shown once, right after sending.
+ */
+import { useState, useEffect } from 'react';
+import { Navigate } from 'react-router-dom';
+import { useAuthStore } from '../stores';
+import { inviteApi, userApi } from '../services/api';
+import { AppLayout, InviteForm } from '../components';
+import { ROLES, getRoleLabel } from '../utils/permissions';
+
+const INVITE_STATUS_COLORS = {
+  pending: '#3B82F6',
+  accepted: '#22C55E',
+  expired: '#6B7280',
+  revoked: '#6B7280'
+};
+
+export function AccessPage() {
+  const isAdmin = useAuthStore((state) => state.isAdmin());
+
+  const [pendingUsers, setPendingUsers] = useState([]);
+  const [approveRoles, setApproveRoles] = useState({}); // userId -> role
+  const [invites, setInvites] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+
+    Promise.all([userApi.listPending(), inviteApi.list()])
+      .then(([{ users }, { invites }]) => {
+        setPendingUsers(users);
+        setInvites(invites);
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setIsLoading(false));
+  }, [isAdmin]);
+
+  if (!isAdmin) {
+    return <Navigate to="/incidents" replace />;
+  }
+
+  const handleApprove = async (user) => {
+    setError(null);
+    try {
+      await userApi.approve(user._id, approveRoles[user._id] || 'viewer');
+      setPendingUsers((list) => list.filter((u) => u._id !== user._id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleReject = async (user) => {
+    if (!window.confirm(`Reject the sign-up from ${user.email}? The account is deleted.`)) return;
+
+    setError(null);
+    try {
+      await userApi.reject(user._id);
+      setPendingUsers((list) => list.filter((u) => u._id !== user._id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Older open invites for the same email were revoked by the server
+  const handleInvited = (invite) => {
+    setInvites((list) => [
+      invite,
+      ...list.map((i) => (i.email === invite.email && i.status === 'pending' ? { ...i, status: 'revoked' } : i))
+    ]);
+  };
+
+  const handleRevoke = async (invite) => {
+    if (!window.confirm(`Revoke the invite for ${invite.email}?`)) return;
+
+    setError(null);
+    try {
+      const { invite: revoked } = await inviteApi.revoke(invite._id);
+      setInvites((list) => list.map((i) => (i._id === revoked._id ? revoked : i)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <AppLayout title="Access">
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      <h2 className="text-xl font-semibold text-primary mb-4">Pending Sign-ups</h2>
+
+      {isLoading ? (
+        <div className="text-center py-8 text-secondary">
+          <div className="animate-spin inline-block w-8 h-8 border-2 border-accent border-t-transparent rounded-full mb-4"></div>
+          <p>Loading...</p>
+        </div>
+      ) : pendingUsers.length === 0 ? (
+        <div className="empty-state mb-6">
+          <p className="empty-state__title">No sign-ups waiting</p>
+          <p className="empty-state__description">New self-registered accounts appear here for approval.</p>
+        </div>
+      ) : (
+        <div className="table-container mb-6">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Email</th>
+                <th>Signed up</th>
+                <th>Role</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {pendingUsers.map((user) => (
+                <tr key={user._id}>
+                  <td className="font-medium">{user.name}</td>
+                  <td className="text-secondary">{user.email}</td>
+                  <td className="text-secondary text-sm">{new Date(user.createdAt).toLocaleString()}</td>
+                  <td>
+                    <select
+                      value={approveRoles[user._id] || 'viewer'}
+                      onChange={(e) => setApproveRoles({ ...approveRoles, [user._id]: e.target.value })}
+                      className="select"
+                    >
+                      {ROLES.map((role) => (
+                        <option key={role} value={role}>{getRoleLabel(role)}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <div className="flex gap-2">
+                      <button onClick={() => handleApprove(user)} className="btn btn--primary btn--sm">Approve</button>
+                      <button onClick={() => handleReject(user)} className="btn btn--ghost btn--sm">Reject</button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <h2 className="text-xl font-semibold text-primary mb-4">Invitations</h2>
+
+      <InviteForm onInvited={handleInvited} />
+
+      {!isLoading && (invites.length === 0 ? (
+        <div className="empty-state">
+          <p className="empty-state__title">No invitations sent</p>
+          <p className="empty-state__description">Invite someone to give them a role without approval.</p>
+        </div>
+      ) : (
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Email</th>
+                <th>Role</th>
+                <th>Status</th>
+                <th>Invited by</th>
+                <th>Expires</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {invites.map((invite) => (
+                <tr key={invite._id}>
+                  <td className="font-medium">{invite.email}</td>
+                  <td className="text-secondary">{getRoleLabel(invite.role)}</td>
+                  <td>
+                    <span
+                      className="badge"
+                      style={{ backgroundColor: `${INVITE_STATUS_COLORS[invite.status]}20`, color: INVITE_STATUS_COLORS[invite.status] }}
+                    >
+                      {invite.status}
+                    </span>
+                  </td>
+                  <td className="text-secondary text-sm">{invite.invitedBy?.name || '—'}</td>
+                  <td className="text-secondary text-sm">{new Date(invite.expiresAt).toLocaleString()}</td>
+                  <td>
+                    {invite.status === 'pending' && (
+                      <button onClick={() => handleRevoke(invite)} className="btn btn--ghost btn--sm">Revoke</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </AppLayout>
+  );
+}
+
+export default AccessPage;
@@ -0,0 +1,228 @@
+/**
+ * Action Items Page
+ * Follow-ups across every incident, including resolved ones
+ *
+ * VIEWS:
+ * - My open: items owned by the current user that are not closed
+ * - Overdue: open items whose due date has passed (soonest first)
+ * - All: every item, narrowed with the status/priority filters
+ *
+ * Writers change status inline; each change is audited on the
+ * incident timeline by the server.
+ */
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuthStore } from '../stores';
+import { actionItemApi } from '../services/api';
+import { AppLayout } from '../components';
+import {
+  ACTION_ITEM_STATUSES,
+  ACTION_ITEM_PRIORITIES,
+  getActionItemStatus,
+  getActionItemPriority,
+  isOverdue
+} from '../utils/actionItems';
+
+const OPEN_STATUSES = 'open,in_progress';
+
+// Server query for each view (status/priority filters are added on top)
+const VIEWS = [
+  { value: 'mine', label: 'My open', query: { owner: 'me', status: OPEN_STATUSES } },
+  { value: 'overdue', label: 'Overdue', query: { overdue: 'true', sort: 'dueDate' } },
+  { value: 'all', label: 'All', query: {} }
+];
+
+const PAGE_SIZE = 50;
+
+export function ActionItemsPage() {
+  const canWrite = useAuthStore((state) => state.canWrite());
+
+  const [view, setView] = useState('mine');
+  const [status, setStatus] = useState('');
+  const [priority, setPriority] = useState('');
+
+  const [actionItems, setActionItems] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  // View queries set status themselves; the filter only narrows "All"
+  const query = {
+    ...VIEWS.find((v) => v.value === view).query,
+    ...(view === 'all' && status ? { status } : {}),
+    ...(priority ? { priority } : {}),
+    limit: PAGE_SIZE
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+
+    actionItemApi.list(query)
+      .then(({ actionItems, nextCursor }) => {
+        if (cancelled) return;
+        setActionItems(actionItems);
+        setNextCursor(nextCursor);
+      })
+      .catch((err) => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setIsLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [view, status, priority]);
+
+  const loadMore = async () => {
+    if (!nextCursor || isLoadingMore) return;
+
+    setIsLoadingMore(true);
+    try {
+      const page = await actionItemApi.list({ ...query, cursor: nextCursor });
+      setActionItems((items) => [...items, ...page.actionItems]);
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  const handleStatusChange = async (item, newStatus) => {
+    setError(null);
+    try {
+      const { actionItem } = await actionItemApi.update(item._id, { status: newStatus });
+      // The PATCH response does not include the incident title; keep ours
+      setActionItems((items) =>
+        items.map((i) => (i._id === item._id ? { ...actionItem, incidentId: item.incidentId } : i))
+      );
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <AppLayout title="Action Items">
+      {/* Views and filters */}
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <div className="flex gap-2">
+          {VIEWS.map((v) => (
+            <button
+              key={v.value}
+              onClick={() => setView(v.value)}
+              className={`btn ${view === v.value ? 'btn--primary' : 'btn--secondary'}`}
+            >
+              {v.label}
+            </button>
+          ))}
+        </div>
+        <div className="flex gap-2">
+          {view === 'all' && (
+            <select value={status} onChange={(e) => setStatus(e.target.value)} className="select" style={{ width: 'auto' }}>
+              <option value="">All statuses</option>
+              {ACTION_ITEM_STATUSES.map((s) => (
+                <option key={s.value} value={s.value}>{s.label}</option>
+              ))}
+            </select>
+          )}
+          <select value={priority} onChange={(e) => setPriority(e.target.value)} className="select" style={{ width: 'auto' }}>
+            <option value="">All priorities</option>
+            {ACTION_ITEM_PRIORITIES.map((p) => (
+              <option key={p.value} value={p.value}>{p.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="text-center py-8 text-secondary">
+          <div className="animate-spin inline-block w-8 h-8 border-2 border-accent border-t-transparent rounded-full mb-4"></div>
+          <p>Loading action items...</p>
+        </div>
+      ) : actionItems.length === 0 ? (
+        <div className="empty-state">
+          <p className="empty-state__title">No action items</p>
+          <p className="empty-state__description">
+            {view === 'mine' ? 'You have no open follow-ups.' : 'Nothing matches these filters.'}
+          </p>
+        </div>
+      ) : (
+        <div className="panel">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Action item</th>
+                <th>Incident</th>
+                <th>Owner</th>
+                <th>Due</th>
+                <th>Priority</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {actionItems.map((item) => {
+                const itemPriority = getActionItemPriority(item.priority);
+                const itemStatus = getActionItemStatus(item.status);
+                const overdue = isOverdue(item);
+                return (
+                  <tr key={item._id}>
+                    <td className="text-primary">{item.text}</td>
+                    <td>
+                      {item.incidentId ? (
+                        <Link to={`/incidents/${item.incidentId._id}`} className="text-accent">
+                          {item.incidentId.title}
+                        </Link>
+                      ) : (
+                        <span className="text-muted">Deleted incident</span>
+                      )}
+                    </td>
+                    <td className="text-secondary">{item.owner?.name || <span className="text-muted">None</span>}</td>
+                    <td className={overdue ? 'text-red-500 font-medium' : 'text-secondary'}>
+                      {item.dueDate ? new Date(item.dueDate).toLocaleDateString() : <span className="text-muted">-</span>}
+                    </td>
+                    <td style={{ color: itemPriority.color }}>{itemPriority.label}</td>
+                    <td>
+                      {canWrite ? (
+                        <select
+                          value={item.status}
+                          onChange={(e) => handleStatusChange(item, e.target.value)}
+                          className="select"
+                          style={{ width: 'auto' }}
+                        >
+                          {ACTION_ITEM_STATUSES.map((s) => (
+                            <option key={s.value} value={s.value}>{s.label}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <span className="badge" style={{ backgroundColor: `${itemStatus.color}20`, color: itemStatus.color }}>
+                          {itemStatus.label}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {nextCursor && (
+            <div className="text-center mt-4">
+              <button onClick={loadMore} disabled={isLoadingMore} className="btn btn--secondary">
+                {isLoadingMore ? 'Loading...' : 'Load more'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </AppLayout>
+  );
+}
+
+export default ActionItemsPage;
@@ -10,30 +10,33 @@
  * - Role-based UI degradation
  * - Immutable audit timeline
  */
-import { useParams, useNavigate } from 'react-router-dom';
+import { useEffect } from 'react';
+import { useParams, useNavigate, useLocation, Link } from 'react-router-dom';
 import { useIncidentStore, useAuthStore } from '../stores';
-import { useIncidentRoom } from '../hooks';
+import { useIncidentRoom, useIncidentTimeline } from '../hooks';
 import {
   AppLayout,
   PresenceIndicator,
   StatusSelector,
   StatusProgression,
+  SeveritySelector,
+  InlineFieldEditor,
   NoteInput,
   ActionItemList,
   RoleBadge,
   AssignResponder,
   IncidentMetaStrip,
   ReadOnlyBanner,
-  CopyIncidentSummary
+  CopyIncidentSummary,
+  PostmortemLink,
+  StatusPagePanel,
+  RunbookPanel,
+  RelatedIncidentsPanel,
+  AffectedServices,
+  AuditIntegrityCheck
 } from '../components';
 import { AuditTimeline } from '../components/AuditTimeline';
-
-const SEVERITY_COLORS = {
-  critical: '#EF4444',
-  high: '#F59E0B',
-  medium: '#3B82F6',
-  low: '#10B981'
-};
+import { isCommsLead, INCIDENT_ROLE_COLORS } from '../utils/incidentRoles';
 
 export function IncidentDetailPage() {
   const { id } = useParams();
@@ -41,10 +44,20 @@ export function IncidentDetailPage() {
 
   // Join incident room and fetch data
   const { isLoading, error } = useIncidentRoom(id);
+  const timeline = useIncidentTimeline(id);
 
   // Get incident data from store
   const incident = useIncidentStore((state) => state.activeIncident);
   const updates = useIncidentStore((state) => state.activeIncidentUpdates);
+  const mergedInto = useIncidentStore((state) => state.activeIncidentMergedInto);
+
+  // Merged while open: move to the primary, where the timeline continues
+  const location = useLocation();
+  useEffect(() => {
+    if (mergedInto) {
+      navigate(`/incidents/${mergedInto._id}`, { replace: true, state: { mergedFrom: incident?.title } });
+    }
+  }, [mergedInto]);
 
   const user = useAuthStore((state) => state.user);
 
@@ -89,6 +102,13 @@ export function IncidentDetailPage() {
     );
   }
 
+  // Titles of duplicates merged in, to tag their timeline entries
+  const mergedSources = Object.fromEntries(
+    (incident.relationships || [])
+      .filter((r) => r.type === 'duplicated_by' && r.incident)
+      .map((r) => [r.incident._id, r.incident.title])
+  );
+
   return (
     <AppLayout>
       {/* Header Section */}
@@ -103,10 +123,17 @@ export function IncidentDetailPage() {
             </svg>
             Back
           </button>
-          <h1 className="text-xl font-bold text-primary">{incident.title}</h1>
+          <InlineFieldEditor
+            incidentId={id}
+            field="title"
+            value={incident.title}
+            maxLength={200}
+            renderValue={(title) => <h1 className="text-xl font-bold text-primary">{title}</h1>}
+          />
           <CopyIncidentSummary incident={incident} updates={updates} />
         </div>
         <div className="flex items-center gap-3">
+          <PostmortemLink incident={incident} />
           <RoleBadge />
         </div>
       </div>
@@ -114,6 +141,27 @@ export function IncidentDetailPage() {
       {/* Read-only banner for viewers */}
       <ReadOnlyBanner />
 
+      {/* Merge notices */}
+      {incident.mergedInto && (
+        <div className="panel mb-6" style={{ borderLeft: '3px solid #6B7280' }}>
+          <p className="text-sm text-secondary">
+            Closed as a duplicate of{' '}
+            <Link to={`/incidents/${incident.mergedInto._id}`} className="text-accent hover:underline">
+              {incident.mergedInto.title}
+            </Link>
+            ; follow the response there.
+          </p>
+        </div>
+      )}
+      {location.state?.mergedFrom && (
+        <div className="panel mb-6" style={{ borderLeft: '3px solid var(--accent-primary)' }}>
+          <p className="text-sm text-secondary">
+            <strong className="text-primary">{location.state.mergedFrom}</strong> was merged into this
+            incident; its timeline entries now appear below.
+          </p>
+        </div>
+      )}
+
       {/* Presence Bar */}
       <div className="panel mb-6" style={{ backgroundColor: 'var(--bg-tertiary)', border: '1px solid var(--accent-muted)' }}>
         <div className="flex items-center gap-3">
@@ -122,12 +170,15 @@ export function IncidentDetailPage() {
             <span className="text-sm font-medium text-accent">Live Session</span>
           </div>
           <div className="h-4 w-px bg-border-primary"></div>
-          <PresenceIndicator incidentId={id} />
+          <PresenceIndicator incidentId={id} incident={incident} />
         </div>
       </div>
 
       {/* Incident Meta Strip */}
-      <IncidentMetaStrip incident={incident} updates={updates} />
+      <IncidentMetaStrip incident={incident} updates={updates} hasMoreUpdates={timeline.hasOlder} />
+
+      {/* Runbook from the incident's template */}
+      <RunbookPanel runbook={incident.runbook} />
 
       {/* Status Row */}
       <div className="panel mb-6">
@@ -135,24 +186,20 @@ export function IncidentDetailPage() {
           {/* Status */}
           <div>
             <label className="label">Status</label>
-            <StatusSelector incidentId={id} currentStatus={incident.status} />
+            <StatusSelector
+              incidentId={id}
+              incidentType={incident.incidentType}
+              currentStatus={incident.status}
+            />
             <div className="mt-3">
-              <StatusProgression currentStatus={incident.status} />
+              <StatusProgression incidentType={incident.incidentType} currentStatus={incident.status} />
             </div>
           </div>
 
           {/* Severity */}
           <div>
             <label className="label">Severity</label>
-            <span
-              className="badge"
-              style={{
-                backgroundColor: `${SEVERITY_COLORS[incident.severity]}20`,
-                color: SEVERITY_COLORS[incident.severity]
-              }}
-            >
-              {incident.severity.charAt(0).toUpperCase() + incident.severity.slice(1)}
-            </span>
+            <SeveritySelector incidentId={id} currentSeverity={incident.severity} />
           </div>
 
           {/* Commander */}
@@ -180,12 +227,21 @@ export function IncidentDetailPage() {
         </div>
 
         {/* Description */}
-        {incident.description && (
-          <div className="mt-6 pt-6 border-t">
-            <label className="label">Description</label>
-            <p className="text-secondary">{incident.description}</p>
-          </div>
-        )}
+        <div className="mt-6 pt-6 border-t">
+          <label className="label">Description</label>
+          <InlineFieldEditor
+            incidentId={id}
+            field="description"
+            value={incident.description}
+            multiline
+            placeholder="No description provided"
+          />
+        </div>
+
+        {/* Service catalog entries */}
+        <div className="mt-6 pt-6 border-t">
+          <AffectedServices incident={incident} />
+        </div>
       </div>
 
       {/* Notes & Action Items Row */}
@@ -193,12 +249,24 @@ export function IncidentDetailPage() {
         {/* Notes Panel */}
         <div className="panel">
           <h3 className="text-lg font-semibold text-primary mb-4">Investigation Notes</h3>
-          <NoteInput incidentId={id} />
+          <NoteInput
+            incidentId={id}
+            canPublishStakeholderUpdate={isCommsLead(incident, user?._id)}
+          />
           <div className="mt-4 space-y-3 max-h-64 overflow-y-auto">
             {updates
-              .filter((u) => u.type === 'note')
+              .filter((u) => u.type === 'note' || u.type === 'stakeholder_update')
               .map((note) => (
-                <div key={note._id} className="border-l-2 border-accent pl-3 py-1">
+                <div
+                  key={note._id}
+                  className="border-l-2 border-accent pl-3 py-1"
+                  style={note.type === 'stakeholder_update' ? { borderColor: INCIDENT_ROLE_COLORS.comms_lead } : undefined}
+                >
+                  {note.type === 'stakeholder_update' && (
+                    <p className="text-xs font-medium mb-1" style={{ color: INCIDENT_ROLE_COLORS.comms_lead }}>
+                      📣 Stakeholder update
+                    </p>
+                  )}
                   <p className="text-primary">{note.content.text}</p>
                   <p className="text-xs text-muted mt-1">
                     {note.userId?.name || 'Unknown'} •{' '}
@@ -206,7 +274,7 @@ export function IncidentDetailPage() {
                   </p>
                 </div>
               ))}
-            {updates.filter((u) => u.type === 'note').length === 0 && (
+            {updates.filter((u) => u.type === 'note' || u.type === 'stakeholder_update').length === 0 && (
               <div className="empty-state">
                 <p className="empty-state__title">No findings recorded yet</p>
                 <p className="empty-state__description">Add observations, logs, or hypotheses during investigation.</p>
@@ -250,10 +318,34 @@ export function IncidentDetailPage() {
         <AssignResponder incidentId={id} currentAssignees={incident.assignees || []} />
       </div>
 
+      {/* Related incidents & merge */}
+      <div className="panel mb-6">
+        <RelatedIncidentsPanel incident={incident} />
+      </div>
+
+      {/* Public status page */}
+      <div className="panel mb-6">
+        <StatusPagePanel incident={incident} />
+      </div>
+
       {/* Audit Timeline */}
       <div className="panel">
-        <h3 className="text-lg font-semibold text-primary mb-4">Audit Timeline</h3>
-        <AuditTimeline updates={updates} />
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold text-primary">Audit Timeline</h3>
+          <AuditIntegrityCheck incidentId={incident._id} />
+        </div>
+        <AuditTimeline
+          updates={timeline.updates}
+          incidentId={incident._id}
+          mergedSources={mergedSources}
+          incidentType={incident.incidentType}
+          hasOlder={timeline.hasOlder}
+          isLoadingOlder={timeline.isLoadingOlder}
+          onLoadOlder={timeline.loadOlder}
+        />
+        {timeline.error && (
+          <p className="mt-2 text-sm text-red-500">{timeline.error}</p>
+        )}
       </div>
     </AppLayout>
   );
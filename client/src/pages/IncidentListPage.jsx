@@ -1,17 +1,26 @@
 /**
  * Incident List Page (Dashboard)
  * Dashboard showing stats, charts, and incident list
+ *
+ * Search, filters, sorting and paging all run on the server
+ * (GET /api/incidents); the TopBar search box drives the full-text query.
+ * Charts come from /api/analytics, each with its own date range.
  */
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useIncidentStore, useAuthStore } from '../stores';
-import { incidentApi } from '../services/api';
+import { incidentApi, templateApi, serviceApi } from '../services/api';
+import { useWorkflow, useAnalytics } from '../hooks';
+import { DEFAULT_ANALYTICS_RANGE } from '../utils/analytics';
 import {
   WriteGate,
   AppLayout,
+  ServicePicker,
   StatCard,
   IncidentTrendChart,
-  SeverityDistribution
+  SeverityDistribution,
+  ResponseTimesTable,
+  TimeInStatusChart
 } from '../components';
 
 const SEVERITY_COLORS = {
@@ -21,17 +30,26 @@ const SEVERITY_COLORS = {
   low: '#10B981'
 };
 
-const STATUS_COLORS = {
-  investigating: '#EF4444',
-  identified: '#F59E0B',
-  monitoring: '#3B82F6',
-  resolved: '#10B981'
+const PAGE_SIZE = 25;
+const SEARCH_DEBOUNCE_MS = 300;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EMPTY_FILTERS = {
+  severity: '',
+  resolved: '',
+  mine: '',
+  service: '',
+  from: '',
+  to: ''
 };
 
 export function IncidentListPage() {
   const navigate = useNavigate();
+  const currentUserId = useAuthStore((state) => state.user?._id);
   const incidents = useIncidentStore((state) => state.incidents);
+  const nextCursor = useIncidentStore((state) => state.incidentsNextCursor);
   const setIncidents = useIncidentStore((state) => state.setIncidents);
+  const appendIncidents = useIncidentStore((state) => state.appendIncidents);
   const setIncidentsError = useIncidentStore((state) => state.setIncidentsError);
   const isLoading = useIncidentStore((state) => state.incidentsLoading);
   const error = useIncidentStore((state) => state.incidentsError);
@@ -39,42 +57,109 @@ export function IncidentListPage() {
 
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState({ field: 'createdAt', order: 'desc' });
+  const [stats, setStats] = useState(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [services, setServices] = useState([]);
+
+  // Analytics widgets (each refetches when its range changes)
+  const [trendRange, setTrendRange] = useState(DEFAULT_ANALYTICS_RANGE);
+  const [severityRange, setSeverityRange] = useState(DEFAULT_ANALYTICS_RANGE);
+  const [responseRange, setResponseRange] = useState(DEFAULT_ANALYTICS_RANGE);
+  const [statusRange, setStatusRange] = useState(DEFAULT_ANALYTICS_RANGE);
+  const trends = useAnalytics('trends', trendRange);
+  const severity = useAnalytics('severity', severityRange);
+  const responseTimes = useAnalytics('responseTimes', responseRange);
+  const timeInStatus = useAnalytics('timeInStatus', statusRange);
+
+  // Ignore responses for queries that have since changed
+  const queryVersion = useRef(0);
+
+  // Debounce the TopBar search so typing doesn't fire a request per key
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedQuery(searchQuery.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  // Dashboard counters are computed server-side across all incidents
+  useEffect(() => {
+    incidentApi.stats()
+      .then(({ stats }) => setStats(stats))
+      .catch((err) => console.error('Failed to fetch stats:', err));
+
+    serviceApi.list()
+      .then(({ services }) => setServices(services))
+      .catch((err) => console.error('Failed to fetch services:', err));
+  }, []);
+
+  // Server-side query params for the current search, filters and sort
+  const buildQuery = () => ({
+    q: debouncedQuery,
+    severity: filters.severity,
+    resolved: filters.resolved,
+    commander: filters.mine === 'commander' ? currentUserId : undefined,
+    assignee: filters.mine === 'assignee' ? currentUserId : undefined,
+    service: filters.service,
+    from: filters.from ? new Date(filters.from).toISOString() : undefined,
+    // Inclusive end date: everything before the following midnight
+    to: filters.to ? new Date(new Date(filters.to).getTime() + DAY_MS - 1).toISOString() : undefined,
+    sort: sort.field,
+    order: sort.order,
+    limit: PAGE_SIZE
+  });
 
+  // Fetch the first page whenever the query changes
   useEffect(() => {
+    const version = ++queryVersion.current;
+
     const fetchIncidents = async () => {
       setLoading(true);
       try {
-        const { incidents } = await incidentApi.list();
-        setIncidents(incidents);
+        const { incidents, nextCursor } = await incidentApi.list(buildQuery());
+        if (version === queryVersion.current) {
+          setIncidents(incidents, nextCursor);
+        }
       } catch (err) {
-        setIncidentsError(err.message);
+        if (version === queryVersion.current) {
+          setIncidentsError(err.message);
+        }
       }
     };
 
     fetchIncidents();
-  }, []);
+  }, [debouncedQuery, filters, sort]);
 
-  // Filter incidents based on search query
-  const filteredIncidents = incidents.filter(incident => {
-    if (!searchQuery.trim()) return true;
-    const query = searchQuery.toLowerCase();
-    return (
-      incident.title?.toLowerCase().includes(query) ||
-      incident.description?.toLowerCase().includes(query) ||
-      incident.status?.toLowerCase().includes(query) ||
-      incident.severity?.toLowerCase().includes(query) ||
-      incident.commander?.name?.toLowerCase().includes(query)
-    );
-  });
+  const handleLoadMore = async () => {
+    if (!nextCursor || isLoadingMore) return;
+    const version = queryVersion.current;
+
+    setIsLoadingMore(true);
+    try {
+      const page = await incidentApi.list({ ...buildQuery(), cursor: nextCursor });
+      if (version === queryVersion.current) {
+        appendIncidents(page.incidents, page.nextCursor);
+      }
+    } catch (err) {
+      setIncidentsError(err.message);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
 
-  // Calculate stats (from all incidents, not filtered)
-  const stats = {
-    total: incidents.length,
-    active: incidents.filter(i => i.status !== 'resolved').length,
-    critical: incidents.filter(i => i.severity === 'critical' && i.status !== 'resolved').length,
-    resolved: incidents.filter(i => i.status === 'resolved').length
+  const updateFilter = (name, value) => setFilters((prev) => ({ ...prev, [name]: value }));
+
+  // Clicking the active column flips direction; a new column starts descending
+  const handleSort = (field) => {
+    setSort((prev) => ({
+      field,
+      order: prev.field === field && prev.order === 'desc' ? 'asc' : 'desc'
+    }));
   };
 
+  const hasActiveQuery = debouncedQuery || Object.values(filters).some(Boolean);
+
   return (
     <AppLayout title="Dashboard" searchQuery={searchQuery} onSearchChange={setSearchQuery}>
       {/* Stats Cards */}
@@ -86,7 +171,7 @@ export function IncidentListPage() {
             </svg>
           }
           label="Total Incidents"
-          value={stats.total}
+          value={stats?.total ?? '—'}
           variant="accent"
         />
         <StatCard
@@ -96,7 +181,7 @@ export function IncidentListPage() {
             </svg>
           }
           label="Active Incidents"
-          value={stats.active}
+          value={stats?.active ?? '—'}
           variant="high"
         />
         <StatCard
@@ -106,7 +191,7 @@ export function IncidentListPage() {
             </svg>
           }
           label="Critical Active"
-          value={stats.critical}
+          value={stats?.critical ?? '—'}
           variant="critical"
         />
         <StatCard
@@ -116,15 +201,39 @@ export function IncidentListPage() {
             </svg>
           }
           label="Resolved"
-          value={stats.resolved}
+          value={stats?.resolved ?? '—'}
           variant="low"
         />
       </div>
 
       {/* Charts Row */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
-        <IncidentTrendChart />
-        <SeverityDistribution incidents={incidents} />
+        <IncidentTrendChart
+          trends={trends.data}
+          error={trends.error}
+          range={trendRange}
+          onRangeChange={setTrendRange}
+        />
+        <SeverityDistribution
+          counts={severity.data?.bySeverity || {}}
+          range={severityRange}
+          onRangeChange={setSeverityRange}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+        <ResponseTimesTable
+          responseTimes={responseTimes.data}
+          error={responseTimes.error}
+          range={responseRange}
+          onRangeChange={setResponseRange}
+        />
+        <TimeInStatusChart
+          timeInStatus={timeInStatus.data}
+          error={timeInStatus.error}
+          range={statusRange}
+          onRangeChange={setStatusRange}
+        />
       </div>
 
       {/* Incidents Table Section */}
@@ -143,6 +252,92 @@ export function IncidentListPage() {
         </WriteGate>
       </div>
 
+      {/* Server-side filters (search comes from the TopBar) */}
+      <div className="flex flex-wrap items-end gap-3 mb-4">
+        <div>
+          <label className="label">Severity</label>
+          <select
+            value={filters.severity}
+            onChange={(e) => updateFilter('severity', e.target.value)}
+            className="select"
+          >
+            <option value="">All</option>
+            <option value="critical">Critical</option>
+            <option value="high">High</option>
+            <option value="medium">Medium</option>
+            <option value="low">Low</option>
+          </select>
+        </div>
+        <div>
+          <label className="label">State</label>
+          <select
+            value={filters.resolved}
+            onChange={(e) => updateFilter('resolved', e.target.value)}
+            className="select"
+          >
+            <option value="">All</option>
+            <option value="false">Active</option>
+            <option value="true">Resolved</option>
+          </select>
+        </div>
+        <div>
+          <label className="label">People</label>
+          <select
+            value={filters.mine}
+            onChange={(e) => updateFilter('mine', e.target.value)}
+            className="select"
+          >
+            <option value="">Everyone</option>
+            <option value="commander">I command</option>
+            <option value="assignee">Assigned to me</option>
+          </select>
+        </div>
+        {services.length > 0 && (
+          <div>
+            <label className="label">Service</label>
+            <select
+              value={filters.service}
+              onChange={(e) => updateFilter('service', e.target.value)}
+              className="select"
+            >
+              <option value="">All services</option>
+              {services.map((service) => (
+                <option key={service._id} value={service._id}>{service.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div>
+          <label className="label">From</label>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => updateFilter('from', e.target.value)}
+            className="input"
+          />
+        </div>
+        <div>
+          <label className="label">To</label>
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => updateFilter('to', e.target.value)}
+            className="input"
+          />
+        </div>
+        {hasActiveQuery && (
+          <button
+            onClick={() => {
+              setFilters(EMPTY_FILTERS);
+              setSearchQuery('');
+            }}
+            className="btn btn--ghost btn--sm"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+
       {error && (
         <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
           {error}
@@ -154,28 +349,28 @@ export function IncidentListPage() {
           <div className="animate-spin inline-block w-8 h-8 border-2 border-accent border-t-transparent rounded-full mb-4"></div>
           <p>Loading incidents...</p>
         </div>
-      ) : filteredIncidents.length === 0 ? (
+      ) : incidents.length === 0 ? (
         <div className="empty-state">
           <svg className="empty-state__icon mx-auto" fill="none" viewBox="0 0 24 24" stroke="currentColor">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
           </svg>
-          <p className="empty-state__title">{searchQuery ? 'No matching incidents' : 'No incidents found'}</p>
-          <p className="empty-state__description">{searchQuery ? 'Try a different search term.' : 'Create your first incident to get started.'}</p>
+          <p className="empty-state__title">{hasActiveQuery ? 'No matching incidents' : 'No incidents found'}</p>
+          <p className="empty-state__description">{hasActiveQuery ? 'Try a different search term or filter.' : 'Create your first incident to get started.'}</p>
         </div>
       ) : (
         <div className="table-container">
           <table className="table">
             <thead>
               <tr>
-                <th>Title</th>
+                <SortableHeader field="title" label="Title" sort={sort} onSort={handleSort} />
                 <th>Severity</th>
                 <th>Status</th>
                 <th>Commander</th>
-                <th>Created</th>
+                <SortableHeader field="createdAt" label="Created" sort={sort} onSort={handleSort} />
               </tr>
             </thead>
             <tbody>
-              {filteredIncidents.map((incident) => (
+              {incidents.map((incident) => (
                 <tr
                   key={incident._id}
                   onClick={() => navigate(`/incidents/${incident._id}`)}
@@ -183,6 +378,11 @@ export function IncidentListPage() {
                 >
                   <td>
                     <div className="font-medium">{incident.title}</div>
+                    {incident.affectedServices?.length > 0 && (
+                      <div className="text-xs text-muted">
+                        {incident.affectedServices.map((s) => s.name).join(', ')}
+                      </div>
+                    )}
                   </td>
                   <td>
                     <span
@@ -196,15 +396,10 @@ export function IncidentListPage() {
                     </span>
                   </td>
                   <td>
-                    <span
-                      className="badge"
-                      style={{
-                        backgroundColor: `${STATUS_COLORS[incident.status]}20`,
-                        color: STATUS_COLORS[incident.status]
-                      }}
-                    >
-                      {incident.status}
-                    </span>
+                    <IncidentStatusBadge
+                      incidentType={incident.incidentType}
+                      status={incident.status}
+                    />
                   </td>
                   <td className="text-secondary">
                     {incident.commander?.name || 'Unassigned'}
@@ -216,6 +411,17 @@ export function IncidentListPage() {
               ))}
             </tbody>
           </table>
+          {nextCursor && (
+            <div className="text-center py-4">
+              <button
+                onClick={handleLoadMore}
+                disabled={isLoadingMore}
+                className="btn btn--secondary"
+              >
+                {isLoadingMore ? 'Loading...' : 'Load more'}
+              </button>
+            </div>
+          )}
         </div>
       )}
 
@@ -227,26 +433,101 @@ export function IncidentListPage() {
   );
 }
 
+/**
+ * Table header that sorts the server query when clicked
+ */
+function SortableHeader({ field, label, sort, onSort }) {
+  const isActive = sort.field === field;
+
+  return (
+    <th onClick={() => onSort(field)} className="cursor-pointer select-none">
+      {label}
+      <span className="ml-1 text-muted">
+        {isActive ? (sort.order === 'desc' ? '↓' : '↑') : ''}
+      </span>
+    </th>
+  );
+}
+
+/**
+ * Status badge colored by the incident type's workflow
+ */
+function IncidentStatusBadge({ incidentType, status }) {
+  const { getStatus } = useWorkflow(incidentType);
+  const statusObj = getStatus(status);
+  const color = statusObj?.color || '#6B7280';
+
+  return (
+    <span
+      className="badge"
+      style={{
+        backgroundColor: `${color}20`,
+        color
+      }}
+    >
+      {statusObj?.label || status}
+    </span>
+  );
+}
+
 /**
  * Create Incident Modal
+ * Picking a template pre-fills the form; the server adds the template's
+ * checklist as action items and pins its runbook on the incident.
  */
 function CreateIncidentModal({ onClose }) {
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
   const [severity, setSeverity] = useState('medium');
+  const [incidentType, setIncidentType] = useState('default');
+  const [templateId, setTemplateId] = useState('');
+  const [templates, setTemplates] = useState([]);
+  const [affectedServices, setAffectedServices] = useState([]);
+  const [services, setServices] = useState([]);
+  const { workflows } = useWorkflow();
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
 
   const addIncident = useIncidentStore((state) => state.addIncident);
   const navigate = useNavigate();
 
+  useEffect(() => {
+    templateApi.list()
+      .then(({ templates }) => setTemplates(templates))
+      .catch((err) => console.error('Failed to fetch templates:', err));
+
+    serviceApi.list()
+      .then(({ services }) => setServices(services))
+      .catch((err) => console.error('Failed to fetch services:', err));
+  }, []);
+
+  const template = templates.find((t) => t._id === templateId);
+
+  const handleTemplateChange = (id) => {
+    setTemplateId(id);
+    const selected = templates.find((t) => t._id === id);
+    if (!selected) return;
+
+    setTitle(selected.titlePattern);
+    setSeverity(selected.severity);
+    setIncidentType(selected.incidentType);
+    setDescription(selected.description);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsLoading(true);
     setError(null);
 
     try {
-      const { incident } = await incidentApi.create({ title, description, severity });
+      const { incident } = await incidentApi.create({
+        title,
+        description,
+        severity,
+        incidentType,
+        templateId: templateId || undefined,
+        affectedServices
+      });
       addIncident(incident);
       onClose();
       navigate(`/incidents/${incident._id}`);
@@ -276,6 +557,28 @@ function CreateIncidentModal({ onClose }) {
         )}
 
         <form onSubmit={handleSubmit} className="space-y-4">
+          {templates.length > 0 && (
+            <div>
+              <label className="label">Template</label>
+              <select
+                value={templateId}
+                onChange={(e) => handleTemplateChange(e.target.value)}
+                className="select"
+              >
+                <option value="">Blank incident</option>
+                {templates.map((t) => (
+                  <option key={t._id} value={t._id}>{t.name}</option>
+                ))}
+              </select>
+              {template && (
+                <p className="text-xs text-muted mt-1">
+                  Adds {template.checklist.length} action item{template.checklist.length === 1 ? '' : 's'}
+                  {template.runbook ? ' and pins the runbook' : ''}
+                </p>
+              )}
+            </div>
+          )}
+
           <div>
             <label className="label">Title *</label>
             <input
@@ -286,6 +589,9 @@ function CreateIncidentModal({ onClose }) {
               className="input"
               placeholder="Brief incident description"
             />
+            {template && /\{(date|time)\}/.test(title) && (
+              <p className="text-xs text-muted mt-1">{'{date}'} and {'{time}'} are filled in (UTC) on creation</p>
+            )}
           </div>
 
           <div>
@@ -302,6 +608,23 @@ function CreateIncidentModal({ onClose }) {
             </select>
           </div>
 
+          {workflows.length > 1 && (
+            <div>
+              <label className="label">Incident Type</label>
+              <select
+                value={incidentType}
+                onChange={(e) => setIncidentType(e.target.value)}
+                className="select"
+              >
+                {workflows.map((workflow) => (
+                  <option key={workflow.incidentType} value={workflow.incidentType}>
+                    {workflow.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
           <div>
             <label className="label">Description</label>
             <textarea
@@ -313,6 +636,13 @@ function CreateIncidentModal({ onClose }) {
             />
           </div>
 
+          {services.length > 0 && (
+            <div>
+              <label className="label">Affected Services</label>
+              <ServicePicker services={services} value={affectedServices} onChange={setAffectedServices} />
+            </div>
+          )}
+
           <div className="modal__footer">
             <button
               type="button"
@@ -0,0 +1,349 @@
+/**
+ * Integrations Page (Admin)
+ * Let monitoring systems open incidents from alerts
+ *
+ * Each integration has an API key that monitoring tools send to
+ * POST /api/integrations/alerts (Authorization: Bearer <key>). The key
+ * is shown once, right after the integration is created or its key is
+ * rotated.
+ *
+ * Settings decide how alerts become incidents: incident type, the label
+ * read for severity (with a fallback severity) and an optional commander.
+ */
+import { useState, useEffect } from 'react';
+import { Navigate } from 'react-router-dom';
+import { useAuthStore } from '../stores';
+import { integrationApi, workflowApi, userApi } from '../services/api';
+import { AppLayout } from '../components';
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+const EMPTY_FORM = {
+  name: '',
+  incidentType: '',
+  severityLabel: 'severity',
+  defaultSeverity: 'medium',
+  commander: ''
+};
+
+export function IntegrationsPage() {
+  const isAdmin = useAuthStore((state) => state.isAdmin());
+
+  const [integrations, setIntegrations] = useState([]);
+  const [workflows, setWorkflows] = useState([]);
+  const [commanders, setCommanders] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const [showForm, setShowForm] = useState(false);
+  const [shownKey, setShownKey] = useState(null); // { name, key } after create/rotate
+
+  useEffect(() => {
+    if (!isAdmin) return;
+
+    Promise.all([integrationApi.list(), workflowApi.list(), userApi.list({})])
+      .then(([{ integrations }, { workflows }, { users }]) => {
+        setIntegrations(integrations);
+        setWorkflows(workflows);
+        setCommanders(users.filter((u) => u.role === 'admin' || u.role === 'responder'));
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setIsLoading(false));
+  }, [isAdmin]);
+
+  if (!isAdmin) {
+    return <Navigate to="/incidents" replace />;
+  }
+
+  const replaceIntegration = (integration) => {
+    setIntegrations((list) => list.map((i) => (i._id === integration._id ? integration : i)));
+  };
+
+  const handleCreated = ({ integration, key }) => {
+    setIntegrations((list) => [integration, ...list]);
+    setShownKey({ name: integration.name, key });
+    setShowForm(false);
+  };
+
+  const handleUpdate = async (integration, changes) => {
+    setError(null);
+    try {
+      const { integration: updated } = await integrationApi.update(integration._id, changes);
+      replaceIntegration(updated);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRotate = async (integration) => {
+    if (!window.confirm(`Rotate the key for "${integration.name}"? The current key stops working immediately.`)) return;
+
+    setError(null);
+    try {
+      const { integration: updated, key } = await integrationApi.rotateKey(integration._id);
+      replaceIntegration(updated);
+      setShownKey({ name: updated.name, key });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (integration) => {
+    if (!window.confirm(`Delete integration "${integration.name}"? Its alerts will be rejected.`)) return;
+
+    setError(null);
+    try {
+      await integrationApi.remove(integration._id);
+      setIntegrations((list) => list.filter((i) => i._id !== integration._id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <AppLayout title="Integrations">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-primary">Alert Integrations</h2>
+        <button onClick={() => setShowForm(true)} className="btn btn--primary">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M12 4v16m8-8H4" />
+          </svg>
+          New Integration
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      {shownKey && (
+        <div className="panel mb-4">
+          <div className="flex justify-between items-start gap-4">
+            <div className="min-w-0">
+              <p className="font-medium text-primary mb-1">API key for "{shownKey.name}"</p>
+              <p className="text-xs text-muted mb-2">
+                Copy it now: it will not be shown again. Send it as
+                <span className="font-mono"> Authorization: Bearer &lt;key&gt; </span>
+                to <span className="font-mono">POST /api/integrations/alerts</span>.
+              </p>
+              <code className="font-mono text-sm text-accent break-all">{shownKey.key}</code>
+            </div>
+            <button onClick={() => setShownKey(null)} className="btn btn--ghost btn--sm">Dismiss</button>
+          </div>
+        </div>
+      )}
+
+      {showForm && (
+        <IntegrationForm
+          workflows={workflows}
+          commanders={commanders}
+          onCreated={handleCreated}
+          onClose={() => setShowForm(false)}
+        />
+      )}
+
+      {isLoading ? (
+        <div className="text-center py-8 text-secondary">
+          <div className="animate-spin inline-block w-8 h-8 border-2 border-accent border-t-transparent rounded-full mb-4"></div>
+          <p>Loading integrations...</p>
+        </div>
+      ) : integrations.length === 0 ? (
+        <div className="empty-state">
+          <p className="empty-state__title">No integrations yet</p>
+          <p className="empty-state__description">Open incidents straight from Alertmanager or any tool that can POST JSON.</p>
+        </div>
+      ) : (
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Key</th>
+                <th>Incident type</th>
+                <th>Severity</th>
+                <th>Commander</th>
+                <th>Last alert</th>
+                <th>Active</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {integrations.map((integration) => (
+                <tr key={integration._id}>
+                  <td className="font-medium">{integration.name}</td>
+                  <td className="text-secondary font-mono text-sm">{integration.keyPrefix}…</td>
+                  <td>
+                    <select
+                      value={integration.incidentType}
+                      onChange={(e) => handleUpdate(integration, { incidentType: e.target.value })}
+                      className="select"
+                    >
+                      {workflows.map((workflow) => (
+                        <option key={workflow.incidentType} value={workflow.incidentType}>
+                          {workflow.name}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="text-secondary text-sm">
+                    label <span className="font-mono">{integration.severityLabel}</span>,
+                    default {integration.defaultSeverity}
+                  </td>
+                  <td>
+                    <select
+                      value={integration.commander?._id || ''}
+                      onChange={(e) => handleUpdate(integration, { commander: e.target.value || null })}
+                      className="select"
+                    >
+                      <option value="">None</option>
+                      {commanders.map((user) => (
+                        <option key={user._id} value={user._id}>{user.name}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="text-secondary text-sm">
+                    {integration.lastAlertAt ? new Date(integration.lastAlertAt).toLocaleString() : 'Never'}
+                  </td>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={integration.active}
+                      onChange={() => handleUpdate(integration, { active: !integration.active })}
+                      style={{ accentColor: 'var(--accent-primary)' }}
+                    />
+                  </td>
+                  <td>
+                    <div className="flex gap-2">
+                      <button onClick={() => handleRotate(integration)} className="btn btn--ghost btn--sm">
+                        Rotate key
+                      </button>
+                      <button onClick={() => handleDelete(integration)} className="btn btn--ghost btn--sm">
+                        Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </AppLayout>
+  );
+}
+
+/**
+ * Create form: name and how alerts map to incidents
+ */
+function IntegrationForm({ workflows, commanders, onCreated, onClose }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    try {
+      onCreated(await integrationApi.create({
+        ...form,
+        incidentType: form.incidentType || undefined,
+        commander: form.commander || null
+      }));
+    } catch (err) {
+      setError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="panel mb-4">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-primary">New Integration</h3>
+        <button onClick={onClose} className="btn btn--ghost btn--sm">Close</button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="label">Name *</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              required
+              className="input"
+              placeholder="Prometheus Alertmanager"
+            />
+          </div>
+          <div>
+            <label className="label">Incident type</label>
+            <select
+              value={form.incidentType}
+              onChange={(e) => setForm({ ...form, incidentType: e.target.value })}
+              className="select"
+            >
+              <option value="">Default</option>
+              {workflows.map((workflow) => (
+                <option key={workflow.incidentType} value={workflow.incidentType}>
+                  {workflow.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="label">Severity label</label>
+            <input
+              type="text"
+              value={form.severityLabel}
+              onChange={(e) => setForm({ ...form, severityLabel: e.target.value })}
+              className="input font-mono"
+              placeholder="severity"
+            />
+          </div>
+          <div>
+            <label className="label">Default severity</label>
+            <select
+              value={form.defaultSeverity}
+              onChange={(e) => setForm({ ...form, defaultSeverity: e.target.value })}
+              className="select"
+            >
+              {SEVERITIES.map((severity) => (
+                <option key={severity} value={severity}>{severity}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="label">Commander</label>
+            <select
+              value={form.commander}
+              onChange={(e) => setForm({ ...form, commander: e.target.value })}
+              className="select"
+            >
+              <option value="">None</option>
+              {commanders.map((user) => (
+                <option key={user._id} value={user._id}>{user.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="flex justify-end">
+          <button type="submit" disabled={isSaving} className="btn btn--primary">
+            {isSaving ? 'Creating...' : 'Create Integration'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default IntegrationsPage;
@@ -1,12 +1,28 @@
 /**
  * Login Page
  * Entry point for authentication - Dark theme
+ *
+ * Too many attempts (per IP or per account) or a locked account answer
+ * 429 with details.retryAfter; the form stays disabled and counts down
+ * until then.
  */
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuthStore } from '../stores';
 import { authApi } from '../services/api';
 
+/**
+ * Seconds as m:ss (or h:mm:ss for long lockouts)
+ */
+const formatCountdown = (totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
+
 export function LoginPage() {
   const navigate = useNavigate();
   const setAuth = useAuthStore((state) => state.setAuth);
@@ -18,11 +34,40 @@ export function LoginPage() {
   const [isLoading, setIsLoading] = useState(false);
   const [isRegister, setIsRegister] = useState(false);
   const [name, setName] = useState('');
+  const [registrationOpen, setRegistrationOpen] = useState(false);
+  const [pendingNotice, setPendingNotice] = useState(false);
+  const [retryUntil, setRetryUntil] = useState(null); // ms timestamp while rate limited
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  useEffect(() => {
+    authApi.registration()
+      .then(({ registration }) => setRegistrationOpen(registration.open))
+      .catch(() => {});
+  }, []);
+
+  // Count down a 429; the form unlocks when it reaches zero
+  useEffect(() => {
+    if (!retryUntil) return;
+
+    const tick = () => {
+      const remaining = Math.ceil((retryUntil - Date.now()) / 1000);
+      if (remaining <= 0) {
+        setRetryUntil(null);
+        setError(null);
+      } else {
+        setSecondsLeft(remaining);
+      }
+    };
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [retryUntil]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsLoading(true);
     setError(null);
+    setPendingNotice(false);
 
     try {
       let response;
@@ -32,9 +77,21 @@ export function LoginPage() {
         response = await authApi.login({ email, password });
       }
 
-      setAuth(response.user, response.token);
+      // Sign-ups wait for an admin to approve them before they can sign in
+      if (response.pending) {
+        setPendingNotice(true);
+        setIsRegister(false);
+        setPassword('');
+        return;
+      }
+
+      setAuth(response.user, response.token, response.refreshToken);
       navigate('/incidents');
     } catch (err) {
+      if (err.status === 429 && err.details?.retryAfter) {
+        setSecondsLeft(err.details.retryAfter);
+        setRetryUntil(Date.now() + err.details.retryAfter * 1000);
+      }
       setError(err.message);
     } finally {
       setIsLoading(false);
@@ -64,6 +121,13 @@ export function LoginPage() {
           {error && (
             <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
               {error}
+              {retryUntil && <p className="text-sm mt-1">Try again in {formatCountdown(secondsLeft)}.</p>}
+            </div>
+          )}
+
+          {pendingNotice && (
+            <div className="panel text-sm text-secondary mb-4">
+              Account created. An admin needs to approve it before you can sign in.
             </div>
           )}
 
@@ -108,10 +172,12 @@ export function LoginPage() {
 
             <button
               type="submit"
-              disabled={isLoading}
+              disabled={isLoading || Boolean(retryUntil)}
               className="btn btn--primary w-full btn--lg"
             >
-              {isLoading ? (
+              {retryUntil ? (
+                `Try again in ${formatCountdown(secondsLeft)}`
+              ) : isLoading ? (
                 <span className="flex items-center justify-center gap-2">
                   <div className="animate-spin w-4 h-4 border-2 border-white border-t-transparent rounded-full"></div>
                   {isRegister ? 'Creating Account...' : 'Signing In...'}
@@ -123,14 +189,18 @@ export function LoginPage() {
           </form>
 
           <div className="mt-6 text-center">
-            <button
-              onClick={() => setIsRegister(!isRegister)}
-              className="text-accent hover:underline text-sm"
-            >
-              {isRegister
-                ? 'Already have an account? Sign in'
-                : "Don't have an account? Create one"}
-            </button>
+            {registrationOpen ? (
+              <button
+                onClick={() => setIsRegister(!isRegister)}
+                className="text-accent hover:underline text-sm"
+              >
+                {isRegister
+                  ? 'Already have an account? Sign in'
+                  : "Don't have an account? Create one"}
+              </button>
+            ) : (
+              <p className="text-muted text-sm">New accounts are by invitation only.</p>
+            )}
           </div>
         </div>
 
@@ -0,0 +1,314 @@
+/**
+ * Postmortem Page
+ * Post-incident review: written sections plus the generated timeline
+ *
+ * FLOW:
+ * 1. Commander/admin starts the review from a resolved incident
+ *    (sections pre-filled, timeline and action items copied in)
+ * 2. Review owners assign section owners; everyone writes their part
+ * 3. Draft → In Review → Published (published reviews are read-only)
+ *
+ * Sections are saved one at a time, so people writing different
+ * sections never overwrite each other.
+ */
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useAuthStore } from '../stores';
+import { postmortemApi, userApi } from '../services/api';
+import { AppLayout } from '../components';
+import {
+  POSTMORTEM_SECTIONS,
+  POSTMORTEM_STATUSES,
+  isReviewOwner,
+  canEditSection
+} from '../utils/postmortems';
+import { getActionItemStatus, isClosed } from '../utils/actionItems';
+
+// Review state changes offered to review owners
+const STATUS_ACTIONS = {
+  draft: [{ status: 'in_review', label: 'Submit for Review', primary: true }],
+  in_review: [
+    { status: 'draft', label: 'Back to Draft' },
+    { status: 'published', label: 'Publish', primary: true }
+  ],
+  published: [{ status: 'draft', label: 'Reopen', adminOnly: true }]
+};
+
+export function PostmortemPage() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const user = useAuthStore((state) => state.user);
+
+  const [postmortem, setPostmortem] = useState(null);
+  const [candidates, setCandidates] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isOwner = isReviewOwner(postmortem, user);
+
+  useEffect(() => {
+    setIsLoading(true);
+    postmortemApi.get(id)
+      .then(({ postmortem }) => setPostmortem(postmortem))
+      .catch((err) => setError(err.message))
+      .finally(() => setIsLoading(false));
+  }, [id]);
+
+  // Review owners pick section owners from responders and admins
+  useEffect(() => {
+    if (!isOwner) return;
+
+    userApi.list({})
+      .then(({ users }) => setCandidates(users.filter((u) => u.role === 'responder' || u.role === 'admin')))
+      .catch((err) => console.error('Failed to fetch users:', err));
+  }, [isOwner]);
+
+  // Every mutation returns the whole review; replace local state with it
+  const runAction = async (action) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const { postmortem } = await action();
+      setPostmortem(postmortem);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <AppLayout title="Postmortem">
+        <div className="text-center py-8 text-secondary">
+          <div className="animate-spin inline-block w-8 h-8 border-2 border-accent border-t-transparent rounded-full mb-4"></div>
+          <p>Loading postmortem...</p>
+        </div>
+      </AppLayout>
+    );
+  }
+
+  if (!postmortem) {
+    return (
+      <AppLayout title="Postmortem">
+        <div className="text-center py-8">
+          <div className="text-red-500 mb-4">{error || 'Postmortem not found'}</div>
+          <button onClick={() => navigate('/incidents')} className="btn btn--secondary">
+            Back to Dashboard
+          </button>
+        </div>
+      </AppLayout>
+    );
+  }
+
+  const incident = postmortem.incidentId;
+  const status = POSTMORTEM_STATUSES[postmortem.status];
+  const actions = (STATUS_ACTIONS[postmortem.status] || [])
+    .filter((action) => !action.adminOnly || user?.role === 'admin');
+
+  return (
+    <AppLayout title="Postmortem">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-4">
+          <button onClick={() => navigate(`/incidents/${incident._id}`)} className="btn btn--ghost">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+            </svg>
+            Incident
+          </button>
+          <div>
+            <h1 className="text-xl font-bold text-primary">Postmortem: {incident.title}</h1>
+            <p className="text-sm text-muted">
+              Started by {postmortem.createdBy?.name || 'Unknown'}
+              {postmortem.publishedAt && ` · Published ${new Date(postmortem.publishedAt).toLocaleString()} by ${postmortem.publishedBy?.name || 'Unknown'}`}
+            </p>
+          </div>
+          <span className="badge" style={{ backgroundColor: `${status.color}20`, color: status.color }}>
+            {status.label}
+          </span>
+        </div>
+        {isOwner && (
+          <div className="flex items-center gap-2">
+            {actions.map((action) => (
+              <button
+                key={action.status}
+                onClick={() => runAction(() => postmortemApi.updateStatus(postmortem._id, action.status))}
+                disabled={isSaving}
+                className={`btn ${action.primary ? 'btn--primary' : 'btn--secondary'}`}
+              >
+                {action.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Written sections */}
+        <div className="lg:col-span-2 space-y-4">
+          {POSTMORTEM_SECTIONS.map((definition) => {
+            const section = postmortem.sections.find((s) => s.key === definition.key) || { key: definition.key, content: '' };
+            return (
+              <SectionEditor
+                key={`${definition.key}-${section.updatedAt || ''}`}
+                definition={definition}
+                section={section}
+                canEdit={canEditSection(postmortem, section, user)}
+                canAssign={isOwner && postmortem.status !== 'published'}
+                candidates={candidates}
+                isSaving={isSaving}
+                onSave={(changes) => runAction(() =>
+                  postmortemApi.updateSection(postmortem._id, definition.key, changes)
+                )}
+              />
+            );
+          })}
+        </div>
+
+        {/* Generated from the incident */}
+        <div className="space-y-4">
+          <div className="panel">
+            <div className="flex justify-between items-center mb-3">
+              <h3 className="font-semibold text-primary">Timeline</h3>
+              {isOwner && postmortem.status === 'draft' && (
+                <button
+                  onClick={() => runAction(() => postmortemApi.regenerate(postmortem._id))}
+                  disabled={isSaving}
+                  className="btn btn--ghost btn--sm"
+                  title="Copy the latest incident timeline and action items"
+                >
+                  Regenerate
+                </button>
+              )}
+            </div>
+            {postmortem.generatedAt && (
+              <p className="text-xs text-muted mb-3">
+                Generated {new Date(postmortem.generatedAt).toLocaleString()}
+              </p>
+            )}
+            <ol className="space-y-3">
+              {postmortem.timeline.map((entry, index) => (
+                <li key={index} className="text-sm">
+                  <div className="text-xs text-muted">
+                    {new Date(entry.at).toLocaleString()} · {entry.user?.name || 'Unknown'}
+                  </div>
+                  <div className="text-secondary whitespace-pre-wrap">{entry.text}</div>
+                </li>
+              ))}
+            </ol>
+          </div>
+
+          <div className="panel">
+            <h3 className="font-semibold text-primary mb-3">Action Items</h3>
+            {postmortem.actionItems.length === 0 ? (
+              <p className="text-sm text-muted italic">No action items were recorded</p>
+            ) : (
+              <ul className="space-y-2">
+                {postmortem.actionItems.map((item, index) => {
+                  const closed = isClosed(item);
+                  return (
+                    <li key={item.actionItemId || index} className="text-sm">
+                      <div className="flex items-start gap-2">
+                        <input type="checkbox" checked={item.status === 'done'} readOnly disabled className="mt-1" />
+                        <span className={closed ? 'line-through text-muted' : 'text-secondary'}>
+                          {item.text}
+                        </span>
+                      </div>
+                      <div className="text-xs text-muted ml-6">
+                        {getActionItemStatus(item.status).label}
+                        {item.owner && ` · ${item.owner.name}`}
+                        {item.dueDate && ` · due ${new Date(item.dueDate).toLocaleDateString()}`}
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </AppLayout>
+  );
+}
+
+/**
+ * One written section with its owner and an inline editor
+ */
+function SectionEditor({ definition, section, canEdit, canAssign, candidates, isSaving, onSave }) {
+  const [draft, setDraft] = useState(section.content || '');
+  const isDirty = draft !== (section.content || '');
+
+  return (
+    <div className="panel">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold text-primary">
+          {definition.title}
+          {definition.required && <span className="text-accent"> *</span>}
+        </h3>
+        {canAssign ? (
+          <select
+            value={section.owner?._id || ''}
+            onChange={(e) => onSave({ owner: e.target.value || null })}
+            disabled={isSaving}
+            className="select"
+            style={{ width: 'auto' }}
+            title="Section owner"
+          >
+            <option value="">No owner</option>
+            {candidates.map((candidate) => (
+              <option key={candidate._id} value={candidate._id}>{candidate.name}</option>
+            ))}
+          </select>
+        ) : (
+          section.owner && <span className="text-xs text-muted">Owner: {section.owner.name}</span>
+        )}
+      </div>
+
+      {canEdit ? (
+        <>
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            rows={5}
+            className="textarea"
+          />
+          <div className="flex justify-between items-center mt-2">
+            <span className="text-xs text-muted">
+              {section.updatedAt && `Last edited by ${section.updatedBy?.name || 'Unknown'} ${new Date(section.updatedAt).toLocaleString()}`}
+            </span>
+            <div className="flex gap-2">
+              {isDirty && (
+                <button onClick={() => setDraft(section.content || '')} className="btn btn--ghost btn--sm">
+                  Discard
+                </button>
+              )}
+              <button
+                onClick={() => onSave({ content: draft })}
+                disabled={!isDirty || isSaving}
+                className="btn btn--primary btn--sm"
+              >
+                Save
+              </button>
+            </div>
+          </div>
+        </>
+      ) : (
+        <div className="text-secondary whitespace-pre-wrap">
+          {section.content || <span className="text-muted italic">Not written yet</span>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PostmortemPage;
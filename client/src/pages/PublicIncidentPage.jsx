@@ -0,0 +1,81 @@
+/**
+ * Public Incident Page
+ * Full history of one public incident (linked from the status page and feeds)
+ *
+ * Served without authentication; shows 404 for incidents that were
+ * never or are no longer public.
+ */
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { statusApi } from '../services/api';
+import { StatusPageLayout, PublicUpdateList } from '../components';
+import { getComponentState, getPublicUpdateStatus } from '../utils/statusPage';
+
+export function PublicIncidentPage() {
+  const { id } = useParams();
+  const [incident, setIncident] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setIncident(null);
+    setError(null);
+    statusApi.incident(id)
+      .then(({ incident }) => setIncident(incident))
+      .catch((err) => setError(err.status === 404 ? 'This incident does not exist or is not public.' : err.message));
+  }, [id]);
+
+  if (error) {
+    return (
+      <StatusPageLayout>
+        <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+        <Link to="/status" className="text-accent text-sm">← Current status</Link>
+      </StatusPageLayout>
+    );
+  }
+
+  if (!incident) {
+    return (
+      <StatusPageLayout>
+        <div className="text-center py-8 text-secondary">
+          <div className="animate-spin inline-block w-8 h-8 border-2 border-accent border-t-transparent rounded-full mb-4"></div>
+          <p>Loading incident...</p>
+        </div>
+      </StatusPageLayout>
+    );
+  }
+
+  const impact = getComponentState(incident.impact);
+  const status = getPublicUpdateStatus(incident.status);
+
+  return (
+    <StatusPageLayout>
+      <div className="panel mb-6" style={{ borderLeft: `4px solid ${incident.resolvedAt ? status.color : impact.color}` }}>
+        <div className="flex justify-between items-start gap-4 mb-2">
+          <h1 className="text-xl font-bold text-primary">{incident.title}</h1>
+          <span className="badge" style={{ backgroundColor: `${status.color}20`, color: status.color }}>
+            {status.label}
+          </span>
+        </div>
+        <p className="text-sm text-secondary">
+          {impact.label}
+          {incident.components.length > 0 && <> · Affects {incident.components.map((c) => c.name).join(', ')}</>}
+        </p>
+        <p className="text-xs text-muted mt-1">
+          Started {new Date(incident.startedAt).toLocaleString()}
+          {incident.resolvedAt && <> · Resolved {new Date(incident.resolvedAt).toLocaleString()}</>}
+        </p>
+      </div>
+
+      <div className="panel mb-6">
+        <h2 className="text-lg font-semibold text-primary mb-4">Updates</h2>
+        <PublicUpdateList updates={incident.updates} />
+      </div>
+
+      <Link to="/status" className="text-accent text-sm">← Current status</Link>
+    </StatusPageLayout>
+  );
+}
+
+export default PublicIncidentPage;
@@ -0,0 +1,295 @@
+/**
+ * Service Detail Page
+ * One catalog entry: ownership, dependencies, incident history and
+ * response times
+ *
+ * History comes from the incident list filtered by service
+ * (GET /api/incidents?service=), newest first and cursor paginated.
+ */
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { incidentApi, serviceApi, analyticsApi } from '../services/api';
+import { AppLayout, AdminGate, RangeSelect, ServiceEditor } from '../components';
+import { DEFAULT_ANALYTICS_RANGE, rangeToQuery, formatDuration } from '../utils/analytics';
+import { getServiceTier } from '../utils/services';
+
+const HISTORY_PAGE_SIZE = 25;
+
+const SEVERITY_COLORS = {
+  critical: '#EF4444',
+  high: '#F59E0B',
+  medium: '#3B82F6',
+  low: '#10B981'
+};
+
+export function ServiceDetailPage() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+
+  const [service, setService] = useState(null);
+  const [dependents, setDependents] = useState([]);
+  const [error, setError] = useState(null);
+
+  const [incidents, setIncidents] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+
+  const [range, setRange] = useState(DEFAULT_ANALYTICS_RANGE);
+  const [stats, setStats] = useState(null);
+
+  // Catalog for the dependency picker, loaded when editing starts
+  const [catalog, setCatalog] = useState(null);
+
+  const loadService = () =>
+    serviceApi.get(id)
+      .then(({ service, dependents }) => {
+        setService(service);
+        setDependents(dependents);
+      })
+      .catch((err) => setError(err.message));
+
+  useEffect(() => {
+    setService(null);
+    setError(null);
+    loadService();
+
+    incidentApi.list({ service: id, limit: HISTORY_PAGE_SIZE })
+      .then(({ incidents, nextCursor }) => {
+        setIncidents(incidents);
+        setNextCursor(nextCursor);
+      })
+      .catch((err) => setError(err.message));
+  }, [id]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    analyticsApi.serviceResponseTimes({ ...rangeToQuery(range), service: id })
+      .then(({ serviceResponseTimes }) => {
+        if (!cancelled) setStats(serviceResponseTimes.services[0] || null);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id, range]);
+
+  const handleLoadMore = async () => {
+    setIsLoadingMore(true);
+    try {
+      const page = await incidentApi.list({ service: id, limit: HISTORY_PAGE_SIZE, cursor: nextCursor });
+      setIncidents((list) => [...list, ...page.incidents]);
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  const startEditing = () => {
+    serviceApi.list()
+      .then(({ services }) => setCatalog(services))
+      .catch((err) => setError(err.message));
+  };
+
+  if (!service) {
+    return (
+      <AppLayout title="Service">
+        {error ? (
+          <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg">{error}</div>
+        ) : (
+          <div className="text-center py-8 text-secondary">
+            <div className="animate-spin inline-block w-8 h-8 border-2 border-accent border-t-transparent rounded-full mb-4"></div>
+            <p>Loading service...</p>
+          </div>
+        )}
+      </AppLayout>
+    );
+  }
+
+  const tier = getServiceTier(service.tier);
+
+  return (
+    <AppLayout title={service.name}>
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <Link to="/services" className="text-sm text-muted">← Service Catalog</Link>
+          <h2 className="text-xl font-semibold text-primary">{service.name}</h2>
+        </div>
+        <AdminGate>
+          {catalog === null && (
+            <button onClick={startEditing} className="btn btn--secondary">Edit Service</button>
+          )}
+        </AdminGate>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      {catalog !== null && (
+        <div className="mb-6">
+          <ServiceEditor
+            service={service}
+            services={catalog}
+            onSaved={loadService}
+            onDeleted={() => navigate('/services', { replace: true })}
+            onClose={() => setCatalog(null)}
+          />
+        </div>
+      )}
+
+      {/* Ownership & dependencies */}
+      <div className="panel mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+          <div>
+            <label className="label">Tier</label>
+            <span className="badge" style={{ backgroundColor: `${tier.color}20`, color: tier.color }}>
+              {tier.label}
+            </span>
+            <p className="text-xs text-muted mt-1">{tier.description}</p>
+          </div>
+          <div>
+            <label className="label">Owning Team</label>
+            <p className="text-primary">{service.team || '—'}</p>
+          </div>
+          <div>
+            <label className="label">Runbook</label>
+            {service.runbookUrl ? (
+              <a href={service.runbookUrl} target="_blank" rel="noopener noreferrer" className="text-accent text-sm" style={{ wordBreak: 'break-all' }}>
+                {service.runbookUrl}
+              </a>
+            ) : (
+              <p className="text-sm text-muted italic">None linked</p>
+            )}
+          </div>
+          <div>
+            <label className="label">Created</label>
+            <p className="text-sm text-secondary">
+              {new Date(service.createdAt).toLocaleDateString()}
+              {service.createdBy && ` by ${service.createdBy.name}`}
+            </p>
+          </div>
+        </div>
+
+        {service.description && (
+          <p className="text-secondary mt-4">{service.description}</p>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-6 pt-6 border-t">
+          <div>
+            <label className="label">Depends On</label>
+            <ServiceLinks services={service.dependencies} empty="No dependencies" />
+          </div>
+          <div>
+            <label className="label">Depended On By</label>
+            <ServiceLinks services={dependents} empty="Nothing depends on this service" />
+          </div>
+        </div>
+      </div>
+
+      {/* Response times */}
+      <div className="chart-container mb-6">
+        <div className="chart-container__header">
+          <h3 className="chart-container__title">Response Times</h3>
+          <RangeSelect value={range} onChange={setRange} />
+        </div>
+        <div className="grid grid-cols-3 gap-4">
+          <div>
+            <p className="label">Incidents</p>
+            <p className="text-xl font-semibold text-primary">{stats?.incidents ?? 0}</p>
+            {stats && <p className="text-xs text-muted">{stats.resolved} resolved</p>}
+          </div>
+          <div>
+            <p className="label" title="Mean time to acknowledge">MTTA</p>
+            <p className="text-xl font-semibold text-primary">{formatDuration(stats?.mttaMs)}</p>
+          </div>
+          <div>
+            <p className="label" title="Mean time to resolve">MTTR</p>
+            <p className="text-xl font-semibold text-primary">{formatDuration(stats?.mttrMs)}</p>
+          </div>
+        </div>
+      </div>
+
+      {/* Incident history */}
+      <h3 className="text-lg font-semibold text-primary mb-4">Incident History</h3>
+      {incidents.length === 0 ? (
+        <div className="empty-state">
+          <p className="empty-state__title">No incidents</p>
+          <p className="empty-state__description">No incident has been tagged with this service.</p>
+        </div>
+      ) : (
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Title</th>
+                <th>Severity</th>
+                <th>Opened</th>
+                <th>Resolved</th>
+              </tr>
+            </thead>
+            <tbody>
+              {incidents.map((incident) => (
+                <tr key={incident._id} onClick={() => navigate(`/incidents/${incident._id}`)} className="cursor-pointer">
+                  <td className="font-medium">{incident.title}</td>
+                  <td>
+                    <span
+                      className="badge"
+                      style={{
+                        backgroundColor: `${SEVERITY_COLORS[incident.severity]}20`,
+                        color: SEVERITY_COLORS[incident.severity]
+                      }}
+                    >
+                      {incident.severity}
+                    </span>
+                  </td>
+                  <td className="text-secondary text-sm">{new Date(incident.createdAt).toLocaleString()}</td>
+                  <td className="text-secondary text-sm">
+                    {incident.resolvedAt
+                      ? formatDuration(new Date(incident.resolvedAt) - new Date(incident.createdAt))
+                      : <span className="text-accent">Open</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {nextCursor && (
+            <div className="text-center py-4">
+              <button onClick={handleLoadMore} disabled={isLoadingMore} className="btn btn--secondary">
+                {isLoadingMore ? 'Loading...' : 'Load more'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </AppLayout>
+  );
+}
+
+/**
+ * Links to other catalog entries
+ */
+function ServiceLinks({ services, empty }) {
+  if (services.length === 0) {
+    return <p className="text-sm text-muted italic">{empty}</p>;
+  }
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {services.map((service) => (
+        <Link key={service._id} to={`/services/${service._id}`} className="badge">
+          {service.name}
+        </Link>
+      ))}
+    </div>
+  );
+}
+
+export default ServiceDetailPage;
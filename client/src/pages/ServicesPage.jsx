@@ -0,0 +1,140 @@
+/**
+ * Services Page
+ * The service catalog with incident counts and response times
+ *
+ * Everyone can browse the catalog; only admins add or edit services.
+ * MTTA/MTTR count each incident towards every service it affects.
+ */
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuthStore } from '../stores';
+import { useAnalytics } from '../hooks';
+import { serviceApi } from '../services/api';
+import { AppLayout, AdminGate, RangeSelect, ServiceEditor } from '../components';
+import { DEFAULT_ANALYTICS_RANGE, formatDuration } from '../utils/analytics';
+import { getServiceTier } from '../utils/services';
+
+export function ServicesPage() {
+  const navigate = useNavigate();
+  const isAdmin = useAuthStore((state) => state.isAdmin());
+
+  const [services, setServices] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+
+  const [range, setRange] = useState(DEFAULT_ANALYTICS_RANGE);
+  const responseTimes = useAnalytics('serviceResponseTimes', range);
+
+  const loadServices = () =>
+    serviceApi.list()
+      .then(({ services }) => setServices(services))
+      .catch((err) => setError(err.message))
+      .finally(() => setIsLoading(false));
+
+  useEffect(() => {
+    loadServices();
+  }, []);
+
+  const statsById = new Map(
+    (responseTimes.data?.services || []).map((stats) => [stats.service._id, stats])
+  );
+
+  return (
+    <AppLayout title="Services">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-primary">Service Catalog</h2>
+        <div className="flex items-center gap-2">
+          <RangeSelect value={range} onChange={setRange} />
+          <AdminGate>
+            <button onClick={() => setIsCreating(true)} className="btn btn--primary">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path strokeLinecap="round" strokeLinejoin="round" d="M12 4v16m8-8H4" />
+              </svg>
+              New Service
+            </button>
+          </AdminGate>
+        </div>
+      </div>
+
+      {(error || responseTimes.error) && (
+        <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+          {error || responseTimes.error}
+        </div>
+      )}
+
+      {isAdmin && isCreating && (
+        <div className="mb-6">
+          <ServiceEditor
+            services={services}
+            onSaved={loadServices}
+            onClose={() => setIsCreating(false)}
+          />
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="text-center py-8 text-secondary">
+          <div className="animate-spin inline-block w-8 h-8 border-2 border-accent border-t-transparent rounded-full mb-4"></div>
+          <p>Loading services...</p>
+        </div>
+      ) : services.length === 0 ? (
+        <div className="empty-state">
+          <p className="empty-state__title">No services yet</p>
+          <p className="empty-state__description">
+            {isAdmin
+              ? 'Add the systems you run so incidents can be tagged with what is broken.'
+              : 'An admin has not added any services to the catalog.'}
+          </p>
+        </div>
+      ) : (
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Service</th>
+                <th>Tier</th>
+                <th>Team</th>
+                <th>Depends On</th>
+                <th>Incidents</th>
+                <th title="Mean time to acknowledge">MTTA</th>
+                <th title="Mean time to resolve">MTTR</th>
+              </tr>
+            </thead>
+            <tbody>
+              {services.map((service) => {
+                const tier = getServiceTier(service.tier);
+                const stats = statsById.get(service._id);
+                return (
+                  <tr key={service._id} onClick={() => navigate(`/services/${service._id}`)} className="cursor-pointer">
+                    <td>
+                      <div className="font-medium">{service.name}</div>
+                      {service.description && <div className="text-xs text-muted">{service.description}</div>}
+                    </td>
+                    <td>
+                      <span className="badge" style={{ backgroundColor: `${tier.color}20`, color: tier.color }}>
+                        {tier.label}
+                      </span>
+                    </td>
+                    <td className="text-secondary text-sm">{service.team || '—'}</td>
+                    <td className="text-secondary text-sm">
+                      {service.dependencies.map((d) => d.name).join(', ') || '—'}
+                    </td>
+                    <td className="text-secondary">
+                      {stats ? stats.incidents : 0}
+                      {stats && <span className="text-muted text-xs"> ({stats.resolved} resolved)</span>}
+                    </td>
+                    <td>{formatDuration(stats?.mttaMs)}</td>
+                    <td>{formatDuration(stats?.mttrMs)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </AppLayout>
+  );
+}
+
+export default ServicesPage;
@@ -0,0 +1,134 @@
+/**
+ * Sessions Page
+ * Devices signed in to the current account
+ *
+ * Signing a device out revokes its refresh token and access token at
+ * once and drops its live connection. "Sign out everywhere" includes
+ * this device, so it ends on the login page.
+ */
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuthStore } from '../stores';
+import { authApi } from '../services/api';
+import { AppLayout } from '../components';
+
+/**
+ * Short device description from a user agent string
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = ['Edg', 'Firefox', 'Chrome', 'Safari'].find((name) => userAgent.includes(`${name}/`));
+  const os = ['Windows', 'Mac OS', 'Android', 'iPhone', 'iPad', 'Linux'].find((name) => userAgent.includes(name));
+  const label = [browser === 'Edg' ? 'Edge' : browser, os && `on ${os === 'Mac OS' ? 'macOS' : os}`]
+    .filter(Boolean)
+    .join(' ');
+
+  return label || userAgent.slice(0, 60);
+};
+
+export function SessionsPage() {
+  const navigate = useNavigate();
+  const logout = useAuthStore((state) => state.logout);
+
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    authApi.listSessions()
+      .then(({ sessions }) => setSessions(sessions))
+      .catch((err) => setError(err.message))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  const handleRevoke = async (session) => {
+    setError(null);
+    try {
+      await authApi.revokeSession(session._id);
+      if (session.current) {
+        logout();
+        navigate('/login');
+        return;
+      }
+      setSessions((list) => list.filter((s) => s._id !== session._id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) return;
+
+    setError(null);
+    try {
+      await authApi.revokeAllSessions();
+      logout();
+      navigate('/login');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <AppLayout title="Sessions">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-primary">Signed-in Devices</h2>
+        <button onClick={handleRevokeAll} className="btn btn--secondary">
+          Sign out everywhere
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="text-center py-8 text-secondary">
+          <div className="animate-spin inline-block w-8 h-8 border-2 border-accent border-t-transparent rounded-full mb-4"></div>
+          <p>Loading sessions...</p>
+        </div>
+      ) : sessions.length === 0 ? (
+        <div className="empty-state">
+          <p className="empty-state__title">No active sessions</p>
+        </div>
+      ) : (
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Device</th>
+                <th>IP address</th>
+                <th>Signed in</th>
+                <th>Last active</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {sessions.map((session) => (
+                <tr key={session._id}>
+                  <td className="font-medium" title={session.userAgent}>
+                    {describeDevice(session.userAgent)}
+                    {session.current && <span className="badge ml-2">This device</span>}
+                  </td>
+                  <td className="text-secondary font-mono text-sm">{session.ip || '—'}</td>
+                  <td className="text-secondary text-sm">{new Date(session.createdAt).toLocaleString()}</td>
+                  <td className="text-secondary text-sm">{new Date(session.lastUsedAt).toLocaleString()}</td>
+                  <td>
+                    <button onClick={() => handleRevoke(session)} className="btn btn--ghost btn--sm">
+                      Sign out
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </AppLayout>
+  );
+}
+
+export default SessionsPage;
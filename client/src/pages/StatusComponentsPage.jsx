@@ -0,0 +1,231 @@
+/**
+ * Status Components Page (Admin)
+ * Parts of the product listed on the public status page
+ *
+ * Components have no state of their own: they show as degraded or down
+ * while a public incident lists them (set from the incident page).
+ * Position orders them on the status page, lowest first.
+ */
+import { useState, useEffect } from 'react';
+import { Navigate, Link } from 'react-router-dom';
+import { useAuthStore } from '../stores';
+import { statusApi } from '../services/api';
+import { AppLayout } from '../components';
+
+const EMPTY_FORM = { name: '', description: '', position: 0 };
+
+/**
+ * Keep the list in status page order
+ */
+const sortComponents = (components) =>
+  [...components].sort((a, b) => a.position - b.position || a.name.localeCompare(b.name));
+
+export function StatusComponentsPage() {
+  const isAdmin = useAuthStore((state) => state.isAdmin());
+
+  const [components, setComponents] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isCreating, setIsCreating] = useState(false);
+  const [editing, setEditing] = useState(null); // { _id, name, description, position }
+
+  useEffect(() => {
+    if (!isAdmin) return;
+
+    statusApi.listComponents()
+      .then(({ components }) => setComponents(components))
+      .catch((err) => setError(err.message))
+      .finally(() => setIsLoading(false));
+  }, [isAdmin]);
+
+  if (!isAdmin) {
+    return <Navigate to="/incidents" replace />;
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    setError(null);
+    try {
+      const { component } = await statusApi.createComponent({ ...form, position: Number(form.position) || 0 });
+      setComponents((list) => sortComponents([...list, component]));
+      setForm(EMPTY_FORM);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setError(null);
+    try {
+      const { component } = await statusApi.updateComponent(editing._id, {
+        name: editing.name,
+        description: editing.description,
+        position: Number(editing.position) || 0
+      });
+      setComponents((list) => sortComponents(list.map((c) => (c._id === component._id ? component : c))));
+      setEditing(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (component) => {
+    if (!window.confirm(`Delete component "${component.name}"? It is removed from every incident.`)) return;
+
+    setError(null);
+    try {
+      await statusApi.removeComponent(component._id);
+      setComponents((list) => list.filter((c) => c._id !== component._id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <AppLayout title="Status Page">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-primary">Status Page Components</h2>
+        <Link to="/status" target="_blank" className="btn btn--secondary">
+          View public page
+        </Link>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="panel mb-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="label">Name *</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              required
+              maxLength={100}
+              className="input"
+              placeholder="API"
+            />
+          </div>
+          <div>
+            <label className="label">Description</label>
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              maxLength={500}
+              className="input"
+              placeholder="Public REST API and webhooks"
+            />
+          </div>
+          <div>
+            <label className="label">Position</label>
+            <input
+              type="number"
+              value={form.position}
+              onChange={(e) => setForm({ ...form, position: e.target.value })}
+              className="input"
+            />
+          </div>
+        </div>
+        <div className="flex justify-end mt-4">
+          <button type="submit" disabled={isCreating} className="btn btn--primary">
+            {isCreating ? 'Adding...' : 'Add Component'}
+          </button>
+        </div>
+      </form>
+
+      {isLoading ? (
+        <div className="text-center py-8 text-secondary">
+          <div className="animate-spin inline-block w-8 h-8 border-2 border-accent border-t-transparent rounded-full mb-4"></div>
+          <p>Loading components...</p>
+        </div>
+      ) : components.length === 0 ? (
+        <div className="empty-state">
+          <p className="empty-state__title">No components yet</p>
+          <p className="empty-state__description">Add the parts of your product customers care about.</p>
+        </div>
+      ) : (
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Position</th>
+                <th>Name</th>
+                <th>Description</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {components.map((component) => (
+                editing?._id === component._id ? (
+                  <tr key={component._id}>
+                    <td>
+                      <input
+                        type="number"
+                        value={editing.position}
+                        onChange={(e) => setEditing({ ...editing, position: e.target.value })}
+                        className="input"
+                        style={{ width: '5rem' }}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="text"
+                        value={editing.name}
+                        onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                        maxLength={100}
+                        className="input"
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="text"
+                        value={editing.description}
+                        onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+                        maxLength={500}
+                        className="input"
+                      />
+                    </td>
+                    <td>
+                      <div className="flex gap-2">
+                        <button onClick={handleSave} className="btn btn--primary btn--sm">Save</button>
+                        <button onClick={() => setEditing(null)} className="btn btn--ghost btn--sm">Cancel</button>
+                      </div>
+                    </td>
+                  </tr>
+                ) : (
+                  <tr key={component._id}>
+                    <td className="text-secondary">{component.position}</td>
+                    <td className="font-medium">{component.name}</td>
+                    <td className="text-secondary text-sm">{component.description || '—'}</td>
+                    <td>
+                      <div className="flex gap-2">
+                        <button onClick={() => setEditing({ ...component })} className="btn btn--ghost btn--sm">
+                          Edit
+                        </button>
+                        <button onClick={() => handleDelete(component)} className="btn btn--ghost btn--sm">
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                )
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </AppLayout>
+  );
+}
+
+export default StatusComponentsPage;
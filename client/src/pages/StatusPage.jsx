@@ -0,0 +1,136 @@
+/**
+ * Status Page (Public)
+ * Current state of every component, active incidents and recent history
+ *
+ * Served without authentication: customers open it directly. Everything
+ * shown comes from GET /api/status, which only includes incidents a
+ * responder made public and the updates they published for customers.
+ * The page refreshes itself every minute.
+ */
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { statusApi } from '../services/api';
+import { StatusPageLayout, PublicUpdateList, UptimeBar } from '../components';
+import { OVERALL_STATUS_LABELS, getComponentState } from '../utils/statusPage';
+
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+export function StatusPage() {
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const load = () =>
+      statusApi.summary()
+        .then((data) => {
+          setSummary(data);
+          setError(null);
+        })
+        .catch((err) => setError(err.message));
+
+    load();
+    const timer = setInterval(load, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  if (!summary) {
+    return (
+      <StatusPageLayout>
+        {error ? (
+          <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+            {error}
+          </div>
+        ) : (
+          <div className="text-center py-8 text-secondary">
+            <div className="animate-spin inline-block w-8 h-8 border-2 border-accent border-t-transparent rounded-full mb-4"></div>
+            <p>Loading status...</p>
+          </div>
+        )}
+      </StatusPageLayout>
+    );
+  }
+
+  const overall = getComponentState(summary.status);
+
+  return (
+    <StatusPageLayout title={summary.title}>
+      {/* Overall status */}
+      <div className="panel mb-6" style={{ borderLeft: `4px solid ${overall.color}` }}>
+        <p className="text-xl font-semibold" style={{ color: overall.color }}>
+          {OVERALL_STATUS_LABELS[summary.status]}
+        </p>
+      </div>
+
+      {/* Active incidents */}
+      {summary.incidents.map((incident) => {
+        const impact = getComponentState(incident.impact);
+        return (
+          <div key={incident.id} className="panel mb-6" style={{ borderLeft: `4px solid ${impact.color}` }}>
+            <div className="flex justify-between items-start gap-4 mb-2">
+              <Link to={`/status/incidents/${incident.id}`} className="text-lg font-semibold text-primary">
+                {incident.title}
+              </Link>
+              <span className="badge" style={{ backgroundColor: `${impact.color}20`, color: impact.color }}>
+                {impact.label}
+              </span>
+            </div>
+            {incident.components.length > 0 && (
+              <p className="text-xs text-muted mb-3">
+                Affects {incident.components.map((c) => c.name).join(', ')}
+              </p>
+            )}
+            <PublicUpdateList updates={incident.updates} />
+          </div>
+        );
+      })}
+
+      {/* Components with uptime history */}
+      {summary.components.length > 0 && (
+        <div className="panel mb-6">
+          <div className="space-y-4">
+            {summary.components.map((component) => {
+              const state = getComponentState(component.state);
+              return (
+                <div key={component.id}>
+                  <div className="flex justify-between items-center mb-2">
+                    <div>
+                      <span className="font-medium text-primary">{component.name}</span>
+                      {component.description && (
+                        <p className="text-xs text-muted">{component.description}</p>
+                      )}
+                    </div>
+                    <span className="text-sm font-medium" style={{ color: state.color }}>{state.label}</span>
+                  </div>
+                  <UptimeBar uptime={component.uptime} />
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Recently resolved */}
+      <div className="panel">
+        <h2 className="text-lg font-semibold text-primary mb-4">Past Incidents</h2>
+        {summary.pastIncidents.length === 0 ? (
+          <p className="text-sm text-muted italic">No incidents in the last 14 days</p>
+        ) : (
+          <div className="space-y-4">
+            {summary.pastIncidents.map((incident) => (
+              <div key={incident.id}>
+                <Link to={`/status/incidents/${incident.id}`} className="font-medium text-primary">
+                  {incident.title}
+                </Link>
+                <p className="text-xs text-muted mt-1">
+                  Resolved {new Date(incident.resolvedAt).toLocaleString()}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </StatusPageLayout>
+  );
+}
+
+export default StatusPage;
@@ -0,0 +1,414 @@
+/**
+ * Templates Page (Admin)
+ * Incident templates for recurring incidents
+ *
+ * A template pre-fills the create form (title pattern, severity,
+ * incident type, description). Incidents created from it get the
+ * checklist as action items and the runbook pinned on the incident
+ * page. Editing a template never changes incidents already created.
+ */
+import { useState, useEffect } from 'react';
+import { Navigate } from 'react-router-dom';
+import { useAuthStore } from '../stores';
+import { useWorkflow } from '../hooks';
+import { templateApi } from '../services/api';
+import { AppLayout, Markdown } from '../components';
+import { ACTION_ITEM_PRIORITIES } from '../utils/actionItems';
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Starting point for a brand new template
+const EMPTY_DRAFT = {
+  name: '',
+  titlePattern: '',
+  severity: 'medium',
+  incidentType: 'default',
+  description: '',
+  runbook: '',
+  checklist: []
+};
+
+/**
+ * Convert a served template into an editable draft
+ */
+const toDraft = (template) => ({
+  name: template.name,
+  titlePattern: template.titlePattern,
+  severity: template.severity,
+  incidentType: template.incidentType,
+  description: template.description || '',
+  runbook: template.runbook || '',
+  checklist: template.checklist.map((item) => ({ ...item }))
+});
+
+/**
+ * Convert a draft into the request body (blank checklist rows dropped)
+ */
+const toPayload = (draft) => ({
+  ...draft,
+  checklist: draft.checklist.filter((item) => item.text.trim())
+});
+
+export function TemplatesPage() {
+  const isAdmin = useAuthStore((state) => state.isAdmin());
+
+  const [templates, setTemplates] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // null = nothing open, '' = new template, otherwise the template ID being edited
+  const [editing, setEditing] = useState(null);
+
+  const loadTemplates = () =>
+    templateApi.list()
+      .then(({ templates }) => setTemplates(templates))
+      .catch((err) => setError(err.message))
+      .finally(() => setIsLoading(false));
+
+  useEffect(() => {
+    if (isAdmin) loadTemplates();
+  }, [isAdmin]);
+
+  if (!isAdmin) {
+    return <Navigate to="/incidents" replace />;
+  }
+
+  const editingTemplate = templates.find((t) => t._id === editing);
+
+  return (
+    <AppLayout title="Templates">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-primary">Incident Templates</h2>
+        <button onClick={() => setEditing('')} className="btn btn--primary">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M12 4v16m8-8H4" />
+          </svg>
+          New Template
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="text-center py-8 text-secondary">
+          <div className="animate-spin inline-block w-8 h-8 border-2 border-accent border-t-transparent rounded-full mb-4"></div>
+          <p>Loading templates...</p>
+        </div>
+      ) : templates.length === 0 ? (
+        <div className="empty-state mb-6">
+          <p className="empty-state__title">No templates yet</p>
+          <p className="empty-state__description">
+            Capture the steps of a recurring incident once and start every occurrence from them.
+          </p>
+        </div>
+      ) : (
+        <div className="table-container mb-6">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Title Pattern</th>
+                <th>Severity</th>
+                <th>Checklist</th>
+                <th>Updated</th>
+              </tr>
+            </thead>
+            <tbody>
+              {templates.map((template) => (
+                <tr key={template._id} onClick={() => setEditing(template._id)} className="cursor-pointer">
+                  <td>
+                    <div className="font-medium">{template.name}</div>
+                    <div className="text-xs text-muted font-mono">{template.incidentType}</div>
+                  </td>
+                  <td className="text-secondary text-sm">{template.titlePattern}</td>
+                  <td className="text-secondary text-sm capitalize">{template.severity}</td>
+                  <td className="text-secondary text-sm">
+                    {template.checklist.length} item{template.checklist.length === 1 ? '' : 's'}
+                    {template.runbook && ' + runbook'}
+                  </td>
+                  <td className="text-secondary text-sm">{new Date(template.updatedAt).toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {editing !== null && (
+        <TemplateEditor
+          key={editing || 'new'}
+          template={editingTemplate}
+          onSaved={loadTemplates}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </AppLayout>
+  );
+}
+
+/**
+ * Create/edit form for one template
+ */
+function TemplateEditor({ template, onSaved, onClose }) {
+  const isNew = !template;
+  const { workflows } = useWorkflow();
+  const [draft, setDraft] = useState(() => (isNew ? EMPTY_DRAFT : toDraft(template)));
+  const [showPreview, setShowPreview] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updateDraft = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+
+  const updateChecklistRow = (index, changes) => {
+    updateDraft({ checklist: draft.checklist.map((item, i) => (i === index ? { ...item, ...changes } : item)) });
+  };
+
+  const moveChecklistRow = (index, offset) => {
+    const checklist = [...draft.checklist];
+    [checklist[index], checklist[index + offset]] = [checklist[index + offset], checklist[index]];
+    updateDraft({ checklist });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const payload = toPayload(draft);
+      if (isNew) {
+        await templateApi.create(payload);
+      } else {
+        await templateApi.update(template._id, payload);
+      }
+      await onSaved();
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the "${template.name}" template? Incidents created from it keep their runbook.`)) return;
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      await templateApi.remove(template._id);
+      await onSaved();
+      onClose();
+    } catch (err) {
+      setError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="panel">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-primary">
+          {isNew ? 'New Template' : `Edit ${template.name}`}
+        </h3>
+        <button onClick={onClose} className="btn btn--ghost btn--sm">Close</button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="label">Name *</label>
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => updateDraft({ name: e.target.value })}
+              required
+              maxLength={100}
+              className="input"
+              placeholder="Database failover"
+            />
+          </div>
+          <div>
+            <label className="label">Title Pattern *</label>
+            <input
+              type="text"
+              value={draft.titlePattern}
+              onChange={(e) => updateDraft({ titlePattern: e.target.value })}
+              required
+              maxLength={200}
+              className="input"
+              placeholder="Database failover {date}"
+            />
+            <p className="text-xs text-muted mt-1">{'{date}'} and {'{time}'} are filled in (UTC) when the incident is created</p>
+          </div>
+          <div>
+            <label className="label">Severity</label>
+            <select
+              value={draft.severity}
+              onChange={(e) => updateDraft({ severity: e.target.value })}
+              className="select"
+            >
+              {SEVERITIES.map((severity) => (
+                <option key={severity} value={severity} className="capitalize">{severity}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="label">Incident Type</label>
+            <select
+              value={draft.incidentType}
+              onChange={(e) => updateDraft({ incidentType: e.target.value })}
+              className="select"
+            >
+              {workflows.map((workflow) => (
+                <option key={workflow.incidentType} value={workflow.incidentType}>{workflow.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div>
+          <label className="label">Description</label>
+          <textarea
+            value={draft.description}
+            onChange={(e) => updateDraft({ description: e.target.value })}
+            rows={2}
+            className="textarea"
+            placeholder="Default incident description"
+          />
+        </div>
+
+        {/* Checklist (order = order of the created action items) */}
+        <div>
+          <label className="label">Checklist</label>
+          <div className="space-y-2">
+            {draft.checklist.map((item, index) => (
+              <div key={index} className="flex items-center gap-2">
+                <span className="text-xs text-muted w-6 text-right">{index + 1}.</span>
+                <input
+                  type="text"
+                  value={item.text}
+                  onChange={(e) => updateChecklistRow(index, { text: e.target.value })}
+                  maxLength={500}
+                  className="input"
+                  placeholder="Promote the replica"
+                />
+                <select
+                  value={item.priority || 'medium'}
+                  onChange={(e) => updateChecklistRow(index, { priority: e.target.value })}
+                  className="select"
+                  style={{ width: '8rem' }}
+                >
+                  {ACTION_ITEM_PRIORITIES.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => moveChecklistRow(index, -1)}
+                  disabled={index === 0}
+                  className="btn btn--ghost btn--sm"
+                  title="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  onClick={() => moveChecklistRow(index, 1)}
+                  disabled={index === draft.checklist.length - 1}
+                  className="btn btn--ghost btn--sm"
+                  title="Move down"
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  onClick={() => updateDraft({ checklist: draft.checklist.filter((_, i) => i !== index) })}
+                  className="btn btn--ghost btn--sm"
+                  title="Remove step"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={() => updateDraft({ checklist: [...draft.checklist, { text: '', priority: 'medium' }] })}
+            className="btn btn--secondary btn--sm mt-2"
+          >
+            Add Step
+          </button>
+        </div>
+
+        {/* Runbook (markdown) */}
+        <div>
+          <div className="flex justify-between items-center">
+            <label className="label">Runbook</label>
+            <button type="button" onClick={() => setShowPreview(!showPreview)} className="btn btn--ghost btn--sm">
+              {showPreview ? 'Edit' : 'Preview'}
+            </button>
+          </div>
+          {showPreview ? (
+            <div className="p-4 rounded-lg border">
+              {draft.runbook.trim()
+                ? <Markdown source={draft.runbook} />
+                : <p className="text-sm text-muted italic">Nothing to preview</p>}
+            </div>
+          ) : (
+            <textarea
+              value={draft.runbook}
+              onChange={(e) => updateDraft({ runbook: e.target.value })}
+              rows={12}
+              maxLength={50000}
+              className="textarea font-mono"
+              placeholder={'## Before you start\n- Check replication lag\n\n## Failover\n1. ...'}
+            />
+          )}
+          <p className="text-xs text-muted mt-1">
+            Markdown: headings, lists, quotes, code, **bold**, *italic* and links
+          </p>
+        </div>
+
+        <div className="flex justify-between">
+          <div>
+            {!isNew && (
+              <button
+                type="button"
+                onClick={handleDelete}
+                disabled={isSaving}
+                className="btn btn--secondary text-red-500"
+              >
+                Delete Template
+              </button>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button type="button" onClick={onClose} className="btn btn--secondary">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving || !draft.name || !draft.titlePattern}
+              className="btn btn--primary"
+            >
+              {isSaving ? 'Saving...' : 'Save Template'}
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default TemplatesPage;
@@ -0,0 +1,492 @@
+/**
+ * Users Page (Admin)
+ * Everyone with an account: roles, sign-in activity and offboarding
+ *
+ * The TopBar search matches name or email on the server. Role changes
+ * reach the user's open tabs right away; the server refuses to demote
+ * or deactivate the last active administrator. Deactivating first shows
+ * what the user still holds (open incidents, action items) and hands it
+ * to someone else. Accounts locked after failed sign-ins can be unlocked
+ * early. Pending sign-ups and invite history live on /access.
+ */
+import { useState, useEffect, useRef } from 'react';
+import { Navigate, Link } from 'react-router-dom';
+import { useAuthStore } from '../stores';
+import { userApi } from '../services/api';
+import { AppLayout, RoleGate, InviteForm } from '../components';
+import { ROLES, canPerformAction, canWrite, getRoleLabel, getRoleColor } from '../utils/permissions';
+import { getIncidentRole } from '../utils/incidentRoles';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+const STATUS_FILTERS = [
+  { value: 'active', label: 'Active' },
+  { value: 'deactivated', label: 'Deactivated' },
+  { value: 'all', label: 'All' }
+];
+
+/**
+ * Label for what a user holds on an open incident
+ */
+const describeResponsibility = (value) => {
+  if (value === 'assignee') return 'Assignee';
+  if (value === 'pending_handoff') return 'Handoff offered';
+  return getIncidentRole(value)?.label || value;
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+/**
+ * Locked after too many failed sign-ins (until lockedUntil)
+ */
+const isLocked = (user) => Boolean(user.lockedUntil) && new Date(user.lockedUntil) > new Date();
+
+/**
+ * Account state shown in the Status column
+ */
+const getAccountState = (user) => {
+  if (user.anonymizedAt) return { label: 'Anonymized', color: '#6B7280' };
+  if (user.status === 'deactivated') return { label: 'Deactivated', color: '#6B7280' };
+  if (isLocked(user)) return { label: 'Locked', color: '#F59E0B' };
+  return { label: 'Active', color: '#22C55E' };
+};
+
+export function UsersPage() {
+  return (
+    <RoleGate allowedRoles={['admin']} fallback={<Navigate to="/incidents" replace />}>
+      <UserDirectory />
+    </RoleGate>
+  );
+}
+
+function UserDirectory() {
+  const currentUser = useAuthStore((state) => state.user);
+  const canManage = canPerformAction(currentUser?.role, 'user.manage');
+
+  const [users, setUsers] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const [searchQuery, setSearchQuery] = useState('');
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+  const [status, setStatus] = useState('active');
+  const [showInvite, setShowInvite] = useState(false);
+  const [deactivating, setDeactivating] = useState(null); // user being offboarded
+
+  // Ignore responses for queries that have since changed
+  const queryVersion = useRef(0);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedQuery(searchQuery.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  useEffect(() => {
+    const version = ++queryVersion.current;
+    setIsLoading(true);
+
+    userApi.list({ q: debouncedQuery, status, sessions: true })
+      .then(({ users }) => {
+        if (version === queryVersion.current) setUsers(users);
+      })
+      .catch((err) => {
+        if (version === queryVersion.current) setError(err.message);
+      })
+      .finally(() => {
+        if (version === queryVersion.current) setIsLoading(false);
+      });
+  }, [debouncedQuery, status]);
+
+  // Keep session info, which plain user responses don't carry
+  const replaceUser = (user) => {
+    setUsers((list) => list.map((u) => (u._id === user._id ? { ...u, ...user } : u)));
+  };
+
+  const handleRoleChange = async (user, role) => {
+    setError(null);
+    setNotice(null);
+    try {
+      const { user: updated } = await userApi.updateRole(user._id, role);
+      replaceUser(updated);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleReactivate = async (user) => {
+    setError(null);
+    setNotice(null);
+    try {
+      const { user: updated } = await userApi.reactivate(user._id);
+      replaceUser(updated);
+      setNotice(`${updated.name} can sign in again.`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleUnlock = async (user) => {
+    setError(null);
+    setNotice(null);
+    try {
+      const { user: updated } = await userApi.unlock(user._id);
+      replaceUser(updated);
+      setNotice(`${updated.name} can sign in again.`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRevokeSessions = async (user) => {
+    if (!window.confirm(`Sign ${user.name} out on every device?`)) return;
+
+    setError(null);
+    setNotice(null);
+    try {
+      const { revoked } = await userApi.revokeSessions(user._id);
+      setUsers((list) => list.map((u) => (
+        u._id === user._id ? { ...u, sessions: { active: 0, lastActiveAt: u.sessions.lastActiveAt } } : u
+      )));
+      setNotice(`Signed ${user.name} out of ${revoked} session${revoked === 1 ? '' : 's'}.`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeactivated = ({ user, reassigned }) => {
+    setDeactivating(null);
+    setUsers((list) => (
+      status === 'active'
+        ? list.filter((u) => u._id !== user._id)
+        : list.map((u) => (u._id === user._id ? { ...u, ...user, sessions: { ...u.sessions, active: 0 } } : u))
+    ));
+
+    const handed = reassigned.incidents + reassigned.actionItems + reassigned.integrations;
+    setNotice(
+      handed > 0
+        ? `${user.name} was deactivated; ${reassigned.incidents} incident(s), ${reassigned.actionItems} action item(s) and ${reassigned.integrations} integration(s) were handed over.`
+        : `${user.name} was deactivated.`
+    );
+  };
+
+  return (
+    <AppLayout
+      title="Users"
+      searchQuery={searchQuery}
+      onSearchChange={setSearchQuery}
+      searchPlaceholder="Search by name or email..."
+    >
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-primary">Users</h2>
+        <div className="flex items-center gap-2">
+          <select value={status} onChange={(e) => setStatus(e.target.value)} className="select">
+            {STATUS_FILTERS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <Link to="/access" className="btn btn--ghost">Pending sign-ups</Link>
+          <button onClick={() => setShowInvite(!showInvite)} className="btn btn--primary">
+            {showInvite ? 'Close' : 'Invite User'}
+          </button>
+        </div>
+      </div>
+
+      {showInvite && <InviteForm />}
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      {notice && (
+        <div className="panel mb-4 flex justify-between items-center">
+          <p className="text-sm text-secondary">{notice}</p>
+          <button onClick={() => setNotice(null)} className="btn btn--ghost btn--sm">Dismiss</button>
+        </div>
+      )}
+
+      {isLoading && users.length === 0 ? (
+        <div className="text-center py-8 text-secondary">
+          <div className="animate-spin inline-block w-8 h-8 border-2 border-accent border-t-transparent rounded-full mb-4"></div>
+          <p>Loading users...</p>
+        </div>
+      ) : users.length === 0 ? (
+        <div className="empty-state">
+          <p className="empty-state__title">No users found</p>
+          <p className="empty-state__description">
+            {debouncedQuery ? 'Try a different name or email.' : 'Invite someone to get started.'}
+          </p>
+        </div>
+      ) : (
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Role</th>
+                <th>Status</th>
+                <th>Last login</th>
+                <th>Sessions</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((user) => {
+                const isSelf = user._id === currentUser?._id;
+                const isActive = user.status !== 'deactivated';
+                const state = getAccountState(user);
+
+                return (
+                  <tr key={user._id}>
+                    <td>
+                      <p className="font-medium">
+                        {user.name}
+                        {isSelf && <span className="text-xs text-muted"> (you)</span>}
+                      </p>
+                      <p className="text-secondary text-sm">{user.email}</p>
+                    </td>
+                    <td>
+                      {canManage && isActive && !isSelf ? (
+                        <select
+                          value={user.role}
+                          onChange={(e) => handleRoleChange(user, e.target.value)}
+                          className="select"
+                        >
+                          {ROLES.map((role) => (
+                            <option key={role} value={role}>{getRoleLabel(role)}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <span
+                          className="badge"
+                          style={{ backgroundColor: `${getRoleColor(user.role)}20`, color: getRoleColor(user.role) }}
+                        >
+                          {getRoleLabel(user.role)}
+                        </span>
+                      )}
+                    </td>
+                    <td>
+                      <span className="badge" style={{ backgroundColor: `${state.color}20`, color: state.color }}>
+                        {state.label}
+                      </span>
+                      {isActive && isLocked(user) && (
+                        <p className="text-xs text-muted mt-1">Until {formatDate(user.lockedUntil)}</p>
+                      )}
+                    </td>
+                    <td className="text-secondary text-sm">{formatDate(user.lastLoginAt)}</td>
+                    <td className="text-secondary text-sm">
+                      {user.sessions.active > 0 ? (
+                        <>
+                          <p>{user.sessions.active} active</p>
+                          <p className="text-xs text-muted">Last active {formatDate(user.sessions.lastActiveAt)}</p>
+                        </>
+                      ) : (
+                        'None'
+                      )}
+                    </td>
+                    <td>
+                      {canManage && !isSelf && (
+                        <div className="flex gap-2">
+                          {isActive && isLocked(user) && (
+                            <button onClick={() => handleUnlock(user)} className="btn btn--ghost btn--sm">
+                              Unlock
+                            </button>
+                          )}
+                          {isActive && user.sessions.active > 0 && (
+                            <button onClick={() => handleRevokeSessions(user)} className="btn btn--ghost btn--sm">
+                              Sign out
+                            </button>
+                          )}
+                          {isActive ? (
+                            <button onClick={() => setDeactivating(user)} className="btn btn--ghost btn--sm">
+                              Deactivate
+                            </button>
+                          ) : !user.anonymizedAt && (
+                            <button onClick={() => handleReactivate(user)} className="btn btn--ghost btn--sm">
+                              Reactivate
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {deactivating && (
+        <DeactivateUserModal
+          user={deactivating}
+          onClose={() => setDeactivating(null)}
+          onDeactivated={handleDeactivated}
+        />
+      )}
+    </AppLayout>
+  );
+}
+
+/**
+ * Offboarding dialog: shows what the user holds, picks who takes it over
+ */
+function DeactivateUserModal({ user, onClose, onDeactivated }) {
+  const [plan, setPlan] = useState(null); // { incidents, actionItems, integrations }
+  const [candidates, setCandidates] = useState([]);
+  const [reassignTo, setReassignTo] = useState('');
+  const [anonymize, setAnonymize] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    Promise.all([userApi.offboarding(user._id), userApi.list({})])
+      .then(([{ offboarding }, { users }]) => {
+        setPlan(offboarding);
+        // Work can only be handed to responders and administrators
+        setCandidates(users.filter((u) => u._id !== user._id && canWrite(u.role)));
+      })
+      .catch((err) => setError(err.message));
+  }, [user._id]);
+
+  // Integrations may be left without a commander; incidents and action items need a successor
+  const needsSuccessor = plan && (plan.incidents.length > 0 || plan.actionItems.length > 0);
+  const holdsAnything = needsSuccessor || (plan && plan.integrations.length > 0);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (anonymize && !window.confirm(`Erase ${user.name}'s name and email? This cannot be undone.`)) return;
+
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const result = await userApi.deactivate(user._id, { reassignTo: reassignTo || undefined, anonymize });
+      onDeactivated(result);
+    } catch (err) {
+      setError(err.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal">
+        <div className="modal__header">
+          <h3 className="modal__title">Deactivate {user.name}</h3>
+          <button onClick={onClose} className="modal__close">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+            {error}
+          </div>
+        )}
+
+        {!plan ? (
+          !error && <p className="text-secondary py-4">Checking open responsibilities...</p>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <p className="text-sm text-secondary">
+              They are signed out everywhere and can no longer sign in. Their past timeline entries keep their name.
+            </p>
+
+            {holdsAnything ? (
+              <>
+                {plan.incidents.length > 0 && (
+                  <div>
+                    <label className="label">Open incidents</label>
+                    <ul className="space-y-1 text-sm">
+                      {plan.incidents.map((incident) => (
+                        <li key={incident._id}>
+                          <Link to={`/incidents/${incident._id}`} className="text-accent">{incident.title}</Link>
+                          <span className="text-muted"> · {incident.responsibilities.map(describeResponsibility).join(', ')}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {plan.actionItems.length > 0 && (
+                  <div>
+                    <label className="label">Open action items</label>
+                    <ul className="space-y-1 text-sm">
+                      {plan.actionItems.map((item) => (
+                        <li key={item._id} className="text-secondary">
+                          {item.text}
+                          {item.incidentId?.title && <span className="text-muted"> · {item.incidentId.title}</span>}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {plan.integrations.length > 0 && (
+                  <div>
+                    <label className="label">Commands alerts from</label>
+                    <ul className="space-y-1 text-sm">
+                      {plan.integrations.map((integration) => (
+                        <li key={integration._id} className="text-secondary">{integration.name}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                <div>
+                  <label className="label">Hand everything over to{needsSuccessor && ' *'}</label>
+                  <select
+                    value={reassignTo}
+                    onChange={(e) => setReassignTo(e.target.value)}
+                    required={needsSuccessor}
+                    className="select"
+                  >
+                    <option value="">
+                      {needsSuccessor ? 'Choose a responder or administrator' : 'Nobody (alert incidents open without a commander)'}
+                    </option>
+                    {candidates.map((candidate) => (
+                      <option key={candidate._id} value={candidate._id}>
+                        {candidate.name} ({getRoleLabel(candidate.role)})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </>
+            ) : (
+              <p className="text-sm text-muted italic">No open incidents, action items or integrations to hand over.</p>
+            )}
+
+            <label className="flex items-center gap-2 text-sm text-secondary">
+              <input
+                type="checkbox"
+                checked={anonymize}
+                onChange={(e) => setAnonymize(e.target.checked)}
+                style={{ accentColor: 'var(--accent-primary)' }}
+              />
+              Also erase name and email (cannot be reactivated)
+            </label>
+
+            <div className="modal__footer">
+              <button type="button" onClick={onClose} className="btn btn--secondary">
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting || (needsSuccessor && !reassignTo)}
+                className="btn btn--danger"
+              >
+                {isSubmitting ? 'Deactivating...' : 'Deactivate'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default UsersPage;
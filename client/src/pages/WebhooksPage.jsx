@@ -0,0 +1,453 @@
+/**
+ * Webhooks Page (Admin)
+ * Push incident lifecycle events to other tools
+ *
+ * Each subscription has a URL, an event filter (none = every event)
+ * and a signing secret. The secret is shown once, right after the
+ * subscription is created; receivers use it to verify the
+ * X-Webhook-Signature header.
+ *
+ * Selecting a subscription shows its delivery log; any delivery can
+ * be sent again with "Redeliver" (same payload, new delivery ID).
+ */
+import { useState, useEffect } from 'react';
+import { Navigate } from 'react-router-dom';
+import { useAuthStore } from '../stores';
+import { webhookApi } from '../services/api';
+import { AppLayout } from '../components';
+
+const DELIVERY_STATUS_COLORS = {
+  pending: '#F59E0B',
+  succeeded: '#10B981',
+  failed: '#EF4444'
+};
+
+const EMPTY_FORM = { name: '', url: '', events: [] };
+
+export function WebhooksPage() {
+  const isAdmin = useAuthStore((state) => state.isAdmin());
+
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const [showForm, setShowForm] = useState(false);
+  const [createdSecret, setCreatedSecret] = useState(null); // { name, secret } after create
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+
+    webhookApi.list()
+      .then(({ subscriptions, events }) => {
+        setSubscriptions(subscriptions);
+        setEvents(events);
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setIsLoading(false));
+  }, [isAdmin]);
+
+  if (!isAdmin) {
+    return <Navigate to="/incidents" replace />;
+  }
+
+  const replaceSubscription = (subscription) => {
+    setSubscriptions((list) => list.map((s) => (s._id === subscription._id ? subscription : s)));
+  };
+
+  const handleCreated = ({ subscription, secret }) => {
+    setSubscriptions((list) => [subscription, ...list]);
+    setCreatedSecret({ name: subscription.name, secret });
+    setShowForm(false);
+  };
+
+  const handleToggleActive = async (subscription) => {
+    setError(null);
+    try {
+      const { subscription: updated } = await webhookApi.update(subscription._id, { active: !subscription.active });
+      replaceSubscription(updated);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (subscription) => {
+    if (!window.confirm(`Delete webhook "${subscription.name}" and its delivery log?`)) return;
+
+    setError(null);
+    try {
+      await webhookApi.remove(subscription._id);
+      setSubscriptions((list) => list.filter((s) => s._id !== subscription._id));
+      if (selectedId === subscription._id) setSelectedId(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const selected = subscriptions.find((s) => s._id === selectedId);
+
+  return (
+    <AppLayout title="Webhooks">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-primary">Outbound Webhooks</h2>
+        <button onClick={() => setShowForm(true)} className="btn btn--primary">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M12 4v16m8-8H4" />
+          </svg>
+          New Webhook
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      {createdSecret && (
+        <div className="panel mb-4">
+          <div className="flex justify-between items-start gap-4">
+            <div className="min-w-0">
+              <p className="font-medium text-primary mb-1">Signing secret for "{createdSecret.name}"</p>
+              <p className="text-xs text-muted mb-2">Copy it now: it will not be shown again.</p>
+              <code className="font-mono text-sm text-accent break-all">{createdSecret.secret}</code>
+            </div>
+            <button onClick={() => setCreatedSecret(null)} className="btn btn--ghost btn--sm">Dismiss</button>
+          </div>
+        </div>
+      )}
+
+      {showForm && (
+        <SubscriptionForm
+          events={events}
+          onCreated={handleCreated}
+          onClose={() => setShowForm(false)}
+        />
+      )}
+
+      {isLoading ? (
+        <div className="text-center py-8 text-secondary">
+          <div className="animate-spin inline-block w-8 h-8 border-2 border-accent border-t-transparent rounded-full mb-4"></div>
+          <p>Loading webhooks...</p>
+        </div>
+      ) : subscriptions.length === 0 ? (
+        <div className="empty-state">
+          <p className="empty-state__title">No webhooks yet</p>
+          <p className="empty-state__description">Send incident events to chat, paging or ticketing tools.</p>
+        </div>
+      ) : (
+        <div className="table-container mb-6">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>URL</th>
+                <th>Events</th>
+                <th>Active</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {subscriptions.map((subscription) => (
+                <tr
+                  key={subscription._id}
+                  onClick={() => setSelectedId(subscription._id)}
+                  className="cursor-pointer"
+                >
+                  <td className="font-medium">{subscription.name}</td>
+                  <td className="text-secondary font-mono text-sm break-all">{subscription.url}</td>
+                  <td className="text-secondary text-sm">
+                    {subscription.events.length === 0 ? 'All events' : subscription.events.join(', ')}
+                  </td>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={subscription.active}
+                      onClick={(e) => e.stopPropagation()}
+                      onChange={() => handleToggleActive(subscription)}
+                      style={{ accentColor: 'var(--accent-primary)' }}
+                    />
+                  </td>
+                  <td>
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleDelete(subscription);
+                      }}
+                      className="btn btn--ghost btn--sm"
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {selected && (
+        <DeliveryLog
+          key={selected._id}
+          subscription={selected}
+          onClose={() => setSelectedId(null)}
+        />
+      )}
+    </AppLayout>
+  );
+}
+
+/**
+ * Create form: name, URL and event filter
+ */
+function SubscriptionForm({ events, onCreated, onClose }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const toggleEvent = (event) => {
+    setForm((prev) => ({
+      ...prev,
+      events: prev.events.includes(event)
+        ? prev.events.filter((e) => e !== event)
+        : [...prev.events, event]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    try {
+      onCreated(await webhookApi.create(form));
+    } catch (err) {
+      setError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="panel mb-4">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-primary">New Webhook</h3>
+        <button onClick={onClose} className="btn btn--ghost btn--sm">Close</button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="label">Name *</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              required
+              className="input"
+              placeholder="Ops chat"
+            />
+          </div>
+          <div>
+            <label className="label">URL *</label>
+            <input
+              type="url"
+              value={form.url}
+              onChange={(e) => setForm({ ...form, url: e.target.value })}
+              required
+              className="input font-mono"
+              placeholder="https://example.com/hooks/incidents"
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="label">Events (none selected = all events)</label>
+          <div className="flex flex-wrap gap-4">
+            {events.map((event) => (
+              <label key={event} className="flex items-center gap-2 text-sm text-secondary">
+                <input
+                  type="checkbox"
+                  checked={form.events.includes(event)}
+                  onChange={() => toggleEvent(event)}
+                  style={{ accentColor: 'var(--accent-primary)' }}
+                />
+                <span className="font-mono">{event}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex justify-end">
+          <button type="submit" disabled={isSaving} className="btn btn--primary">
+            {isSaving ? 'Creating...' : 'Create Webhook'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+/**
+ * Delivery log of one subscription with redeliver
+ */
+function DeliveryLog({ subscription, onClose }) {
+  const [deliveries, setDeliveries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = async (cursor) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const page = await webhookApi.deliveries(subscription._id, { cursor });
+      setDeliveries((list) => (cursor ? [...list, ...page.deliveries] : page.deliveries));
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load(null);
+  }, [subscription._id]);
+
+  const handleRedeliver = async (delivery) => {
+    setError(null);
+    try {
+      const { delivery: queued } = await webhookApi.redeliver(subscription._id, delivery._id);
+      setDeliveries((list) => [queued, ...list]);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="panel">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-primary">Deliveries: {subscription.name}</h3>
+        <div className="flex gap-2">
+          <button onClick={() => load(null)} disabled={isLoading} className="btn btn--ghost btn--sm">Refresh</button>
+          <button onClick={onClose} className="btn btn--ghost btn--sm">Close</button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      {!isLoading && deliveries.length === 0 ? (
+        <p className="text-sm text-muted italic">No deliveries yet</p>
+      ) : (
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Event</th>
+              <th>Status</th>
+              <th>Attempts</th>
+              <th>Last response</th>
+              <th>Created</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {deliveries.map((delivery) => (
+              <DeliveryRow
+                key={delivery._id}
+                delivery={delivery}
+                isExpanded={expandedId === delivery._id}
+                onToggle={() => setExpandedId(expandedId === delivery._id ? null : delivery._id)}
+                onRedeliver={() => handleRedeliver(delivery)}
+              />
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {nextCursor && (
+        <div className="text-center mt-4">
+          <button onClick={() => load(nextCursor)} disabled={isLoading} className="btn btn--secondary">
+            {isLoading ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * One delivery; expands to show the payload and response
+ */
+function DeliveryRow({ delivery, isExpanded, onToggle, onRedeliver }) {
+  const color = DELIVERY_STATUS_COLORS[delivery.status];
+
+  return (
+    <>
+      <tr onClick={onToggle} className="cursor-pointer">
+        <td className="font-mono text-sm">
+          {delivery.event}
+          {delivery.redeliveryOf && <span className="text-xs text-muted"> (redelivery)</span>}
+        </td>
+        <td>
+          <span className="badge" style={{ backgroundColor: `${color}20`, color }}>
+            {delivery.status}
+          </span>
+        </td>
+        <td className="text-secondary">{delivery.attempts}</td>
+        <td className="text-secondary text-sm">
+          {delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : delivery.error || '—'}
+          {delivery.status === 'pending' && delivery.attempts > 0 && (
+            <div className="text-xs text-muted">
+              Next attempt {new Date(delivery.nextAttemptAt).toLocaleTimeString()}
+            </div>
+          )}
+        </td>
+        <td className="text-secondary text-sm">{new Date(delivery.createdAt).toLocaleString()}</td>
+        <td>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onRedeliver();
+            }}
+            className="btn btn--ghost btn--sm"
+          >
+            Redeliver
+          </button>
+        </td>
+      </tr>
+      {isExpanded && (
+        <tr>
+          <td colSpan={6}>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <p className="label">Payload</p>
+                <pre className="text-xs text-secondary whitespace-pre-wrap break-all">
+                  {JSON.stringify(delivery.payload, null, 2)}
+                </pre>
+              </div>
+              <div>
+                <p className="label">Response</p>
+                <pre className="text-xs text-secondary whitespace-pre-wrap break-all">
+                  {delivery.responseBody || delivery.error || 'No response yet'}
+                </pre>
+              </div>
+            </div>
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
+
+export default WebhooksPage;
@@ -0,0 +1,432 @@
+/**
+ * Workflows Page (Admin)
+ * Define incident types and their status state machines
+ *
+ * Each workflow lists ordered statuses, which statuses can follow
+ * each one, the status new incidents start in and which statuses
+ * resolve the incident. The server validates every definition and
+ * refuses to drop statuses still used by incidents, or to change
+ * whether they resolve them.
+ */
+import { useState } from 'react';
+import { Navigate } from 'react-router-dom';
+import { useAuthStore } from '../stores';
+import { useWorkflow } from '../hooks';
+import { loadWorkflows } from '../hooks/useWorkflow';
+import { workflowApi } from '../services/api';
+import { AppLayout } from '../components';
+
+const DEFAULT_STATUS_COLOR = '#6B7280';
+
+// Starting point for a brand new incident type
+const EMPTY_DRAFT = {
+  incidentType: '',
+  name: '',
+  description: '',
+  statuses: [
+    { value: 'open', label: 'Open', color: '#EF4444', terminal: false },
+    { value: 'closed', label: 'Closed', color: '#10B981', terminal: true }
+  ],
+  transitions: { open: ['closed'], closed: ['open'] },
+  initialStatus: 'open'
+};
+
+/**
+ * Convert a served definition into an editable draft
+ */
+const toDraft = (workflow) => ({
+  incidentType: workflow.incidentType,
+  name: workflow.name,
+  description: workflow.description || '',
+  statuses: workflow.statuses.map((s) => ({ ...s })),
+  transitions: Object.fromEntries(
+    Object.entries(workflow.transitions).map(([from, targets]) => [from, [...targets]])
+  ),
+  initialStatus: workflow.initialStatus
+});
+
+/**
+ * Convert a draft into the request body the server expects
+ */
+const toPayload = (draft) => {
+  const values = draft.statuses.map((s) => s.value);
+  return {
+    incidentType: draft.incidentType,
+    name: draft.name,
+    description: draft.description,
+    statuses: draft.statuses.map(({ value, label, color }) => ({ value, label, color })),
+    // Drop transitions that reference removed statuses
+    transitions: Object.fromEntries(
+      values.map((from) => [
+        from,
+        (draft.transitions[from] || []).filter((to) => values.includes(to) && to !== from)
+      ])
+    ),
+    initialStatus: draft.initialStatus,
+    terminalStatuses: draft.statuses.filter((s) => s.terminal).map((s) => s.value)
+  };
+};
+
+export function WorkflowsPage() {
+  const isAdmin = useAuthStore((state) => state.isAdmin());
+  const { workflows, isLoading } = useWorkflow();
+
+  // null = nothing open, '' = new workflow, otherwise the incidentType being edited
+  const [editing, setEditing] = useState(null);
+
+  if (!isAdmin) {
+    return <Navigate to="/incidents" replace />;
+  }
+
+  const editingWorkflow = workflows.find((w) => w.incidentType === editing);
+
+  return (
+    <AppLayout title="Workflows">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-primary">Incident Workflows</h2>
+        <button onClick={() => setEditing('')} className="btn btn--primary">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M12 4v16m8-8H4" />
+          </svg>
+          New Workflow
+        </button>
+      </div>
+
+      {isLoading && workflows.length === 0 ? (
+        <div className="text-center py-8 text-secondary">
+          <div className="animate-spin inline-block w-8 h-8 border-2 border-accent border-t-transparent rounded-full mb-4"></div>
+          <p>Loading workflows...</p>
+        </div>
+      ) : (
+        <div className="table-container mb-6">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Incident Type</th>
+                <th>Statuses</th>
+                <th>Updated</th>
+              </tr>
+            </thead>
+            <tbody>
+              {workflows.map((workflow) => (
+                <tr
+                  key={workflow.incidentType}
+                  onClick={() => setEditing(workflow.incidentType)}
+                  className="cursor-pointer"
+                >
+                  <td>
+                    <div className="font-medium">{workflow.name}</div>
+                    {workflow.description && (
+                      <div className="text-xs text-muted">{workflow.description}</div>
+                    )}
+                  </td>
+                  <td className="text-secondary font-mono text-sm">{workflow.incidentType}</td>
+                  <td>
+                    <div className="flex flex-wrap gap-1">
+                      {workflow.statuses.map((status) => (
+                        <span
+                          key={status.value}
+                          className="badge"
+                          style={{ backgroundColor: `${status.color}20`, color: status.color }}
+                        >
+                          {status.label}
+                        </span>
+                      ))}
+                    </div>
+                  </td>
+                  <td className="text-secondary text-sm">
+                    {workflow.updatedAt ? new Date(workflow.updatedAt).toLocaleString() : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {editing !== null && (
+        <WorkflowEditor
+          key={editing || 'new'}
+          workflow={editingWorkflow}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </AppLayout>
+  );
+}
+
+/**
+ * Create/edit form for one workflow
+ */
+function WorkflowEditor({ workflow, onClose }) {
+  const isNew = !workflow;
+  const [draft, setDraft] = useState(() => (isNew ? EMPTY_DRAFT : toDraft(workflow)));
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const values = draft.statuses.map((s) => s.value).filter(Boolean);
+
+  const updateDraft = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+
+  const updateStatusRow = (index, changes) => {
+    setDraft((prev) => {
+      const statuses = prev.statuses.map((s, i) => (i === index ? { ...s, ...changes } : s));
+      const previousValue = prev.statuses[index].value;
+
+      // Renaming a status value carries its transitions along
+      if (changes.value !== undefined && changes.value !== previousValue) {
+        const rename = (v) => (v === previousValue ? changes.value : v);
+        const transitions = Object.fromEntries(
+          Object.entries(prev.transitions).map(([from, targets]) => [rename(from), targets.map(rename)])
+        );
+        return {
+          ...prev,
+          statuses,
+          transitions,
+          initialStatus: rename(prev.initialStatus)
+        };
+      }
+
+      return { ...prev, statuses };
+    });
+  };
+
+  const addStatusRow = () => {
+    updateDraft({
+      statuses: [...draft.statuses, { value: '', label: '', color: DEFAULT_STATUS_COLOR, terminal: false }]
+    });
+  };
+
+  const removeStatusRow = (index) => {
+    updateDraft({ statuses: draft.statuses.filter((_, i) => i !== index) });
+  };
+
+  const toggleTransition = (from, to) => {
+    const current = draft.transitions[from] || [];
+    const next = current.includes(to) ? current.filter((v) => v !== to) : [...current, to];
+    updateDraft({ transitions: { ...draft.transitions, [from]: next } });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const payload = toPayload(draft);
+      if (isNew) {
+        await workflowApi.create(payload);
+      } else {
+        await workflowApi.update(workflow.incidentType, payload);
+      }
+      await loadWorkflows();
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the "${workflow.name}" workflow?`)) return;
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      await workflowApi.remove(workflow.incidentType);
+      await loadWorkflows();
+      onClose();
+    } catch (err) {
+      setError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="panel">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-primary">
+          {isNew ? 'New Workflow' : `Edit ${workflow.name}`}
+        </h3>
+        <button onClick={onClose} className="btn btn--ghost btn--sm">Close</button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-500 px-4 py-3 rounded-lg mb-4">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="label">Name *</label>
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => updateDraft({ name: e.target.value })}
+              required
+              className="input"
+              placeholder="Security Incident"
+            />
+          </div>
+          <div>
+            <label className="label">Incident Type *</label>
+            <input
+              type="text"
+              value={draft.incidentType}
+              onChange={(e) => updateDraft({ incidentType: e.target.value.toLowerCase() })}
+              required
+              disabled={!isNew}
+              pattern="[a-z][a-z0-9_]*"
+              className="input font-mono"
+              placeholder="security"
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="label">Description</label>
+          <input
+            type="text"
+            value={draft.description}
+            onChange={(e) => updateDraft({ description: e.target.value })}
+            className="input"
+          />
+        </div>
+
+        {/* Statuses (display order = progression order) */}
+        <div>
+          <label className="label">Statuses</label>
+          <div className="space-y-2">
+            {draft.statuses.map((status, index) => (
+              <div key={index} className="flex items-center gap-2">
+                <input
+                  type="color"
+                  value={status.color}
+                  onChange={(e) => updateStatusRow(index, { color: e.target.value })}
+                  className="w-10 h-9 rounded"
+                  title="Color"
+                />
+                <input
+                  type="text"
+                  value={status.value}
+                  onChange={(e) => updateStatusRow(index, { value: e.target.value.toLowerCase() })}
+                  required
+                  pattern="[a-z][a-z0-9_]*"
+                  className="input font-mono"
+                  placeholder="value"
+                />
+                <input
+                  type="text"
+                  value={status.label}
+                  onChange={(e) => updateStatusRow(index, { label: e.target.value })}
+                  required
+                  className="input"
+                  placeholder="Label"
+                />
+                <label className="flex items-center gap-1 text-sm text-secondary whitespace-nowrap">
+                  <input
+                    type="checkbox"
+                    checked={status.terminal}
+                    onChange={(e) => updateStatusRow(index, { terminal: e.target.checked })}
+                  />
+                  Resolves
+                </label>
+                <button
+                  type="button"
+                  onClick={() => removeStatusRow(index)}
+                  disabled={draft.statuses.length <= 2}
+                  className="btn btn--ghost btn--sm"
+                  title="Remove status"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+          <button type="button" onClick={addStatusRow} className="btn btn--secondary btn--sm mt-2">
+            Add Status
+          </button>
+        </div>
+
+        <div>
+          <label className="label">Initial Status</label>
+          <select
+            value={draft.initialStatus}
+            onChange={(e) => updateDraft({ initialStatus: e.target.value })}
+            className="select"
+          >
+            {values.map((value) => (
+              <option key={value} value={value}>{value}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Transition matrix: row = from, column = to */}
+        <div>
+          <label className="label">Allowed Transitions</label>
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>From \ To</th>
+                  {values.map((to) => <th key={to}>{to}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {values.map((from) => (
+                  <tr key={from}>
+                    <td className="font-mono text-sm">{from}</td>
+                    {values.map((to) => (
+                      <td key={to}>
+                        {from !== to && (
+                          <input
+                            type="checkbox"
+                            checked={(draft.transitions[from] || []).includes(to)}
+                            onChange={() => toggleTransition(from, to)}
+                          />
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        <div className="flex justify-between">
+          <div>
+            {!isNew && workflow.incidentType !== 'default' && (
+              <button
+                type="button"
+                onClick={handleDelete}
+                disabled={isSaving}
+                className="btn btn--secondary text-red-500"
+              >
+                Delete Workflow
+              </button>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button type="button" onClick={onClose} className="btn btn--secondary">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving || !draft.name || !draft.incidentType}
+              className="btn btn--primary"
+            >
+              {isSaving ? 'Saving...' : 'Save Workflow'}
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default WorkflowsPage;
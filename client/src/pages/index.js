@@ -2,5 +2,20 @@
  * Page Exports
  */
 export { LoginPage } from './LoginPage';
+export { AcceptInvitePage } from './AcceptInvitePage';
 export { IncidentListPage } from './IncidentListPage';
 export { IncidentDetailPage } from './IncidentDetailPage';
+export { WorkflowsPage } from './WorkflowsPage';
+export { TemplatesPage } from './TemplatesPage';
+export { ServicesPage } from './ServicesPage';
+export { ServiceDetailPage } from './ServiceDetailPage';
+export { PostmortemPage } from './PostmortemPage';
+export { ActionItemsPage } from './ActionItemsPage';
+export { WebhooksPage } from './WebhooksPage';
+export { IntegrationsPage } from './IntegrationsPage';
+export { StatusComponentsPage } from './StatusComponentsPage';
+export { UsersPage } from './UsersPage';
+export { AccessPage } from './AccessPage';
+export { SessionsPage } from './SessionsPage';
+export { StatusPage } from './StatusPage';
+export { PublicIncidentPage } from './PublicIncidentPage';
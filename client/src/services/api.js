@@ -4,19 +4,83 @@
  *
  * All API calls go through this service to:
  * - Automatically attach auth token
+ * - Refresh an expired access token once and retry
  * - Handle errors consistently
  * - Provide type-safe responses
  */
+import { useAuthStore } from '../stores';
 
 const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
 
 /**
- * Make authenticated API request
+ * Read persisted auth state (matches authStore persistence)
+ * Read from localStorage, not the store, so tokens rotated by another
+ * tab are picked up
  */
-const request = async (endpoint, options = {}) => {
-  // Get token from localStorage (matches authStore persistence)
+const readStoredAuth = () => {
   const authData = localStorage.getItem('auth-storage');
-  const token = authData ? JSON.parse(authData)?.state?.token : null;
+  return authData ? JSON.parse(authData)?.state || {} : {};
+};
+
+// Shared by concurrent 401s so the refresh token is only spent once
+let refreshPromise = null;
+
+/**
+ * Swap the refresh token for a new token pair
+ * Signs out locally only when the refresh token is rejected (401/403)
+ * @returns {Promise<boolean>} - Whether a new access token is available
+ * @throws {Error} - Rate limited (429, details.retryAfter), server or
+ *   network error: the session is kept for a later attempt
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const { refreshToken } = readStoredAuth();
+      if (!refreshToken) return false;
+
+      const response = await fetch(`${API_BASE}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      });
+
+      if (response.ok) {
+        useAuthStore.getState().setTokens(await response.json());
+        return true;
+      }
+
+      // Another tab may have rotated the token first
+      if (readStoredAuth().refreshToken !== refreshToken) {
+        await useAuthStore.persist.rehydrate();
+        return true;
+      }
+
+      if (response.status === 401 || response.status === 403) {
+        useAuthStore.getState().logout();
+        return false;
+      }
+
+      const data = await response.json().catch(() => ({}));
+      const error = new Error(data.error || 'Could not refresh the session');
+      error.status = response.status;
+      error.details = {
+        ...data.details,
+        retryAfter: data.details?.retryAfter || Number(response.headers.get('Retry-After')) || undefined
+      };
+      throw error;
+    })()
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+/**
+ * Make authenticated API request
+ */
+const request = async (endpoint, options = {}, isRetry = false) => {
+  const { token, refreshToken } = readStoredAuth();
 
   const headers = {
     'Content-Type': 'application/json',
@@ -32,20 +96,48 @@ const request = async (endpoint, options = {}) => {
     headers
   });
 
-  const data = await response.json();
+  // Access token expired or session revoked: refresh once, then retry
+  if (response.status === 401 && token && refreshToken && !isRetry) {
+    if (await refreshAccessToken()) {
+      return request(endpoint, options, true);
+    }
+  }
+
+  // 204 No Content (e.g. deletes) has no body to parse
+  const data = response.status === 204 ? {} : await response.json();
 
   if (!response.ok) {
-    throw new Error(data.error || 'Request failed');
+    // Keep status and structured details (e.g. allowed transitions on 409)
+    const error = new Error(data.error || 'Request failed');
+    error.status = response.status;
+    error.details = data.details;
+    throw error;
   }
 
   return data;
 };
 
+/**
+ * Build a query string, dropping empty values so they don't
+ * reach the server as "undefined"
+ */
+const toParams = (query) => new URLSearchParams(
+  Object.entries(query).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
 // ─────────────────────────────────────────
 // AUTH ENDPOINTS
 // ─────────────────────────────────────────
 
 export const authApi = {
+  /**
+   * Whether self-registration is open ({ registration: { open } })
+   */
+  registration: () => request('/auth/registration'),
+
+  /**
+   * Returns { user, pending: true }: no token until an admin approves the sign-up
+   */
   register: (userData) =>
     request('/auth/register', {
       method: 'POST',
@@ -58,7 +150,39 @@ export const authApi = {
       body: JSON.stringify(credentials)
     }),
 
-  me: () => request('/auth/me')
+  me: () => request('/auth/me'),
+
+  /**
+   * End this session on the server (works with an expired access token)
+   */
+  logout: (refreshToken) =>
+    request('/auth/logout', {
+      method: 'POST',
+      body: JSON.stringify({ refreshToken })
+    }),
+
+  listSessions: () => request('/auth/sessions'),
+
+  revokeSession: (id) =>
+    request(`/auth/sessions/${id}`, {
+      method: 'DELETE'
+    }),
+
+  /**
+   * Sign out every device, this one included
+   */
+  revokeAllSessions: () =>
+    request('/auth/sessions/revoke-all', {
+      method: 'POST'
+    }),
+
+  getInvite: (token) => request(`/auth/invites/${encodeURIComponent(token)}`),
+
+  acceptInvite: (token, { name, password }) =>
+    request(`/auth/invites/${encodeURIComponent(token)}/accept`, {
+      method: 'POST',
+      body: JSON.stringify({ name, password })
+    })
 };
 
 // ─────────────────────────────────────────
@@ -66,19 +190,38 @@ export const authApi = {
 // ─────────────────────────────────────────
 
 export const incidentApi = {
-  list: (filters = {}) => {
-    const params = new URLSearchParams(filters);
-    return request(`/incidents?${params}`);
-  },
+  /**
+   * List incidents (cursor paginated)
+   */
+  list: (filters = {}) => request(`/incidents?${toParams(filters)}`),
+
+  stats: () => request('/incidents/stats'),
 
   get: (id) => request(`/incidents/${id}`),
 
+  /**
+   * Page the incident timeline
+   * @param {Object} query - { before | after (cursor), type, author, limit }
+   */
+  listUpdates: (id, query = {}) => request(`/incidents/${id}/updates?${toParams(query)}`),
+
+  /**
+   * Check the timeline's hash chain
+   */
+  verifyAudit: (id) => request(`/incidents/${id}/audit/verify`),
+
   create: (data) =>
     request('/incidents', {
       method: 'POST',
       body: JSON.stringify(data)
     }),
 
+  updateFields: (id, fields) =>
+    request(`/incidents/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(fields)
+    }),
+
   updateStatus: (id, status) =>
     request(`/incidents/${id}/status`, {
       method: 'PATCH',
@@ -91,10 +234,351 @@ export const incidentApi = {
       body: JSON.stringify({ userId })
     }),
 
+  unassign: (id, userId) =>
+    request(`/incidents/${id}/assignees/${userId}`, {
+      method: 'DELETE'
+    }),
+
+  assignRole: (id, role, userId) =>
+    request(`/incidents/${id}/roles/${role}`, {
+      method: 'PUT',
+      body: JSON.stringify({ userId })
+    }),
+
+  vacateRole: (id, role, userId) =>
+    request(`/incidents/${id}/roles/${role}/${userId}`, {
+      method: 'DELETE'
+    }),
+
+  addStakeholderUpdate: (id, text) =>
+    request(`/incidents/${id}/stakeholder-updates`, {
+      method: 'POST',
+      body: JSON.stringify({ text })
+    }),
+
   addNote: (id, text) =>
     request(`/incidents/${id}/notes`, {
       method: 'POST',
       body: JSON.stringify({ text })
+    }),
+
+  /**
+   * Change what the public status page shows for an incident
+   * @param {Object} settings - Any of { isPublic, publicTitle, publicImpact, affectedComponents }
+   */
+  updateStatusPage: (id, settings) =>
+    request(`/incidents/${id}/status-page`, {
+      method: 'PATCH',
+      body: JSON.stringify(settings)
+    }),
+
+  listPublicUpdates: (id) => request(`/incidents/${id}/public-updates`),
+
+  addPublicUpdate: (id, status, message) =>
+    request(`/incidents/${id}/public-updates`, {
+      method: 'POST',
+      body: JSON.stringify({ status, message })
+    }),
+
+  /**
+   * Link another incident
+   * @param {string} type - This incident's side (caused_by, causes, related, parent_of, child_of)
+   */
+  link: (id, type, relatedId) =>
+    request(`/incidents/${id}/relationships`, {
+      method: 'POST',
+      body: JSON.stringify({ type, incidentId: relatedId })
+    }),
+
+  unlink: (id, relatedId) =>
+    request(`/incidents/${id}/relationships/${relatedId}`, {
+      method: 'DELETE'
+    }),
+
+  /**
+   * Close an incident as a duplicate of primaryId
+   */
+  merge: (id, primaryId) =>
+    request(`/incidents/${id}/merge`, {
+      method: 'POST',
+      body: JSON.stringify({ primaryId })
+    })
+};
+
+// ─────────────────────────────────────────
+// WORKFLOW ENDPOINTS
+// ─────────────────────────────────────────
+
+export const workflowApi = {
+  list: () => request('/workflows'),
+
+  get: (incidentType) => request(`/workflows/${incidentType}`),
+
+  create: (data) =>
+    request('/workflows', {
+      method: 'POST',
+      body: JSON.stringify(data)
+    }),
+
+  update: (incidentType, data) =>
+    request(`/workflows/${incidentType}`, {
+      method: 'PUT',
+      body: JSON.stringify(data)
+    }),
+
+  remove: (incidentType) =>
+    request(`/workflows/${incidentType}`, {
+      method: 'DELETE'
+    })
+};
+
+// ─────────────────────────────────────────
+// TEMPLATE ENDPOINTS
+// ─────────────────────────────────────────
+
+export const templateApi = {
+  list: () => request('/templates'),
+
+  create: (data) =>
+    request('/templates', {
+      method: 'POST',
+      body: JSON.stringify(data)
+    }),
+
+  update: (id, data) =>
+    request(`/templates/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data)
+    }),
+
+  remove: (id) =>
+    request(`/templates/${id}`, {
+      method: 'DELETE'
+    })
+};
+
+// ─────────────────────────────────────────
+// SERVICE CATALOG ENDPOINTS
+// ─────────────────────────────────────────
+
+export const serviceApi = {
+  list: () => request('/services'),
+
+  /**
+   * One service with the services that depend on it
+   */
+  get: (id) => request(`/services/${id}`),
+
+  create: (data) =>
+    request('/services', {
+      method: 'POST',
+      body: JSON.stringify(data)
+    }),
+
+  update: (id, data) =>
+    request(`/services/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data)
+    }),
+
+  remove: (id) =>
+    request(`/services/${id}`, {
+      method: 'DELETE'
+    })
+};
+
+// ─────────────────────────────────────────
+// ACTION ITEM ENDPOINTS
+// ─────────────────────────────────────────
+
+export const actionItemApi = {
+  /**
+   * List follow-ups across incidents (cursor paginated)
+   * @param {Object} query - { owner ('me' | 'none' | user ID), status, priority,
+   *   incidentId, overdue ('true'), sort ('createdAt' | 'dueDate'), cursor, limit }
+   */
+  list: (query = {}) => request(`/action-items?${toParams(query)}`),
+
+  create: (incidentId, item) =>
+    request('/action-items', {
+      method: 'POST',
+      body: JSON.stringify({ incidentId, ...item })
+    }),
+
+  /**
+   * Change an action item
+   * @param {Object} changes - Any of { status, owner, dueDate, priority, text }
+   */
+  update: (id, changes) =>
+    request(`/action-items/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes)
+    })
+};
+
+// ─────────────────────────────────────────
+// POSTMORTEM ENDPOINTS
+// ─────────────────────────────────────────
+
+export const postmortemApi = {
+  list: (filters = {}) => request(`/postmortems?${toParams(filters)}`),
+
+  get: (id) => request(`/postmortems/${id}`),
+
+  create: (incidentId) =>
+    request('/postmortems', {
+      method: 'POST',
+      body: JSON.stringify({ incidentId })
+    }),
+
+  /**
+   * Edit a section
+   * @param {Object} changes - { content, owner (user ID or null) }
+   */
+  updateSection: (id, key, changes) =>
+    request(`/postmortems/${id}/sections/${key}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes)
+    }),
+
+  updateStatus: (id, status) =>
+    request(`/postmortems/${id}/status`, {
+      method: 'PATCH',
+      body: JSON.stringify({ status })
+    }),
+
+  regenerate: (id) =>
+    request(`/postmortems/${id}/regenerate`, {
+      method: 'POST'
+    })
+};
+
+// ─────────────────────────────────────────
+// ANALYTICS ENDPOINTS
+// ─────────────────────────────────────────
+
+/**
+ * Dashboard metrics
+ * @param {Object} range - { from, to } ISO dates, incidentType (trends also take interval)
+ */
+export const analyticsApi = {
+  trends: (range = {}) => request(`/analytics/trends?${toParams(range)}`),
+
+  severity: (range = {}) => request(`/analytics/severity?${toParams(range)}`),
+
+  responseTimes: (range = {}) => request(`/analytics/response-times?${toParams(range)}`),
+
+  /**
+   * MTTA/MTTR per affected service (range may also name one service)
+   */
+  serviceResponseTimes: (range = {}) => request(`/analytics/services?${toParams(range)}`),
+
+  timeInStatus: (range = {}) => request(`/analytics/time-in-status?${toParams(range)}`)
+};
+
+// ─────────────────────────────────────────
+// WEBHOOK ENDPOINTS (admin)
+// ─────────────────────────────────────────
+
+export const webhookApi = {
+  list: () => request('/webhooks'),
+
+  /**
+   * Create a subscription; the response includes the signing secret once
+   * @param {Object} subscription - { name, url, events (empty = all), secret }
+   */
+  create: (subscription) =>
+    request('/webhooks', {
+      method: 'POST',
+      body: JSON.stringify(subscription)
+    }),
+
+  update: (id, changes) =>
+    request(`/webhooks/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes)
+    }),
+
+  remove: (id) =>
+    request(`/webhooks/${id}`, {
+      method: 'DELETE'
+    }),
+
+  deliveries: (id, query = {}) => request(`/webhooks/${id}/deliveries?${toParams(query)}`),
+
+  redeliver: (id, deliveryId) =>
+    request(`/webhooks/${id}/deliveries/${deliveryId}/redeliver`, {
+      method: 'POST'
+    })
+};
+
+// ─────────────────────────────────────────
+// INTEGRATION ENDPOINTS (admin)
+// ─────────────────────────────────────────
+
+export const integrationApi = {
+  list: () => request('/integrations'),
+
+  /**
+   * Create an integration; the response includes its API key once
+   * @param {Object} integration - { name, incidentType, severityLabel, defaultSeverity, commander }
+   */
+  create: (integration) =>
+    request('/integrations', {
+      method: 'POST',
+      body: JSON.stringify(integration)
+    }),
+
+  update: (id, changes) =>
+    request(`/integrations/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes)
+    }),
+
+  rotateKey: (id) =>
+    request(`/integrations/${id}/rotate-key`, {
+      method: 'POST'
+    }),
+
+  remove: (id) =>
+    request(`/integrations/${id}`, {
+      method: 'DELETE'
+    })
+};
+
+// ─────────────────────────────────────────
+// STATUS PAGE ENDPOINTS
+// summary, incident and feeds are public (no token needed)
+// ─────────────────────────────────────────
+
+export const statusApi = {
+  summary: () => request('/status'),
+
+  incident: (id) => request(`/status/incidents/${id}`),
+
+  /**
+   * Absolute URL of a public feed
+   * @param {string} format - 'rss' or 'json'
+   */
+  feedUrl: (format) => `${API_BASE}/status/feed.${format}`,
+
+  listComponents: () => request('/status/components'),
+
+  createComponent: (component) =>
+    request('/status/components', {
+      method: 'POST',
+      body: JSON.stringify(component)
+    }),
+
+  updateComponent: (id, changes) =>
+    request(`/status/components/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes)
+    }),
+
+  removeComponent: (id) =>
+    request(`/status/components/${id}`, {
+      method: 'DELETE'
     })
 };
 
@@ -103,10 +587,11 @@ export const incidentApi = {
 // ─────────────────────────────────────────
 
 export const userApi = {
-  list: (filters = {}) => {
-    const params = new URLSearchParams(filters);
-    return request(`/users?${params}`);
-  },
+  /**
+   * Filters: role, q; admin only: status ('active' | 'deactivated' | 'all'),
+   * sessions: true to include { active, lastActiveAt } per user
+   */
+  list: (filters = {}) => request(`/users?${toParams(filters)}`),
 
   get: (id) => request(`/users/${id}`),
 
@@ -114,7 +599,68 @@ export const userApi = {
     request(`/users/${id}/role`, {
       method: 'PATCH',
       body: JSON.stringify({ role })
+    }),
+
+  listPending: () => request('/users/pending'),
+
+  approve: (id, role) =>
+    request(`/users/${id}/approve`, {
+      method: 'POST',
+      body: JSON.stringify({ role })
+    }),
+
+  reject: (id) =>
+    request(`/users/${id}/reject`, {
+      method: 'POST'
+    }),
+
+  /**
+   * Returns { offboarding: { user, incidents, actionItems } }
+   */
+  offboarding: (id) => request(`/users/${id}/offboarding`),
+
+  deactivate: (id, { reassignTo, anonymize }) =>
+    request(`/users/${id}/deactivate`, {
+      method: 'POST',
+      body: JSON.stringify({ reassignTo, anonymize })
+    }),
+
+  reactivate: (id) =>
+    request(`/users/${id}/reactivate`, {
+      method: 'POST'
+    }),
+
+  revokeSessions: (id) =>
+    request(`/users/${id}/sessions/revoke`, {
+      method: 'POST'
+    }),
+
+  unlock: (id) =>
+    request(`/users/${id}/unlock`, {
+      method: 'POST'
+    })
+};
+
+// ─────────────────────────────────────────
+// INVITE ENDPOINTS (admin)
+// ─────────────────────────────────────────
+
+export const inviteApi = {
+  list: () => request('/invites'),
+
+  /**
+   * Returns { invite, token, inviteUrl }; the link is only shown once
+   */
+  create: ({ email, role }) =>
+    request('/invites', {
+      method: 'POST',
+      body: JSON.stringify({ email, role })
+    }),
+
+  revoke: (id) =>
+    request(`/invites/${id}`, {
+      method: 'DELETE'
     })
 };
 
-export default { authApi, incidentApi, userApi };
+export default { authApi, incidentApi, workflowApi, userApi };
@@ -22,9 +22,17 @@
  * and presence/focus lists are re-sent by the server when the client
  * re-joins incident rooms. This ensures state consistency after
  * network interruptions.
+ *
+ * AUTHENTICATION:
+ * The handshake reads the current access token each time it connects,
+ * so reconnects use refreshed tokens. If the server refuses the token
+ * (expired) or drops the connection (session revoked), the refresh
+ * token is tried once; when that fails the user is signed out.
  */
 import { io } from 'socket.io-client';
+import { refreshAccessToken } from './api';
 import {
+  useAuthStore,
   useIncidentStore,
   usePresenceStore,
   useFocusStore,
@@ -36,9 +44,33 @@ const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:3001';
 let socket = null;
 
 /**
- * Initialize socket connection with auth token
+ * Refresh the access token, then connect again
+ * Gives up after one rejected refresh until the next successful connect;
+ * a rate-limited or failed refresh is tried again after Retry-After
  */
-export const initSocket = (token) => {
+let isReauthenticating = false;
+
+const reconnectWithFreshToken = async () => {
+  if (isReauthenticating) return;
+  isReauthenticating = true;
+
+  try {
+    if (await refreshAccessToken()) {
+      socket?.connect();
+    }
+  } catch (error) {
+    const retryAfter = error.details?.retryAfter || 30;
+    setTimeout(() => {
+      isReauthenticating = false;
+      reconnectWithFreshToken();
+    }, retryAfter * 1000);
+  }
+};
+
+/**
+ * Initialize socket connection with the stored access token
+ */
+export const initSocket = () => {
   if (socket?.connected) {
     console.log('Socket already connected');
     return socket;
@@ -46,9 +78,10 @@ export const initSocket = (token) => {
 
   const socketStore = useSocketStore.getState();
   socketStore.setConnecting();
+  isReauthenticating = false;
 
   socket = io(SOCKET_URL, {
-    auth: { token },
+    auth: (cb) => cb({ token: useAuthStore.getState().token }),
     reconnection: true,
     reconnectionAttempts: 5,
     reconnectionDelay: 1000
@@ -60,17 +93,28 @@ export const initSocket = (token) => {
 
   socket.on('connect', () => {
     console.log('Socket connected:', socket.id);
+    isReauthenticating = false;
     socketStore.setConnected();
   });
 
   socket.on('disconnect', (reason) => {
     console.log('Socket disconnected:', reason);
     socketStore.setDisconnected();
+
+    // Server-side disconnects are not retried automatically (session revoked)
+    if (reason === 'io server disconnect') {
+      reconnectWithFreshToken();
+    }
   });
 
   socket.on('connect_error', (error) => {
     console.error('Socket connection error:', error.message);
     socketStore.setConnectionError(error.message);
+
+    // Auth middleware refusals are not retried automatically either
+    if (!socket.active) {
+      reconnectWithFreshToken();
+    }
   });
 
   socket.on('error', (error) => {
@@ -78,6 +122,15 @@ export const initSocket = (token) => {
     // Could show toast notification here
   });
 
+  // ─────────────────────────────────────────
+  // ACCOUNT EVENTS → authStore
+  // ─────────────────────────────────────────
+
+  // An admin changed this user's role: RoleGate and canWrite() follow
+  socket.on('session:roleChanged', ({ user }) => {
+    useAuthStore.getState().setUser(user);
+  });
+
   // ─────────────────────────────────────────
   // PRESENCE EVENTS → presenceStore
   // ─────────────────────────────────────────
@@ -132,6 +185,10 @@ export const initSocket = (token) => {
   // INCIDENT EVENTS → incidentStore
   // ─────────────────────────────────────────
 
+  socket.on('incident:created', ({ incident }) => {
+    useIncidentStore.getState().addIncident(incident);
+  });
+
   socket.on('incident:updated', ({ incidentId, incident, update }) => {
     const store = useIncidentStore.getState();
     store.updateIncident(incidentId, incident);
@@ -140,6 +197,12 @@ export const initSocket = (token) => {
     }
   });
 
+  socket.on('incident:fieldsUpdated', ({ incidentId, incident, updates }) => {
+    const store = useIncidentStore.getState();
+    store.updateIncident(incidentId, incident);
+    updates.forEach((update) => store.addUpdate({ ...update, incidentId }));
+  });
+
   socket.on('incident:noteAdded', ({ incidentId, update }) => {
     useIncidentStore.getState().addUpdate({ ...update, incidentId });
   });
@@ -152,12 +215,75 @@ export const initSocket = (token) => {
     }
   });
 
-  socket.on('incident:actionItemAdded', ({ incidentId, update }) => {
+  socket.on('incident:unassigned', ({ incidentId, incident, update }) => {
+    const store = useIncidentStore.getState();
+    store.updateIncident(incidentId, incident);
+    if (update) {
+      store.addUpdate({ ...update, incidentId });
+    }
+  });
+
+  // Commander handoff: proposal, acceptance and decline all carry the
+  // updated incident (pendingHandoff / commander) and a commander_change update
+  ['incident:handoffProposed', 'incident:commanderChanged', 'incident:handoffDeclined'].forEach((event) => {
+    socket.on(event, ({ incidentId, incident, update }) => {
+      const store = useIncidentStore.getState();
+      store.updateIncident(incidentId, incident);
+      if (update) {
+        store.addUpdate({ ...update, incidentId });
+      }
+    });
+  });
+
+  socket.on('incident:rolesUpdated', ({ incidentId, incident, updates }) => {
+    const store = useIncidentStore.getState();
+    store.updateIncident(incidentId, incident);
+    updates.forEach((update) => store.addUpdate({ ...update, incidentId }));
+  });
+
+  socket.on('incident:stakeholderUpdateAdded', ({ incidentId, update }) => {
     useIncidentStore.getState().addUpdate({ ...update, incidentId });
   });
 
-  socket.on('incident:actionItemToggled', ({ updateId, completed }) => {
-    useIncidentStore.getState().toggleActionItem(updateId, completed);
+  socket.on('incident:actionItemAdded', ({ incidentId, actionItem, update }) => {
+    const store = useIncidentStore.getState();
+    store.upsertActionItem({ ...actionItem, incidentId });
+    store.addUpdate({ ...update, incidentId });
+  });
+
+  // One audit entry per changed field
+  socket.on('incident:actionItemUpdated', ({ incidentId, actionItem, updates }) => {
+    const store = useIncidentStore.getState();
+    store.upsertActionItem({ ...actionItem, incidentId });
+    updates.forEach((update) => store.addUpdate({ ...update, incidentId }));
+  });
+
+  socket.on('incident:postmortemUpdated', ({ incidentId, postmortem }) => {
+    useIncidentStore.getState().setActivePostmortem(incidentId, postmortem);
+  });
+
+  socket.on('incident:publicUpdateAdded', ({ incidentId, publicUpdate, update }) => {
+    const store = useIncidentStore.getState();
+    store.addPublicUpdate({ ...publicUpdate, incidentId });
+    store.addUpdate({ ...update, incidentId });
+  });
+
+  socket.on('incident:relationshipsUpdated', ({ incidentId, incident, updates }) => {
+    const store = useIncidentStore.getState();
+    store.updateIncident(incidentId, incident);
+    updates.forEach((update) => store.addUpdate({ ...update, incidentId }));
+
+    // The merged duplicate's history now belongs to this timeline
+    if (updates.some((update) => update.content.action === 'merged')) {
+      store.markTimelineStale(incidentId);
+    }
+  });
+
+  socket.on('incident:merged', ({ incidentId, incident, updates, mergedInto }) => {
+    const store = useIncidentStore.getState();
+    store.updateIncident(incidentId, incident);
+    updates.forEach((update) => store.addUpdate({ ...update, incidentId }));
+    store.markMerged(incidentId, mergedInto);
   });
 
   return socket;
@@ -210,6 +336,15 @@ export const updateStatus = (incidentId, status) => {
   }
 };
 
+/**
+ * Edit incident fields (title, description, severity)
+ */
+export const updateFields = (incidentId, fields) => {
+  if (socket?.connected) {
+    socket.emit('incident:updateFields', { incidentId, fields });
+  }
+};
+
 /**
  * Add note to incident
  */
@@ -228,21 +363,85 @@ export const assignUser = (incidentId, targetUserId) => {
   }
 };
 
+/**
+ * Unassign user from incident
+ */
+export const unassignUser = (incidentId, targetUserId) => {
+  if (socket?.connected) {
+    socket.emit('incident:unassign', { incidentId, targetUserId });
+  }
+};
+
+/**
+ * Propose handing command to another user
+ */
+export const proposeHandoff = (incidentId, targetUserId, notes) => {
+  if (socket?.connected) {
+    socket.emit('incident:proposeHandoff', { incidentId, targetUserId, notes });
+  }
+};
+
+/**
+ * Accept a handoff proposed to the current user
+ */
+export const acceptHandoff = (incidentId) => {
+  if (socket?.connected) {
+    socket.emit('incident:acceptHandoff', { incidentId });
+  }
+};
+
+/**
+ * Decline a handoff proposed to the current user
+ */
+export const declineHandoff = (incidentId, reason) => {
+  if (socket?.connected) {
+    socket.emit('incident:declineHandoff', { incidentId, reason });
+  }
+};
+
+/**
+ * Fill a response role (scribe, comms_lead, sme)
+ */
+export const assignIncidentRole = (incidentId, role, targetUserId) => {
+  if (socket?.connected) {
+    socket.emit('incident:assignRole', { incidentId, role, targetUserId });
+  }
+};
+
+/**
+ * Vacate a response role
+ */
+export const vacateIncidentRole = (incidentId, role, targetUserId) => {
+  if (socket?.connected) {
+    socket.emit('incident:vacateRole', { incidentId, role, targetUserId });
+  }
+};
+
+/**
+ * Publish a stakeholder update (comms lead only)
+ */
+export const addStakeholderUpdate = (incidentId, text) => {
+  if (socket?.connected) {
+    socket.emit('incident:addStakeholderUpdate', { incidentId, text });
+  }
+};
+
 /**
  * Add action item
+ * @param {Object} item - { text, owner, dueDate, priority } (only text required)
  */
-export const addActionItem = (incidentId, text) => {
+export const addActionItem = (incidentId, item) => {
   if (socket?.connected) {
-    socket.emit('incident:addActionItem', { incidentId, text });
+    socket.emit('incident:addActionItem', { incidentId, ...item });
   }
 };
 
 /**
- * Toggle action item completion
+ * Change an action item (status, owner, due date, priority or text)
  */
-export const toggleActionItem = (incidentId, updateId, completed) => {
+export const updateActionItem = (actionItemId, changes) => {
   if (socket?.connected) {
-    socket.emit('incident:toggleActionItem', { incidentId, updateId, completed });
+    socket.emit('incident:updateActionItem', { actionItemId, changes });
   }
 };
 
@@ -282,10 +481,18 @@ export default {
   joinIncident,
   leaveIncident,
   updateStatus,
+  updateFields,
   addNote,
   assignUser,
+  unassignUser,
+  proposeHandoff,
+  acceptHandoff,
+  declineHandoff,
+  assignIncidentRole,
+  vacateIncidentRole,
+  addStakeholderUpdate,
   addActionItem,
-  toggleActionItem,
+  updateActionItem,
   updateFocus,
   clearFocus,
   sendHeartbeat
@@ -10,10 +10,12 @@
  * Frontend role checks prevent confusing UI states, not security breaches.
  *
  * STATE FLOW:
- * 1. User logs in → REST API returns { user, token }
- * 2. Token stored in localStorage + state
+ * 1. User logs in → REST API returns { user, token, refreshToken }
+ * 2. Tokens stored in localStorage + state
  * 3. Role derived from user object
  * 4. Components check canWrite() for UI decisions
+ * 5. The access token is short-lived; the API client swaps the refresh
+ *    token for a new pair when a request gets 401 (setTokens)
  */
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
@@ -29,6 +31,7 @@ const useAuthStore = create(
       // ─────────────────────────────────────────
       user: null,
       token: null,
+      refreshToken: null,
       isAuthenticated: false,
       isLoading: false,
       error: null,
@@ -71,15 +74,32 @@ const useAuthStore = create(
       /**
        * Set auth state from login/register response
        */
-      setAuth: (user, token) => {
+      setAuth: (user, token, refreshToken) => {
         set({
           user,
           token,
+          refreshToken,
           isAuthenticated: true,
           error: null
         });
       },
 
+      /**
+       * Replace the signed-in user (e.g. role changed by an admin)
+       */
+      setUser: (user) => set({ user }),
+
+      /**
+       * Store a rotated token pair (and the user as the server sees it now)
+       */
+      setTokens: ({ user, token, refreshToken }) => {
+        set((state) => ({
+          user: user || state.user,
+          token,
+          refreshToken
+        }));
+      },
+
       /**
        * Clear auth state on logout
        */
@@ -87,6 +107,7 @@ const useAuthStore = create(
         set({
           user: null,
           token: null,
+          refreshToken: null,
           isAuthenticated: false,
           error: null
         });
@@ -112,6 +133,7 @@ const useAuthStore = create(
       partialize: (state) => ({
         user: state.user,
         token: state.token,
+        refreshToken: state.refreshToken,
         isAuthenticated: state.isAuthenticated
       })
     }
@@ -8,15 +8,30 @@
  * STATE SOURCES:
  * ─────────────────────────────────────────
  * 1. REST API (initial fetch):
- *    - GET /api/incidents → populateIncidents()
- *    - GET /api/incidents/:id → setActiveIncident()
+ *    - GET /api/incidents → setIncidents() (first page) / appendIncidents() (next pages)
+ *    - GET /api/incidents/:id → setActiveIncident() (latest timeline page + action items)
+ *    - GET /api/incidents/:id/updates?before= → prependUpdates() (older pages)
+ *    - GET /api/postmortems?incidentId= → setActivePostmortem()
+ *    - GET /api/incidents/:id/public-updates → setPublicUpdates()
  *
  * 2. Socket.io (incremental updates):
+ *    - incident:created → addIncident()
  *    - incident:updated → updateIncident()
+ *    - incident:fieldsUpdated → updateIncident() + addUpdate()
  *    - incident:noteAdded → addUpdate()
- *    - incident:assigned → updateIncident()
- *    - incident:actionItemAdded → addUpdate()
- *    - incident:actionItemToggled → toggleActionItem()
+ *    - incident:assigned → updateIncident() + addUpdate()
+ *    - incident:unassigned → updateIncident() + addUpdate()
+ *    - incident:handoffProposed / commanderChanged / handoffDeclined
+ *      → updateIncident() + addUpdate()
+ *    - incident:rolesUpdated → updateIncident() + addUpdate()
+ *    - incident:stakeholderUpdateAdded → addUpdate()
+ *    - incident:actionItemAdded → upsertActionItem() + addUpdate()
+ *    - incident:actionItemUpdated → upsertActionItem() + addUpdate()
+ *    - incident:postmortemUpdated → setActivePostmortem()
+ *    - incident:publicUpdateAdded → addPublicUpdate() + addUpdate()
+ *    - incident:relationshipsUpdated → updateIncident() + addUpdate()
+ *      (+ markTimelineStale() when a duplicate was merged in)
+ *    - incident:merged → updateIncident() + addUpdate() + markMerged()
  *
  * WHY ZUSTAND:
  * - Simple API, minimal boilerplate
@@ -31,19 +46,35 @@
  */
 import { create } from 'zustand';
 
+/**
+ * Merge update lists by _id and keep them oldest first
+ */
+const mergeUpdates = (existing, incoming) => {
+  const byId = new Map(existing.map((u) => [u._id, u]));
+  incoming.forEach((u) => byId.set(u._id, u));
+  return [...byId.values()].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
 const useIncidentStore = create((set, get) => ({
   // ─────────────────────────────────────────
   // STATE
   // ─────────────────────────────────────────
 
-  // List of all incidents (dashboard view)
+  // Loaded pages of the dashboard list (server filters, sorts and pages)
   incidents: [],
+  incidentsNextCursor: null, // null = no more pages
   incidentsLoading: false,
   incidentsError: null,
 
   // Currently viewed incident with full details
   activeIncident: null,
-  activeIncidentUpdates: [], // Timeline updates
+  activeIncidentUpdates: [], // Loaded timeline pages, oldest first
+  activeIncidentUpdatesCursor: null, // Cursor for the next older timeline page
+  activeIncidentActionItems: [], // Every action item of the incident, oldest first
+  activeIncidentPostmortem: null, // { _id, status } once a review has been started
+  activeIncidentPublicUpdates: [], // Status page updates, newest first
+  activeIncidentMergedInto: null, // { _id, title } when merged while being viewed
+  activeIncidentTimelineStale: false, // A duplicate was merged in; reload the timeline
   activeIncidentLoading: false,
   activeIncidentError: null,
 
@@ -53,33 +84,75 @@ const useIncidentStore = create((set, get) => ({
   // ─────────────────────────────────────────
 
   /**
-   * Populate incidents list from REST API
-   * Called on dashboard mount
+   * Populate incidents list from REST API (first page)
+   * Called on dashboard mount and whenever the query changes
    */
-  setIncidents: (incidents) => {
-    set({ incidents, incidentsLoading: false, incidentsError: null });
+  setIncidents: (incidents, nextCursor = null) => {
+    set({
+      incidents,
+      incidentsNextCursor: nextCursor,
+      incidentsLoading: false,
+      incidentsError: null
+    });
   },
 
   /**
-   * Set active incident from REST API (with updates)
+   * Append the next page of incidents
+   * Skips rows already present (e.g. added live via incident:created)
+   */
+  appendIncidents: (incidents, nextCursor = null) => {
+    set((state) => {
+      const existingIds = new Set(state.incidents.map((inc) => inc._id));
+      return {
+        incidents: [...state.incidents, ...incidents.filter((inc) => !existingIds.has(inc._id))],
+        incidentsNextCursor: nextCursor,
+        incidentsLoading: false,
+        incidentsError: null
+      };
+    });
+  },
+
+  /**
+   * Set active incident from REST API (with latest timeline page)
    * Called when entering incident detail view
    */
-  setActiveIncident: (incident, updates = []) => {
+  setActiveIncident: (incident, updates = [], { actionItems = [], updatesCursor = null, hasMoreUpdates = false } = {}) => {
     set({
       activeIncident: incident,
-      activeIncidentUpdates: updates,
+      activeIncidentUpdates: mergeUpdates([], updates),
+      activeIncidentUpdatesCursor: hasMoreUpdates ? updatesCursor : null,
+      activeIncidentActionItems: actionItems,
+      activeIncidentMergedInto: null,
+      activeIncidentTimelineStale: false,
       activeIncidentLoading: false,
       activeIncidentError: null
     });
   },
 
+  /**
+   * Add an older page of timeline updates
+   * Called when the timeline is scrolled to its start
+   */
+  prependUpdates: (updates, nextCursor = null, hasMore = false) => {
+    set((state) => ({
+      activeIncidentUpdates: mergeUpdates(state.activeIncidentUpdates, updates),
+      activeIncidentUpdatesCursor: hasMore ? nextCursor : null
+    }));
+  },
+
   /**
    * Clear active incident (when leaving detail view)
    */
   clearActiveIncident: () => {
     set({
       activeIncident: null,
-      activeIncidentUpdates: []
+      activeIncidentUpdates: [],
+      activeIncidentUpdatesCursor: null,
+      activeIncidentActionItems: [],
+      activeIncidentPostmortem: null,
+      activeIncidentPublicUpdates: [],
+      activeIncidentMergedInto: null,
+      activeIncidentTimelineStale: false
     });
   },
 
@@ -90,7 +163,8 @@ const useIncidentStore = create((set, get) => ({
 
   /**
    * Update an incident from socket event
-   * Called when: incident:updated, incident:assigned
+   * Called when: incident:updated, incident:fieldsUpdated, incident:assigned,
+   * incident:unassigned, commander handoff events, incident:rolesUpdated
    */
   updateIncident: (incidentId, updatedIncident) => {
     set((state) => {
@@ -112,16 +186,20 @@ const useIncidentStore = create((set, get) => ({
   /**
    * Add a new incident to the list
    * Called when: new incident created (from socket or after REST create)
+   * The creator receives both, so duplicates are ignored
    */
   addIncident: (incident) => {
-    set((state) => ({
-      incidents: [incident, ...state.incidents]
-    }));
+    set((state) => {
+      if (state.incidents.some((inc) => inc._id === incident._id)) {
+        return state;
+      }
+      return { incidents: [incident, ...state.incidents] };
+    });
   },
 
   /**
    * Add an update to the active incident's timeline
-   * Called when: incident:noteAdded, incident:actionItemAdded
+   * Called when: incident:noteAdded, incident:actionItemAdded/Updated, incident:fieldsUpdated
    */
   addUpdate: (update) => {
     set((state) => {
@@ -130,23 +208,96 @@ const useIncidentStore = create((set, get) => ({
       }
 
       return {
-        activeIncidentUpdates: [...state.activeIncidentUpdates, update]
+        activeIncidentUpdates: mergeUpdates(state.activeIncidentUpdates, [update])
       };
     });
   },
 
   /**
-   * Toggle action item completion status
-   * Called when: incident:actionItemToggled
+   * Add or replace an action item of the active incident
+   * Called when: incident:actionItemAdded, incident:actionItemUpdated
    */
-  toggleActionItem: (updateId, completed) => {
-    set((state) => ({
-      activeIncidentUpdates: state.activeIncidentUpdates.map((update) =>
-        update._id === updateId
-          ? { ...update, content: { ...update.content, completed } }
-          : update
-      )
-    }));
+  upsertActionItem: (actionItem) => {
+    set((state) => {
+      if (state.activeIncident?._id !== actionItem.incidentId) {
+        return state; // Not viewing this incident
+      }
+
+      const exists = state.activeIncidentActionItems.some((item) => item._id === actionItem._id);
+      return {
+        activeIncidentActionItems: exists
+          ? state.activeIncidentActionItems.map((item) => (item._id === actionItem._id ? actionItem : item))
+          : [...state.activeIncidentActionItems, actionItem]
+      };
+    });
+  },
+
+  /**
+   * Set the active incident's postmortem summary
+   * Called after the REST lookup and on incident:postmortemUpdated
+   */
+  setActivePostmortem: (incidentId, postmortem) => {
+    set((state) => {
+      if (state.activeIncident?._id !== incidentId) {
+        return state; // Not viewing this incident
+      }
+      return { activeIncidentPostmortem: postmortem };
+    });
+  },
+
+  /**
+   * Set the active incident's status page updates
+   * Called after GET /api/incidents/:id/public-updates
+   */
+  setPublicUpdates: (incidentId, publicUpdates) => {
+    set((state) => {
+      if (state.activeIncident?._id !== incidentId) {
+        return state; // Not viewing this incident
+      }
+      return { activeIncidentPublicUpdates: publicUpdates };
+    });
+  },
+
+  /**
+   * Add a status page update to the active incident
+   * Called when: incident:publicUpdateAdded
+   */
+  addPublicUpdate: (publicUpdate) => {
+    set((state) => {
+      if (state.activeIncident?._id !== publicUpdate.incidentId) {
+        return state; // Not viewing this incident
+      }
+      if (state.activeIncidentPublicUpdates.some((u) => u._id === publicUpdate._id)) {
+        return state; // Already have it
+      }
+      return { activeIncidentPublicUpdates: [publicUpdate, ...state.activeIncidentPublicUpdates] };
+    });
+  },
+
+  /**
+   * Record that the active incident was merged into another one
+   * Called when: incident:merged (the detail page moves viewers on)
+   */
+  markMerged: (incidentId, mergedInto) => {
+    set((state) => {
+      if (state.activeIncident?._id !== incidentId) {
+        return state; // Not viewing this incident
+      }
+      return { activeIncidentMergedInto: mergedInto };
+    });
+  },
+
+  /**
+   * Flag the active incident's timeline for a reload
+   * Called when: a duplicate is merged in (its history joins this timeline)
+   */
+  markTimelineStale: (incidentId) => {
+    set((state) => {
+      if (state.activeIncident?._id !== incidentId) {
+        return state; // Not viewing this incident
+      }
+      return { activeIncidentTimelineStale: true };
+    });
   },
 
   // ─────────────────────────────────────────
@@ -172,16 +323,17 @@ const useIncidentStore = create((set, get) => ({
 
   /**
    * Get active incidents (not resolved)
+   * resolvedAt is set by the server when a terminal status is entered
    */
   getActiveIncidents: () => {
-    return get().incidents.filter((inc) => inc.status !== 'resolved');
+    return get().incidents.filter((inc) => !inc.resolvedAt);
   },
 
   /**
-   * Get action items from active incident updates
+   * Get action items of the active incident
    */
   getActionItems: () => {
-    return get().activeIncidentUpdates.filter((u) => u.type === 'action_item');
+    return get().activeIncidentActionItems;
   },
 
   /**
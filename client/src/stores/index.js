@@ -50,6 +50,7 @@
  *    - presenceStore: Who's here?
  *    - focusStore: Where is everyone looking?
  *    - socketStore: Am I connected?
+ *    - workflowStore: Which statuses and transitions exist?
  *
  * WHY ZUSTAND:
  * - Minimal boilerplate (vs Redux)
@@ -64,3 +65,4 @@ export { default as useIncidentStore } from './incidentStore';
 export { default as usePresenceStore } from './presenceStore';
 export { default as useFocusStore } from './focusStore';
 export { default as useSocketStore } from './socketStore';
+export { default as useWorkflowStore } from './workflowStore';
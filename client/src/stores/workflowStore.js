@@ -0,0 +1,104 @@
+/**
+ * Workflow Store
+ * Caches the incident workflows served by GET /api/workflows
+ *
+ * STORE OWNERSHIP: This store owns the workflow definitions.
+ * Components never hardcode statuses or transitions - they read them here
+ * for the incident's incidentType.
+ *
+ * STATE SOURCES:
+ * ─────────────────────────────────────────
+ * 1. REST API (fetched once per session via useWorkflow):
+ *    - GET /api/workflows → setWorkflows()
+ *
+ * 2. Admin workflow editor:
+ *    - After create/update/delete → refetch → setWorkflows()
+ *
+ * IMPORTANT: Allowed transitions here are for UX only.
+ * The server rejects invalid transitions with a 409 regardless.
+ *
+ * DATA SHAPE:
+ * {
+ *   incidentType: {
+ *     incidentType, name, description,
+ *     statuses: [{ value, label, color, terminal }],
+ *     transitions: { status: [nextStatus, ...] },
+ *     initialStatus,
+ *     terminalStatuses
+ *   }
+ * }
+ */
+import { create } from 'zustand';
+
+export const DEFAULT_INCIDENT_TYPE = 'default';
+
+const useWorkflowStore = create((set, get) => ({
+  // ─────────────────────────────────────────
+  // STATE
+  // ─────────────────────────────────────────
+  workflows: {},
+  isLoaded: false,
+  isLoading: false,
+  error: null,
+
+  // ─────────────────────────────────────────
+  // ACTIONS
+  // ─────────────────────────────────────────
+
+  /**
+   * Replace all workflow definitions
+   * Called when: GET /api/workflows
+   */
+  setWorkflows: (workflowList) => {
+    const workflows = {};
+    workflowList.forEach((workflow) => {
+      workflows[workflow.incidentType] = workflow;
+    });
+    set({ workflows, isLoaded: true, isLoading: false, error: null });
+  },
+
+  setLoading: (isLoading) => set({ isLoading }),
+
+  setError: (error) => set({ error, isLoading: false }),
+
+  // ─────────────────────────────────────────
+  // SELECTORS
+  // ─────────────────────────────────────────
+
+  /**
+   * Get all workflows (default first, as served)
+   */
+  getWorkflowList: () => Object.values(get().workflows),
+
+  /**
+   * Get the workflow for an incident type (falls back to default)
+   */
+  getWorkflow: (incidentType = DEFAULT_INCIDENT_TYPE) => {
+    const { workflows } = get();
+    return workflows[incidentType] || workflows[DEFAULT_INCIDENT_TYPE] || null;
+  },
+
+  /**
+   * Get a single status definition by value
+   */
+  getStatus: (incidentType, value) => {
+    const workflow = get().getWorkflow(incidentType);
+    return workflow?.statuses.find((s) => s.value === value) || null;
+  },
+
+  /**
+   * Get statuses reachable from the given status
+   */
+  getAllowedTransitions: (incidentType, value) => {
+    return get().getWorkflow(incidentType)?.transitions[value] || [];
+  },
+
+  /**
+   * Check if a status resolves the incident
+   */
+  isTerminal: (incidentType, value) => {
+    return get().getWorkflow(incidentType)?.terminalStatuses.includes(value) || false;
+  }
+}));
+
+export default useWorkflowStore;
@@ -0,0 +1,59 @@
+/**
+ * Action Item Utilities
+ * Statuses, priorities and due-date helpers for follow-up tasks
+ */
+
+export const ACTION_ITEM_STATUSES = [
+  { value: 'open', label: 'Open', color: '#3B82F6' },
+  { value: 'in_progress', label: 'In Progress', color: '#F59E0B' },
+  { value: 'done', label: 'Done', color: '#10B981' },
+  { value: 'cancelled', label: 'Cancelled', color: '#6B7280' }
+];
+
+export const ACTION_ITEM_PRIORITIES = [
+  { value: 'high', label: 'High', color: '#EF4444' },
+  { value: 'medium', label: 'Medium', color: '#F59E0B' },
+  { value: 'low', label: 'Low', color: '#10B981' }
+];
+
+/**
+ * Get status definition by value (unknown values fall back to Open)
+ */
+export const getActionItemStatus = (value) =>
+  ACTION_ITEM_STATUSES.find((s) => s.value === value) || ACTION_ITEM_STATUSES[0];
+
+/**
+ * Get priority definition by value
+ */
+export const getActionItemPriority = (value) =>
+  ACTION_ITEM_PRIORITIES.find((p) => p.value === value) || ACTION_ITEM_PRIORITIES[1];
+
+/**
+ * Done and cancelled items are closed
+ */
+export const isClosed = (item) => item.status === 'done' || item.status === 'cancelled';
+
+/**
+ * Open items whose due date has passed
+ */
+export const isOverdue = (item) =>
+  Boolean(item.dueDate) && !isClosed(item) && new Date(item.dueDate) < new Date();
+
+/**
+ * Value for an <input type="date"> from an ISO date ('' when unset, local time)
+ */
+export const toDateInputValue = (date) => {
+  if (!date) return '';
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+/**
+ * Due date from an <input type="date"> value: end of that day, local time
+ */
+export const fromDateInputValue = (value) => {
+  if (!value) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day, 23, 59, 59).toISOString();
+};
@@ -0,0 +1,46 @@
+/**
+ * Analytics Utilities
+ * Date ranges and duration formatting for the dashboard widgets
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Range options offered by every dashboard widget
+export const ANALYTICS_RANGES = [
+  { value: '7d', label: 'Last 7 days', days: 7 },
+  { value: '30d', label: 'Last 30 days', days: 30 },
+  { value: '90d', label: 'Last 90 days', days: 90 },
+  { value: '365d', label: 'Last 12 months', days: 365 }
+];
+
+export const DEFAULT_ANALYTICS_RANGE = '30d';
+
+/**
+ * Convert a range option to the { from, to } query the API expects
+ */
+export const rangeToQuery = (value) => {
+  const range = ANALYTICS_RANGES.find((r) => r.value === value)
+    || ANALYTICS_RANGES.find((r) => r.value === DEFAULT_ANALYTICS_RANGE);
+  const to = new Date();
+  return {
+    from: new Date(to.getTime() - range.days * DAY_MS).toISOString(),
+    to: to.toISOString()
+  };
+};
+
+/**
+ * Format milliseconds as a short duration: "45s", "12m", "3h 20m", "2d 4h"
+ */
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '—';
+
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+  if (minutes < 60) return `${minutes}m`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+
+  const days = Math.floor(hours / 24);
+  return hours % 24 ? `${days}d ${hours % 24}h` : `${days}d`;
+};
@@ -0,0 +1,59 @@
+/**
+ * Incident Role Utilities
+ * Response roles held on a single incident (not account roles)
+ *
+ * Account roles (admin/responder/viewer) decide what a user may do
+ * anywhere; incident roles decide who does what during one incident.
+ *
+ * IMPORTANT: These are for UX only. Server enforces actual permissions.
+ */
+
+// Assignable response roles (commander is handed off, not assigned)
+export const INCIDENT_ROLES = [
+  { value: 'scribe', label: 'Scribe', shortLabel: 'Scribe', multiple: false },
+  { value: 'comms_lead', label: 'Communications Lead', shortLabel: 'Comms', multiple: false },
+  { value: 'sme', label: 'Subject-Matter Expert', shortLabel: 'SME', multiple: true }
+];
+
+export const INCIDENT_ROLE_COLORS = {
+  commander: '#6366F1',
+  scribe: '#14B8A6',
+  comms_lead: '#F97316',
+  sme: '#A855F7'
+};
+
+/**
+ * Get role definition by value
+ */
+export const getIncidentRole = (value) =>
+  value === 'commander'
+    ? { value: 'commander', label: 'Incident Commander', shortLabel: 'IC', multiple: false }
+    : INCIDENT_ROLES.find((r) => r.value === value) || null;
+
+/**
+ * Get every incident role a user holds, commander first
+ * @returns {Array<string>} - e.g. ['commander', 'sme']
+ */
+export const getUserIncidentRoles = (incident, userId) => {
+  if (!incident || !userId) return [];
+
+  const roles = (incident.roles || [])
+    .filter((r) => r.user?._id === userId)
+    .map((r) => r.role);
+
+  return incident.commander?._id === userId ? ['commander', ...roles] : roles;
+};
+
+/**
+ * Get holders of a role
+ * @returns {Array<Object>} - Populated users
+ */
+export const getRoleHolders = (incident, role) =>
+  (incident?.roles || []).filter((r) => r.role === role).map((r) => r.user);
+
+/**
+ * Check if user is the incident's communications lead
+ * (only they can publish stakeholder updates)
+ */
+export const isCommsLead = (incident, userId) =>
+  getUserIncidentRoles(incident, userId).includes('comms_lead');
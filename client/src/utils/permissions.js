@@ -14,6 +14,9 @@
  * - NOT for security (server rejects unauthorized actions anyway)
  */
 
+// All roles, least privileged first (for role pickers)
+export const ROLES = ['viewer', 'responder', 'admin'];
+
 // Roles that can modify incidents
 const WRITE_ROLES = ['admin', 'responder'];
 
@@ -36,6 +39,7 @@ export const canPerformAction = (role, action) => {
     'incident.update': ['admin', 'responder'],
     'incident.delete': ['admin'],
     'incident.assign': ['admin'], // Only admins can assign - coordination privilege
+    'incident.unassign': ['admin'],
     'incident.note': ['admin', 'responder'],
     'incident.action_item': ['admin', 'responder'],
     'user.manage': ['admin']
@@ -0,0 +1,42 @@
+/**
+ * Postmortem Utilities
+ * Section order, review states and edit rules for post-incident reviews
+ *
+ * IMPORTANT: These are for UX only. Server enforces actual permissions.
+ */
+
+// Sections in document order; required ones must be written before publishing
+export const POSTMORTEM_SECTIONS = [
+  { key: 'summary', title: 'Summary', required: true },
+  { key: 'impact', title: 'Impact', required: true },
+  { key: 'root_cause', title: 'Root Cause', required: true },
+  { key: 'contributing_factors', title: 'Contributing Factors', required: false },
+  { key: 'lessons', title: 'Lessons Learned', required: false },
+  { key: 'follow_ups', title: 'Follow-ups', required: false }
+];
+
+export const POSTMORTEM_STATUSES = {
+  draft: { label: 'Draft', color: '#6B7280' },
+  in_review: { label: 'In Review', color: '#F59E0B' },
+  published: { label: 'Published', color: '#10B981' }
+};
+
+/**
+ * Review owners (incident commander, review author, admins)
+ * edit every section and move the review between states
+ */
+export const isReviewOwner = (postmortem, user) => {
+  if (!postmortem || !user) return false;
+  if (user.role === 'admin') return true;
+
+  const commanderId = postmortem.incidentId?.commander?._id || postmortem.incidentId?.commander;
+  return commanderId === user._id || postmortem.createdBy?._id === user._id;
+};
+
+/**
+ * Check if the user may edit one section's content
+ */
+export const canEditSection = (postmortem, section, user) => {
+  if (!postmortem || postmortem.status === 'published' || user?.role === 'viewer') return false;
+  return isReviewOwner(postmortem, user) || section?.owner?._id === user?._id;
+};
@@ -0,0 +1,33 @@
+/**
+ * Incident Relationship Utilities
+ * Labels for links between incidents
+ *
+ * Links are stored on both incidents with the inverse type, so each
+ * side reads naturally ("Caused by X" on one, "Causes Y" on the other).
+ * Duplicates are only created by merging.
+ */
+
+// phrase completes "This incident ... <other incident>"
+export const RELATIONSHIP_TYPES = [
+  { value: 'duplicate_of', label: 'Duplicate of', phrase: 'is a duplicate of', color: '#6B7280' },
+  { value: 'duplicated_by', label: 'Duplicates merged in', phrase: 'absorbed the duplicate', color: '#6B7280' },
+  { value: 'parent_of', label: 'Parent of', phrase: 'is the parent of', color: '#6366F1' },
+  { value: 'child_of', label: 'Child of', phrase: 'is a child of', color: '#6366F1' },
+  { value: 'caused_by', label: 'Caused by', phrase: 'is caused by', color: '#EF4444' },
+  { value: 'causes', label: 'Causes', phrase: 'causes', color: '#F59E0B' },
+  { value: 'related', label: 'Related to', phrase: 'is related to', color: '#3B82F6' }
+];
+
+// Types a responder can link by hand
+export const LINK_TYPES = ['related', 'caused_by', 'causes', 'parent_of', 'child_of'];
+
+/**
+ * Get relationship definition by value
+ */
+export const getRelationshipType = (value) =>
+  RELATIONSHIP_TYPES.find((t) => t.value === value) || { value, label: value, phrase: value, color: '#6B7280' };
+
+/**
+ * Whether a link came from a merge (cannot be removed)
+ */
+export const isMergeRelationship = (type) => type === 'duplicate_of' || type === 'duplicated_by';
@@ -0,0 +1,19 @@
+/**
+ * Service Catalog Utilities
+ * Tier labels for catalog entries
+ *
+ * Tier 1 is the most critical; the server defaults new services to tier 3.
+ */
+
+export const SERVICE_TIERS = [
+  { value: 1, label: 'Tier 1', description: 'Customer-facing, revenue critical', color: '#EF4444' },
+  { value: 2, label: 'Tier 2', description: 'Important, degraded experience when down', color: '#F59E0B' },
+  { value: 3, label: 'Tier 3', description: 'Internal or with a workaround', color: '#3B82F6' },
+  { value: 4, label: 'Tier 4', description: 'Low impact', color: '#6B7280' }
+];
+
+/**
+ * Get tier definition by value
+ */
+export const getServiceTier = (value) =>
+  SERVICE_TIERS.find((t) => t.value === value) || { value, label: `Tier ${value}`, description: '', color: '#6B7280' };
@@ -0,0 +1,51 @@
+/**
+ * Status Page Utilities
+ * Labels and colors for public component states and update statuses
+ *
+ * Shared by the public status page and the incident's status page panel.
+ */
+import { isCommsLead } from './incidentRoles';
+
+// Least to most severe (matches the server's COMPONENT_STATES)
+export const COMPONENT_STATES = {
+  operational: { label: 'Operational', color: '#10B981' },
+  degraded_performance: { label: 'Degraded Performance', color: '#F59E0B' },
+  partial_outage: { label: 'Partial Outage', color: '#F97316' },
+  major_outage: { label: 'Major Outage', color: '#EF4444' }
+};
+
+// Impacts an incident can have on the status page
+export const PUBLIC_IMPACTS = ['degraded_performance', 'partial_outage', 'major_outage'];
+
+// Headline for the overall state
+export const OVERALL_STATUS_LABELS = {
+  operational: 'All Systems Operational',
+  degraded_performance: 'Degraded Performance',
+  partial_outage: 'Partial Outage',
+  major_outage: 'Major Outage'
+};
+
+export const PUBLIC_UPDATE_STATUSES = {
+  investigating: { label: 'Investigating', color: '#EF4444' },
+  identified: { label: 'Identified', color: '#F97316' },
+  monitoring: { label: 'Monitoring', color: '#3B82F6' },
+  resolved: { label: 'Resolved', color: '#10B981' }
+};
+
+// Color of a day without data in the uptime history
+export const NO_DATA_COLOR = 'var(--border-primary)';
+
+export const getComponentState = (state) => COMPONENT_STATES[state] || COMPONENT_STATES.operational;
+
+export const getPublicUpdateStatus = (status) =>
+  PUBLIC_UPDATE_STATUSES[status] || PUBLIC_UPDATE_STATUSES.investigating;
+
+/**
+ * Commander, communications lead and admins decide what customers see
+ * UX only: the server enforces the same rule
+ */
+export const canCommunicatePublicly = (incident, user) => {
+  if (!incident || !user) return false;
+  if (user.role === 'admin') return true;
+  return incident.commander?._id === user._id || isCommsLead(incident, user._id);
+};
@@ -41,9 +41,16 @@ module.exports = {
     uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/incident-platform'
   },
 
+  /**
+   * Tokens
+   * expiresIn is the access token lifetime; keep it short, since only
+   * refreshing checks the session's refresh token. A session ends
+   * refreshTtlDays after sign-in at the latest.
+   */
   jwt: {
     secret: process.env.JWT_SECRET || 'dev-secret-change-in-production',
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    refreshTtlDays: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
   },
 
   /**
@@ -61,15 +68,76 @@ module.exports = {
     origin: process.env.CLIENT_URL || 'http://localhost:3000',
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: ['Retry-After']
+  },
+
+  /**
+   * Registration
+   * open: anyone may sign up as a pending viewer (an admin approves);
+   * closed by default, so the only way in is an invitation. Invite links
+   * point at the client.
+   */
+  registration: {
+    open: process.env.REGISTRATION_OPEN === 'true',
+    inviteUrl: `${process.env.CLIENT_URL || 'http://localhost:3000'}/invite`,
+    inviteTtlHours: Number(process.env.INVITE_TTL_HOURS) || 72
+  },
+
+  /**
+   * First administrator
+   * Created on startup while no active admin exists (nobody could
+   * approve or invite anyone otherwise). Ignored once an admin exists;
+   * remove the password from the environment after the first start.
+   */
+  bootstrapAdmin: {
+    email: process.env.ADMIN_EMAIL || null,
+    password: process.env.ADMIN_PASSWORD || null,
+    name: process.env.ADMIN_NAME || 'Administrator'
+  },
+
+  /**
+   * Public Status Page
+   * url is where customers open the page; feed items link there
+   */
+  statusPage: {
+    title: process.env.STATUS_PAGE_TITLE || 'System Status',
+    url: process.env.STATUS_PAGE_URL || `${process.env.CLIENT_URL || 'http://localhost:3000'}/status`
   },
 
   /**
-   * Rate Limiting (values only - implementation is optional)
-   * Would use express-rate-limit in production
+   * Rate Limiting
+   * Fixed windows of windowMs, counted per client IP and per account.
+   * store: 'memory' counts in this process; 'mongo' shares counters
+   * between instances (use it when running more than one).
+   * - max / maxPerIp: write requests (POST, PUT, PATCH, DELETE) per
+   *   signed-in user / per IP; several people may share one IP
+   * - authMaxPerIp: credential requests (login, register, invite accept) per IP
+   * - loginMaxPerAccount: sign-in attempts per email, wherever they come from
+   * trustProxy: reverse proxy hops in front of the API, so req.ip is the
+   * client's address rather than the proxy's
    */
   rateLimit: {
+    store: process.env.RATE_LIMIT_STORE === 'mongo' ? 'mongo' : 'memory',
     windowMs: 15 * 60 * 1000, // 15 minutes
-    max: isProduction ? 100 : 1000 // requests per window
+    max: Number(process.env.RATE_LIMIT_MAX) || (isProduction ? 100 : 1000),
+    maxPerIp: Number(process.env.RATE_LIMIT_MAX_PER_IP) || (isProduction ? 500 : 5000),
+    authMaxPerIp: Number(process.env.RATE_LIMIT_AUTH_MAX_PER_IP) || (isProduction ? 100 : 1000),
+    loginMaxPerAccount: Number(process.env.RATE_LIMIT_LOGIN_MAX_PER_ACCOUNT) || 10,
+    trustProxy: Number(process.env.TRUST_PROXY) || 0
+  },
+
+  /**
+   * Account Lockout
+   * After threshold failed sign-ins in a row the account is locked for
+   * baseMinutes, doubling with each further failure up to maxMinutes.
+   * The count restarts after a successful sign-in, an admin unlock, or
+   * resetAfterHours without failures.
+   */
+  lockout: {
+    threshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+    baseMinutes: 1,
+    maxMinutes: 24 * 60,
+    resetAfterHours: 24
   }
 };
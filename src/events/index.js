@@ -0,0 +1,102 @@
+/**
+ * Domain Event Bus
+ * In-process publish/subscribe for incident lifecycle events
+ *
+ * WHY A BUS:
+ * ─────────────────────────
+ * Incidents can be mutated from several entry points (REST routes,
+ * socket handlers, future integrations). Each of them calls the
+ * service layer, and the service layer publishes a typed event once
+ * the change is persisted. Anything that needs to react (socket
+ * broadcasts, outbound webhooks) subscribes here, so every write path
+ * produces the same fan-out without the caller having to remember.
+ *
+ * Services publish, they never import the socket layer.
+ * Subscribers are isolated: a failing subscriber is logged and does
+ * not fail the mutation that triggered it (the data is already saved).
+ *
+ * INTERVIEW EXPLANATION:
+ * "The service layer owns 'what happened', subscribers own 'who needs
+ * to know'. Adding a new consumer never touches the write paths."
+ */
+const { EventEmitter } = require('events');
+
+/**
+ * Event types published by the incident, action item, postmortem and
+ * status page services
+ * Payloads always include incidentId; see each publish call for shape
+ */
+const INCIDENT_EVENTS = {
+  CREATED: 'incident.created',                                 // { incident, update }
+  STATUS_CHANGED: 'incident.statusChanged',                    // { incident, update }
+  RESOLVED: 'incident.resolved',                               // { incident, update } (after STATUS_CHANGED)
+  FIELDS_UPDATED: 'incident.fieldsUpdated',                    // { incident, updates }
+  ASSIGNED: 'incident.assigned',                               // { incident, update }
+  UNASSIGNED: 'incident.unassigned',                           // { incident, update }
+  NOTE_ADDED: 'incident.noteAdded',                            // { update }
+  ACTION_ITEM_ADDED: 'incident.actionItemAdded',               // { actionItem, update }
+  ACTION_ITEM_UPDATED: 'incident.actionItemUpdated',           // { actionItem, updates }
+  HANDOFF_PROPOSED: 'incident.handoffProposed',                // { incident, update }
+  COMMANDER_CHANGED: 'incident.commanderChanged',              // { incident, update }
+  HANDOFF_DECLINED: 'incident.handoffDeclined',                // { incident, update }
+  ROLES_UPDATED: 'incident.rolesUpdated',                      // { incident, updates }
+  STAKEHOLDER_UPDATE_ADDED: 'incident.stakeholderUpdateAdded', // { update }
+  PUBLIC_UPDATE_ADDED: 'incident.publicUpdateAdded',           // { publicUpdate, update }
+  RELATIONSHIPS_UPDATED: 'incident.relationshipsUpdated',      // { incident, updates }
+  MERGED: 'incident.merged',                                   // { incident, updates, primary } (incident = duplicate)
+  POSTMORTEM_UPDATED: 'incident.postmortemUpdated'             // { postmortem }
+};
+
+/**
+ * Event types published by the session service
+ * Not incident-scoped, so payloads carry userId instead
+ */
+const ACCOUNT_EVENTS = {
+  SESSIONS_REVOKED: 'account.sessionsRevoked',                 // { userId, sessionIds }
+  USER_UPDATED: 'account.userUpdated'                          // { userId, user } (role or status changed)
+};
+
+const emitter = new EventEmitter();
+
+// Several independent subscribers per event type is expected
+emitter.setMaxListeners(50);
+
+/**
+ * Publish a domain event
+ * @param {string} type - One of INCIDENT_EVENTS or ACCOUNT_EVENTS
+ * @param {Object} payload - Event data (incidentId for incident events)
+ */
+const publish = (type, payload) => {
+  emitter.emit(type, {
+    type,
+    ...payload,
+    occurredAt: new Date()
+  });
+};
+
+/**
+ * Subscribe to a domain event
+ * Handler errors (sync or async) are caught and logged
+ * @param {string} type - One of INCIDENT_EVENTS or ACCOUNT_EVENTS
+ * @param {Function} handler - Receives the event payload
+ * @returns {Function} - Unsubscribe function
+ */
+const subscribe = (type, handler) => {
+  const safeHandler = async (event) => {
+    try {
+      await handler(event);
+    } catch (error) {
+      console.error(`Domain event subscriber error [${type}]:`, error.message);
+    }
+  };
+
+  emitter.on(type, safeHandler);
+  return () => emitter.off(type, safeHandler);
+};
+
+module.exports = {
+  INCIDENT_EVENTS,
+  ACCOUNT_EVENTS,
+  publish,
+  subscribe
+};
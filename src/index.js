@@ -22,7 +22,10 @@ const cors = require('cors');
 const config = require('./config');
 const connectDB = require('./config/db');
 const { initializeSocket } = require('./socket');
+const { registerWebhookDispatch, startDeliveryWorker } = require('./webhooks');
+const { workflowService, actionItemService, auditService, userService } = require('./services');
 const errorHandler = require('./middleware/errorHandler');
+const { writeRateLimit } = require('./middleware/rateLimit');
 
 // Step 1: Create Express application (request handler)
 const app = express();
@@ -31,10 +34,18 @@ const app = express();
 // This is the actual server that listens on a port
 const server = http.createServer(app);
 
+// Behind a reverse proxy, take the client IP from X-Forwarded-For
+if (config.rateLimit.trustProxy) {
+  app.set('trust proxy', config.rateLimit.trustProxy);
+}
+
 // Middleware
 app.use(cors(config.cors));
 app.use(express.json());
 
+// Rate limits: writes per IP and per user (credential endpoints have their own)
+app.use('/api', writeRateLimit);
+
 // Root route
 app.get('/', (req, res) => {
   res.json({
@@ -44,7 +55,17 @@ app.get('/', (req, res) => {
       health: '/health',
       auth: '/api/auth',
       incidents: '/api/incidents',
-      users: '/api/users'
+      users: '/api/users',
+      workflows: '/api/workflows',
+      analytics: '/api/analytics',
+      postmortems: '/api/postmortems',
+      actionItems: '/api/action-items',
+      webhooks: '/api/webhooks',
+      integrations: '/api/integrations',
+      status: '/api/status',
+      templates: '/api/templates',
+      services: '/api/services',
+      invites: '/api/invites'
     }
   });
 });
@@ -58,6 +79,17 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/incidents', require('./routes/incidents'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/workflows', require('./routes/workflows'));
+app.use('/api/workflow', require('./routes/workflow')); // deprecated alias
+app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/postmortems', require('./routes/postmortems'));
+app.use('/api/action-items', require('./routes/actionItems'));
+app.use('/api/webhooks', require('./routes/webhooks'));
+app.use('/api/integrations', require('./routes/integrations'));
+app.use('/api/status', require('./routes/status'));
+app.use('/api/templates', require('./routes/templates'));
+app.use('/api/services', require('./routes/services'));
+app.use('/api/invites', require('./routes/invites'));
 
 // Global error handler (must be last)
 app.use(errorHandler);
@@ -67,10 +99,27 @@ const startServer = async () => {
   // Connect to MongoDB first
   await connectDB();
 
+  // Seed the built-in incident workflow if missing
+  await workflowService.ensureDefaultWorkflow();
+
+  // Create the first admin from config on an empty deployment
+  await userService.ensureBootstrapAdmin();
+
+  // Move action items that predate the ActionItem collection
+  await actionItemService.migrateLegacyActionItems();
+
+  // Number and hash timeline entries that predate the audit chain
+  await auditService.backfillAuditChains();
+
   // Step 3: Initialize Socket.io with HTTP server
   // Socket.io will intercept WebSocket upgrade requests
   initializeSocket(server);
 
+  // Outbound webhooks: subscribe to domain events, then send anything
+  // still queued from before the restart
+  registerWebhookDispatch();
+  startDeliveryWorker();
+
   // Step 4: Single listen call for both HTTP and WebSocket
   server.listen(config.port, () => {
     console.log(`Server running on port ${config.port}`);
@@ -4,10 +4,27 @@
  */
 const jwt = require('jsonwebtoken');
 const config = require('../config');
-const { User } = require('../models');
+const { User, Integration, Session } = require('../models');
+const { hashSecureToken } = require('../utils/secureTokens');
+
+/**
+ * Whether the session an access token was issued for is still live
+ * Tokens without a session (issued before sessions existed) are refused
+ */
+const isSessionLive = async (decoded) => {
+  if (!decoded.sessionId) return false;
+
+  return Boolean(await Session.exists({
+    _id: decoded.sessionId,
+    user: decoded.userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }));
+};
 
 /**
  * Express middleware - verifies JWT from Authorization header
+ * Attaches req.user and req.sessionId
  */
 const authenticateHTTP = async (req, res, next) => {
   try {
@@ -19,18 +36,54 @@ const authenticateHTTP = async (req, res, next) => {
     const token = authHeader.split(' ')[1];
     const decoded = jwt.verify(token, config.jwt.secret);
 
+    if (!(await isSessionLive(decoded))) {
+      return res.status(401).json({ error: 'Session revoked' });
+    }
+
     const user = await User.findById(decoded.userId);
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
     }
+    if (user.status !== 'active') {
+      return res.status(401).json({ error: 'Account is not active' });
+    }
 
     req.user = user;
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     return res.status(401).json({ error: 'Invalid token' });
   }
 };
 
+/**
+ * Express middleware - verifies an integration key for alert ingestion
+ * Accepts "Authorization: Bearer <key>" (Alertmanager http_config) or
+ * an X-Integration-Key header
+ */
+const authenticateIntegration = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const key = authHeader?.startsWith('Bearer ')
+      ? authHeader.split(' ')[1]
+      : req.headers['x-integration-key'];
+
+    if (!key) {
+      return res.status(401).json({ error: 'No integration key provided' });
+    }
+
+    const integration = await Integration.findOne({ keyHash: hashSecureToken(key), active: true });
+    if (!integration) {
+      return res.status(401).json({ error: 'Invalid integration key' });
+    }
+
+    req.integration = integration;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Socket.io middleware - verifies JWT from handshake auth
  */
@@ -42,14 +95,22 @@ const authenticateSocket = async (socket, next) => {
     }
 
     const decoded = jwt.verify(token, config.jwt.secret);
+    if (!(await isSessionLive(decoded))) {
+      return next(new Error('Session revoked'));
+    }
+
     const user = await User.findById(decoded.userId);
 
     if (!user) {
       return next(new Error('User not found'));
     }
+    if (user.status !== 'active') {
+      return next(new Error('Account is not active'));
+    }
 
-    // Attach user to socket for use in handlers
+    // Attach user and session to socket for use in handlers
     socket.user = user;
+    socket.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     next(new Error('Invalid token'));
@@ -72,10 +133,10 @@ const requireRole = (...allowedRoles) => {
 };
 
 /**
- * Generate JWT token
+ * Generate a short-lived access token bound to a session
  */
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, config.jwt.secret, {
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId: userId.toString(), sessionId: sessionId.toString() }, config.jwt.secret, {
     expiresIn: config.jwt.expiresIn
   });
 };
@@ -83,6 +144,7 @@ const generateToken = (userId) => {
 module.exports = {
   authenticateHTTP,
   authenticateSocket,
+  authenticateIntegration,
   requireRole,
   generateToken
 };
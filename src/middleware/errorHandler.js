@@ -72,11 +72,13 @@ const classifyError = (err) => {
   }
 
   // Custom application errors (with status property)
+  // Structured errors may carry a code and details (e.g. allowed transitions)
   if (err.status) {
     return {
       status: err.status,
       message: err.message,
-      type: 'APPLICATION_ERROR'
+      type: err.code || 'APPLICATION_ERROR',
+      details: err.details
     };
   }
 
@@ -112,9 +114,16 @@ const errorHandler = (err, req, res, next) => {
 
   console.error('Error:', JSON.stringify(logData, null, 2));
 
+  // Tell throttled clients when to come back (e.g. account lockout)
+  if (classified.status === 429 && classified.details?.retryAfter) {
+    res.set('Retry-After', String(classified.details.retryAfter));
+  }
+
   // Send response
   res.status(classified.status).json({
     error: classified.message,
+    // Structured details are part of the contract (safe to expose)
+    ...(classified.details ? { details: classified.details } : {}),
     // Include error code in development for easier debugging
     ...(config.isProduction ? {} : { code: classified.type })
   });
@@ -0,0 +1,230 @@
+/**
+ * Rate Limiting Middleware
+ * Fixed-window request limits per client IP and per account
+ *
+ * STORES (config.rateLimit.store):
+ * ─────────────────────────
+ * - memory (default): counters live in this process. Each instance
+ *   counts on its own, so N instances allow N times the limit.
+ * - mongo: counters in the RateLimitCounter collection, shared by
+ *   every instance. One atomic upsert per counted request.
+ *
+ * Over the limit: 429 with a Retry-After header and details.retryAfter
+ * (seconds), the same shape as an account lockout (authService.login),
+ * so clients handle both alike.
+ */
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const { RateLimitCounter } = require('../models');
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Paths with limits of their own (credential endpoints), that keep a
+// client signed in or let it sign out (refresh tokens are single-use
+// random strings, nothing to guess), or senders that must not be
+// throttled (alert storms arrive from one monitoring system)
+const WRITE_LIMIT_EXEMPT = [
+  '/api/auth/login',
+  '/api/auth/register',
+  '/api/auth/invites/',
+  '/api/auth/refresh',
+  '/api/auth/logout',
+  '/api/integrations/alerts'
+];
+
+/**
+ * Counters in this process
+ * Finished windows are pruned every minute
+ */
+const createMemoryStore = () => {
+  const counters = new Map(); // key -> { count, resetAt }
+
+  const timer = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) counters.delete(key);
+    });
+  }, 60 * 1000);
+  timer.unref();
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      const counter = counters.get(key);
+
+      if (!counter || counter.resetAt <= now) {
+        const fresh = { count: 1, resetAt: now + windowMs };
+        counters.set(key, fresh);
+        return fresh;
+      }
+
+      counter.count += 1;
+      return counter;
+    },
+
+    reset: async (key) => {
+      counters.delete(key);
+    }
+  };
+};
+
+/**
+ * Counters shared through MongoDB
+ */
+const createMongoStore = () => {
+  const increment = async (key, windowMs, isRetry = false) => {
+    const now = new Date();
+    const inWindow = { $gt: ['$resetAt', now] };
+
+    try {
+      // One update: continue the current window or start a new one
+      const counter = await RateLimitCounter.findOneAndUpdate(
+        { key },
+        [{
+          $set: {
+            count: { $cond: [inWindow, { $add: ['$count', 1] }, 1] },
+            resetAt: { $cond: [inWindow, '$resetAt', new Date(now.getTime() + windowMs)] }
+          }
+        }],
+        { upsert: true, new: true }
+      );
+      return { count: counter.count, resetAt: counter.resetAt.getTime() };
+    } catch (error) {
+      // Two first requests raced to insert the counter
+      if (error.code === 11000 && !isRetry) return increment(key, windowMs, true);
+      throw error;
+    }
+  };
+
+  return {
+    increment,
+    reset: async (key) => {
+      await RateLimitCounter.deleteOne({ key });
+    }
+  };
+};
+
+let store = null;
+
+/**
+ * The configured store, created on first use
+ */
+const getStore = () => {
+  if (!store) {
+    store = config.rateLimit.store === 'mongo' ? createMongoStore() : createMemoryStore();
+  }
+  return store;
+};
+
+/**
+ * Normalize an email so "Ana@Example.com " and "ana@example.com" share a counter
+ */
+const normalizeEmail = (email) =>
+  typeof email === 'string' ? email.trim().toLowerCase() : null;
+
+/**
+ * User ID from a valid bearer token, or null
+ * Verified, not just decoded: a forged token must not spend someone
+ * else's budget. Full checks (session, status) stay in authenticateHTTP.
+ */
+const userIdFromBearer = (req) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith('Bearer ')) return null;
+
+  try {
+    return jwt.verify(authHeader.split(' ')[1], config.jwt.secret).userId || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Build a rate-limiting middleware
+ * @param {Object} options
+ *   name: counter namespace, e.g. 'auth-ip'
+ *   max: requests allowed per window
+ *   keyOf: (req) => client key; requests without a key are not counted
+ *   skip: (req) => true to let a request through uncounted
+ * @returns {Function} - Express middleware
+ */
+const rateLimit = ({ name, max, windowMs = config.rateLimit.windowMs, keyOf, skip }) =>
+  async (req, res, next) => {
+    try {
+      if (skip?.(req)) return next();
+
+      const key = keyOf(req);
+      if (!key) return next();
+
+      const { count, resetAt } = await getStore().increment(`${name}:${key}`, windowMs);
+      if (count <= max) return next();
+
+      const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfter));
+      res.status(429).json({
+        error: 'Too many requests, please try again later',
+        details: { retryAfter }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+/**
+ * Forget a client's count (e.g. when an admin unlocks an account)
+ * @param {string} name - Limiter name
+ * @param {string} key - Client key
+ */
+const resetRateLimit = async (name, key) => {
+  await getStore().reset(`${name}:${key}`);
+};
+
+/**
+ * Credential endpoints (login, register, invite accept), per IP
+ * Not refresh, logout or sessions: a signed-in client must not be
+ * signed out because others behind its IP failed to sign in
+ */
+const credentialRateLimit = rateLimit({
+  name: 'auth-ip',
+  max: config.rateLimit.authMaxPerIp,
+  keyOf: (req) => req.ip
+});
+
+/**
+ * Sign-in attempts per account (email), from any IP
+ */
+const loginRateLimit = rateLimit({
+  name: 'login-account',
+  max: config.rateLimit.loginMaxPerAccount,
+  keyOf: (req) => normalizeEmail(req.body?.email)
+});
+
+const isExemptFromWriteLimit = (req) =>
+  !WRITE_METHODS.includes(req.method) ||
+  WRITE_LIMIT_EXEMPT.some((path) => req.originalUrl.startsWith(path));
+
+/**
+ * Write requests across the API, per IP and per signed-in user
+ */
+const writeRateLimit = [
+  rateLimit({
+    name: 'write-ip',
+    max: config.rateLimit.maxPerIp,
+    keyOf: (req) => req.ip,
+    skip: isExemptFromWriteLimit
+  }),
+  rateLimit({
+    name: 'write-user',
+    max: config.rateLimit.max,
+    keyOf: userIdFromBearer,
+    skip: isExemptFromWriteLimit
+  })
+];
+
+module.exports = {
+  rateLimit,
+  resetRateLimit,
+  normalizeEmail,
+  credentialRateLimit,
+  loginRateLimit,
+  writeRateLimit
+};
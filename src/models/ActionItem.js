@@ -0,0 +1,82 @@
+/**
+ * ActionItem Model
+ * Follow-up task raised during an incident
+ *
+ * Lives in its own collection (not IncidentUpdate) because tasks keep
+ * changing after the incident is resolved. Every change is still
+ * recorded as an immutable 'action_item' IncidentUpdate.
+ */
+const mongoose = require('mongoose');
+
+const actionItemSchema = new mongoose.Schema({
+  incidentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['open', 'in_progress', 'done', 'cancelled'],
+    default: 'open'
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set when the item reaches done/cancelled, cleared on reopen
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // The 'action_item' IncidentUpdate a legacy item was migrated from
+  // (the entry itself is append-only and is not rewritten)
+  legacyUpdateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IncidentUpdate',
+    default: undefined
+  }
+}, {
+  timestamps: true
+});
+
+// Incident checklist
+actionItemSchema.index({ incidentId: 1, createdAt: 1 });
+
+// "My open follow-ups" and overdue views
+actionItemSchema.index({ owner: 1, status: 1, dueDate: 1 });
+actionItemSchema.index({ status: 1, dueDate: 1 });
+actionItemSchema.index({ createdAt: -1, _id: -1 });
+
+// Each legacy entry is migrated once, even by instances starting together
+actionItemSchema.index(
+  { legacyUpdateId: 1 },
+  { unique: true, partialFilterExpression: { legacyUpdateId: { $exists: true } } }
+);
+
+module.exports = mongoose.model('ActionItem', actionItemSchema);
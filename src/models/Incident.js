@@ -20,10 +20,17 @@ const incidentSchema = new mongoose.Schema({
     enum: ['critical', 'high', 'medium', 'low'],
     required: true
   },
+  // Selects the Workflow that defines valid statuses and transitions
+  incidentType: {
+    type: String,
+    default: 'default',
+    trim: true,
+    lowercase: true
+  },
+  // Validated against the incident's workflow by incidentService
   status: {
     type: String,
-    enum: ['investigating', 'identified', 'monitoring', 'resolved'],
-    default: 'investigating'
+    required: true
   },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -34,26 +41,227 @@ const incidentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Proposed transfer of command, waiting for the target user to accept
+  pendingHandoff: {
+    type: new mongoose.Schema({
+      toUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      proposedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      notes: {
+        type: String,
+        default: ''
+      },
+      proposedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }, { _id: false }),
+    default: null
+  },
+  // Named response roles beyond commander (one entry per holder)
+  // scribe and comms_lead have a single holder, sme can have several
+  roles: [{
+    _id: false,
+    role: {
+      type: String,
+      enum: ['scribe', 'comms_lead', 'sme'],
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  }],
   assignees: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Set when entering a terminal status, cleared on re-open
   resolvedAt: {
     type: Date,
     default: null
+  },
+  // Source alert for incidents opened by an integration (null for manual ones)
+  alert: {
+    type: new mongoose.Schema({
+      integrationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Integration',
+        required: true
+      },
+      fingerprint: {
+        type: String,
+        required: true
+      },
+      status: {
+        type: String,
+        enum: ['firing', 'resolved'],
+        default: 'firing'
+      },
+      labels: {
+        type: Map,
+        of: String
+      },
+      occurrences: {
+        type: Number,
+        default: 1
+      },
+      lastReceivedAt: Date,
+      // Last repeat/resolution note (repeats are throttled by alertService)
+      lastNotedAt: Date,
+      // Mirrors !resolvedAt (set on validate) for the unique index below
+      open: {
+        type: Boolean,
+        default: true
+      }
+    }, { _id: false }),
+    default: null
+  },
+  // Public status page: only listed once a responder makes it public,
+  // under publicTitle (internal titles and descriptions never leave)
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  publicTitle: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 200
+  },
+  publicImpact: {
+    type: String,
+    enum: ['degraded_performance', 'partial_outage', 'major_outage'],
+    default: 'partial_outage'
+  },
+  affectedComponents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StatusComponent'
+  }],
+  // Last entry of the audit chain (auditService), so removing entries
+  // from the end of the timeline is detected too
+  auditHead: {
+    type: new mongoose.Schema({
+      _id: false,
+      sequence: Number,
+      hash: String
+    }),
+    default: null
+  },
+  // Service catalog entries this incident affects
+  affectedServices: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  }],
+  // Links to other incidents, stored on both sides with the inverse type
+  // (duplicate_of/duplicated_by are only set by merging)
+  relationships: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['duplicate_of', 'duplicated_by', 'caused_by', 'causes', 'related', 'parent_of', 'child_of'],
+      required: true
+    },
+    incident: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Incident',
+      required: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Set when this incident was merged into another one (closed as a duplicate);
+  // the primary's timeline then includes this incident's entries
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    default: null
+  },
+  mergedAt: {
+    type: Date,
+    default: null
+  },
+  // Runbook copied from the template the incident was created from
+  runbook: {
+    type: new mongoose.Schema({
+      templateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'IncidentTemplate'
+      },
+      templateName: {
+        type: String,
+        required: true
+      },
+      markdown: {
+        type: String,
+        default: ''
+      }
+    }, { _id: false }),
+    default: null
   }
 }, {
   timestamps: true
 });
 
+// Full-text search from the dashboard (note text is indexed on IncidentUpdate)
+incidentSchema.index({ title: 'text', description: 'text' });
+
+// Indexes for dashboard list: default sort and people filters
+incidentSchema.index({ createdAt: -1, _id: -1 });
+incidentSchema.index({ commander: 1, createdAt: -1 });
+incidentSchema.index({ assignees: 1, createdAt: -1 });
+
 // Index for dashboard queries: active incidents by severity
 incidentSchema.index({ status: 1, severity: 1 });
 
-// Auto-set resolvedAt when status changes to resolved
-incidentSchema.pre('save', function(next) {
-  if (this.isModified('status') && this.status === 'resolved' && !this.resolvedAt) {
-    this.resolvedAt = new Date();
-  }
+// Dashboard service filter and per-service history
+incidentSchema.index({ affectedServices: 1, createdAt: -1 });
+
+// Index for workflow changes: incidents of a type in a given status
+incidentSchema.index({ incidentType: 1, status: 1 });
+
+// Alert deduplication: open incident for an integration's fingerprint
+incidentSchema.index(
+  { 'alert.integrationId': 1, 'alert.fingerprint': 1, resolvedAt: 1 },
+  { partialFilterExpression: { alert: { $type: 'object' } } }
+);
+
+// At most one open incident per fingerprint, even when two alert requests
+// race (partial indexes cannot match resolvedAt: null, hence alert.open)
+incidentSchema.index(
+  { 'alert.integrationId': 1, 'alert.fingerprint': 1 },
+  { unique: true, partialFilterExpression: { 'alert.open': true } }
+);
+
+// Status page: public incidents, newest first
+incidentSchema.index(
+  { isPublic: 1, createdAt: -1 },
+  { partialFilterExpression: { isPublic: true } }
+);
+
+// Merged timelines: incidents merged into a primary
+incidentSchema.index(
+  { mergedInto: 1 },
+  { partialFilterExpression: { mergedInto: { $type: 'objectId' } } }
+);
+
+// Resolving or reopening an alert incident frees or takes its fingerprint
+incidentSchema.pre('validate', function(next) {
+  if (this.alert) this.alert.open = !this.resolvedAt;
   next();
 });
 
@@ -0,0 +1,73 @@
+/**
+ * IncidentTemplate Model
+ * Admin-defined starting point for a recurring kind of incident
+ *
+ * Creating an incident from a template fills in its defaults, copies
+ * the runbook onto the incident (later edits to the template do not
+ * rewrite past incidents) and turns the checklist into action items.
+ */
+const mongoose = require('mongoose');
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+const incidentTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Default incident title; {date} and {time} are filled in (UTC) on creation
+  titlePattern: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  severity: {
+    type: String,
+    enum: SEVERITIES,
+    default: 'medium'
+  },
+  // Workflow for incidents created from this template
+  incidentType: {
+    type: String,
+    default: 'default',
+    trim: true,
+    lowercase: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Markdown, pinned on incidents created from the template
+  runbook: {
+    type: String,
+    default: '',
+    maxlength: 50000
+  },
+  // Initial action items, in order
+  checklist: [{
+    _id: false,
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 500
+    },
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high'],
+      default: 'medium'
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('IncidentTemplate', incidentTemplateSchema);
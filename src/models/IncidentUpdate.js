@@ -2,15 +2,46 @@
  * IncidentUpdate Model
  * Structured audit trail for incident timeline
  * Separate from Incident to prevent document bloat
+ *
+ * Append-only: entries are written by auditService.appendUpdates, which
+ * numbers them per incident and chains their hashes (see
+ * utils/auditChain). Updating or deleting entries through Mongoose is
+ * rejected; state that keeps changing (e.g. action items) lives in its
+ * own collection and records each change as a new entry.
  */
 const mongoose = require('mongoose');
 
+/**
+ * Error for attempts to change an existing entry
+ */
+const appendOnlyError = () => {
+  const error = new Error('Audit entries are append-only');
+  error.status = 409;
+  return error;
+};
+
 const incidentUpdateSchema = new mongoose.Schema({
   incidentId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Incident',
     required: true
   },
+  // Position in the incident's chain, from 0 with no gaps
+  sequence: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Hash of the entry before this one (GENESIS_HASH for the first)
+  previousHash: {
+    type: String,
+    required: true
+  },
+  // sha256 over previousHash and this entry's content
+  hash: {
+    type: String,
+    required: true
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -18,23 +49,65 @@ const incidentUpdateSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['status_change', 'assignment', 'note', 'action_item'],
+    enum: [
+      'status_change', 'assignment', 'note', 'action_item', 'field_change',
+      'commander_change', 'role_change', 'stakeholder_update', 'public_update',
+      'relationship'
+    ],
     required: true
   },
   content: {
-    // status_change
+    // status_change (public_update: newStatus = public status)
     previousStatus: String,
     newStatus: String,
-    // assignment
+    // assignment, commander_change, role_change & relationship
     action: {
       type: String,
-      enum: ['assigned', 'unassigned']
+      enum: [
+        'assigned', 'unassigned', 'proposed', 'accepted', 'declined', 'reassigned', 'withdrawn',
+        'linked', 'unlinked', 'merged'
+      ]
     },
-    targetUserId: mongoose.Schema.Types.ObjectId,
-    // note & action_item
+    targetUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // role_change (targetUserId = role holder)
+    role: String,
+    // note, action_item, stakeholder_update & public_update
     text: String,
-    // action_item only
-    completed: Boolean
+    // action_item (field/values set on changes, absent on creation;
+    // owner changes record users by id, not name: targetUserId = new
+    // owner, previousOwnerId = old owner)
+    actionItemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ActionItem'
+    },
+    previousOwnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Legacy action items stored their state here before ActionItem existed
+    completed: Boolean,
+    // field_change (title, description, severity) & action_item changes
+    field: String,
+    previousValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed,
+    // commander_change (action: proposed, accepted, declined, or from
+    // offboarding reassigned / withdrawn; targetUserId = proposed/new
+    // commander, or the departing user whose handoff was withdrawn)
+    previousCommanderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String,
+    // relationship (action: linked, unlinked or merged; relationship is
+    // this incident's side, e.g. duplicate_of on the merged incident)
+    relationship: String,
+    relatedIncidentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Incident'
+    }
   }
 }, {
   timestamps: { createdAt: true, updatedAt: false } // updates are immutable
@@ -43,4 +116,31 @@ const incidentUpdateSchema = new mongoose.Schema({
 // Index for timeline queries
 incidentUpdateSchema.index({ incidentId: 1, createdAt: 1 });
 
+// One entry per chain position: concurrent appends cannot fork the chain
+// (partial: entries from before the chain are numbered on startup)
+incidentUpdateSchema.index(
+  { incidentId: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+
+// Existing entries are never changed or removed
+incidentUpdateSchema.pre('save', function (next) {
+  next(this.isNew ? undefined : appendOnlyError());
+});
+incidentUpdateSchema.pre('deleteOne', { document: true, query: false }, function (next) {
+  next(appendOnlyError());
+});
+incidentUpdateSchema.pre(
+  [
+    'updateOne', 'updateMany', 'replaceOne', 'findOneAndUpdate',
+    'findOneAndReplace', 'findOneAndDelete', 'deleteOne', 'deleteMany'
+  ],
+  function (next) {
+    next(appendOnlyError());
+  }
+);
+
+// Full-text search over note text from the incident list
+incidentUpdateSchema.index({ 'content.text': 'text' });
+
 module.exports = mongoose.model('IncidentUpdate', incidentUpdateSchema);
@@ -0,0 +1,79 @@
+/**
+ * Integration Model
+ * Monitoring source allowed to open incidents from alerts
+ *
+ * Authenticated by an API key (hash stored, see utils/secureTokens).
+ * Each integration has its own service account user so timeline
+ * entries show which integration wrote them.
+ */
+const mongoose = require('mongoose');
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+const integrationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the key, to recognise it in the admin list
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+  // Workflow for incidents opened by this integration
+  incidentType: {
+    type: String,
+    default: 'default',
+    trim: true,
+    lowercase: true
+  },
+  // Alert label read for severity (mapped by alertService)
+  severityLabel: {
+    type: String,
+    default: 'severity',
+    trim: true
+  },
+  // Used when the label is missing or unrecognised
+  defaultSeverity: {
+    type: String,
+    enum: SEVERITIES,
+    default: 'medium'
+  },
+  // Commander of opened incidents (null = none until someone takes it)
+  commander: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Service account that authors incidents and notes
+  serviceUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastAlertAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Integration', integrationSchema);
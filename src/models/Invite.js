@@ -0,0 +1,77 @@
+/**
+ * Invite Model
+ * Admin invitation to create an account with a given role
+ *
+ * Only a SHA-256 hash of the token is stored; the link is shown to the
+ * admin once. An invite is single-use (acceptedAt), expires, and can be
+ * revoked while unused.
+ */
+const mongoose = require('mongoose');
+
+const inviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Role the account gets on acceptance (no approval needed)
+  role: {
+    type: String,
+    enum: ['admin', 'responder', 'viewer'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * pending | accepted | revoked | expired
+ */
+inviteSchema.virtual('status').get(function () {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+// Hide the token hash from API responses
+inviteSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    delete ret.id;
+    return ret;
+  }
+});
+
+inviteSchema.index({ email: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Invite', inviteSchema);
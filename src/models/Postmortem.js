@@ -0,0 +1,117 @@
+/**
+ * Postmortem Model
+ * Post-incident review document, one per incident
+ *
+ * Sections are written by people; the timeline and action item
+ * snapshots are generated from IncidentUpdate records (and can be
+ * regenerated while the review is still a draft).
+ */
+const mongoose = require('mongoose');
+
+// Section keys in document order (titles live in postmortemService)
+const SECTION_KEYS = [
+  'summary',
+  'impact',
+  'root_cause',
+  'contributing_factors',
+  'lessons',
+  'follow_ups'
+];
+
+const sectionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    enum: SECTION_KEYS,
+    required: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  // Assigned writer; besides the review owners only they may edit
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: Date
+}, { _id: false });
+
+// Generated from the incident timeline (status changes, key notes...)
+const timelineEntrySchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+const postmortemSchema = new mongoose.Schema({
+  incidentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'in_review', 'published'],
+    default: 'draft'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sections: [sectionSchema],
+  timeline: [timelineEntrySchema],
+  // Copied from ActionItem (the live items keep changing after the review)
+  actionItems: [{
+    _id: false,
+    actionItemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ActionItem'
+    },
+    text: String,
+    status: String,
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    dueDate: Date
+  }],
+  generatedAt: Date,
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Review queue: postmortems by state, newest first
+postmortemSchema.index({ status: 1, updatedAt: -1 });
+
+postmortemSchema.statics.SECTION_KEYS = SECTION_KEYS;
+
+module.exports = mongoose.model('Postmortem', postmortemSchema);
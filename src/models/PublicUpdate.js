@@ -0,0 +1,47 @@
+/**
+ * PublicUpdate Model
+ * Customer-facing update published to the status page
+ *
+ * Deliberately separate from IncidentUpdate: notes and stakeholder
+ * updates are internal, and only what a responder explicitly publishes
+ * here is ever served without authentication. Publishing is still
+ * recorded internally as a 'public_update' IncidentUpdate.
+ */
+const mongoose = require('mongoose');
+
+// Customer-facing progress, independent of the internal workflow status
+const PUBLIC_UPDATE_STATUSES = ['investigating', 'identified', 'monitoring', 'resolved'];
+
+const publicUpdateSchema = new mongoose.Schema({
+  incidentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: PUBLIC_UPDATE_STATUSES,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 5000
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false } // published updates are immutable
+});
+
+// Updates of one incident, and the feed of all updates
+publicUpdateSchema.index({ incidentId: 1, createdAt: 1 });
+publicUpdateSchema.index({ createdAt: -1 });
+
+publicUpdateSchema.statics.PUBLIC_UPDATE_STATUSES = PUBLIC_UPDATE_STATUSES;
+
+module.exports = mongoose.model('PublicUpdate', publicUpdateSchema);
@@ -0,0 +1,32 @@
+/**
+ * RateLimitCounter Model
+ * Shared request counters for rate limiting across instances
+ *
+ * Only used with RATE_LIMIT_STORE=mongo; the default store keeps
+ * counters in memory. One document per limiter and client key, holding
+ * the count for the current window.
+ */
+const mongoose = require('mongoose');
+
+const rateLimitCounterSchema = new mongoose.Schema({
+  // '<limiter>:<client key>', e.g. 'login-account:ana@example.com'
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // End of the current window
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Finished windows are removed by MongoDB
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
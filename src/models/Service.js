@@ -0,0 +1,61 @@
+/**
+ * Service Model
+ * Entry in the service catalog: a system incidents can affect
+ *
+ * Incidents reference services in affectedServices, which drives the
+ * dashboard service filter and per-service history and MTTR.
+ * Dependencies point at the services this one needs to work.
+ */
+const mongoose = require('mongoose');
+
+// 1 = most critical
+const SERVICE_TIERS = [1, 2, 3, 4];
+
+const serviceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 500
+  },
+  // Owning team (free text until teams exist as accounts)
+  team: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 100
+  },
+  tier: {
+    type: Number,
+    enum: SERVICE_TIERS,
+    default: 3
+  },
+  runbookUrl: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 500
+  },
+  // Services this one depends on (validated acyclic by serviceCatalogService)
+  dependencies: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+serviceSchema.statics.SERVICE_TIERS = SERVICE_TIERS;
+
+module.exports = mongoose.model('Service', serviceSchema);
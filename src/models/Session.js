@@ -0,0 +1,78 @@
+/**
+ * Session Model
+ * One signed-in device: holds the current refresh token (hashed)
+ *
+ * Access tokens are short-lived JWTs naming their session; the auth
+ * middleware rejects them once the session is revoked or expired.
+ * Each refresh rotates the refresh token. The previous hash is kept so
+ * a replayed, already-rotated token can be recognised as theft.
+ */
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  previousRefreshTokenHash: {
+    type: String,
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  // Device metadata, refreshed on every rotation
+  userAgent: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'logout_all', 'token_reuse', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Active sessions of a user
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+// Replay detection
+sessionSchema.index({ previousRefreshTokenHash: 1 }, { sparse: true });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hide token hashes from API responses
+sessionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.refreshTokenHash;
+    delete ret.previousRefreshTokenHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,43 @@
+/**
+ * StatusComponent Model
+ * Customer-facing part of the product shown on the public status page
+ *
+ * A component has no stored state: it is degraded or down while an
+ * active public incident lists it in affectedComponents (see
+ * statusPageService), so the page can never disagree with the incidents.
+ */
+const mongoose = require('mongoose');
+
+// Public impact levels, least to most severe (operational = no incident)
+const COMPONENT_STATES = ['operational', 'degraded_performance', 'partial_outage', 'major_outage'];
+
+const statusComponentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 500
+  },
+  // Display order on the status page (ascending)
+  position: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+statusComponentSchema.statics.COMPONENT_STATES = COMPONENT_STATES;
+
+module.exports = mongoose.model('StatusComponent', statusComponentSchema);
@@ -5,6 +5,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const USER_ROLES = ['admin', 'responder', 'viewer'];
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -24,13 +26,79 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin', 'responder', 'viewer'],
+    enum: USER_ROLES,
     default: 'responder'
+  },
+  // 'pending' = self-registered, cannot sign in until an admin approves
+  // 'deactivated' = offboarded; kept so the audit trail can name them
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'deactivated'],
+    default: 'active'
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  approvedAt: {
+    type: Date,
+    default: null
+  },
+  // Admin whose invitation created the account
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  deactivatedAt: {
+    type: Date,
+    default: null
+  },
+  deactivatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Last time a session was started (password sign-in, invite or registration)
+  lastLoginAt: {
+    type: Date,
+    default: null
+  },
+  // Failed sign-ins in a row; locks the account (config.lockout)
+  failedLoginCount: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Set when name and email were erased on a privacy request (irreversible)
+  anonymizedAt: {
+    type: Date,
+    default: null
+  },
+  // 'integration' = service account that authors alert-driven timeline
+  // entries; it cannot log in and is hidden from user pickers
+  kind: {
+    type: String,
+    enum: ['person', 'integration'],
+    default: 'person'
   }
 }, {
   timestamps: true // adds createdAt and updatedAt
 });
 
+// Approval queue
+userSchema.index({ status: 1, createdAt: 1 });
+
+userSchema.statics.USER_ROLES = USER_ROLES;
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('passwordHash')) return next();
@@ -47,6 +115,8 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const obj = this.toObject();
   delete obj.passwordHash;
+  delete obj.failedLoginCount;
+  delete obj.lastFailedLoginAt;
   return obj;
 };
 
@@ -0,0 +1,70 @@
+/**
+ * WebhookDelivery Model
+ * One event sent (or to be sent) to one subscription
+ *
+ * Doubles as the retry queue: pending deliveries are picked up by the
+ * delivery worker once nextAttemptAt has passed, so retries survive
+ * restarts. Kept afterwards as the subscription's delivery log.
+ */
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  incidentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident'
+  },
+  // Exact JSON body that is signed and sent
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: Date,
+  // Outcome of the latest attempt
+  responseStatus: Number,
+  responseBody: String,
+  error: String,
+  // Set on copies made by "redeliver"
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  },
+  // Admin who asked for the redelivery
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Worker queue: due pending deliveries
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Delivery log per subscription, newest first
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,60 @@
+/**
+ * WebhookSubscription Model
+ * Admin-managed endpoint that receives incident lifecycle events
+ *
+ * The secret signs every delivery (HMAC-SHA256) so receivers can
+ * verify the payload came from us. It is never returned by list/get;
+ * admins see it once, when the subscription is created.
+ */
+const mongoose = require('mongoose');
+
+// Events a subscription can filter on (see src/webhooks for the mapping)
+const WEBHOOK_EVENTS = [
+  'incident.created',
+  'incident.status_changed',
+  'incident.assigned',
+  'incident.note_added',
+  'incident.resolved'
+];
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Empty list = every event
+  events: [{
+    type: String,
+    enum: WEBHOOK_EVENTS
+  }],
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Fan-out lookup: active subscriptions for an event
+webhookSubscriptionSchema.index({ active: 1, events: 1 });
+
+webhookSubscriptionSchema.statics.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
@@ -0,0 +1,109 @@
+/**
+ * Workflow Model
+ * Admin-defined status state machine for an incident type
+ *
+ * Each incident references one workflow through its incidentType
+ * (e.g. 'default', 'security', 'data_loss'). The definition drives
+ * server-side transition checks and every status control in the client.
+ */
+const mongoose = require('mongoose');
+
+const statusSchema = new mongoose.Schema({
+  value: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Status value must be lowercase letters, digits or underscores']
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  color: {
+    type: String,
+    default: '#6B7280',
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #3B82F6']
+  }
+}, { _id: false });
+
+const workflowSchema = new mongoose.Schema({
+  incidentType: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Incident type must be lowercase letters, digits or underscores']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Ordered for display (progression from left to right)
+  statuses: {
+    type: [statusSchema],
+    validate: [(v) => v.length >= 2, 'A workflow needs at least two statuses']
+  },
+  // Key = current status, Value = allowed next statuses
+  transitions: {
+    type: Map,
+    of: [String],
+    default: {}
+  },
+  initialStatus: {
+    type: String,
+    required: true
+  },
+  // Entering a terminal status resolves the incident (sets resolvedAt)
+  terminalStatuses: {
+    type: [String],
+    validate: [(v) => v.length >= 1, 'A workflow needs at least one terminal status']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Cross-field consistency: every referenced status must be defined
+workflowSchema.pre('validate', function(next) {
+  const values = this.statuses.map((s) => s.value);
+
+  if (new Set(values).size !== values.length) {
+    this.invalidate('statuses', 'Status values must be unique');
+  }
+
+  if (!values.includes(this.initialStatus)) {
+    this.invalidate('initialStatus', `Initial status "${this.initialStatus}" is not a defined status`);
+  }
+
+  (this.terminalStatuses || []).forEach((status) => {
+    if (!values.includes(status)) {
+      this.invalidate('terminalStatuses', `Terminal status "${status}" is not a defined status`);
+    }
+  });
+
+  for (const [from, targets] of this.transitions || []) {
+    if (!values.includes(from)) {
+      this.invalidate('transitions', `Transition source "${from}" is not a defined status`);
+    }
+    targets.forEach((to) => {
+      if (!values.includes(to) || to === from) {
+        this.invalidate('transitions', `Invalid transition ${from} → ${to}`);
+      }
+    });
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('Workflow', workflowSchema);
@@ -6,5 +6,18 @@ module.exports = {
   User: require('./User'),
   Incident: require('./Incident'),
   IncidentUpdate: require('./IncidentUpdate'),
-  Presence: require('./Presence')
+  Presence: require('./Presence'),
+  Workflow: require('./Workflow'),
+  Postmortem: require('./Postmortem'),
+  ActionItem: require('./ActionItem'),
+  WebhookSubscription: require('./WebhookSubscription'),
+  WebhookDelivery: require('./WebhookDelivery'),
+  Integration: require('./Integration'),
+  StatusComponent: require('./StatusComponent'),
+  PublicUpdate: require('./PublicUpdate'),
+  IncidentTemplate: require('./IncidentTemplate'),
+  Service: require('./Service'),
+  Invite: require('./Invite'),
+  Session: require('./Session'),
+  RateLimitCounter: require('./RateLimitCounter')
 };
@@ -0,0 +1,89 @@
+/**
+ * Action Item Routes
+ * Follow-up tasks across incidents
+ *
+ * Responsibility: Parse requests, call service, send responses
+ * Does NOT: Contain business logic or broadcast socket events
+ *
+ * Note: Creating or changing an item here reaches the incident room
+ * in real time through the domain event published by actionItemService.
+ */
+const express = require('express');
+const router = express.Router();
+const { actionItemService } = require('../services');
+const { authenticateHTTP, requireRole } = require('../middleware/auth');
+
+// All action item routes require authentication
+router.use(authenticateHTTP);
+
+/**
+ * GET /api/action-items
+ * Cross-incident follow-ups, cursor paginated
+ * Query: owner ('me', 'none' or user ID), status, priority, incidentId,
+ *        overdue ('true'), sort ('createdAt' | 'dueDate'), cursor, limit
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { owner, status, priority, incidentId, overdue, sort, cursor, limit } = req.query;
+
+    const { actionItems, nextCursor, hasMore } = await actionItemService.getActionItems(
+      { owner, status, priority, incidentId, overdue, sort, cursor, limit },
+      req.user._id
+    );
+
+    res.json({ actionItems, nextCursor, hasMore });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/action-items
+ * Add an action item to an incident (admin, responder only)
+ */
+router.post('/', requireRole('admin', 'responder'), async (req, res, next) => {
+  try {
+    const { incidentId, text, owner, dueDate, priority } = req.body;
+
+    if (!incidentId || typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'incidentId and text required' });
+    }
+
+    const { actionItem } = await actionItemService.createActionItem(
+      incidentId,
+      { text: text.trim(), owner, dueDate, priority },
+      req.user._id
+    );
+
+    res.status(201).json({ actionItem });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/action-items/:id
+ * Change status, owner, due date, priority or text (admin, responder only)
+ * Each changed field is recorded on the incident timeline
+ */
+router.patch('/:id', requireRole('admin', 'responder'), async (req, res, next) => {
+  try {
+    const { text, status, priority, owner, dueDate } = req.body;
+
+    if (text !== undefined && (typeof text !== 'string' || !text.trim())) {
+      return res.status(400).json({ error: 'text cannot be empty' });
+    }
+
+    const { actionItem, updates } = await actionItemService.updateActionItem(
+      req.params.id,
+      { text: text?.trim(), status, priority, owner, dueDate },
+      req.user._id
+    );
+
+    res.json({ actionItem, updates });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
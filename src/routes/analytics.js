@@ -0,0 +1,92 @@
+/**
+ * Analytics Routes
+ * Dashboard metrics over a date range
+ *
+ * Responsibility: Parse requests, call service, send responses
+ * Does NOT: Compute metrics (analyticsService aggregates in MongoDB)
+ *
+ * Common query: from, to (ISO dates, default last 30 days), incidentType
+ */
+const express = require('express');
+const router = express.Router();
+const { analyticsService } = require('../services');
+const { authenticateHTTP } = require('../middleware/auth');
+
+// All analytics routes require authentication
+router.use(authenticateHTTP);
+
+/**
+ * GET /api/analytics/trends
+ * Opened/resolved counts per day or week
+ * Query: from, to, incidentType, interval ('day'|'week')
+ */
+router.get('/trends', async (req, res, next) => {
+  try {
+    const { from, to, incidentType, interval } = req.query;
+    const trends = await analyticsService.getTrends({ from, to, incidentType, interval });
+    res.json({ trends });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/analytics/severity
+ * Incidents opened in the range, by severity
+ */
+router.get('/severity', async (req, res, next) => {
+  try {
+    const { from, to, incidentType } = req.query;
+    const severity = await analyticsService.getSeverityMix({ from, to, incidentType });
+    res.json({ severity });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/analytics/response-times
+ * MTTA and MTTR per severity
+ */
+router.get('/response-times', async (req, res, next) => {
+  try {
+    const { from, to, incidentType } = req.query;
+    const responseTimes = await analyticsService.getResponseTimes({ from, to, incidentType });
+    res.json({ responseTimes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/analytics/services
+ * MTTA and MTTR per affected service
+ * Query: from, to, incidentType, service (limit to one service ID)
+ */
+router.get('/services', async (req, res, next) => {
+  try {
+    const { from, to, incidentType, service } = req.query;
+    const serviceResponseTimes = await analyticsService.getServiceResponseTimes({
+      from, to, incidentType, service
+    });
+    res.json({ serviceResponseTimes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/analytics/time-in-status
+ * Average time spent in each workflow status
+ */
+router.get('/time-in-status', async (req, res, next) => {
+  try {
+    const { from, to, incidentType } = req.query;
+    const timeInStatus = await analyticsService.getTimeInStatus({ from, to, incidentType });
+    res.json({ timeInStatus });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
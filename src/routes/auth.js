@@ -1,31 +1,101 @@
 /**
  * Auth Routes
- * Handles user registration and login
+ * Handles user registration, login and sessions
  *
  * Responsibility: Parse requests, call service, send responses
  * Does NOT: Contain business logic (that's the service's job)
+ *
+ * Sign-in responses carry { user, token, refreshToken }: token is the
+ * short-lived access token, refreshToken is exchanged at /refresh.
  */
 const express = require('express');
 const router = express.Router();
-const { authService } = require('../services');
+const { authService, invitationService, sessionService } = require('../services');
 const { authenticateHTTP } = require('../middleware/auth');
+const { credentialRateLimit, loginRateLimit } = require('../middleware/rateLimit');
+
+/**
+ * Device metadata recorded on the session
+ */
+const deviceOf = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+/**
+ * GET /api/auth/registration
+ * Whether the sign-up form should be offered
+ */
+router.get('/registration', async (req, res, next) => {
+  try {
+    const registration = await authService.getRegistrationSettings();
+    res.json({ registration });
+  } catch (error) {
+    next(error);
+  }
+});
 
 /**
  * POST /api/auth/register
  * Register a new user
+ * No token: the account waits for an admin to approve it ({ user, pending: true })
  */
-router.post('/register', async (req, res, next) => {
+router.post('/register', credentialRateLimit, async (req, res, next) => {
   try {
-    const { email, password, name, role } = req.body;
+    const { email, password, name } = req.body;
 
     // Basic validation (could use Joi/Zod for production)
     if (!email || !password || !name) {
       return res.status(400).json({ error: 'Email, password, and name required' });
     }
 
-    const { user, token } = await authService.register({ email, password, name, role });
+    const { user } = await authService.register({ email, password, name });
+    res.status(201).json({ user, pending: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/invites/:token
+ * Check an invite link before showing the sign-up form
+ */
+router.get('/invites/:token', async (req, res, next) => {
+  try {
+    const invite = await invitationService.getInviteForToken(req.params.token);
+    res.json({
+      invite: {
+        email: invite.email,
+        role: invite.role,
+        invitedBy: invite.invitedBy?.name || null,
+        expiresAt: invite.expiresAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/invites/:token/accept
+ * Create the invited account and sign in
+ * Body: name, password
+ */
+router.post('/invites/:token/accept', credentialRateLimit, async (req, res, next) => {
+  try {
+    const { name, password } = req.body;
+
+    if (!name || !password) {
+      return res.status(400).json({ error: 'Name and password required' });
+    }
+
+    const { user, token, refreshToken } = await invitationService.acceptInvite(
+      req.params.token,
+      { name, password },
+      deviceOf(req)
+    );
 
-    res.status(201).json({ user, token });
+    res.status(201).json({ user, token, refreshToken });
   } catch (error) {
     next(error);
   }
@@ -34,8 +104,9 @@ router.post('/register', async (req, res, next) => {
 /**
  * POST /api/auth/login
  * Authenticate user
+ * 429 with details.retryAfter when rate limited or the account is locked
  */
-router.post('/login', async (req, res, next) => {
+router.post('/login', credentialRateLimit, loginRateLimit, async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
@@ -43,9 +114,97 @@ router.post('/login', async (req, res, next) => {
       return res.status(400).json({ error: 'Email and password required' });
     }
 
-    const { user, token } = await authService.login({ email, password });
+    const { user, token, refreshToken } = await authService.login({ email, password }, deviceOf(req));
+
+    res.json({ user, token, refreshToken });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.json({ user, token });
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and refresh token
+ * Body: refreshToken (single use; the old one stops working)
+ */
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'refreshToken required' });
+    }
+
+    const { user, token, refreshToken: nextRefreshToken } = await sessionService.refreshSession(
+      refreshToken,
+      deviceOf(req)
+    );
+
+    res.json({ user, token, refreshToken: nextRefreshToken });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the session holding the refresh token
+ * Needs no access token, so an expired one does not block signing out
+ */
+router.post('/logout', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'refreshToken required' });
+    }
+
+    await sessionService.endSession(refreshToken);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * The current user's signed-in devices (current one flagged)
+ */
+router.get('/sessions', authenticateHTTP, async (req, res, next) => {
+  try {
+    const sessions = await sessionService.getSessions(req.user._id);
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session.toJSON(),
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Sign out one device
+ */
+router.delete('/sessions/:id', authenticateHTTP, async (req, res, next) => {
+  try {
+    await sessionService.revokeSession(req.user._id, req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/sessions/revoke-all
+ * Sign out every session, including this one
+ */
+router.post('/sessions/revoke-all', authenticateHTTP, async (req, res, next) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(req.user._id);
+    res.json({ revoked });
   } catch (error) {
     next(error);
   }
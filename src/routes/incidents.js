@@ -5,12 +5,15 @@
  * Responsibility: Parse requests, call service, send responses
  * Does NOT: Contain business logic or broadcast socket events
  *
- * Note: Real-time updates are handled separately via Socket.io
- * These routes are for initial data fetching and mutations
+ * Note: Mutations here reach incident rooms in real time because
+ * incidentService publishes domain events that the socket layer
+ * fans out - the same path socket-originated mutations take.
  */
 const express = require('express');
 const router = express.Router();
-const { incidentService, presenceService } = require('../services');
+const {
+  incidentService, presenceService, statusPageService, relationshipService, auditService
+} = require('../services');
 const { authenticateHTTP, requireRole } = require('../middleware/auth');
 
 // All incident routes require authentication
@@ -18,13 +21,36 @@ router.use(authenticateHTTP);
 
 /**
  * GET /api/incidents
- * List all incidents (dashboard view)
+ * List incidents (dashboard view), cursor paginated
+ * Query: status, severity, incidentType, resolved, commander, assignee,
+ *        service, from, to, q (full-text), sort, order, cursor, limit
  */
 router.get('/', async (req, res, next) => {
   try {
-    const { status, severity } = req.query;
-    const incidents = await incidentService.getIncidents({ status, severity });
-    res.json({ incidents });
+    const {
+      status, severity, incidentType, resolved, commander, assignee, service,
+      from, to, q, sort, order, cursor, limit
+    } = req.query;
+
+    const { incidents, nextCursor, hasMore } = await incidentService.getIncidents({
+      status, severity, incidentType, resolved, commander, assignee, service,
+      from, to, q, sort, order, cursor, limit
+    });
+
+    res.json({ incidents, nextCursor, hasMore });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/incidents/stats
+ * Dashboard counters across all incidents
+ */
+router.get('/stats', async (req, res, next) => {
+  try {
+    const stats = await incidentService.getIncidentStats();
+    res.json({ stats });
   } catch (error) {
     next(error);
   }
@@ -33,17 +59,23 @@ router.get('/', async (req, res, next) => {
 /**
  * POST /api/incidents
  * Create a new incident (admin, responder only)
+ * Body: title, description, severity, incidentType, templateId,
+ *       affectedServices (service IDs)
+ * (with a template, title and severity default to the template's)
  */
 router.post('/', requireRole('admin', 'responder'), async (req, res, next) => {
   try {
-    const { title, description, severity } = req.body;
+    const { title, description, severity, incidentType, templateId, affectedServices } = req.body;
 
-    if (!title || !severity) {
+    if (!templateId && (!title || !severity)) {
       return res.status(400).json({ error: 'Title and severity required' });
     }
+    if (affectedServices !== undefined && !Array.isArray(affectedServices)) {
+      return res.status(400).json({ error: 'affectedServices must be an array of service IDs' });
+    }
 
     const incident = await incidentService.createIncident(
-      { title, description, severity },
+      { title, description, severity, incidentType, templateId, affectedServices },
       req.user._id
     );
 
@@ -55,16 +87,82 @@ router.post('/', requireRole('admin', 'responder'), async (req, res, next) => {
 
 /**
  * GET /api/incidents/:id
- * Get incident details with update history
+ * Get incident details with the latest page of update history
+ * (older entries via GET /api/incidents/:id/updates?before=updatesCursor)
  */
 router.get('/:id', async (req, res, next) => {
   try {
-    const { incident, updates } = await incidentService.getIncidentWithHistory(req.params.id);
+    const {
+      incident, updates, actionItems, updatesCursor, hasMoreUpdates
+    } = await incidentService.getIncidentWithHistory(req.params.id);
 
     // Also fetch current presence for this incident
     const presence = await presenceService.getIncidentPresence(req.params.id);
 
-    res.json({ incident, updates, presence });
+    res.json({ incident, updates, actionItems, updatesCursor, hasMoreUpdates, presence });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/incidents/:id/updates
+ * Page through the incident timeline
+ * Query: before | after (cursor), type (comma list), author (user ID), limit
+ */
+router.get('/:id/updates', async (req, res, next) => {
+  try {
+    const { before, after, type, author, limit } = req.query;
+
+    const { updates, nextCursor, hasMore } = await incidentService.getIncidentUpdates(
+      req.params.id,
+      { before, after, type, author, limit }
+    );
+
+    res.json({ updates, nextCursor, hasMore });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/incidents/:id/audit/verify
+ * Check the timeline's hash chain for edited, missing or reordered entries
+ * Response: { valid, entries, head, problems: [{ sequence, updateId, issue, message }] }
+ */
+router.get('/:id/audit/verify', async (req, res, next) => {
+  try {
+    const audit = await auditService.verifyIncidentAudit(req.params.id);
+    res.json({ audit });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/incidents/:id
+ * Edit title, description, severity and/or affected services
+ * (admin, responder only)
+ * Each changed field is recorded as a field_change update
+ */
+router.patch('/:id', requireRole('admin', 'responder'), async (req, res, next) => {
+  try {
+    const { title, description, severity, affectedServices } = req.body;
+
+    if ([title, description, severity, affectedServices].every((value) => value === undefined)) {
+      return res.status(400).json({ error: 'Title, description, severity or affectedServices required' });
+    }
+    if (affectedServices !== undefined && !Array.isArray(affectedServices)) {
+      return res.status(400).json({ error: 'affectedServices must be an array of service IDs' });
+    }
+
+    const { incident, updates } = await incidentService.updateFields(
+      req.params.id,
+      { title, description, severity, affectedServices },
+      req.user._id
+    );
+
+    res.json({ incident, updates });
   } catch (error) {
     next(error);
   }
@@ -73,9 +171,7 @@ router.get('/:id', async (req, res, next) => {
 /**
  * PATCH /api/incidents/:id/status
  * Update incident status (admin, responder only)
- *
- * Note: This is a REST endpoint for direct updates.
- * Real-time broadcasts happen in the socket layer when needed.
+ * Broadcast to the incident room via the domain event bus
  */
 router.patch('/:id/status', requireRole('admin', 'responder'), async (req, res, next) => {
   try {
@@ -85,11 +181,6 @@ router.patch('/:id/status', requireRole('admin', 'responder'), async (req, res,
       return res.status(400).json({ error: 'Status required' });
     }
 
-    const validStatuses = ['investigating', 'identified', 'monitoring', 'resolved'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
-    }
-
     const incident = await incidentService.updateStatus(
       req.params.id,
       status,
@@ -126,6 +217,225 @@ router.post('/:id/assignees', requireRole('admin', 'responder'), async (req, res
   }
 });
 
+/**
+ * DELETE /api/incidents/:id/assignees/:userId
+ * Remove user from incident (admin only - same rule as incident:unassign)
+ */
+router.delete('/:id/assignees/:userId', requireRole('admin'), async (req, res, next) => {
+  try {
+    const incident = await incidentService.unassignUser(
+      req.params.id,
+      req.params.userId,
+      req.user._id
+    );
+
+    res.json({ incident });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/incidents/:id/roles/:role
+ * Fill a response role - scribe, comms_lead, sme (commander or admin)
+ */
+router.put('/:id/roles/:role', requireRole('admin', 'responder'), async (req, res, next) => {
+  try {
+    const { userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId required' });
+    }
+
+    const { incident, updates } = await incidentService.assignIncidentRole(
+      req.params.id,
+      req.params.role,
+      userId,
+      req.user._id
+    );
+
+    res.json({ incident, updates });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/incidents/:id/roles/:role/:userId
+ * Vacate a response role (commander, admin, or the holder stepping down)
+ */
+router.delete('/:id/roles/:role/:userId', requireRole('admin', 'responder'), async (req, res, next) => {
+  try {
+    const { incident, updates } = await incidentService.vacateIncidentRole(
+      req.params.id,
+      req.params.role,
+      req.params.userId,
+      req.user._id
+    );
+
+    res.json({ incident, updates });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/incidents/:id/stakeholder-updates
+ * Publish a stakeholder update (incident's communications lead only)
+ */
+router.post('/:id/stakeholder-updates', requireRole('admin', 'responder'), async (req, res, next) => {
+  try {
+    const { text } = req.body;
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'Update text required' });
+    }
+
+    const update = await incidentService.addStakeholderUpdate(
+      req.params.id,
+      text.trim(),
+      req.user._id
+    );
+
+    res.status(201).json({ update });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/incidents/:id/status-page
+ * Show/hide on the public status page and set its public title, impact
+ * and affected components (commander, comms lead or admin)
+ */
+router.patch('/:id/status-page', requireRole('admin', 'responder'), async (req, res, next) => {
+  try {
+    const { isPublic, publicTitle, publicImpact, affectedComponents } = req.body;
+
+    if (isPublic !== undefined && typeof isPublic !== 'boolean') {
+      return res.status(400).json({ error: 'isPublic must be a boolean' });
+    }
+    if (publicTitle !== undefined && typeof publicTitle !== 'string') {
+      return res.status(400).json({ error: 'publicTitle must be a string' });
+    }
+    if (affectedComponents !== undefined && !Array.isArray(affectedComponents)) {
+      return res.status(400).json({ error: 'affectedComponents must be an array of component IDs' });
+    }
+
+    const result = await statusPageService.updatePublicSettings(
+      req.params.id,
+      { isPublic, publicTitle, publicImpact, affectedComponents },
+      req.user._id
+    );
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/incidents/:id/public-updates
+ * Customer-facing updates published for this incident (newest first)
+ */
+router.get('/:id/public-updates', async (req, res, next) => {
+  try {
+    const publicUpdates = await statusPageService.getPublicUpdates(req.params.id);
+    res.json({ publicUpdates });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/incidents/:id/public-updates
+ * Publish a customer-facing update to the status page
+ * (commander, comms lead or admin)
+ */
+router.post('/:id/public-updates', requireRole('admin', 'responder'), async (req, res, next) => {
+  try {
+    const { status, message } = req.body;
+
+    if (!status || typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({ error: 'Status and message required' });
+    }
+
+    const { publicUpdate, update } = await statusPageService.addPublicUpdate(
+      req.params.id,
+      { status, message: message.trim() },
+      req.user._id
+    );
+
+    res.status(201).json({ publicUpdate, update });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/incidents/:id/relationships
+ * Link another incident (stored on both with the inverse type)
+ * Body: type (caused_by | causes | related | parent_of | child_of), incidentId
+ */
+router.post('/:id/relationships', requireRole('admin', 'responder'), async (req, res, next) => {
+  try {
+    const { type, incidentId } = req.body;
+
+    if (!type || !incidentId) {
+      return res.status(400).json({ error: 'type and incidentId required' });
+    }
+
+    const result = await relationshipService.linkIncidents(
+      req.params.id,
+      { type, relatedIncidentId: incidentId },
+      req.user._id
+    );
+
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/incidents/:id/relationships/:relatedId
+ * Remove a link (both sides); merges cannot be undone
+ */
+router.delete('/:id/relationships/:relatedId', requireRole('admin', 'responder'), async (req, res, next) => {
+  try {
+    const result = await relationshipService.unlinkIncidents(
+      req.params.id,
+      req.params.relatedId,
+      req.user._id
+    );
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/incidents/:id/merge
+ * Close this incident as a duplicate of primaryId; the primary's timeline
+ * then includes this one's (commander of either incident or admin)
+ */
+router.post('/:id/merge', requireRole('admin', 'responder'), async (req, res, next) => {
+  try {
+    const { primaryId } = req.body;
+
+    if (!primaryId) {
+      return res.status(400).json({ error: 'primaryId required' });
+    }
+
+    const result = await relationshipService.mergeIncident(req.params.id, primaryId, req.user._id);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/incidents/:id/notes
  * Add note to incident timeline (admin, responder only)
@@ -0,0 +1,120 @@
+/**
+ * Integration Routes
+ * Alert ingestion plus admin management of integrations
+ *
+ * Responsibility: Parse requests, call service, send responses
+ * Does NOT: Map alerts to incidents (alertService)
+ *
+ * POST /alerts is called by monitoring systems with an integration key;
+ * every other route is for admins with a user token.
+ */
+const express = require('express');
+const router = express.Router();
+const { alertService, integrationService } = require('../services');
+const { authenticateHTTP, authenticateIntegration, requireRole } = require('../middleware/auth');
+
+/**
+ * POST /api/integrations/alerts
+ * Ingest Alertmanager or generic alerts (integration key auth)
+ * Always 200 once authenticated and parsed; per-alert outcomes are in
+ * results (a 4xx would make Alertmanager retry the whole batch)
+ */
+router.post('/alerts', authenticateIntegration, async (req, res, next) => {
+  try {
+    const { results, summary } = await alertService.ingestAlerts(req.integration, req.body);
+    res.json({ results, summary });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Everything below manages integrations: admins only
+router.use(authenticateHTTP, requireRole('admin'));
+
+/**
+ * GET /api/integrations
+ * List integrations (keys are never returned here)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const integrations = await integrationService.getIntegrations();
+    res.json({ integrations });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/integrations
+ * Create an integration; the response holds its key (shown once)
+ * Body: name, incidentType, severityLabel, defaultSeverity, commander
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { name, incidentType, severityLabel, defaultSeverity, commander } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name required' });
+    }
+
+    const { integration, key } = await integrationService.createIntegration(
+      { name: name.trim(), incidentType, severityLabel, defaultSeverity, commander },
+      req.user._id
+    );
+    res.status(201).json({ integration, key });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/integrations/:id
+ * Change settings or disable an integration
+ */
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const { name, incidentType, severityLabel, defaultSeverity, commander, active } = req.body;
+
+    if (active !== undefined && typeof active !== 'boolean') {
+      return res.status(400).json({ error: 'active must be a boolean' });
+    }
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'name must be a non-empty string' });
+    }
+
+    const integration = await integrationService.updateIntegration(
+      req.params.id,
+      { name: name?.trim(), incidentType, severityLabel, defaultSeverity, commander, active }
+    );
+    res.json({ integration });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/integrations/:id/rotate-key
+ * Issue a new key; the old one stops working immediately
+ */
+router.post('/:id/rotate-key', async (req, res, next) => {
+  try {
+    const { integration, key } = await integrationService.rotateKey(req.params.id);
+    res.json({ integration, key });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/integrations/:id
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    await integrationService.deleteIntegration(req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
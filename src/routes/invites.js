@@ -0,0 +1,66 @@
+/**
+ * Invite Routes
+ * Admin invitations to join with a chosen role
+ *
+ * Responsibility: Parse requests, call service, send responses
+ * Does NOT: Accept invites (public, under /api/auth/invites/:token)
+ */
+const express = require('express');
+const router = express.Router();
+const { invitationService } = require('../services');
+const { authenticateHTTP, requireRole } = require('../middleware/auth');
+
+// Inviting people is admin only
+router.use(authenticateHTTP, requireRole('admin'));
+
+/**
+ * GET /api/invites
+ * All invites with their status, newest first
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const invites = await invitationService.getInvites();
+    res.json({ invites });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/invites
+ * Body: email, role
+ * The response holds the invite link; it cannot be retrieved again
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!email || !String(email).trim()) {
+      return res.status(400).json({ error: 'Email required' });
+    }
+    if (!role) {
+      return res.status(400).json({ error: 'Role required' });
+    }
+
+    const { invite, token, inviteUrl } = await invitationService.createInvite({ email, role }, req.user._id);
+
+    res.status(201).json({ invite, token, inviteUrl });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/invites/:id
+ * Revoke an unused invite (kept in the list as revoked)
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const invite = await invitationService.revokeInvite(req.params.id);
+    res.json({ invite });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+/**
+ * Postmortem Routes
+ * Post-incident reviews for resolved incidents
+ *
+ * Responsibility: Parse requests, call service, send responses
+ * Does NOT: Decide who may edit what (postmortemService enforces it)
+ */
+const express = require('express');
+const router = express.Router();
+const { postmortemService } = require('../services');
+const { authenticateHTTP, requireRole } = require('../middleware/auth');
+
+// All postmortem routes require authentication
+router.use(authenticateHTTP);
+
+/**
+ * GET /api/postmortems
+ * List postmortems (sections without content)
+ * Query: status, incidentId
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { status, incidentId } = req.query;
+    const postmortems = await postmortemService.getPostmortems({ status, incidentId });
+    res.json({ postmortems });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/postmortems
+ * Start the postmortem for a resolved incident (commander or admin)
+ */
+router.post('/', requireRole('admin', 'responder'), async (req, res, next) => {
+  try {
+    const { incidentId } = req.body;
+
+    if (!incidentId) {
+      return res.status(400).json({ error: 'incidentId required' });
+    }
+
+    const postmortem = await postmortemService.createPostmortem(incidentId, req.user._id);
+    res.status(201).json({ postmortem });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/postmortems/:id
+ * Get a postmortem with sections, timeline and action items
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const postmortem = await postmortemService.getPostmortemById(req.params.id);
+    res.json({ postmortem });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/postmortems/:id/sections/:key
+ * Edit a section's content and/or owner
+ */
+router.patch('/:id/sections/:key', requireRole('admin', 'responder'), async (req, res, next) => {
+  try {
+    const { content, owner } = req.body;
+
+    if (content === undefined && owner === undefined) {
+      return res.status(400).json({ error: 'content or owner required' });
+    }
+    if (content !== undefined && typeof content !== 'string') {
+      return res.status(400).json({ error: 'content must be a string' });
+    }
+
+    const postmortem = await postmortemService.updateSection(
+      req.params.id,
+      req.params.key,
+      { content, owner },
+      req.user._id
+    );
+    res.json({ postmortem });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/postmortems/:id/status
+ * Move between draft, in_review and published
+ */
+router.patch('/:id/status', requireRole('admin', 'responder'), async (req, res, next) => {
+  try {
+    const { status } = req.body;
+
+    if (!status) {
+      return res.status(400).json({ error: 'status required' });
+    }
+
+    const postmortem = await postmortemService.changeStatus(req.params.id, status, req.user._id);
+    res.json({ postmortem });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/postmortems/:id/regenerate
+ * Refresh the timeline and action item snapshots (drafts only)
+ */
+router.post('/:id/regenerate', requireRole('admin', 'responder'), async (req, res, next) => {
+  try {
+    const postmortem = await postmortemService.regenerateSnapshot(req.params.id, req.user._id);
+    res.json({ postmortem });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+/**
+ * Service Catalog Routes
+ * Systems incidents can affect, with ownership and dependencies
+ *
+ * Responsibility: Parse requests, call service, send responses
+ * Does NOT: Tag incidents (PATCH /api/incidents/:id with affectedServices)
+ *           or report MTTR (GET /api/analytics/services)
+ */
+const express = require('express');
+const router = express.Router();
+const { serviceCatalogService } = require('../services');
+const { authenticateHTTP, requireRole } = require('../middleware/auth');
+
+// All catalog routes require authentication
+router.use(authenticateHTTP);
+
+/**
+ * GET /api/services
+ * List the catalog (offered when tagging incidents)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const services = await serviceCatalogService.getServices();
+    res.json({ services });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/services/:id
+ * One service with the services that depend on it
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { service, dependents } = await serviceCatalogService.getServiceById(req.params.id);
+    res.json({ service, dependents });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/services
+ * Add a service (admin only)
+ * Body: name, description, team, tier (1-4), runbookUrl, dependencies (service IDs)
+ */
+router.post('/', requireRole('admin'), async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'name required' });
+    }
+
+    const service = await serviceCatalogService.createService(req.body, req.user._id);
+
+    res.status(201).json({ service });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/services/:id
+ * Replace a service (admin only)
+ */
+router.put('/:id', requireRole('admin'), async (req, res, next) => {
+  try {
+    const service = await serviceCatalogService.updateService(req.params.id, req.body);
+    res.json({ service });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/services/:id
+ * Remove a service from the catalog, incidents and dependency lists (admin only)
+ */
+router.delete('/:id', requireRole('admin'), async (req, res, next) => {
+  try {
+    await serviceCatalogService.deleteService(req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
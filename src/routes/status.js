@@ -0,0 +1,174 @@
+/**
+ * Status Page Routes
+ * Public status page data and feeds, plus admin component management
+ *
+ * Responsibility: Parse requests, call service, send responses
+ * Does NOT: Decide what is public (statusPageService)
+ *
+ * GET routes below the components section need no authentication:
+ * they serve customers and feed readers. Publishing an incident and
+ * its updates lives under /api/incidents/:id.
+ */
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const { statusPageService } = require('../services');
+const { authenticateHTTP, requireRole } = require('../middleware/auth');
+const { toFeedItems, renderJsonFeed, renderRss } = require('../utils/feeds');
+
+// Public responses may be cached briefly by browsers and proxies
+const PUBLIC_CACHE_CONTROL = 'public, max-age=30';
+
+/**
+ * Feed metadata for the current request
+ */
+const feedMeta = (req) => ({
+  title: config.statusPage.title,
+  url: config.statusPage.url,
+  feedUrl: `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`
+});
+
+// ─────────────────────────────────────────
+// COMPONENTS (authenticated; changes admin only)
+// ─────────────────────────────────────────
+
+/**
+ * GET /api/status/components
+ * List status components (for incident publishing forms)
+ */
+router.get('/components', authenticateHTTP, async (req, res, next) => {
+  try {
+    const components = await statusPageService.getComponents();
+    res.json({ components });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/status/components
+ * Body: name, description, position
+ */
+router.post('/components', authenticateHTTP, requireRole('admin'), async (req, res, next) => {
+  try {
+    const { name, description, position } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name required' });
+    }
+    if (position !== undefined && !Number.isInteger(position)) {
+      return res.status(400).json({ error: 'position must be an integer' });
+    }
+
+    const component = await statusPageService.createComponent(
+      { name: name.trim(), description, position },
+      req.user._id
+    );
+    res.status(201).json({ component });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/status/components/:id
+ */
+router.patch('/components/:id', authenticateHTTP, requireRole('admin'), async (req, res, next) => {
+  try {
+    const { name, description, position } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'name cannot be empty' });
+    }
+    if (position !== undefined && !Number.isInteger(position)) {
+      return res.status(400).json({ error: 'position must be an integer' });
+    }
+
+    const component = await statusPageService.updateComponent(
+      req.params.id,
+      { name: name?.trim(), description, position }
+    );
+    res.json({ component });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/status/components/:id
+ * Also removes the component from incidents
+ */
+router.delete('/components/:id', authenticateHTTP, requireRole('admin'), async (req, res, next) => {
+  try {
+    await statusPageService.deleteComponent(req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ─────────────────────────────────────────
+// PUBLIC (no authentication)
+// ─────────────────────────────────────────
+
+/**
+ * GET /api/status
+ * Overall status, components with uptime history, active and recent incidents
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const summary = await statusPageService.getStatusSummary();
+    res.set('Cache-Control', PUBLIC_CACHE_CONTROL);
+    res.json({ title: config.statusPage.title, ...summary });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/status/incidents/:id
+ * One public incident with all of its public updates
+ */
+router.get('/incidents/:id', async (req, res, next) => {
+  try {
+    const incident = await statusPageService.getPublicIncident(req.params.id);
+    res.set('Cache-Control', PUBLIC_CACHE_CONTROL);
+    res.json({ incident });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/status/feed.json
+ * Public updates as a JSON Feed
+ */
+router.get('/feed.json', async (req, res, next) => {
+  try {
+    const updates = await statusPageService.getPublicFeed();
+    const items = toFeedItems(updates, config.statusPage.url);
+
+    res.set('Cache-Control', PUBLIC_CACHE_CONTROL);
+    res.type('application/feed+json').send(JSON.stringify(renderJsonFeed(feedMeta(req), items)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/status/feed.rss
+ * Public updates as RSS 2.0
+ */
+router.get('/feed.rss', async (req, res, next) => {
+  try {
+    const updates = await statusPageService.getPublicFeed();
+    const items = toFeedItems(updates, config.statusPage.url);
+
+    res.set('Cache-Control', PUBLIC_CACHE_CONTROL);
+    res.type('application/rss+xml').send(renderRss(feedMeta(req), items));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+/**
+ * Template Routes
+ * Incident templates (default fields, runbook and checklist)
+ *
+ * Responsibility: Parse requests, call service, send responses
+ * Does NOT: Create incidents (POST /api/incidents with templateId)
+ */
+const express = require('express');
+const router = express.Router();
+const { templateService } = require('../services');
+const { authenticateHTTP, requireRole } = require('../middleware/auth');
+
+// All template routes require authentication
+router.use(authenticateHTTP);
+
+/**
+ * GET /api/templates
+ * List templates (offered when creating an incident)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const templates = await templateService.getTemplates();
+    res.json({ templates });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/templates/:id
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const template = await templateService.getTemplateById(req.params.id);
+    res.json({ template });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/templates
+ * Create a template (admin only)
+ * Body: name, titlePattern, severity, incidentType, description, runbook,
+ *       checklist ([{ text, priority }])
+ */
+router.post('/', requireRole('admin'), async (req, res, next) => {
+  try {
+    const { name, titlePattern } = req.body;
+
+    if (!name || !titlePattern) {
+      return res.status(400).json({ error: 'name and titlePattern required' });
+    }
+
+    const template = await templateService.createTemplate(req.body, req.user._id);
+
+    res.status(201).json({ template });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/templates/:id
+ * Replace a template (admin only; existing incidents keep their runbook)
+ */
+router.put('/:id', requireRole('admin'), async (req, res, next) => {
+  try {
+    const template = await templateService.updateTemplate(req.params.id, req.body);
+    res.json({ template });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/templates/:id
+ * Remove a template (admin only)
+ */
+router.delete('/:id', requireRole('admin'), async (req, res, next) => {
+  try {
+    await templateService.deleteTemplate(req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -7,20 +7,56 @@
  */
 const express = require('express');
 const router = express.Router();
-const { userService } = require('../services');
+const { User } = require('../models');
+const { userService, sessionService } = require('../services');
 const { authenticateHTTP, requireRole } = require('../middleware/auth');
 
+const USER_STATUS_FILTERS = ['active', 'deactivated', 'all'];
+
 // All user routes require authentication
 router.use(authenticateHTTP);
 
 /**
  * GET /api/users
- * List all users (for assignment dropdowns)
+ * List users (for assignment dropdowns and the admin user list)
+ * Non-admins get name, email and role, not account state
+ * Query: role, q (name or email contains)
+ * Admin only: status ('active' | 'deactivated' | 'all'),
+ *   sessions=true to add { active, lastActiveAt } per user
  */
 router.get('/', async (req, res, next) => {
   try {
-    const { role } = req.query;
-    const users = await userService.getUsers({ role });
+    const { role, q, status, sessions } = req.query;
+
+    if ((status || sessions) && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    if (status && !USER_STATUS_FILTERS.includes(status)) {
+      return res.status(400).json({ error: 'status must be active, deactivated or all' });
+    }
+    if (q !== undefined && (typeof q !== 'string' || q.length > 100)) {
+      return res.status(400).json({ error: 'q must be at most 100 characters' });
+    }
+
+    const filters = { role, q: q?.trim(), status };
+    if (sessions === 'true') {
+      return res.json({ users: await userService.getUserDirectory(filters) });
+    }
+
+    const users = await userService.getUsers(filters);
+    res.json({ users: users.map((user) => userService.toVisibleUser(user, req.user)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/users/pending
+ * Sign-ups awaiting approval (admin only)
+ */
+router.get('/pending', requireRole('admin'), async (req, res, next) => {
+  try {
+    const users = await userService.getPendingUsers();
     res.json({ users });
   } catch (error) {
     next(error);
@@ -29,12 +65,12 @@ router.get('/', async (req, res, next) => {
 
 /**
  * GET /api/users/:id
- * Get user details
+ * Get user details (account state such as status and lockout: admins only)
  */
 router.get('/:id', async (req, res, next) => {
   try {
     const user = await userService.getUserById(req.params.id);
-    res.json({ user });
+    res.json({ user: userService.toVisibleUser(user, req.user) });
   } catch (error) {
     next(error);
   }
@@ -65,4 +101,114 @@ router.patch('/:id/role', requireRole('admin'), async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/users/:id/approve
+ * Activate a pending sign-up (admin only)
+ * Body: role
+ */
+router.post('/:id/approve', requireRole('admin'), async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (!User.USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Valid role required' });
+    }
+
+    const user = await userService.approveUser(req.params.id, role, req.user._id);
+    res.json({ user });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/users/:id/reject
+ * Delete a pending sign-up (admin only)
+ */
+router.post('/:id/reject', requireRole('admin'), async (req, res, next) => {
+  try {
+    await userService.rejectUser(req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/users/:id/offboarding
+ * What deactivating would hand over: open incidents and action items (admin only)
+ */
+router.get('/:id/offboarding', requireRole('admin'), async (req, res, next) => {
+  try {
+    const plan = await userService.getOffboardingPlan(req.params.id);
+    res.json({ offboarding: plan });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/users/:id/deactivate
+ * Hand over responsibilities, then block sign-in (admin only)
+ * Body: reassignTo (needed while the user holds anything), anonymize
+ */
+router.post('/:id/deactivate', requireRole('admin'), async (req, res, next) => {
+  try {
+    const { reassignTo, anonymize } = req.body;
+
+    if (anonymize !== undefined && typeof anonymize !== 'boolean') {
+      return res.status(400).json({ error: 'anonymize must be a boolean' });
+    }
+
+    const { user, reassigned } = await userService.deactivateUser(
+      req.params.id,
+      { reassignTo, anonymize },
+      req.user._id
+    );
+    res.json({ user, reassigned });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/users/:id/reactivate
+ * Allow a deactivated user to sign in again (admin only)
+ */
+router.post('/:id/reactivate', requireRole('admin'), async (req, res, next) => {
+  try {
+    const user = await userService.reactivateUser(req.params.id);
+    res.json({ user });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/users/:id/unlock
+ * Lift a lockout after failed sign-ins (admin only)
+ */
+router.post('/:id/unlock', requireRole('admin'), async (req, res, next) => {
+  try {
+    const user = await userService.unlockUser(req.params.id);
+    res.json({ user });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/users/:id/sessions/revoke
+ * Sign a user out on every device (admin only)
+ */
+router.post('/:id/sessions/revoke', requireRole('admin'), async (req, res, next) => {
+  try {
+    const user = await userService.getUserById(req.params.id);
+    const revoked = await sessionService.revokeAllSessions(user._id, 'revoked');
+    res.json({ revoked });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
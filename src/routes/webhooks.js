@@ -0,0 +1,135 @@
+/**
+ * Webhook Routes (Admin)
+ * Outbound webhook subscriptions and their delivery logs
+ *
+ * Responsibility: Parse requests, call service, send responses
+ * Does NOT: Send webhooks (the delivery worker does)
+ */
+const express = require('express');
+const router = express.Router();
+const { webhookService } = require('../services');
+const { authenticateHTTP, requireRole } = require('../middleware/auth');
+
+// Webhooks expose incident data to other systems: admins only
+router.use(authenticateHTTP, requireRole('admin'));
+
+/**
+ * GET /api/webhooks
+ * List subscriptions (secrets are never returned here)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const subscriptions = await webhookService.getSubscriptions();
+    res.json({ subscriptions, events: webhookService.WEBHOOK_EVENTS });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Create a subscription; the response holds the signing secret (shown once)
+ * Body: name, url, events (empty = all), secret (optional, generated if omitted)
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { name, url, events, secret } = req.body;
+
+    if (!name || !url) {
+      return res.status(400).json({ error: 'name and url required' });
+    }
+
+    const result = await webhookService.createSubscription(
+      { name, url, events, secret },
+      req.user._id
+    );
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks/:id
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const subscription = await webhookService.getSubscriptionById(req.params.id);
+    res.json({ subscription });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/webhooks/:id
+ * Change name, url, events, active or secret
+ */
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const { name, url, events, active, secret } = req.body;
+
+    if (active !== undefined && typeof active !== 'boolean') {
+      return res.status(400).json({ error: 'active must be a boolean' });
+    }
+
+    const subscription = await webhookService.updateSubscription(
+      req.params.id,
+      { name, url, events, active, secret }
+    );
+    res.json({ subscription });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Remove a subscription and its delivery log
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    await webhookService.deleteSubscription(req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log, newest first
+ * Query: status (pending | succeeded | failed), cursor, limit
+ */
+router.get('/:id/deliveries', async (req, res, next) => {
+  try {
+    const { status, cursor, limit } = req.query;
+
+    const { deliveries, nextCursor, hasMore } = await webhookService.getDeliveries(
+      req.params.id,
+      { status, cursor, limit }
+    );
+    res.json({ deliveries, nextCursor, hasMore });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * Queue a new delivery with the same payload
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res, next) => {
+  try {
+    const delivery = await webhookService.redeliver(
+      req.params.id,
+      req.params.deliveryId,
+      req.user._id
+    );
+    res.status(201).json({ delivery });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
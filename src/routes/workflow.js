@@ -0,0 +1,32 @@
+/**
+ * Legacy Workflow Route
+ * GET /api/workflow from before workflows were kept per incident type
+ *
+ * Responsibility: Keep existing clients working; answers with the
+ *                 default incident type's workflow
+ * Does NOT: Anything else (use /api/workflows)
+ */
+const express = require('express');
+const router = express.Router();
+const { workflowService } = require('../services');
+const { authenticateHTTP } = require('../middleware/auth');
+
+router.use(authenticateHTTP);
+
+/**
+ * GET /api/workflow
+ * Deprecated alias of GET /api/workflows/default
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const workflow = await workflowService.getWorkflow();
+
+    res.set('Deprecation', 'true');
+    res.set('Link', `</api/workflows/${workflow.incidentType}>; rel="successor-version"`);
+    res.json({ workflow });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
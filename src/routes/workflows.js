@@ -0,0 +1,88 @@
+/**
+ * Workflow Routes
+ * Incident workflow definitions (statuses and transitions per incident type)
+ *
+ * Responsibility: Parse requests, call service, send responses
+ * Does NOT: Enforce transitions (incidentService does that on write)
+ */
+const express = require('express');
+const router = express.Router();
+const { workflowService } = require('../services');
+const { authenticateHTTP, requireRole } = require('../middleware/auth');
+
+// All workflow routes require authentication
+router.use(authenticateHTTP);
+
+/**
+ * GET /api/workflows
+ * List every workflow definition (clients cache these)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const workflows = await workflowService.listWorkflows();
+    res.json({ workflows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/workflows/:incidentType
+ * Get statuses, allowed transitions and terminal statuses for one type
+ */
+router.get('/:incidentType', async (req, res, next) => {
+  try {
+    const workflow = await workflowService.getWorkflow(req.params.incidentType);
+    res.json({ workflow });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/workflows
+ * Define a workflow for a new incident type (admin only)
+ */
+router.post('/', requireRole('admin'), async (req, res, next) => {
+  try {
+    const { incidentType, name } = req.body;
+
+    if (!incidentType || !name) {
+      return res.status(400).json({ error: 'incidentType and name required' });
+    }
+
+    const workflow = await workflowService.createWorkflow(req.body, req.user._id);
+
+    res.status(201).json({ workflow });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/workflows/:incidentType
+ * Replace a workflow definition (admin only)
+ */
+router.put('/:incidentType', requireRole('admin'), async (req, res, next) => {
+  try {
+    const workflow = await workflowService.updateWorkflow(req.params.incidentType, req.body);
+    res.json({ workflow });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/workflows/:incidentType
+ * Remove an unused workflow (admin only)
+ */
+router.delete('/:incidentType', requireRole('admin'), async (req, res, next) => {
+  try {
+    await workflowService.deleteWorkflow(req.params.incidentType);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
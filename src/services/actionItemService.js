@@ -0,0 +1,366 @@
+/**
+ * Action Item Service
+ * Follow-up tasks raised during incidents
+ *
+ * Responsibility: Create and change action items (owner, due date,
+ *                 priority, status), audit every change on the incident
+ *                 timeline, cross-incident follow-up queries
+ * Does NOT: Handle HTTP/Socket responses (publishes domain events)
+ *
+ * Audit trail: each creation and each changed field writes an
+ * 'action_item' IncidentUpdate ({ actionItemId, text, field,
+ * previousValue, newValue }), so the timeline shows who did what even
+ * after the incident is resolved. Owner changes record previousOwnerId
+ * and targetUserId instead of values: entries are append-only, and a
+ * name written into them would outlive anonymizing that user.
+ */
+const mongoose = require('mongoose');
+const { ActionItem, Incident, IncidentUpdate, User } = require('../models');
+const { INCIDENT_EVENTS, publish } = require('../events');
+const { parseLimit, buildCursorQuery, toPage } = require('../utils/pagination');
+const auditService = require('./auditService');
+
+// Statuses that close an item (completedBy/completedAt are set)
+const CLOSED_STATUSES = ['done', 'cancelled'];
+
+// Fields that can change after creation (each change is audited)
+const EDITABLE_FIELDS = ['text', 'status', 'priority', 'owner', 'dueDate'];
+
+// Sort keys accepted by getActionItems
+const ACTION_ITEM_SORT_FIELDS = ['createdAt', 'dueDate'];
+
+// User references resolved on every action item returned to clients
+const ACTION_ITEM_POPULATE = [
+  { path: 'owner', select: 'name email' },
+  { path: 'createdBy', select: 'name email' },
+  { path: 'completedBy', select: 'name email' }
+];
+
+// Cross-incident lists also show which incident an item belongs to
+const LIST_POPULATE = [
+  ...ACTION_ITEM_POPULATE,
+  { path: 'incidentId', select: 'title severity status resolvedAt' }
+];
+
+// Audit entries are returned with their author and old and new owners
+const UPDATE_POPULATE = [
+  { path: 'userId', select: 'name email status' },
+  { path: 'content.targetUserId', select: 'name email status' },
+  { path: 'content.previousOwnerId', select: 'name email status' }
+];
+
+/**
+ * Build a 400 error for invalid input
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Parse a due date (null/'' clears it)
+ * @throws {Error} - 400 for unparseable dates
+ */
+const parseDueDate = (value) => {
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest('Invalid due date');
+  }
+  return date;
+};
+
+/**
+ * Load the owner being assigned (null clears the owner)
+ * @throws {Error} - 404 unknown user, 400 pending or deactivated user
+ *   or integration service account
+ */
+const findOwner = async (ownerId) => {
+  if (!ownerId) return null;
+
+  const owner = mongoose.isValidObjectId(ownerId)
+    ? await User.findById(ownerId).select('name email status kind')
+    : null;
+
+  if (!owner) {
+    const error = new Error('Owner not found');
+    error.status = 404;
+    throw error;
+  }
+  if (owner.status !== 'active' || owner.kind === 'integration') {
+    throw badRequest('Owner is not an active user');
+  }
+
+  return owner;
+};
+
+/**
+ * Comparable form of a field value (dates by time, refs by id)
+ */
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  return (value?._id || value)?.toString() ?? null;
+};
+
+/**
+ * List action items across incidents (cursor paginated)
+ * @param {Object} filters - Optional {
+ *   owner ('me', 'none' or a user ID), status, priority (comma lists),
+ *   incidentId, overdue ('true': due date passed and still open),
+ *   sort ('createdAt' newest first | 'dueDate' soonest first, dated items only),
+ *   cursor, limit
+ * }
+ * @param {string} actorUserId - Resolves owner=me
+ * @returns {Object} - { actionItems, nextCursor, hasMore }
+ */
+const getActionItems = async (filters = {}, actorUserId) => {
+  const conditions = [];
+
+  if (filters.owner === 'me') {
+    conditions.push({ owner: actorUserId });
+  } else if (filters.owner === 'none') {
+    conditions.push({ owner: null });
+  } else if (filters.owner) {
+    if (!mongoose.isValidObjectId(filters.owner)) throw badRequest('Invalid owner user ID');
+    conditions.push({ owner: filters.owner });
+  }
+
+  ['status', 'priority'].forEach((field) => {
+    if (!filters[field]) return;
+    const values = String(filters[field]).split(',').map((v) => v.trim()).filter(Boolean);
+    conditions.push({ [field]: { $in: values } });
+  });
+
+  if (filters.incidentId) {
+    if (!mongoose.isValidObjectId(filters.incidentId)) throw badRequest('Invalid incident ID');
+    conditions.push({ incidentId: filters.incidentId });
+  }
+
+  if (filters.overdue === 'true') {
+    conditions.push({ status: { $nin: CLOSED_STATUSES }, dueDate: { $ne: null, $lt: new Date() } });
+  }
+
+  const sortField = filters.sort || 'createdAt';
+  if (!ACTION_ITEM_SORT_FIELDS.includes(sortField)) {
+    throw badRequest(`Invalid sort. Must be one of: ${ACTION_ITEM_SORT_FIELDS.join(', ')}`);
+  }
+  // Cursors need a non-null sort value, so undated items drop out of the due date view
+  if (sortField === 'dueDate') {
+    conditions.push({ dueDate: { $ne: null } });
+  }
+
+  const direction = sortField === 'dueDate' ? 1 : -1;
+  const { sort, condition } = buildCursorQuery(sortField, direction, filters.cursor);
+  if (condition) conditions.push(condition);
+
+  const limit = parseLimit(filters.limit);
+  const docs = await ActionItem.find(conditions.length > 0 ? { $and: conditions } : {})
+    .sort(sort)
+    .limit(limit + 1)
+    .populate(LIST_POPULATE);
+
+  const { items, nextCursor, hasMore } = toPage(docs, limit, sortField);
+  return { actionItems: items, nextCursor, hasMore };
+};
+
+/**
+ * Get every action item of an incident (oldest first)
+ * @param {string} incidentId
+ * @returns {Array} - Populated action items
+ */
+const getIncidentActionItems = (incidentId) =>
+  ActionItem.find({ incidentId })
+    .populate(ACTION_ITEM_POPULATE)
+    .sort({ createdAt: 1 });
+
+/**
+ * Create an action item on an incident
+ * @param {string} incidentId
+ * @param {Object} data - { text, owner, dueDate, priority }
+ * @param {string} userId - Creator
+ * @returns {Object} - { actionItem, update }
+ * @throws {Error} - 404 unknown incident/owner, 400 invalid fields
+ */
+const createActionItem = async (incidentId, data, userId) => {
+  if (!mongoose.isValidObjectId(incidentId) || !(await Incident.exists({ _id: incidentId }))) {
+    const error = new Error('Incident not found');
+    error.status = 404;
+    throw error;
+  }
+
+  const owner = await findOwner(data.owner);
+
+  const actionItem = await ActionItem.create({
+    incidentId,
+    text: data.text,
+    priority: data.priority || undefined,
+    owner: owner?._id || null,
+    dueDate: data.dueDate !== undefined ? parseDueDate(data.dueDate) : null,
+    createdBy: userId
+  });
+
+  const update = await auditService.appendUpdates({
+    incidentId,
+    userId,
+    type: 'action_item',
+    content: {
+      actionItemId: actionItem._id,
+      text: actionItem.text
+    }
+  });
+
+  await actionItem.populate(ACTION_ITEM_POPULATE);
+  await update.populate(UPDATE_POPULATE);
+
+  publish(INCIDENT_EVENTS.ACTION_ITEM_ADDED, { incidentId, actionItem, update });
+
+  return { actionItem, update };
+};
+
+/**
+ * Change an action item's fields
+ * Closing (done/cancelled) records who and when; reopening clears it
+ * @param {string} actionItemId
+ * @param {Object} changes - Any of { text, status, priority, owner, dueDate }
+ * @param {string} userId - Who made the change
+ * @returns {Object} - { actionItem, updates } (one audit entry per changed field)
+ * @throws {Error} - 404 unknown item/owner, 400 invalid values
+ */
+const updateActionItem = async (actionItemId, changes, userId) => {
+  const actionItem = mongoose.isValidObjectId(actionItemId)
+    ? await ActionItem.findById(actionItemId).populate('owner', 'name email')
+    : null;
+
+  if (!actionItem) {
+    const error = new Error('Action item not found');
+    error.status = 404;
+    throw error;
+  }
+
+  const previous = {};
+  const next = {};
+  let newOwner = null;
+
+  for (const field of EDITABLE_FIELDS) {
+    if (changes[field] === undefined) continue;
+
+    let value = changes[field];
+    if (field === 'owner') {
+      newOwner = await findOwner(value);
+      value = newOwner;
+    }
+    if (field === 'dueDate') value = parseDueDate(value);
+
+    if (comparable(value) !== comparable(actionItem[field])) {
+      previous[field] = actionItem[field];
+      next[field] = value;
+    }
+  }
+
+  const changedFields = Object.keys(next);
+  if (changedFields.length === 0) {
+    await actionItem.populate(ACTION_ITEM_POPULATE);
+    return { actionItem, updates: [] };
+  }
+
+  actionItem.set(next);
+
+  if (next.status !== undefined) {
+    const closing = CLOSED_STATUSES.includes(next.status);
+    const wasClosed = CLOSED_STATUSES.includes(previous.status);
+    if (closing && !wasClosed) {
+      actionItem.completedBy = userId;
+      actionItem.completedAt = new Date();
+    } else if (!closing) {
+      actionItem.completedBy = null;
+      actionItem.completedAt = null;
+    }
+  }
+
+  const entries = auditService.validateUpdates(changedFields.map((field) => ({
+    incidentId: actionItem.incidentId,
+    userId,
+    type: 'action_item',
+    content: {
+      actionItemId: actionItem._id,
+      text: actionItem.text,
+      field,
+      // Owners are recorded by id and named when the entry is read
+      ...(field === 'owner'
+        ? { previousOwnerId: previous.owner?._id, targetUserId: newOwner?._id }
+        : { previousValue: previous[field], newValue: next[field] })
+    }
+  })));
+
+  // Validates enums/text before anything is audited
+  await actionItem.save();
+
+  const updates = await auditService.appendUpdates(entries);
+
+  await actionItem.populate(ACTION_ITEM_POPULATE);
+  await IncidentUpdate.populate(updates, UPDATE_POPULATE);
+
+  publish(INCIDENT_EVENTS.ACTION_ITEM_UPDATED, {
+    incidentId: actionItem.incidentId,
+    actionItem,
+    updates
+  });
+
+  return { actionItem, updates };
+};
+
+/**
+ * Move action items stored only as IncidentUpdates into ActionItem
+ * (called on startup; a no-op once every item has been migrated).
+ * Audit entries are append-only, so the link is kept on the ActionItem
+ * (legacyUpdateId) rather than written back into the entry. The unique
+ * index on legacyUpdateId skips entries already migrated, including by
+ * another instance starting at the same time.
+ */
+const migrateLegacyActionItems = async () => {
+  // On a first deploy the unique index may not be built yet; without it
+  // instances starting together would each insert every item
+  await ActionItem.init();
+
+  const legacyQuery = { type: 'action_item', 'content.actionItemId': { $exists: false } };
+
+  const [legacyCount, migratedCount] = await Promise.all([
+    IncidentUpdate.countDocuments(legacyQuery),
+    ActionItem.countDocuments({ legacyUpdateId: { $exists: true } })
+  ]);
+  if (migratedCount >= legacyCount) return;
+
+  const legacy = await IncidentUpdate.find(legacyQuery).lean();
+
+  let inserted = legacy.length;
+  try {
+    await ActionItem.insertMany(legacy.map((update) => ({
+      incidentId: update.incidentId,
+      text: update.content.text,
+      status: update.content.completed ? 'done' : 'open',
+      createdBy: update.userId,
+      createdAt: update.createdAt,
+      legacyUpdateId: update._id
+    })), { ordered: false });
+  } catch (error) {
+    // Duplicates were migrated earlier or by another instance; anything else is real
+    if (!error.writeErrors?.length || error.writeErrors.some((writeError) => writeError.code !== 11000)) {
+      throw error;
+    }
+    inserted = error.result?.insertedCount ?? 0;
+  }
+
+  if (inserted > 0) {
+    console.log(`Migrated ${inserted} legacy action items`);
+  }
+};
+
+module.exports = {
+  CLOSED_STATUSES,
+  getActionItems,
+  getIncidentActionItems,
+  createActionItem,
+  updateActionItem,
+  migrateLegacyActionItems
+};
@@ -0,0 +1,300 @@
+/**
+ * Alert Service
+ * Turns monitoring alerts into incidents
+ *
+ * Responsibility: Normalize Alertmanager and generic JSON payloads,
+ *                 map labels to severity, deduplicate on fingerprint,
+ *                 open incidents and note repeats/resolutions
+ * Does NOT: Authenticate the sender (authenticateIntegration middleware)
+ *
+ * PAYLOADS:
+ * ─────────────────────────
+ * Alertmanager webhook: { version, status, alerts: [{ status, labels,
+ *   annotations, startsAt, endsAt, generatorURL, fingerprint }] }
+ * Generic: a single alert or { alerts: [...] } where each alert is
+ *   { fingerprint, status ('firing' | 'resolved'), title, description,
+ *     severity, labels, url }
+ * Both shapes can be mixed per alert: generic fields win, Alertmanager
+ * labels/annotations fill the gaps.
+ *
+ * DEDUPLICATION:
+ * ─────────────────────────
+ * An alert belongs to the open (unresolved) incident with the same
+ * integration + fingerprint. Repeats bump alert.occurrences and add a
+ * note (Alertmanager re-sends firing alerts on every group interval, so
+ * repeats within REPEAT_NOTE_WINDOW_MS of the last note are only
+ * counted). A resolved
+ * alert adds a note; closing the incident stays a human decision.
+ * A unique index allows one open incident per fingerprint: when two
+ * requests race to open it, the loser applies its alert as a repeat.
+ */
+const crypto = require('crypto');
+const { Incident, Integration } = require('../models');
+const incidentService = require('./incidentService');
+
+// Alertmanager re-sends firing alerts; don't note every one of them
+const REPEAT_NOTE_WINDOW_MS = 15 * 60 * 1000;
+
+const MAX_ALERTS_PER_REQUEST = 100;
+const MAX_TITLE_LENGTH = 200;
+
+// Common severity label values → incident severity
+const SEVERITY_MAP = {
+  critical: 'critical',
+  fatal: 'critical',
+  emergency: 'critical',
+  page: 'critical',
+  p1: 'critical',
+  high: 'high',
+  error: 'high',
+  major: 'high',
+  p2: 'high',
+  medium: 'medium',
+  warning: 'medium',
+  warn: 'medium',
+  minor: 'medium',
+  p3: 'medium',
+  low: 'low',
+  info: 'low',
+  informational: 'low',
+  none: 'low',
+  p4: 'low'
+};
+
+const ALERT_STATUSES = ['firing', 'resolved'];
+
+/**
+ * Build a 400 error for invalid input
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Stable fingerprint from labels (when the sender provides none)
+ */
+const fingerprintLabels = (labels) => {
+  const sorted = Object.keys(labels).sort().map((key) => [key, String(labels[key])]);
+  return crypto.createHash('sha256').update(JSON.stringify(sorted)).digest('hex').slice(0, 16);
+};
+
+/**
+ * Map a raw severity value to an incident severity
+ */
+const mapSeverity = (value, fallback) =>
+  SEVERITY_MAP[String(value || '').trim().toLowerCase()] || fallback;
+
+/**
+ * Normalize one alert of either format
+ * @param {Object} raw - Alert from the request body
+ * @param {Object} integration - Integration receiving it
+ * @returns {Object} - { fingerprint, status, title, description, severity,
+ *   labels, url, startsAt, endsAt }
+ * @throws {Error} - 400 for unusable alerts
+ */
+const normalizeAlert = (raw, integration) => {
+  if (!raw || typeof raw !== 'object') {
+    throw badRequest('Alert must be an object');
+  }
+
+  const labels = raw.labels && typeof raw.labels === 'object' ? raw.labels : {};
+  const annotations = raw.annotations && typeof raw.annotations === 'object' ? raw.annotations : {};
+
+  const status = raw.status || 'firing';
+  if (!ALERT_STATUSES.includes(status)) {
+    throw badRequest(`Invalid alert status. Must be one of: ${ALERT_STATUSES.join(', ')}`);
+  }
+
+  const fingerprint = raw.fingerprint || raw.dedupKey ||
+    (Object.keys(labels).length > 0 ? fingerprintLabels(labels) : null);
+  if (!fingerprint) {
+    throw badRequest('Alert needs a fingerprint or labels');
+  }
+
+  const title = raw.title || annotations.summary || annotations.title || labels.alertname ||
+    `Alert from ${integration.name}`;
+
+  return {
+    fingerprint: String(fingerprint),
+    status,
+    title: String(title).slice(0, MAX_TITLE_LENGTH),
+    description: String(raw.description || annotations.description || annotations.message || ''),
+    severity: mapSeverity(raw.severity || labels[integration.severityLabel], integration.defaultSeverity),
+    labels: Object.fromEntries(Object.entries(labels).map(([key, value]) => [key, String(value)])),
+    url: raw.url || raw.generatorURL || null,
+    startsAt: raw.startsAt ? new Date(raw.startsAt) : null,
+    endsAt: raw.endsAt ? new Date(raw.endsAt) : null
+  };
+};
+
+/**
+ * Incident description: alert text plus labels and source link
+ */
+const buildDescription = (alert) => {
+  const parts = [];
+  if (alert.description) parts.push(alert.description);
+
+  const labels = Object.entries(alert.labels).map(([key, value]) => `${key}=${value}`);
+  if (labels.length > 0) parts.push(`Labels: ${labels.join(', ')}`);
+  if (alert.url) parts.push(`Source: ${alert.url}`);
+
+  return parts.join('\n\n');
+};
+
+/**
+ * Apply one normalized alert
+ * @returns {Object} - { fingerprint, action, incidentId }
+ *   action: created | deduplicated | resolved | ignored
+ */
+const processAlert = async (integration, alert, isRetry = false) => {
+  const now = new Date();
+  const authorId = integration.serviceUser;
+
+  const open = await Incident.findOne({
+    'alert.integrationId': integration._id,
+    'alert.fingerprint': alert.fingerprint,
+    resolvedAt: null
+  });
+
+  if (alert.status === 'firing' && !open) {
+    let incident;
+    try {
+      incident = await incidentService.createIncident({
+        title: alert.title,
+        description: buildDescription(alert),
+        severity: alert.severity,
+        incidentType: integration.incidentType,
+        commander: integration.commander || null,
+        alert: {
+          integrationId: integration._id,
+          fingerprint: alert.fingerprint,
+          status: 'firing',
+          labels: alert.labels,
+          lastReceivedAt: now,
+          lastNotedAt: now
+        }
+      }, authorId);
+    } catch (error) {
+      // Another request opened the incident first: this alert is a repeat
+      if (incidentService.isOpenAlertConflict(error) && !isRetry) return processAlert(integration, alert, true);
+      throw error;
+    }
+
+    return { fingerprint: alert.fingerprint, action: 'created', incidentId: incident._id };
+  }
+
+  if (!open) {
+    // Resolved alert without an open incident (already closed by a human)
+    return { fingerprint: alert.fingerprint, action: 'ignored', incidentId: null };
+  }
+
+  const previous = open.alert;
+
+  if (alert.status === 'firing') {
+    const refired = previous.status === 'resolved';
+    const recentlyNoted = previous.lastNotedAt && now - previous.lastNotedAt < REPEAT_NOTE_WINDOW_MS;
+    const shouldNote = refired || !recentlyNoted;
+
+    await Incident.updateOne(
+      { _id: open._id },
+      {
+        $set: {
+          'alert.status': 'firing',
+          'alert.lastReceivedAt': now,
+          ...(shouldNote ? { 'alert.lastNotedAt': now } : {})
+        },
+        $inc: { 'alert.occurrences': 1 }
+      }
+    );
+
+    if (shouldNote) {
+      await incidentService.addNote(
+        open._id,
+        `${refired ? 'Alert firing again' : 'Alert still firing'}: ${alert.title} (${previous.occurrences + 1} occurrences)`,
+        authorId
+      );
+    }
+
+    return { fingerprint: alert.fingerprint, action: 'deduplicated', incidentId: open._id };
+  }
+
+  // Resolved: note it once; responders decide when the incident is over
+  if (previous.status === 'resolved') {
+    return { fingerprint: alert.fingerprint, action: 'ignored', incidentId: open._id };
+  }
+
+  await Incident.updateOne(
+    { _id: open._id },
+    { $set: { 'alert.status': 'resolved', 'alert.lastReceivedAt': now, 'alert.lastNotedAt': now } }
+  );
+
+  const resolvedAt = alert.endsAt && !Number.isNaN(alert.endsAt.getTime())
+    ? ` at ${alert.endsAt.toISOString()}`
+    : '';
+  await incidentService.addNote(
+    open._id,
+    `Alert resolved${resolvedAt}: ${alert.title}. The incident stays open until a responder resolves it.`,
+    authorId
+  );
+
+  return { fingerprint: alert.fingerprint, action: 'resolved', incidentId: open._id };
+};
+
+/**
+ * Ingest an alert payload for an integration
+ * Alerts are applied one by one; an invalid alert or one that fails to
+ * apply is reported and does not block the others (Alertmanager would
+ * retry the whole batch).
+ * @param {Object} integration - Authenticated Integration document
+ * @param {Object} body - Alertmanager or generic payload
+ * @returns {Object} - { results: [{ fingerprint, action, incidentId, error }], summary }
+ * @throws {Error} - 400 if the payload holds no alerts
+ */
+const ingestAlerts = async (integration, body) => {
+  if (!body || typeof body !== 'object') {
+    throw badRequest('Alert payload must be a JSON object');
+  }
+
+  const rawAlerts = Array.isArray(body.alerts) ? body.alerts : [body];
+  if (rawAlerts.length === 0) {
+    throw badRequest('No alerts in payload');
+  }
+  if (rawAlerts.length > MAX_ALERTS_PER_REQUEST) {
+    throw badRequest(`At most ${MAX_ALERTS_PER_REQUEST} alerts per request`);
+  }
+
+  const results = [];
+  for (const raw of rawAlerts) {
+    let alert;
+    try {
+      alert = normalizeAlert(raw, integration);
+    } catch (error) {
+      results.push({ fingerprint: raw?.fingerprint || null, action: 'rejected', error: error.message });
+      continue;
+    }
+
+    // Sequential on purpose: two alerts with the same fingerprint in one
+    // batch must land in the same incident
+    try {
+      results.push(await processAlert(integration, alert));
+    } catch (error) {
+      console.error(`Alert ${alert.fingerprint} failed:`, error.message);
+      results.push({ fingerprint: alert.fingerprint, action: 'failed', error: error.message });
+    }
+  }
+
+  await Integration.updateOne({ _id: integration._id }, { lastAlertAt: new Date() });
+
+  const summary = { created: 0, deduplicated: 0, resolved: 0, ignored: 0, rejected: 0, failed: 0 };
+  results.forEach(({ action }) => {
+    summary[action] += 1;
+  });
+
+  return { results, summary };
+};
+
+module.exports = {
+  ingestAlerts
+};
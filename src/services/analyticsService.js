@@ -0,0 +1,411 @@
+/**
+ * Analytics Service
+ * Dashboard metrics computed with MongoDB aggregation
+ *
+ * Responsibility: Opened/resolved trends, severity mix, response times
+ *                 (MTTA/MTTR, overall and per affected service) and time
+ *                 spent in each workflow status
+ * Does NOT: Cache results or change any data (read-only)
+ *
+ * Every query takes a date range over incident creation time; the
+ * trend also counts resolutions that fall inside the range.
+ *
+ * Definitions:
+ * - Acknowledged: first acknowledging entry after the incident was
+ *   opened (status change, assignment, command or role change, note) by
+ *   a person - someone is working on it. Entries written with the
+ *   incident (template checklist items) and notes from an integration's
+ *   service account do not count
+ * - Resolved: resolvedAt (set when entering a terminal status)
+ * - Time in status: derived from consecutive status_change entries;
+ *   the current status counts until now unless the incident is resolved
+ */
+const mongoose = require('mongoose');
+const { Incident, IncidentUpdate, Service, User } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+// Bucket sizes for the trend; ranges up to this many days default to daily buckets
+const TREND_INTERVALS = ['day', 'week'];
+const DAILY_BUCKET_MAX_DAYS = 31;
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Timeline entries that show someone picked the incident up
+const ACKNOWLEDGING_TYPES = ['status_change', 'assignment', 'commander_change', 'role_change', 'note'];
+
+/**
+ * Build a 400 error for invalid analytics parameters
+ */
+const invalidParam = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Parse a from/to query into a bounded date range
+ * @param {Object} query - { from, to } ISO dates (default: last 30 days)
+ * @returns {Object} - { from: Date, to: Date }
+ * @throws {Error} - 400 for unparseable, inverted or oversized ranges
+ */
+const parseRange = ({ from, to } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw invalidParam('Invalid from/to date');
+  }
+  if (start > end) {
+    throw invalidParam('from must be before to');
+  }
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    throw invalidParam(`Range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+
+  return { from: start, to: end };
+};
+
+/**
+ * Match incidents of one type (or any type when none is given)
+ * @throws {Error} - 400 for a non-string type (e.g. a repeated query parameter)
+ */
+const incidentTypeMatch = (incidentType) => {
+  if (!incidentType) return {};
+  if (typeof incidentType !== 'string') {
+    throw invalidParam('incidentType must be a single value');
+  }
+  return { incidentType: incidentType.toLowerCase() };
+};
+
+/**
+ * Match incidents created inside the range (optionally of one type)
+ */
+const createdInRange = ({ from, to }, incidentType) => ({
+  createdAt: { $gte: from, $lte: to },
+  ...incidentTypeMatch(incidentType)
+});
+
+/**
+ * Start of the UTC day/week (weeks start on Monday, like $dateTrunc)
+ */
+const truncateDate = (date, interval) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    const offset = (day.getUTCDay() + 6) % 7;
+    day.setUTCDate(day.getUTCDate() - offset);
+  }
+  return day;
+};
+
+/**
+ * Opened and resolved counts per time bucket (UTC)
+ * @param {Object} query - { from, to, interval ('day'|'week'), incidentType }
+ * @returns {Object} - { from, to, interval, buckets: [{ date, opened, resolved }] }
+ */
+const getTrends = async (query = {}) => {
+  const range = parseRange(query);
+  const days = (range.to - range.from) / DAY_MS;
+  const interval = query.interval || (days <= DAILY_BUCKET_MAX_DAYS ? 'day' : 'week');
+
+  if (!TREND_INTERVALS.includes(interval)) {
+    throw invalidParam(`Invalid interval. Must be one of: ${TREND_INTERVALS.join(', ')}`);
+  }
+
+  const bucketOf = (field) => ({
+    $dateTrunc: { date: field, unit: interval, startOfWeek: 'monday' }
+  });
+  const typeMatch = incidentTypeMatch(query.incidentType);
+
+  const [opened, resolved] = await Promise.all([
+    Incident.aggregate([
+      { $match: createdInRange(range, query.incidentType) },
+      { $group: { _id: bucketOf('$createdAt'), count: { $sum: 1 } } }
+    ]),
+    Incident.aggregate([
+      { $match: { ...typeMatch, resolvedAt: { $gte: range.from, $lte: range.to } } },
+      { $group: { _id: bucketOf('$resolvedAt'), count: { $sum: 1 } } }
+    ])
+  ]);
+
+  // Fill empty buckets so the chart has a point for every day/week
+  const buckets = new Map();
+  const step = interval === 'week' ? 7 : 1;
+  for (
+    let cursor = truncateDate(range.from, interval);
+    cursor <= range.to;
+    cursor = new Date(cursor.getTime() + step * DAY_MS)
+  ) {
+    buckets.set(cursor.getTime(), { date: cursor, opened: 0, resolved: 0 });
+  }
+
+  opened.forEach(({ _id, count }) => {
+    if (buckets.has(_id.getTime())) buckets.get(_id.getTime()).opened = count;
+  });
+  resolved.forEach(({ _id, count }) => {
+    if (buckets.has(_id.getTime())) buckets.get(_id.getTime()).resolved = count;
+  });
+
+  return { ...range, interval, buckets: [...buckets.values()] };
+};
+
+/**
+ * Incident count per severity for incidents opened in the range
+ * @param {Object} query - { from, to, incidentType }
+ * @returns {Object} - { from, to, bySeverity: { critical, high, medium, low } }
+ */
+const getSeverityMix = async (query = {}) => {
+  const range = parseRange(query);
+
+  const groups = await Incident.aggregate([
+    { $match: createdInRange(range, query.incidentType) },
+    { $group: { _id: '$severity', count: { $sum: 1 } } }
+  ]);
+
+  const bySeverity = {};
+  groups.forEach(({ _id, count }) => {
+    bySeverity[_id] = count;
+  });
+
+  return { ...range, bySeverity };
+};
+
+/**
+ * Integration service accounts (their alert notes are not acknowledgements)
+ */
+const getServiceAccountIds = () => User.distinct('_id', { kind: 'integration' });
+
+/**
+ * Pipeline stages adding ackMs and resolveMs to each incident
+ * @param {Object} keep - Other incident fields to carry through ($project spec)
+ * @param {Array} serviceAccountIds - From getServiceAccountIds
+ */
+const responseTimeStages = (keep, serviceAccountIds) => [
+  // First acknowledging entry by a person, other than the creation
+  // status_change (previousStatus null)
+  {
+    $lookup: {
+      from: IncidentUpdate.collection.name,
+      let: { incidentId: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$incidentId', '$$incidentId'] } } },
+        {
+          $match: {
+            type: { $in: ACKNOWLEDGING_TYPES },
+            userId: { $nin: serviceAccountIds },
+            $nor: [{ type: 'status_change', 'content.previousStatus': null }]
+          }
+        },
+        { $sort: { createdAt: 1 } },
+        { $limit: 1 },
+        { $project: { _id: 0, createdAt: 1 } }
+      ],
+      as: 'firstResponse'
+    }
+  },
+  {
+    $project: {
+      ...keep,
+      ackMs: {
+        $subtract: [{ $first: '$firstResponse.createdAt' }, '$createdAt']
+      },
+      resolveMs: {
+        $cond: [
+          { $ne: [{ $ifNull: ['$resolvedAt', null] }, null] },
+          { $subtract: ['$resolvedAt', '$createdAt'] },
+          null
+        ]
+      }
+    }
+  }
+];
+
+// $group accumulators over responseTimeStages output
+const RESPONSE_TIME_TOTALS = {
+  incidents: { $sum: 1 },
+  acknowledged: { $sum: { $cond: [{ $ne: ['$ackMs', null] }, 1, 0] } },
+  resolved: { $sum: { $cond: [{ $ne: ['$resolveMs', null] }, 1, 0] } },
+  // $sum skips nulls (open or unacknowledged incidents)
+  ackTotalMs: { $sum: '$ackMs' },
+  resolveTotalMs: { $sum: '$resolveMs' }
+};
+
+/**
+ * Turn response time totals into counts and means
+ */
+const summarize = ({ incidents, acknowledged, resolved, ackTotalMs, resolveTotalMs }) => ({
+  incidents,
+  acknowledged,
+  resolved,
+  mttaMs: acknowledged > 0 ? Math.round(ackTotalMs / acknowledged) : null,
+  mttrMs: resolved > 0 ? Math.round(resolveTotalMs / resolved) : null
+});
+
+/**
+ * Mean time to acknowledge and to resolve, per severity
+ * Incidents never acknowledged/resolved are left out of that mean
+ * @param {Object} query - { from, to, incidentType }
+ * @returns {Object} - { from, to, bySeverity: { [severity]: { incidents,
+ *   acknowledged, resolved, mttaMs, mttrMs } }, overall: {...} }
+ */
+const getResponseTimes = async (query = {}) => {
+  const range = parseRange(query);
+  const serviceAccountIds = await getServiceAccountIds();
+
+  const groups = await Incident.aggregate([
+    { $match: createdInRange(range, query.incidentType) },
+    ...responseTimeStages({ severity: 1 }, serviceAccountIds),
+    { $group: { _id: '$severity', ...RESPONSE_TIME_TOTALS } }
+  ]);
+
+  const totals = { incidents: 0, acknowledged: 0, resolved: 0, ackTotalMs: 0, resolveTotalMs: 0 };
+  const bySeverity = {};
+
+  groups.forEach((group) => {
+    bySeverity[group._id] = summarize(group);
+    Object.keys(totals).forEach((key) => {
+      totals[key] += group[key];
+    });
+  });
+
+  // Keep severity order stable for the client table
+  const ordered = {};
+  SEVERITIES.filter((s) => bySeverity[s]).forEach((s) => {
+    ordered[s] = bySeverity[s];
+  });
+
+  return { ...range, bySeverity: ordered, overall: summarize(totals) };
+};
+
+/**
+ * Incident count, MTTA and MTTR per affected service
+ * An incident affecting several services counts towards each of them.
+ * @param {Object} query - { from, to, incidentType, service (one service ID) }
+ * @returns {Object} - { from, to, services: [{ service: { _id, name, tier, team },
+ *   incidents, acknowledged, resolved, mttaMs, mttrMs }] } - most incidents first
+ * @throws {Error} - 400 invalid range or service ID
+ */
+const getServiceResponseTimes = async (query = {}) => {
+  const range = parseRange(query);
+
+  if (query.service && !mongoose.isValidObjectId(query.service)) {
+    throw invalidParam('Invalid service ID');
+  }
+  const serviceId = query.service ? new mongoose.Types.ObjectId(query.service) : null;
+  const serviceAccountIds = await getServiceAccountIds();
+
+  const groups = await Incident.aggregate([
+    {
+      $match: {
+        ...createdInRange(range, query.incidentType),
+        affectedServices: serviceId || { $ne: [] }
+      }
+    },
+    ...responseTimeStages({ affectedServices: 1 }, serviceAccountIds),
+    { $unwind: '$affectedServices' },
+    ...(serviceId ? [{ $match: { affectedServices: serviceId } }] : []),
+    { $group: { _id: '$affectedServices', ...RESPONSE_TIME_TOTALS } },
+    {
+      $lookup: {
+        from: Service.collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        pipeline: [{ $project: { name: 1, tier: 1, team: 1 } }],
+        as: 'service'
+      }
+    },
+    // Services deleted since are pulled from incidents, but be safe
+    { $unwind: '$service' },
+    { $sort: { incidents: -1, 'service.name': 1 } }
+  ]);
+
+  const services = groups.map((group) => ({ service: group.service, ...summarize(group) }));
+
+  return { ...range, services };
+};
+
+/**
+ * Average time incidents spend in each status
+ * Statuses are per workflow, so results are grouped by incident type
+ * @param {Object} query - { from, to, incidentType }
+ * @returns {Object} - { from, to, statuses: [{ incidentType, status,
+ *   incidents, totalMs, avgMs }] }
+ */
+const getTimeInStatus = async (query = {}) => {
+  const range = parseRange(query);
+
+  const groups = await Incident.aggregate([
+    { $match: createdInRange(range, query.incidentType) },
+    {
+      $lookup: {
+        from: IncidentUpdate.collection.name,
+        let: { incidentId: '$_id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ['$incidentId', '$$incidentId'] },
+              type: 'status_change'
+            }
+          },
+          { $sort: { createdAt: 1 } },
+          { $project: { _id: 0, status: '$content.newStatus', at: '$createdAt' } }
+        ],
+        as: 'changes'
+      }
+    },
+    // One segment per status change: [change, next change or now)
+    {
+      $project: {
+        incidentType: 1,
+        segments: {
+          $map: {
+            input: { $range: [0, { $size: '$changes' }] },
+            as: 'i',
+            in: {
+              status: { $arrayElemAt: ['$changes.status', '$$i'] },
+              start: { $arrayElemAt: ['$changes.at', '$$i'] },
+              end: {
+                $cond: [
+                  { $lt: [{ $add: ['$$i', 1] }, { $size: '$changes' }] },
+                  { $arrayElemAt: ['$changes.at', { $add: ['$$i', 1] }] },
+                  // Time in the final (terminal) status is not measured
+                  { $cond: [{ $ifNull: ['$resolvedAt', false] }, null, '$$NOW'] }
+                ]
+              }
+            }
+          }
+        }
+      }
+    },
+    { $unwind: '$segments' },
+    { $match: { 'segments.end': { $ne: null } } },
+    {
+      $group: {
+        _id: { incidentType: '$incidentType', status: '$segments.status' },
+        incidentIds: { $addToSet: '$_id' },
+        totalMs: { $sum: { $subtract: ['$segments.end', '$segments.start'] } }
+      }
+    },
+    { $sort: { '_id.incidentType': 1, totalMs: -1 } }
+  ]);
+
+  const statuses = groups.map(({ _id, incidentIds, totalMs }) => ({
+    incidentType: _id.incidentType,
+    status: _id.status,
+    incidents: incidentIds.length,
+    totalMs,
+    avgMs: Math.round(totalMs / incidentIds.length)
+  }));
+
+  return { ...range, statuses };
+};
+
+module.exports = {
+  getTrends,
+  getSeverityMix,
+  getResponseTimes,
+  getServiceResponseTimes,
+  getTimeInStatus
+};
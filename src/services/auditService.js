@@ -0,0 +1,272 @@
+/**
+ * Audit Service
+ * Tamper-evident, append-only incident timeline
+ *
+ * Responsibility: Append IncidentUpdate entries to an incident's hash
+ *                 chain, verify a chain, chain entries written before
+ *                 the chain existed
+ * Does NOT: Decide what is recorded (the service making the change
+ *           builds the entry) or publish events
+ *
+ * Every entry gets the next sequence number for its incident and
+ * hash = sha256(previousHash + entry). The incident keeps the last
+ * sequence/hash (auditHead), so verification catches edited, missing,
+ * reordered and truncated entries. Appends for one incident are
+ * serialized in-process; the unique (incidentId, sequence) index turns
+ * a race with another server process into a retry instead of a fork.
+ */
+const mongoose = require('mongoose');
+const { Incident, IncidentUpdate } = require('../models');
+const { GENESIS_HASH, hashEntry } = require('../utils/auditChain');
+
+// Retries when another process appended to the same chain first
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Pending appends per incident (promise tail)
+const appendQueues = new Map();
+
+/**
+ * Run tasks for the same incident one after another
+ */
+const withIncidentQueue = (incidentId, task) => {
+  const key = incidentId.toString();
+  const run = (appendQueues.get(key) || Promise.resolve()).then(task, task);
+
+  appendQueues.set(key, run);
+  const cleanup = () => {
+    if (appendQueues.get(key) === run) appendQueues.delete(key);
+  };
+  run.then(cleanup, cleanup);
+
+  return run;
+};
+
+/**
+ * Append entries to one incident's chain, in order
+ * @returns {Array} - Inserted entries
+ */
+const appendToChain = async (incidentId, entries) => {
+  const inserted = [];
+  let pending = entries;
+
+  for (let attempt = 1; pending.length > 0; attempt += 1) {
+    const last = await IncidentUpdate.findOne({ incidentId })
+      .sort({ sequence: -1 })
+      .select('sequence hash')
+      .lean();
+
+    let sequence = last ? last.sequence + 1 : 0;
+    let previousHash = last ? last.hash : GENESIS_HASH;
+    const now = new Date();
+
+    const docs = pending.map((entry) => {
+      const doc = new IncidentUpdate({ ...entry, createdAt: now, sequence, previousHash });
+      doc.hash = hashEntry(doc.toObject({ depopulate: true }), previousHash);
+      sequence += 1;
+      previousHash = doc.hash;
+      return doc;
+    });
+
+    try {
+      inserted.push(...await IncidentUpdate.insertMany(docs));
+      pending = [];
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+
+      // Another process took a sequence number: keep what was written
+      // before the collision and chain the rest after its entries
+      const written = await IncidentUpdate.find({ _id: { $in: docs.map((doc) => doc._id) } }).distinct('_id');
+      const writtenIds = new Set(written.map(String));
+      inserted.push(...docs.filter((doc) => writtenIds.has(doc._id.toString())));
+      pending = pending.filter((_, i) => !writtenIds.has(docs[i]._id.toString()));
+    }
+  }
+
+  // Never move the head backwards (another process may be ahead)
+  const head = inserted[inserted.length - 1];
+  await Incident.updateOne(
+    {
+      _id: incidentId,
+      $or: [{ auditHead: null }, { 'auditHead.sequence': { $lt: head.sequence } }]
+    },
+    { $set: { auditHead: { sequence: head.sequence, hash: head.hash } } },
+    { timestamps: false }
+  );
+
+  return inserted;
+};
+
+// Filled in by appendToChain, so not checked by validateUpdates
+const CHAIN_FIELDS = ['sequence', 'previousHash', 'hash'];
+
+/**
+ * Check entries against the IncidentUpdate schema without writing them
+ * Call before saving the change they record: an entry rejected after
+ * the save would leave that change out of the audit trail.
+ * @param {Object|Array} entries - Same shape as appendUpdates
+ * @returns {Object|Array} - The entries, unchanged
+ * @throws {Error} - Mongoose ValidationError (400)
+ */
+const validateUpdates = (entries) => {
+  const list = Array.isArray(entries) ? entries : [entries];
+  list.forEach((entry) => {
+    const error = new IncidentUpdate(entry).validateSync({ pathsToSkip: CHAIN_FIELDS });
+    if (error) throw error;
+  });
+  return entries;
+};
+
+/**
+ * Append timeline entries (replaces IncidentUpdate.create)
+ * Entries may belong to different incidents; each chain is extended in
+ * the order given and all entries share the same createdAt per incident.
+ * @param {Object|Array} entries - { incidentId, userId, type, content }
+ * @returns {Object|Array} - Inserted entry, or entries in input order
+ */
+const appendUpdates = async (entries) => {
+  const list = Array.isArray(entries) ? entries : [entries];
+
+  const byIncident = new Map();
+  list.forEach((entry, index) => {
+    const key = entry.incidentId.toString();
+    if (!byIncident.has(key)) byIncident.set(key, []);
+    byIncident.get(key).push({ entry, index });
+  });
+
+  const results = new Array(list.length);
+  await Promise.all([...byIncident.entries()].map(async ([incidentId, items]) => {
+    const inserted = await withIncidentQueue(incidentId, () =>
+      appendToChain(incidentId, items.map(({ entry }) => entry))
+    );
+    items.forEach(({ index }, i) => {
+      results[index] = inserted[i];
+    });
+  }));
+
+  return Array.isArray(entries) ? results : results[0];
+};
+
+/**
+ * Check an incident's audit chain
+ * @param {string} incidentId
+ * @returns {Object} - { valid, entries, head: { sequence, hash } | null,
+ *   problems: [{ sequence, updateId, issue, message }] }
+ *   issue: 'unchained' | 'gap' | 'broken_link' | 'edited' | 'truncated'
+ * @throws {Error} - 404 unknown incident
+ */
+const verifyIncidentAudit = async (incidentId) => {
+  const incident = mongoose.isValidObjectId(incidentId)
+    ? await Incident.findById(incidentId).select('auditHead').lean()
+    : null;
+
+  if (!incident) {
+    const error = new Error('Incident not found');
+    error.status = 404;
+    throw error;
+  }
+
+  const entries = await IncidentUpdate.find({ incidentId })
+    .sort({ sequence: 1, createdAt: 1, _id: 1 })
+    .lean();
+
+  const problems = [];
+  const report = (entry, issue, message) => problems.push({
+    sequence: entry?.sequence ?? null,
+    updateId: entry?._id ?? null,
+    issue,
+    message
+  });
+
+  let expectedSequence = 0;
+  let previousHash = GENESIS_HASH;
+
+  entries.forEach((entry) => {
+    if (typeof entry.sequence !== 'number' || !entry.hash) {
+      report(entry, 'unchained', 'Entry is not part of the chain');
+      return;
+    }
+
+    if (entry.sequence !== expectedSequence) {
+      report(entry, 'gap', `Expected entry ${expectedSequence}, found ${entry.sequence}`);
+    }
+    if (entry.previousHash !== previousHash) {
+      report(entry, 'broken_link', 'Previous hash does not match the entry before it');
+    }
+    if (hashEntry(entry, entry.previousHash) !== entry.hash) {
+      report(entry, 'edited', 'Content does not match its hash');
+    }
+
+    expectedSequence = entry.sequence + 1;
+    previousHash = entry.hash;
+  });
+
+  const { auditHead } = incident;
+  if (auditHead && (auditHead.sequence !== expectedSequence - 1 || auditHead.hash !== previousHash)) {
+    report(
+      { sequence: auditHead.sequence },
+      'truncated',
+      `Chain should end at entry ${auditHead.sequence}; entries may have been removed`
+    );
+  }
+
+  return {
+    valid: problems.length === 0,
+    entries: entries.length,
+    head: auditHead || null,
+    problems
+  };
+};
+
+/**
+ * Chain entries written before the audit chain existed
+ * (called on startup; a no-op once every entry is chained).
+ * Entries are chained in createdAt order, so the chain protects them
+ * from now on - it cannot prove they were untouched before.
+ */
+const backfillAuditChains = async () => {
+  const incidentIds = await IncidentUpdate.distinct('incidentId', { hash: { $exists: false } });
+  let chainedIncidents = 0;
+
+  for (const incidentId of incidentIds) {
+    const chained = await IncidentUpdate.countDocuments({ incidentId, hash: { $exists: true } });
+    if (chained > 0) {
+      // Left for verification to report as unchained
+      console.warn(`Incident ${incidentId} has unchained audit entries after its chain started`);
+      continue;
+    }
+
+    const entries = await IncidentUpdate.find({ incidentId }).sort({ createdAt: 1, _id: 1 }).lean();
+    let previousHash = GENESIS_HASH;
+
+    const operations = entries.map((entry, sequence) => {
+      const hash = hashEntry({ ...entry, sequence }, previousHash);
+      const operation = {
+        updateOne: {
+          filter: { _id: entry._id },
+          update: { $set: { sequence, previousHash, hash } }
+        }
+      };
+      previousHash = hash;
+      return operation;
+    });
+
+    // Native driver: the model's append-only hooks reject updates
+    await IncidentUpdate.collection.bulkWrite(operations);
+    await Incident.collection.updateOne(
+      { _id: incidentId },
+      { $set: { auditHead: { sequence: entries.length - 1, hash: previousHash } } }
+    );
+    chainedIncidents += 1;
+  }
+
+  if (chainedIncidents > 0) {
+    console.log(`Chained audit entries of ${chainedIncidents} incidents`);
+  }
+};
+
+module.exports = {
+  validateUpdates,
+  appendUpdates,
+  verifyIncidentAudit,
+  backfillAuditChains
+};
@@ -4,17 +4,42 @@
  *
  * Responsibility: User registration, login validation, token generation
  * Does NOT: Handle HTTP requests/responses (that's the route's job)
+ *
+ * Self-registration never chooses a role: sign-ups are pending viewers
+ * until an admin approves them (userService.approveUser), and can be
+ * switched off so the only way in is an invitation (invitationService).
+ * The first admin comes from config (userService.ensureBootstrapAdmin).
+ *
+ * Wrong passwords count towards a progressive lockout (config.lockout);
+ * an admin can lift it early (userService.unlockUser). Request volume
+ * is limited separately, per IP and per email (middleware/rateLimit).
  */
+const config = require('../config');
 const { User } = require('../models');
-const { generateToken } = require('../middleware/auth');
+const sessionService = require('./sessionService');
+
+/**
+ * Whether self-registration is currently allowed
+ * @returns {Object} - { open }
+ */
+const getRegistrationSettings = async () => ({
+  open: config.registration.open
+});
 
 /**
  * Register a new user
- * @param {Object} userData - { email, password, name, role? }
- * @returns {Object} - { user, token }
- * @throws {Error} - If email already exists
+ * Always a pending viewer: an admin approves the account and picks its role
+ * @param {Object} userData - { email, password, name }
+ * @returns {Object} - { user } (cannot sign in until approved)
+ * @throws {Error} - If email already exists or registration is closed
  */
-const register = async ({ email, password, name, role = 'responder' }) => {
+const register = async ({ email, password, name }) => {
+  if (!config.registration.open) {
+    const error = new Error('Registration is by invitation only');
+    error.status = 403;
+    throw error;
+  }
+
   // Check if user already exists
   const existingUser = await User.findOne({ email });
   if (existingUser) {
@@ -28,40 +53,111 @@ const register = async ({ email, password, name, role = 'responder' }) => {
     email,
     passwordHash: password, // Will be hashed by pre-save hook
     name,
-    role
+    role: 'viewer',
+    status: 'pending'
   });
 
-  const token = generateToken(user._id);
+  return { user };
+};
+
+/**
+ * 429 for a locked account, with seconds until it unlocks
+ * @param {Date} lockedUntil
+ */
+const lockedError = (lockedUntil) => {
+  const retryAfter = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000));
+  const error = new Error('Too many failed sign-in attempts. The account is temporarily locked');
+  error.status = 429;
+  error.code = 'ACCOUNT_LOCKED';
+  error.details = { retryAfter, lockedUntil };
+  return error;
+};
+
+/**
+ * Count a wrong password and lock the account once there are too many
+ * Each failure past the threshold doubles the lock (config.lockout)
+ * @param {Object} user - User document
+ * @returns {Date|null} - When the lock ends, if the account is now locked
+ */
+const recordFailedLogin = async (user) => {
+  const { threshold, baseMinutes, maxMinutes, resetAfterHours } = config.lockout;
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - resetAfterHours * 60 * 60 * 1000);
+  const isRecent = { $gt: ['$lastFailedLoginAt', staleBefore] };
+
+  // Atomic, so parallel guesses cannot share one count
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    [{
+      $set: {
+        failedLoginCount: { $cond: [isRecent, { $add: [{ $ifNull: ['$failedLoginCount', 0] }, 1] }, 1] },
+        lastFailedLoginAt: now
+      }
+    }],
+    { new: true }
+  );
+
+  if (updated.failedLoginCount < threshold) return null;
 
-  return { user, token };
+  const minutes = Math.min(baseMinutes * 2 ** (updated.failedLoginCount - threshold), maxMinutes);
+  const lockedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+  await User.updateOne({ _id: user._id }, { lockedUntil });
+  return lockedUntil;
 };
 
 /**
- * Authenticate user credentials
+ * Authenticate user credentials and start a session
  * @param {Object} credentials - { email, password }
- * @returns {Object} - { user, token }
- * @throws {Error} - If credentials invalid
+ * @param {Object} device - { userAgent, ip }
+ * @returns {Object} - { user, token, refreshToken }
+ * @throws {Error} - 401 invalid credentials, 429 account locked,
+ *   403 pending or deactivated (only with the right password)
  */
-const login = async ({ email, password }) => {
-  // Find user by email
+const login = async ({ email, password }, device) => {
+  // Find user by email (integration service accounts never log in)
   const user = await User.findOne({ email });
-  if (!user) {
+  if (!user || user.kind === 'integration') {
     const error = new Error('Invalid credentials');
     error.status = 401;
     throw error;
   }
 
+  // Locked accounts are refused before the password is even checked
+  if (user.lockedUntil > new Date()) {
+    throw lockedError(user.lockedUntil);
+  }
+
   // Verify password
   const isMatch = await user.comparePassword(password);
   if (!isMatch) {
+    const lockedUntil = await recordFailedLogin(user);
+    if (lockedUntil) {
+      throw lockedError(lockedUntil);
+    }
     const error = new Error('Invalid credentials');
     error.status = 401;
     throw error;
   }
 
-  const token = generateToken(user._id);
+  if (user.failedLoginCount > 0 || user.lockedUntil) {
+    await User.updateOne({ _id: user._id }, { failedLoginCount: 0, lockedUntil: null });
+  }
+
+  // Only reported after the password matched, so it reveals nothing to guessers
+  if (user.status === 'pending') {
+    const error = new Error('Your account is awaiting admin approval');
+    error.status = 403;
+    throw error;
+  }
+  if (user.status === 'deactivated') {
+    const error = new Error('This account has been deactivated');
+    error.status = 403;
+    throw error;
+  }
+
+  const { token, refreshToken } = await sessionService.startSession(user, device);
 
-  return { user, token };
+  return { user, token, refreshToken };
 };
 
 /**
@@ -80,6 +176,7 @@ const getUserById = async (userId) => {
 };
 
 module.exports = {
+  getRegistrationSettings,
   register,
   login,
   getUserById
@@ -2,29 +2,176 @@
  * Incident Service
  * Handles incident business logic
  *
- * Responsibility: CRUD operations, state transitions, update history
- * Does NOT: Handle HTTP/Socket responses, broadcast events
+ * Responsibility: CRUD operations, state transitions, update history,
+ *                 publishing domain events after each persisted mutation
+ * Does NOT: Handle HTTP/Socket responses or know about Socket.io
  *
- * Note: This service returns data. The caller (route or socket handler)
- * decides how to respond or broadcast.
+ * Note: This service returns data to the caller (route or socket handler)
+ * and publishes a domain event (see events/index.js). Real-time broadcasts
+ * are done by the socket layer's subscriber, so REST and socket writes
+ * produce identical fan-out.
  */
-const { Incident, IncidentUpdate } = require('../models');
+const mongoose = require('mongoose');
+const { Incident, IncidentUpdate, User } = require('../models');
+const { INCIDENT_EVENTS, publish } = require('../events');
+const { parseLimit, buildCursorQuery, toPage } = require('../utils/pagination');
+const workflowService = require('./workflowService');
+const auditService = require('./auditService');
+const actionItemService = require('./actionItemService');
+const templateService = require('./templateService');
+const serviceCatalogService = require('./serviceCatalogService');
+
+// Fields that can be edited after creation (each change is audited)
+const EDITABLE_FIELDS = ['title', 'description', 'severity'];
+
+// Roles that can take command of an incident or hold a response role
+const COMMAND_ROLES = ['admin', 'responder'];
+
+// Response roles beyond commander; single-holder roles are replaced on assign
+const INCIDENT_ROLES = {
+  scribe: { label: 'Scribe', multiple: false },
+  comms_lead: { label: 'Communications Lead', multiple: false },
+  sme: { label: 'Subject-Matter Expert', multiple: true }
+};
+
+// User references resolved on every incident returned to clients
+// (selected fields only: account state such as lockouts stays with admins)
+const INCIDENT_POPULATE = [
+  { path: 'createdBy', select: 'name email' },
+  { path: 'commander', select: 'name email' },
+  { path: 'assignees', select: 'name email' },
+  { path: 'roles.user', select: 'name email status' },
+  { path: 'pendingHandoff.toUser', select: 'name email' },
+  { path: 'pendingHandoff.proposedBy', select: 'name email' },
+  { path: 'affectedComponents', select: 'name' },
+  { path: 'affectedServices', select: 'name tier team' },
+  { path: 'relationships.incident', select: 'title status severity resolvedAt' },
+  { path: 'mergedInto', select: 'title' }
+];
+
+// Dashboard rows only need names; full references are loaded per incident
+const LIST_POPULATE = [
+  { path: 'commander', select: 'name email' },
+  { path: 'assignees', select: 'name email' },
+  { path: 'affectedServices', select: 'name' }
+];
+
+// Sort keys accepted by getIncidents (never null, so cursors stay simple)
+const INCIDENT_SORT_FIELDS = ['createdAt', 'updatedAt', 'title'];
+
+// Timeline entries returned with the incident; older ones are paged in
+const TIMELINE_PAGE_SIZE = 50;
+
+// Timeline entries whose text is searchable from the incident list
+const SEARCHABLE_UPDATE_TYPES = ['note', 'stakeholder_update', 'public_update'];
+
+// User references resolved on every update returned to clients
+const UPDATE_POPULATE = [
+  { path: 'userId', select: 'name email status' },
+  { path: 'content.targetUserId', select: 'name email status' },
+  { path: 'content.previousCommanderId', select: 'name email status' },
+  { path: 'content.previousOwnerId', select: 'name email status' },
+  { path: 'content.relatedIncidentId', select: 'title' }
+];
+
+/**
+ * Populate an update's user references (author, assignment target)
+ * @param {Object} update - IncidentUpdate document
+ * @returns {Object} - Same document, populated
+ */
+const populateUpdate = (update) => update.populate(UPDATE_POPULATE);
+
+/**
+ * Get the id string of a reference, populated or not
+ */
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+/**
+ * Throw 403 unless the actor commands the incident or is an admin
+ * @param {Object} incident - Incident document
+ * @param {string} actorUserId
+ * @param {string} message - Error message on rejection
+ */
+const assertCommanderOrAdmin = async (incident, actorUserId, message) => {
+  if (idOf(incident.commander) === idOf(actorUserId)) return;
+
+  const actor = await User.findById(actorUserId).select('role');
+  if (actor?.role !== 'admin') {
+    const error = new Error(message);
+    error.status = 403;
+    throw error;
+  }
+};
+
+/**
+ * Whether an error is the open-incident-per-fingerprint index rejecting a duplicate
+ */
+const isOpenAlertConflict = (error) =>
+  error.code === 11000 && Boolean(error.keyPattern?.['alert.fingerprint']);
+
+/**
+ * Load a user who is about to take on incident responsibility
+ * @throws {Error} - 404 unknown user, 400 if the user cannot write or
+ *   is not active
+ */
+const getResponsibleUser = async (userId, message) => {
+  const user = await User.findById(userId).select('role status');
+
+  if (!user) {
+    const error = new Error('User not found');
+    error.status = 404;
+    throw error;
+  }
+
+  if (!COMMAND_ROLES.includes(user.role) || user.status !== 'active') {
+    const error = new Error(message);
+    error.status = 400;
+    throw error;
+  }
+
+  return user;
+};
 
 /**
  * Create a new incident
- * @param {Object} data - Incident data
+ * Starts in the initial status of the workflow for its incidentType.
+ * With a templateId, the template fills in missing fields, its runbook
+ * is copied onto the incident and its checklist becomes action items.
+ * @param {Object} data - Incident data (incidentType optional, defaults to 'default';
+ *   commander optional, defaults to the creator; alert set by alertService;
+ *   templateId optional; affectedServices optional service IDs)
  * @param {string} userId - Creator's user ID
  * @returns {Object} - Created incident
  */
 const createIncident = async (data, userId) => {
+  const { templateId, ...incidentData } = data;
+  let checklist = [];
+
+  if (templateId) {
+    const expanded = await templateService.expandTemplate(templateId, incidentData);
+    Object.assign(incidentData, expanded.fields);
+    checklist = expanded.checklist;
+  }
+
+  if (incidentData.affectedServices !== undefined) {
+    const services = await serviceCatalogService.resolveServices(incidentData.affectedServices);
+    incidentData.affectedServices = services.map((service) => service._id);
+  }
+
+  const incidentType = incidentData.incidentType || workflowService.DEFAULT_INCIDENT_TYPE;
+  const workflow = await getWorkflowOrReject(incidentType);
+
   const incident = await Incident.create({
-    ...data,
+    ...incidentData,
+    incidentType: workflow.incidentType,
+    status: workflow.initialStatus,
     createdBy: userId,
-    commander: userId // Creator is default commander
+    // Creator is default commander (integrations name one, or none)
+    commander: incidentData.commander !== undefined ? incidentData.commander : userId
   });
 
   // Create initial update for audit trail
-  await IncidentUpdate.create({
+  const update = await auditService.appendUpdates({
     incidentId: incident._id,
     userId,
     type: 'status_change',
@@ -34,27 +181,174 @@ const createIncident = async (data, userId) => {
     }
   });
 
-  return incident.populate(['createdBy', 'commander', 'assignees']);
+  await incident.populate(INCIDENT_POPULATE);
+  await populateUpdate(update);
+
+  publish(INCIDENT_EVENTS.CREATED, { incidentId: incident._id, incident, update });
+
+  // Template checklist, in order (each item is audited like a manual one)
+  for (const item of checklist) {
+    await actionItemService.createActionItem(incident._id, item, userId);
+  }
+
+  return incident;
+};
+
+/**
+ * Build a 400 error for an invalid list filter
+ */
+const invalidFilter = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Parse a comma-separated filter into a single value or $in clause
+ */
+const toMatch = (value) => {
+  const values = String(value).split(',').map((v) => v.trim()).filter(Boolean);
+  return values.length === 1 ? values[0] : { $in: values };
+};
+
+/**
+ * Parse a date filter
+ * @throws {Error} - 400 for unparseable dates
+ */
+const toDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw invalidFilter(`Invalid ${name} date`);
+  }
+  return date;
+};
+
+/**
+ * Find incidents whose title/description or note text matches a search
+ * Uses the text indexes on Incident and IncidentUpdate
+ * @param {string} search
+ * @returns {Array<ObjectId>} - Matching incident IDs
+ */
+const searchIncidentIds = async (search) => {
+  const [incidentMatches, updateMatches] = await Promise.all([
+    Incident.find({ $text: { $search: search } }, '_id').lean(),
+    IncidentUpdate.find(
+      { $text: { $search: search }, type: { $in: SEARCHABLE_UPDATE_TYPES } },
+      'incidentId'
+    ).lean()
+  ]);
+
+  const ids = new Map();
+  incidentMatches.forEach((doc) => ids.set(doc._id.toString(), doc._id));
+  updateMatches.forEach((doc) => ids.set(doc.incidentId.toString(), doc.incidentId));
+  return [...ids.values()];
 };
 
 /**
- * Get all incidents (for dashboard)
- * @param {Object} filters - Optional filters { status, severity }
- * @returns {Array} - List of incidents
+ * List incidents for the dashboard (cursor paginated)
+ * @param {Object} filters - Optional {
+ *   status, severity, incidentType (comma-separated lists allowed),
+ *   resolved ('true'|'false'), commander, assignee (user IDs),
+ *   service (affected service ID),
+ *   from, to (createdAt range),
+ *   q (full-text search), sort, order ('asc'|'desc'), cursor, limit
+ * }
+ * @returns {Object} - { incidents, nextCursor, hasMore }
+ * @throws {Error} - 400 for invalid filters, sort keys or cursors
  */
 const getIncidents = async (filters = {}) => {
-  const query = {};
+  const conditions = [];
 
   if (filters.status) {
-    query.status = filters.status;
+    conditions.push({ status: toMatch(filters.status) });
   }
   if (filters.severity) {
-    query.severity = filters.severity;
+    conditions.push({ severity: toMatch(filters.severity) });
+  }
+  if (filters.incidentType) {
+    conditions.push({ incidentType: toMatch(filters.incidentType) });
   }
 
-  return Incident.find(query)
-    .populate(['createdBy', 'commander', 'assignees'])
-    .sort({ createdAt: -1 });
+  if (filters.resolved === 'true' || filters.resolved === 'false') {
+    conditions.push({ resolvedAt: filters.resolved === 'true' ? { $ne: null } : null });
+  }
+
+  ['commander', 'assignee'].forEach((field) => {
+    if (!filters[field]) return;
+    if (!mongoose.isValidObjectId(filters[field])) {
+      throw invalidFilter(`Invalid ${field} user ID`);
+    }
+    conditions.push({ [field === 'assignee' ? 'assignees' : field]: filters[field] });
+  });
+
+  if (filters.service) {
+    if (!mongoose.isValidObjectId(filters.service)) {
+      throw invalidFilter('Invalid service ID');
+    }
+    conditions.push({ affectedServices: filters.service });
+  }
+
+  if (filters.from || filters.to) {
+    const createdAt = {};
+    if (filters.from) createdAt.$gte = toDate(filters.from, 'from');
+    if (filters.to) createdAt.$lte = toDate(filters.to, 'to');
+    conditions.push({ createdAt });
+  }
+
+  if (filters.q !== undefined && typeof filters.q !== 'string') {
+    throw invalidFilter('q must be a single search string');
+  }
+  if (filters.q && filters.q.trim()) {
+    const ids = await searchIncidentIds(filters.q.trim());
+    conditions.push({ _id: { $in: ids } });
+  }
+
+  const sortField = filters.sort || 'createdAt';
+  if (!INCIDENT_SORT_FIELDS.includes(sortField)) {
+    throw invalidFilter(`Invalid sort. Must be one of: ${INCIDENT_SORT_FIELDS.join(', ')}`);
+  }
+  const direction = filters.order === 'asc' ? 1 : -1;
+  const { sort, condition } = buildCursorQuery(sortField, direction, filters.cursor);
+  if (condition) conditions.push(condition);
+
+  const limit = parseLimit(filters.limit);
+  const docs = await Incident.find(conditions.length > 0 ? { $and: conditions } : {})
+    .sort(sort)
+    .limit(limit + 1)
+    .populate(LIST_POPULATE);
+
+  const { items, nextCursor, hasMore } = toPage(docs, limit, sortField);
+  return { incidents: items, nextCursor, hasMore };
+};
+
+/**
+ * Dashboard counters computed in the database (independent of paging)
+ * "Active" means not resolved: resolvedAt is set on terminal statuses
+ * @returns {Object} - { total, active, resolved, critical, bySeverity }
+ */
+const getIncidentStats = async () => {
+  const groups = await Incident.aggregate([
+    {
+      $group: {
+        _id: '$severity',
+        total: { $sum: 1 },
+        active: {
+          $sum: { $cond: [{ $eq: [{ $ifNull: ['$resolvedAt', null] }, null] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+
+  const stats = { total: 0, active: 0, resolved: 0, critical: 0, bySeverity: {} };
+  groups.forEach(({ _id: severity, total, active }) => {
+    stats.total += total;
+    stats.active += active;
+    stats.resolved += total - active;
+    stats.bySeverity[severity] = total;
+    if (severity === 'critical') stats.critical = active;
+  });
+
+  return stats;
 };
 
 /**
@@ -64,7 +358,7 @@ const getIncidents = async (filters = {}) => {
  */
 const getIncidentById = async (incidentId) => {
   const incident = await Incident.findById(incidentId)
-    .populate(['createdBy', 'commander', 'assignees']);
+    .populate(INCIDENT_POPULATE);
 
   if (!incident) {
     const error = new Error('Incident not found');
@@ -76,52 +370,263 @@ const getIncidentById = async (incidentId) => {
 };
 
 /**
- * Get incident with its update history
+ * Get incident with the latest page of its update history
+ * Action items are always returned in full (the checklist needs all of
+ * them, see actionItemService), older timeline entries are fetched
+ * with getIncidentUpdates
  * @param {string} incidentId
- * @returns {Object} - { incident, updates }
+ * @returns {Object} - { incident, updates, actionItems, updatesCursor, hasMoreUpdates }
  */
 const getIncidentWithHistory = async (incidentId) => {
   const incident = await getIncidentById(incidentId);
 
-  const updates = await IncidentUpdate.find({ incidentId })
-    .populate('userId', 'name email')
-    .sort({ createdAt: 1 });
+  const [page, actionItems] = await Promise.all([
+    getIncidentUpdates(incidentId, { limit: TIMELINE_PAGE_SIZE }),
+    actionItemService.getIncidentActionItems(incidentId)
+  ]);
 
-  return { incident, updates };
+  return {
+    incident,
+    updates: page.updates,
+    actionItems,
+    updatesCursor: page.nextCursor,
+    hasMoreUpdates: page.hasMore
+  };
 };
 
 /**
- * Update incident status
+ * Get a page of an incident's timeline
+ * Pages backwards from the newest entry by default; pass `before` with
+ * the previous nextCursor for older entries, or `after` to catch up
+ * on newer ones. Entries of incidents merged into this one are included
+ * (their incidentId tells them apart).
  * @param {string} incidentId
+ * @param {Object} options - { before, after (cursors), type (comma list), author (user ID), limit }
+ * @returns {Object} - { updates (oldest first), nextCursor, hasMore }
+ * @throws {Error} - 404 unknown incident, 400 invalid filters/cursors
+ */
+const getIncidentUpdates = async (incidentId, options = {}) => {
+  if (!mongoose.isValidObjectId(incidentId) || !(await Incident.exists({ _id: incidentId }))) {
+    const error = new Error('Incident not found');
+    error.status = 404;
+    throw error;
+  }
+
+  if (options.before && options.after) {
+    throw invalidFilter('Use either before or after, not both');
+  }
+
+  // Incidents merged into this one share its timeline
+  const mergedIds = await Incident.find({ mergedInto: incidentId }).distinct('_id');
+  const conditions = [{ incidentId: { $in: [incidentId, ...mergedIds] } }];
+
+  if (options.type) {
+    conditions.push({ type: toMatch(options.type) });
+  }
+  if (options.author) {
+    if (!mongoose.isValidObjectId(options.author)) {
+      throw invalidFilter('Invalid author user ID');
+    }
+    conditions.push({ userId: options.author });
+  }
+
+  // Newer entries page forwards, everything else pages backwards
+  const direction = options.after ? 1 : -1;
+  const { sort, condition } = buildCursorQuery('createdAt', direction, options.after || options.before);
+  if (condition) conditions.push(condition);
+
+  const limit = parseLimit(options.limit);
+  const docs = await IncidentUpdate.find({ $and: conditions })
+    .sort(sort)
+    .limit(limit + 1)
+    .populate(UPDATE_POPULATE);
+
+  const { items, nextCursor, hasMore } = toPage(docs, limit, 'createdAt');
+
+  return {
+    updates: direction === 1 ? items : items.reverse(),
+    nextCursor,
+    hasMore
+  };
+};
+
+/**
+ * Load a workflow for a new incident, rejecting unknown types with 400
+ * (a missing workflow is a bad request here, not a missing resource)
+ */
+const getWorkflowOrReject = async (incidentType) => {
+  try {
+    return await workflowService.getWorkflow(incidentType);
+  } catch (error) {
+    if (error.status === 404) error.status = 400;
+    throw error;
+  }
+};
+
+/**
+ * Move an incident to a new status in memory, enforcing its workflow
+ * Shared with merging (relationshipService): the caller saves the
+ * incident, then appends the returned entry
+ * @param {Object} incident - Incident document
+ * @param {Object} workflow - Its workflow definition
  * @param {string} newStatus
  * @param {string} userId - Who made the change
- * @returns {Object} - Updated incident
+ * @returns {Object} - Validated status_change entry
+ * @throws {Error} - 400 unknown/unchanged status, 409 disallowed transition
  */
-const updateStatus = async (incidentId, newStatus, userId) => {
-  const incident = await getIncidentById(incidentId);
+const applyStatusChange = (incident, workflow, newStatus, userId) => {
   const previousStatus = incident.status;
 
-  // Validate status transition (could add state machine logic here)
   if (previousStatus === newStatus) {
     const error = new Error('Status unchanged');
     error.status = 400;
     throw error;
   }
 
-  incident.status = newStatus;
-  await incident.save();
+  // State machine enforcement (throws 409 with allowed next states)
+  workflowService.assertTransition(workflow, previousStatus, newStatus);
 
-  // Record the change
-  await IncidentUpdate.create({
-    incidentId,
+  const entry = auditService.validateUpdates({
+    incidentId: incident._id,
     userId,
     type: 'status_change',
     content: { previousStatus, newStatus }
   });
 
+  incident.status = newStatus;
+  // Terminal statuses resolve the incident; leaving one re-opens it
+  incident.resolvedAt = workflowService.isTerminalStatus(workflow, newStatus)
+    ? new Date()
+    : null;
+
+  return entry;
+};
+
+/**
+ * Update incident status
+ * Enforces the workflow state machine for every entry point
+ * @param {string} incidentId
+ * @param {string} newStatus
+ * @param {string} userId - Who made the change
+ * @returns {Object} - Updated incident
+ * @throws {Error} - 400 unknown/unchanged status, 409 disallowed transition,
+ *   merged incident or reopening an alert another open incident now tracks
+ */
+const updateStatus = async (incidentId, newStatus, userId) => {
+  const incident = await getIncidentById(incidentId);
+  const wasResolved = Boolean(incident.resolvedAt);
+
+  // Merged incidents stay closed; work continues on the primary
+  if (incident.mergedInto) {
+    const error = new Error(`Incident was merged into "${incident.mergedInto.title}"`);
+    error.status = 409;
+    throw error;
+  }
+
+  const workflow = await workflowService.getWorkflow(incident.incidentType);
+  const entry = applyStatusChange(incident, workflow, newStatus, userId);
+  try {
+    await incident.save();
+  } catch (error) {
+    // Reopening takes the alert's fingerprint back, but a newer incident holds it
+    if (isOpenAlertConflict(error)) {
+      const conflict = new Error('Cannot reopen: a newer open incident already tracks this alert');
+      conflict.status = 409;
+      throw conflict;
+    }
+    throw error;
+  }
+
+  // Record the change
+  const update = await auditService.appendUpdates(entry);
+  await populateUpdate(update);
+
+  publish(INCIDENT_EVENTS.STATUS_CHANGED, { incidentId, incident, update });
+  if (incident.resolvedAt && !wasResolved) {
+    publish(INCIDENT_EVENTS.RESOLVED, { incidentId, incident, update });
+  }
+
   return incident;
 };
 
+/**
+ * Update editable incident fields (title, description, severity,
+ * affected services)
+ * Writes one field_change record per field that actually changed
+ * (affected services are recorded by name)
+ * @param {string} incidentId
+ * @param {Object} fields - Subset of { title, description, severity, affectedServices }
+ * @param {string} userId - Who made the change
+ * @returns {Object} - { incident, updates }
+ * @throws {Error} - 400 unknown service / nothing changed
+ */
+const updateFields = async (incidentId, fields, userId) => {
+  const incident = await getIncidentById(incidentId);
+
+  const changes = EDITABLE_FIELDS
+    .filter((field) => fields[field] !== undefined)
+    .map((field) => ({
+      field,
+      previousValue: incident[field],
+      newValue: typeof fields[field] === 'string' ? fields[field].trim() : fields[field]
+    }))
+    .filter((change) => change.previousValue !== change.newValue);
+
+  let services = null;
+  if (fields.affectedServices !== undefined) {
+    const resolved = await serviceCatalogService.resolveServices(fields.affectedServices);
+    const previous = incident.affectedServices;
+    const sameSet = previous.length === resolved.length &&
+      previous.every((service) => resolved.some((s) => idOf(s) === idOf(service)));
+
+    if (!sameSet) {
+      services = resolved;
+      changes.push({
+        field: 'affectedServices',
+        previousValue: previous.map((service) => service.name),
+        newValue: resolved.map((service) => service.name)
+      });
+    }
+  }
+
+  if (changes.length === 0) {
+    const error = new Error('No fields changed');
+    error.status = 400;
+    throw error;
+  }
+
+  // Record each change separately so the timeline can render them individually
+  const entries = auditService.validateUpdates(changes.map((change) => ({
+    incidentId,
+    userId,
+    type: 'field_change',
+    content: change
+  })));
+
+  changes
+    .filter(({ field }) => field !== 'affectedServices')
+    .forEach(({ field, newValue }) => {
+      incident[field] = newValue;
+    });
+  if (services) {
+    incident.affectedServices = services.map((service) => service._id);
+  }
+
+  // save() runs schema validators (required title, severity enum)
+  await incident.save();
+  if (services) {
+    await incident.populate(INCIDENT_POPULATE);
+  }
+
+  const updates = await auditService.appendUpdates(entries);
+
+  await IncidentUpdate.populate(updates, UPDATE_POPULATE);
+
+  publish(INCIDENT_EVENTS.FIELDS_UPDATED, { incidentId, incident, updates });
+
+  return { incident, updates };
+};
+
 /**
  * Assign user to incident
  * @param {string} incidentId
@@ -139,18 +644,23 @@ const assignUser = async (incidentId, targetUserId, actorUserId) => {
     throw error;
   }
 
-  incident.assignees.push(targetUserId);
-  await incident.save();
-  await incident.populate('assignees');
-
-  // Record the change
-  await IncidentUpdate.create({
+  const entry = auditService.validateUpdates({
     incidentId,
     userId: actorUserId,
     type: 'assignment',
     content: { action: 'assigned', targetUserId }
   });
 
+  incident.assignees.push(targetUserId);
+  await incident.save();
+  await incident.populate('assignees', 'name email');
+
+  // Record the change
+  const update = await auditService.appendUpdates(entry);
+  await populateUpdate(update);
+
+  publish(INCIDENT_EVENTS.ASSIGNED, { incidentId, incident, update });
+
   return incident;
 };
 
@@ -165,116 +675,478 @@ const addNote = async (incidentId, text, userId) => {
   // Verify incident exists
   await getIncidentById(incidentId);
 
-  const update = await IncidentUpdate.create({
+  const update = await auditService.appendUpdates({
     incidentId,
     userId,
     type: 'note',
     content: { text }
   });
+  await populateUpdate(update);
+
+  publish(INCIDENT_EVENTS.NOTE_ADDED, { incidentId, update });
 
-  return update.populate('userId', 'name email');
+  return update;
 };
 
 /**
- * Add an action item to incident timeline
- * Action items are tasks to complete during incident response
+ * Unassign user from incident
  * @param {string} incidentId
- * @param {string} text
- * @param {string} userId
- * @returns {Object} - Created update
+ * @param {string} targetUserId - User being unassigned
+ * @param {string} actorUserId - Who made the change
+ * @returns {Object} - Updated incident
  */
-const addActionItem = async (incidentId, text, userId) => {
-  // Verify incident exists
-  await getIncidentById(incidentId);
+const unassignUser = async (incidentId, targetUserId, actorUserId) => {
+  const incident = await getIncidentById(incidentId);
+
+  const assigneeIndex = incident.assignees.findIndex(
+    a => a._id.toString() === targetUserId
+  );
+
+  if (assigneeIndex === -1) {
+    const error = new Error('User not assigned to this incident');
+    error.status = 400;
+    throw error;
+  }
 
-  const update = await IncidentUpdate.create({
+  const entry = auditService.validateUpdates({
     incidentId,
-    userId,
-    type: 'action_item',
+    userId: actorUserId,
+    type: 'assignment',
+    content: { action: 'unassigned', targetUserId }
+  });
+
+  incident.assignees.splice(assigneeIndex, 1);
+  await incident.save();
+  await incident.populate('assignees', 'name email');
+
+  // Record the change
+  const update = await auditService.appendUpdates(entry);
+  await populateUpdate(update);
+
+  publish(INCIDENT_EVENTS.UNASSIGNED, { incidentId, incident, update });
+
+  return incident;
+};
+
+/**
+ * Propose handing incident command to another user
+ * The target must accept before the commander changes; proposing again
+ * replaces any pending handoff
+ * @param {string} incidentId
+ * @param {string} targetUserId - Proposed new commander
+ * @param {string} notes - Handoff briefing for the incoming commander
+ * @param {string} actorUserId - Current commander or an admin
+ * @returns {Object} - Updated incident (with pendingHandoff)
+ * @throws {Error} - 403 if actor may not hand off, 400/404 for invalid target
+ */
+const proposeHandoff = async (incidentId, targetUserId, notes, actorUserId) => {
+  const incident = await getIncidentById(incidentId);
+
+  await assertCommanderOrAdmin(
+    incident,
+    actorUserId,
+    'Only the incident commander or an administrator can hand off command'
+  );
+  await getResponsibleUser(targetUserId, 'Command can only be handed to a responder or administrator');
+
+  if (idOf(incident.commander) === idOf(targetUserId)) {
+    const error = new Error('User is already the incident commander');
+    error.status = 400;
+    throw error;
+  }
+
+  const entry = auditService.validateUpdates({
+    incidentId,
+    userId: actorUserId,
+    type: 'commander_change',
     content: {
-      text,
-      completed: false
+      action: 'proposed',
+      targetUserId,
+      previousCommanderId: incident.commander?._id,
+      notes: notes || ''
     }
   });
 
-  return update.populate('userId', 'name email');
+  incident.pendingHandoff = {
+    toUser: targetUserId,
+    proposedBy: actorUserId,
+    notes: notes || '',
+    proposedAt: new Date()
+  };
+  await incident.save();
+  await incident.populate(INCIDENT_POPULATE);
+
+  // Record the proposal
+  const update = await auditService.appendUpdates(entry);
+  await populateUpdate(update);
+
+  publish(INCIDENT_EVENTS.HANDOFF_PROPOSED, { incidentId, incident, update });
+
+  return incident;
 };
 
 /**
- * Toggle action item completion status
- * @param {string} updateId - The IncidentUpdate ID
- * @param {boolean} completed
- * @param {string} userId - Who toggled it (for audit, not stored)
- * @returns {Object} - Updated record
+ * Accept or decline the pending handoff (target user only)
+ * @param {string} incidentId
+ * @param {boolean} accepted
+ * @param {string} actorUserId - Must be the proposed commander
+ * @param {string} notes - Decline reason (accepting keeps the handoff briefing)
+ * @returns {Object} - Updated incident
+ * @throws {Error} - 409 if nothing is pending, 403 if actor is not the target
  */
-const toggleActionItem = async (updateId, completed, userId) => {
-  const update = await IncidentUpdate.findById(updateId);
+const respondToHandoff = async (incidentId, accepted, actorUserId, notes) => {
+  const incident = await getIncidentById(incidentId);
+  const handoff = incident.pendingHandoff;
 
-  if (!update) {
-    const error = new Error('Action item not found');
-    error.status = 404;
+  if (!handoff) {
+    const error = new Error('No pending commander handoff');
+    error.status = 409;
     throw error;
   }
 
-  if (update.type !== 'action_item') {
-    const error = new Error('Not an action item');
-    error.status = 400;
+  if (idOf(handoff.toUser) !== idOf(actorUserId)) {
+    const error = new Error('Only the proposed commander can respond to this handoff');
+    error.status = 403;
     throw error;
   }
 
-  // Update the completed status
-  // Note: We're mutating the content object, which is acceptable for action items
-  // This is a deliberate exception to immutability for UX purposes
-  update.content.completed = completed;
-  await update.save();
+  const previousCommanderId = incident.commander?._id;
+  const handoffNotes = handoff.notes;
 
-  return update;
+  const entry = auditService.validateUpdates({
+    incidentId,
+    userId: actorUserId,
+    type: 'commander_change',
+    content: {
+      action: accepted ? 'accepted' : 'declined',
+      targetUserId: actorUserId,
+      previousCommanderId,
+      notes: accepted ? handoffNotes : (notes || '')
+    }
+  });
+
+  if (accepted) {
+    incident.commander = actorUserId;
+  }
+  incident.pendingHandoff = null;
+  await incident.save();
+  await incident.populate(INCIDENT_POPULATE);
+
+  // Record the outcome
+  const update = await auditService.appendUpdates(entry);
+  await populateUpdate(update);
+
+  publish(
+    accepted ? INCIDENT_EVENTS.COMMANDER_CHANGED : INCIDENT_EVENTS.HANDOFF_DECLINED,
+    { incidentId, incident, update }
+  );
+
+  return incident;
 };
 
 /**
- * Unassign user from incident
+ * Validate a response role name
+ * @throws {Error} - 400 for unknown roles
+ */
+const assertIncidentRole = (role) => {
+  if (!INCIDENT_ROLES[role]) {
+    const error = new Error(`Invalid role. Must be one of: ${Object.keys(INCIDENT_ROLES).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+};
+
+/**
+ * Check if a user holds a response role on the incident
+ * @param {Object} incident - Incident document
+ * @param {string} role
+ * @param {string} userId
+ * @returns {boolean}
+ */
+const holdsIncidentRole = (incident, role, userId) =>
+  incident.roles.some((r) => r.role === role && idOf(r.user) === idOf(userId));
+
+/**
+ * Fill a response role (commander or admin only)
+ * Single-holder roles (scribe, comms_lead) replace the current holder
  * @param {string} incidentId
- * @param {string} targetUserId - User being unassigned
+ * @param {string} role - One of INCIDENT_ROLES
+ * @param {string} targetUserId - User taking the role
  * @param {string} actorUserId - Who made the change
- * @returns {Object} - Updated incident
+ * @returns {Object} - { incident, updates } (vacated + filled role_change records)
  */
-const unassignUser = async (incidentId, targetUserId, actorUserId) => {
+const assignIncidentRole = async (incidentId, role, targetUserId, actorUserId) => {
+  assertIncidentRole(role);
   const incident = await getIncidentById(incidentId);
 
-  const assigneeIndex = incident.assignees.findIndex(
-    a => a._id.toString() === targetUserId
+  await assertCommanderOrAdmin(
+    incident,
+    actorUserId,
+    'Only the incident commander or an administrator can assign roles'
   );
+  await getResponsibleUser(targetUserId, 'Roles can only be given to a responder or administrator');
 
-  if (assigneeIndex === -1) {
-    const error = new Error('User not assigned to this incident');
+  if (holdsIncidentRole(incident, role, targetUserId)) {
+    const error = new Error('User already holds this role');
     error.status = 400;
     throw error;
   }
 
-  incident.assignees.splice(assigneeIndex, 1);
+  const changes = [];
+
+  // Replace the current holder of a single-holder role
+  if (!INCIDENT_ROLES[role].multiple) {
+    incident.roles
+      .filter((r) => r.role === role)
+      .forEach((r) => changes.push({ action: 'unassigned', role, targetUserId: idOf(r.user) }));
+    incident.roles = incident.roles.filter((r) => r.role !== role);
+  }
+
+  incident.roles.push({ role, user: targetUserId });
+  changes.push({ action: 'assigned', role, targetUserId });
+
+  // Record each change so the timeline shows who left and who took over
+  const entries = auditService.validateUpdates(changes.map((content) => ({
+    incidentId,
+    userId: actorUserId,
+    type: 'role_change',
+    content
+  })));
+
   await incident.save();
-  await incident.populate('assignees');
+  await incident.populate(INCIDENT_POPULATE);
 
-  // Record the change
-  await IncidentUpdate.create({
+  const updates = await auditService.appendUpdates(entries);
+  await IncidentUpdate.populate(updates, UPDATE_POPULATE);
+
+  publish(INCIDENT_EVENTS.ROLES_UPDATED, { incidentId, incident, updates });
+
+  return { incident, updates };
+};
+
+/**
+ * Vacate a response role
+ * The commander or an admin can vacate any role; holders can step down
+ * @param {string} incidentId
+ * @param {string} role - One of INCIDENT_ROLES
+ * @param {string} targetUserId - Current holder
+ * @param {string} actorUserId - Who made the change
+ * @returns {Object} - { incident, updates }
+ */
+const vacateIncidentRole = async (incidentId, role, targetUserId, actorUserId) => {
+  assertIncidentRole(role);
+  const incident = await getIncidentById(incidentId);
+
+  if (idOf(targetUserId) !== idOf(actorUserId)) {
+    await assertCommanderOrAdmin(
+      incident,
+      actorUserId,
+      'Only the incident commander or an administrator can vacate roles'
+    );
+  }
+
+  if (!holdsIncidentRole(incident, role, targetUserId)) {
+    const error = new Error('User does not hold this role');
+    error.status = 400;
+    throw error;
+  }
+
+  const entries = auditService.validateUpdates([{
     incidentId,
     userId: actorUserId,
-    type: 'assignment',
-    content: { action: 'unassigned', targetUserId }
+    type: 'role_change',
+    content: { action: 'unassigned', role, targetUserId }
+  }]);
+
+  incident.roles = incident.roles.filter(
+    (r) => !(r.role === role && idOf(r.user) === idOf(targetUserId))
+  );
+  await incident.save();
+  await incident.populate(INCIDENT_POPULATE);
+
+  // Record the change
+  const updates = await auditService.appendUpdates(entries);
+  await IncidentUpdate.populate(updates, UPDATE_POPULATE);
+
+  publish(INCIDENT_EVENTS.ROLES_UPDATED, { incidentId, incident, updates });
+
+  return { incident, updates };
+};
+
+/**
+ * Open incidents a user is responsible for (offboarding)
+ * @param {string} userId
+ * @returns {Array} - [{ _id, title, status, severity, responsibilities }]
+ *   responsibilities: 'commander', 'assignee', 'pending_handoff' or a role
+ */
+const getOpenResponsibilities = async (userId) => {
+  const id = idOf(userId);
+  const incidents = await Incident.find({
+    resolvedAt: null,
+    $or: [
+      { commander: id },
+      { assignees: id },
+      { 'roles.user': id },
+      { 'pendingHandoff.toUser': id }
+    ]
+  })
+    .select('title status severity commander assignees roles pendingHandoff')
+    .sort({ createdAt: -1 });
+
+  return incidents.map((incident) => ({
+    _id: incident._id,
+    title: incident.title,
+    status: incident.status,
+    severity: incident.severity,
+    responsibilities: [
+      ...(idOf(incident.commander) === id ? ['commander'] : []),
+      ...(incident.assignees.some((a) => idOf(a) === id) ? ['assignee'] : []),
+      ...incident.roles.filter((r) => idOf(r.user) === id).map((r) => r.role),
+      ...(idOf(incident.pendingHandoff?.toUser) === id ? ['pending_handoff'] : [])
+    ]
+  }));
+};
+
+/**
+ * Hand everything a departing user holds on an incident to someone else
+ * (admin offboarding). Command moves directly, without a handoff; a
+ * handoff offered to the departing user is withdrawn. Each change is a
+ * timeline entry, published like the equivalent manual change.
+ * @param {string} incidentId
+ * @param {string} fromUserId - Departing user
+ * @param {string} toUserId - Responder or admin taking over
+ * @param {string} actorUserId - Admin running the offboarding
+ * @returns {Object} - { incident, updates }
+ */
+const handOverResponsibilities = async (incidentId, fromUserId, toUserId, actorUserId) => {
+  const from = idOf(fromUserId);
+  const to = idOf(toUserId);
+  const incident = await getIncidentById(incidentId);
+
+  await getResponsibleUser(to, 'Incidents can only be handed to a responder or administrator');
+
+  const commanderChanges = [];
+  const assignmentChanges = [];
+  const roleChanges = [];
+
+  if (idOf(incident.pendingHandoff?.toUser) === from) {
+    incident.pendingHandoff = null;
+    commanderChanges.push({ action: 'withdrawn', targetUserId: from, previousCommanderId: idOf(incident.commander) });
+  }
+
+  if (idOf(incident.commander) === from) {
+    incident.commander = to;
+    commanderChanges.push({ action: 'reassigned', targetUserId: to, previousCommanderId: from });
+  }
+
+  if (incident.assignees.some((a) => idOf(a) === from)) {
+    incident.assignees = incident.assignees.filter((a) => idOf(a) !== from);
+    assignmentChanges.push({ action: 'unassigned', targetUserId: from });
+    if (!incident.assignees.some((a) => idOf(a) === to)) {
+      incident.assignees.push(to);
+      assignmentChanges.push({ action: 'assigned', targetUserId: to });
+    }
+  }
+
+  const vacatedRoles = incident.roles.filter((r) => idOf(r.user) === from);
+  incident.roles = incident.roles.filter((r) => idOf(r.user) !== from);
+  vacatedRoles.forEach(({ role }) => {
+    roleChanges.push({ action: 'unassigned', role, targetUserId: from });
+    if (!holdsIncidentRole(incident, role, to)) {
+      incident.roles.push({ role, user: to });
+      roleChanges.push({ action: 'assigned', role, targetUserId: to });
+    }
   });
 
-  return incident;
+  const entries = [
+    ...commanderChanges.map((content) => ({ type: 'commander_change', content })),
+    ...assignmentChanges.map((content) => ({ type: 'assignment', content })),
+    ...roleChanges.map((content) => ({ type: 'role_change', content }))
+  ].map(({ type, content }) => ({ incidentId, userId: actorUserId, type, content }));
+  if (entries.length === 0) {
+    return { incident, updates: [] };
+  }
+
+  // Checked before saving: a rejected entry must not leave command
+  // moved without a record of it
+  auditService.validateUpdates(entries);
+  await incident.save();
+  await incident.populate(INCIDENT_POPULATE);
+
+  const updates = await auditService.appendUpdates(entries);
+  await IncidentUpdate.populate(updates, UPDATE_POPULATE);
+
+  const ofType = (type) => updates.filter((update) => update.type === type);
+  ofType('commander_change').forEach((update) => {
+    publish(
+      update.content.action === 'reassigned' ? INCIDENT_EVENTS.COMMANDER_CHANGED : INCIDENT_EVENTS.HANDOFF_DECLINED,
+      { incidentId, incident, update }
+    );
+  });
+  ofType('assignment').forEach((update) => {
+    publish(
+      update.content.action === 'assigned' ? INCIDENT_EVENTS.ASSIGNED : INCIDENT_EVENTS.UNASSIGNED,
+      { incidentId, incident, update }
+    );
+  });
+  if (ofType('role_change').length > 0) {
+    publish(INCIDENT_EVENTS.ROLES_UPDATED, { incidentId, incident, updates: ofType('role_change') });
+  }
+
+  return { incident, updates };
+};
+
+/**
+ * Publish a stakeholder update (communications lead only)
+ * @param {string} incidentId
+ * @param {string} text
+ * @param {string} userId
+ * @returns {Object} - Created update
+ * @throws {Error} - 403 if the user is not the incident's comms lead
+ */
+const addStakeholderUpdate = async (incidentId, text, userId) => {
+  const incident = await getIncidentById(incidentId);
+
+  if (!holdsIncidentRole(incident, 'comms_lead', userId)) {
+    const error = new Error('Only the communications lead can publish stakeholder updates');
+    error.status = 403;
+    throw error;
+  }
+
+  const update = await auditService.appendUpdates({
+    incidentId,
+    userId,
+    type: 'stakeholder_update',
+    content: { text }
+  });
+  await populateUpdate(update);
+
+  publish(INCIDENT_EVENTS.STAKEHOLDER_UPDATE_ADDED, { incidentId, update });
+
+  return update;
 };
 
 module.exports = {
+  INCIDENT_ROLES,
+  isOpenAlertConflict,
   createIncident,
   getIncidents,
+  getIncidentStats,
   getIncidentById,
   getIncidentWithHistory,
+  getIncidentUpdates,
+  applyStatusChange,
   updateStatus,
+  updateFields,
   assignUser,
   unassignUser,
-  addNote,
-  addActionItem,
-  toggleActionItem
+  proposeHandoff,
+  respondToHandoff,
+  assignIncidentRole,
+  vacateIncidentRole,
+  getResponsibleUser,
+  getOpenResponsibilities,
+  handOverResponsibilities,
+  addStakeholderUpdate,
+  addNote
 };
@@ -6,5 +6,19 @@ module.exports = {
   authService: require('./authService'),
   incidentService: require('./incidentService'),
   userService: require('./userService'),
-  presenceService: require('./presenceService')
+  presenceService: require('./presenceService'),
+  workflowService: require('./workflowService'),
+  analyticsService: require('./analyticsService'),
+  postmortemService: require('./postmortemService'),
+  actionItemService: require('./actionItemService'),
+  webhookService: require('./webhookService'),
+  integrationService: require('./integrationService'),
+  alertService: require('./alertService'),
+  statusPageService: require('./statusPageService'),
+  templateService: require('./templateService'),
+  relationshipService: require('./relationshipService'),
+  serviceCatalogService: require('./serviceCatalogService'),
+  auditService: require('./auditService'),
+  invitationService: require('./invitationService'),
+  sessionService: require('./sessionService')
 };
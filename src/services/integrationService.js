@@ -0,0 +1,249 @@
+/**
+ * Integration Service
+ * Monitoring integrations that may open incidents from alerts
+ *
+ * Responsibility: Create/change integrations, issue and rotate API keys,
+ *                 manage each integration's service account
+ * Does NOT: Process alerts (alertService) or authenticate requests
+ *           (authenticateIntegration middleware)
+ */
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Integration, User } = require('../models');
+const workflowService = require('./workflowService');
+const { generateSecureToken } = require('../utils/secureTokens');
+
+// Roles that can command an incident
+const COMMAND_ROLES = ['admin', 'responder'];
+
+const KEY_PREFIX = 'ik_';
+
+// Characters of the key kept in clear to tell keys apart in the UI
+const VISIBLE_PREFIX_LENGTH = 10;
+
+const INTEGRATION_POPULATE = [
+  { path: 'commander', select: 'name email' },
+  { path: 'serviceUser', select: 'name' },
+  { path: 'createdBy', select: 'name email' }
+];
+
+/**
+ * Generate a new API key (only its hash is stored)
+ * @returns {Object} - { key, keyHash, keyPrefix }
+ */
+const generateIntegrationKey = () => {
+  const { token: key, tokenHash: keyHash } = generateSecureToken(KEY_PREFIX);
+  return { key, keyHash, keyPrefix: key.slice(0, VISIBLE_PREFIX_LENGTH) };
+};
+
+/**
+ * Build a 400 error for invalid input
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Load an integration or throw 404
+ */
+const findIntegration = async (integrationId) => {
+  const integration = mongoose.isValidObjectId(integrationId)
+    ? await Integration.findById(integrationId).populate(INTEGRATION_POPULATE)
+    : null;
+
+  if (!integration) {
+    const error = new Error('Integration not found');
+    error.status = 404;
+    throw error;
+  }
+
+  return integration;
+};
+
+/**
+ * Reject unknown incident types
+ * @throws {Error} - 400
+ */
+const assertIncidentType = async (incidentType) => {
+  try {
+    await workflowService.getWorkflow(incidentType);
+  } catch (error) {
+    if (error.status === 404) throw badRequest(`Unknown incident type: ${incidentType}`);
+    throw error;
+  }
+};
+
+/**
+ * Reject commanders who could not command an incident
+ * (pending and deactivated users cannot: alert incidents would open
+ * with nobody able to act in command)
+ * @throws {Error} - 400
+ */
+const assertCommander = async (userId) => {
+  if (!userId) return;
+
+  const user = mongoose.isValidObjectId(userId)
+    ? await User.findById(userId).select('role kind status')
+    : null;
+
+  if (!user || user.kind === 'integration' || user.status !== 'active' || !COMMAND_ROLES.includes(user.role)) {
+    throw badRequest('Commander must be an active responder or admin');
+  }
+};
+
+/**
+ * Display name of an integration's service account
+ */
+const serviceUserName = (name) => `${name} (integration)`;
+
+/**
+ * List integrations (keys excluded)
+ * @returns {Array}
+ */
+const getIntegrations = () =>
+  Integration.find()
+    .populate(INTEGRATION_POPULATE)
+    .sort({ createdAt: -1 });
+
+/**
+ * Get a single integration (key excluded)
+ * @throws {Error} - 404
+ */
+const getIntegrationById = (integrationId) => findIntegration(integrationId);
+
+/**
+ * Create an integration and its service account
+ * @param {Object} data - { name, incidentType, severityLabel, defaultSeverity, commander }
+ * @param {string} userId - Admin creating it
+ * @returns {Object} - { integration, key } (the only time the key is returned)
+ * @throws {Error} - 400 unknown incident type / invalid commander
+ */
+const createIntegration = async (data, userId) => {
+  const incidentType = data.incidentType || workflowService.DEFAULT_INCIDENT_TYPE;
+  await assertIncidentType(incidentType);
+  await assertCommander(data.commander);
+
+  // Random unusable password: the account exists to author timeline entries
+  const serviceUser = await User.create({
+    name: serviceUserName(data.name),
+    email: `integration-${crypto.randomBytes(8).toString('hex')}@integrations.invalid`,
+    passwordHash: crypto.randomBytes(32).toString('hex'),
+    role: 'viewer',
+    kind: 'integration'
+  });
+
+  const { key, keyHash, keyPrefix } = generateIntegrationKey();
+
+  try {
+    const created = await Integration.create({
+      name: data.name,
+      incidentType,
+      severityLabel: data.severityLabel || undefined,
+      defaultSeverity: data.defaultSeverity || undefined,
+      commander: data.commander || null,
+      keyHash,
+      keyPrefix,
+      serviceUser: serviceUser._id,
+      createdBy: userId
+    });
+
+    return { integration: await findIntegration(created._id), key };
+  } catch (error) {
+    await serviceUser.deleteOne();
+    throw error;
+  }
+};
+
+/**
+ * Change an integration
+ * @param {string} integrationId
+ * @param {Object} changes - Any of { name, incidentType, severityLabel,
+ *   defaultSeverity, commander, active }
+ * @returns {Object} - Updated integration
+ * @throws {Error} - 404 unknown, 400 invalid values
+ */
+const updateIntegration = async (integrationId, changes) => {
+  const integration = await findIntegration(integrationId);
+
+  if (changes.incidentType !== undefined) await assertIncidentType(changes.incidentType);
+  if (changes.commander !== undefined) await assertCommander(changes.commander);
+
+  ['name', 'incidentType', 'severityLabel', 'defaultSeverity', 'active'].forEach((field) => {
+    if (changes[field] !== undefined) integration[field] = changes[field];
+  });
+  if (changes.commander !== undefined) {
+    integration.commander = changes.commander || null;
+  }
+
+  await integration.save();
+
+  // Keep the timeline author name in step with the integration
+  if (changes.name !== undefined) {
+    await User.updateOne({ _id: integration.serviceUser._id }, { name: serviceUserName(changes.name) });
+  }
+
+  return findIntegration(integrationId);
+};
+
+/**
+ * Replace an integration's key (the old key stops working immediately)
+ * @returns {Object} - { integration, key }
+ * @throws {Error} - 404
+ */
+const rotateKey = async (integrationId) => {
+  const integration = await findIntegration(integrationId);
+  const { key, keyHash, keyPrefix } = generateIntegrationKey();
+
+  integration.keyHash = keyHash;
+  integration.keyPrefix = keyPrefix;
+  await integration.save();
+
+  return { integration, key };
+};
+
+/**
+ * Delete an integration
+ * The service account is kept so past timeline entries keep their author
+ * @throws {Error} - 404
+ */
+const deleteIntegration = async (integrationId) => {
+  const integration = await findIntegration(integrationId);
+  await integration.deleteOne();
+};
+
+/**
+ * Integrations whose alert incidents a user is set to command
+ * @param {string} userId
+ * @returns {Array} - Integrations (name only)
+ */
+const getCommandedIntegrations = (userId) =>
+  Integration.find({ commander: userId }).select('name').sort({ name: 1 });
+
+/**
+ * Move command of a user's integrations to someone else
+ * Used when the user is deactivated; without a successor the
+ * integrations open incidents with no commander.
+ * @param {string} fromUserId
+ * @param {string|null} toUserId - Already checked by the caller
+ * @returns {number} - Integrations changed
+ */
+const handOverCommand = async (fromUserId, toUserId) => {
+  const { modifiedCount } = await Integration.updateMany(
+    { commander: fromUserId },
+    { commander: toUserId || null }
+  );
+  return modifiedCount;
+};
+
+module.exports = {
+  getIntegrations,
+  getIntegrationById,
+  createIntegration,
+  updateIntegration,
+  rotateKey,
+  deleteIntegration,
+  getCommandedIntegrations,
+  handOverCommand
+};
@@ -0,0 +1,189 @@
+/**
+ * Invitation Service
+ * Admin invitations that let someone create an account with a set role
+ *
+ * Responsibility: Issue, list and revoke invites; validate an invite
+ *                 token and turn it into an active account exactly once
+ * Does NOT: Handle self-registration or sign-in (authService) or
+ *           approve pending sign-ups (userService)
+ *
+ * The plaintext token only exists in the link returned when the invite
+ * is created. Issuing a new invite for an email revokes older open ones,
+ * so only the latest link works.
+ */
+const mongoose = require('mongoose');
+const config = require('../config');
+const { Invite, User } = require('../models');
+const sessionService = require('./sessionService');
+const { generateSecureToken, hashSecureToken } = require('../utils/secureTokens');
+
+const INVITE_TOKEN_PREFIX = 'inv_';
+
+/**
+ * Build a 400 error for invalid input
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Query matching invites that can still be accepted
+ */
+const openInviteQuery = () => ({
+  acceptedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+/**
+ * List invites, newest first
+ * @returns {Array}
+ */
+const getInvites = async () => {
+  return Invite.find()
+    .populate('invitedBy', 'name email')
+    .populate('acceptedBy', 'name email')
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * Invite someone by email
+ * @param {Object} data - { email, role }
+ * @param {string} adminId
+ * @returns {Object} - { invite, token, inviteUrl } (token shown only once)
+ * @throws {Error} - 400 invalid role / email already registered
+ */
+const createInvite = async ({ email, role }, adminId) => {
+  if (!User.USER_ROLES.includes(role)) {
+    throw badRequest('Invalid role');
+  }
+
+  const normalizedEmail = String(email).trim().toLowerCase();
+  if (await User.exists({ email: normalizedEmail })) {
+    throw badRequest('Email already registered');
+  }
+
+  await Invite.updateMany(
+    { email: normalizedEmail, ...openInviteQuery() },
+    { revokedAt: new Date() }
+  );
+
+  const { token, tokenHash } = generateSecureToken(INVITE_TOKEN_PREFIX);
+  const invite = await Invite.create({
+    email: normalizedEmail,
+    role,
+    tokenHash,
+    invitedBy: adminId,
+    expiresAt: new Date(Date.now() + config.registration.inviteTtlHours * 60 * 60 * 1000)
+  });
+  await invite.populate('invitedBy', 'name email');
+
+  return { invite, token, inviteUrl: `${config.registration.inviteUrl}/${token}` };
+};
+
+/**
+ * Revoke an unused invite
+ * @param {string} inviteId
+ * @returns {Object} - Updated invite
+ * @throws {Error} - 404 not found, 409 already accepted
+ */
+const revokeInvite = async (inviteId) => {
+  const invite = mongoose.isValidObjectId(inviteId) ? await Invite.findById(inviteId) : null;
+  if (!invite) {
+    const error = new Error('Invite not found');
+    error.status = 404;
+    throw error;
+  }
+  if (invite.acceptedAt) {
+    const error = new Error('Invite has already been accepted');
+    error.status = 409;
+    throw error;
+  }
+
+  if (!invite.revokedAt) {
+    invite.revokedAt = new Date();
+    await invite.save();
+  }
+
+  await invite.populate('invitedBy', 'name email');
+  return invite;
+};
+
+/**
+ * Look up an open invite by its token
+ * Unknown, used, revoked and expired tokens give the same 404 so the
+ * endpoint says nothing about which links once existed.
+ * @param {string} token
+ * @returns {Object} - Invite document
+ */
+const getInviteForToken = async (token) => {
+  const invite = await Invite.findOne({ tokenHash: hashSecureToken(token), ...openInviteQuery() })
+    .populate('invitedBy', 'name');
+
+  if (!invite) {
+    const error = new Error('Invite is invalid or has expired');
+    error.status = 404;
+    throw error;
+  }
+
+  return invite;
+};
+
+/**
+ * Create the invited account
+ * The invite is claimed atomically before the user is created, so two
+ * submissions of the same link cannot both succeed. If creating the user
+ * fails the claim is released and the link can be used again.
+ * @param {string} token
+ * @param {Object} data - { name, password }
+ * @param {Object} device - { userAgent, ip } for the session
+ * @returns {Object} - { user, token, refreshToken }
+ */
+const acceptInvite = async (token, { name, password }, device) => {
+  const invite = await Invite.findOneAndUpdate(
+    { tokenHash: hashSecureToken(token), ...openInviteQuery() },
+    { acceptedAt: new Date() },
+    { new: true }
+  );
+
+  if (!invite) {
+    const error = new Error('Invite is invalid or has expired');
+    error.status = 404;
+    throw error;
+  }
+
+  let user;
+  try {
+    if (await User.exists({ email: invite.email })) {
+      throw badRequest('Email already registered');
+    }
+
+    user = await User.create({
+      email: invite.email,
+      passwordHash: password, // Hashed by the pre-save hook
+      name,
+      role: invite.role,
+      status: 'active',
+      invitedBy: invite.invitedBy
+    });
+  } catch (error) {
+    await Invite.updateOne({ _id: invite._id }, { acceptedAt: null });
+    throw error;
+  }
+
+  invite.acceptedBy = user._id;
+  await invite.save();
+
+  const session = await sessionService.startSession(user, device);
+  return { user, token: session.token, refreshToken: session.refreshToken };
+};
+
+module.exports = {
+  getInvites,
+  createInvite,
+  revokeInvite,
+  getInviteForToken,
+  acceptInvite
+};
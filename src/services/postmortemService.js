@@ -0,0 +1,484 @@
+/**
+ * Postmortem Service
+ * Post-incident reviews generated from the incident timeline
+ *
+ * Responsibility: Create reviews for resolved incidents, section
+ *                 editing rules, draft → in_review → published flow
+ * Does NOT: Change the incident or its timeline (read-only source)
+ *
+ * Permissions (server-authoritative):
+ * - Review owners (incident commander, the review's author, admins)
+ *   edit every section, assign section owners and move the review
+ *   through its states
+ * - A section owner edits only their section
+ * - Published reviews are read-only; only an admin can reopen one
+ */
+const mongoose = require('mongoose');
+const { Postmortem, Incident, IncidentUpdate, ActionItem, User } = require('../models');
+const { INCIDENT_EVENTS, publish } = require('../events');
+
+// Section titles in document order; required sections must be written before publishing
+const POSTMORTEM_SECTIONS = {
+  summary: { title: 'Summary', required: true },
+  impact: { title: 'Impact', required: true },
+  root_cause: { title: 'Root Cause', required: true },
+  contributing_factors: { title: 'Contributing Factors', required: false },
+  lessons: { title: 'Lessons Learned', required: false },
+  follow_ups: { title: 'Follow-ups', required: false }
+};
+
+// Allowed review state changes
+const STATUS_TRANSITIONS = {
+  draft: ['in_review'],
+  in_review: ['draft', 'published'],
+  published: ['draft']
+};
+
+// User references resolved on every postmortem returned to clients
+const POSTMORTEM_POPULATE = [
+  {
+    path: 'incidentId',
+    select: 'title severity incidentType status commander createdAt resolvedAt'
+  },
+  { path: 'createdBy', select: 'name email' },
+  { path: 'publishedBy', select: 'name email' },
+  { path: 'sections.owner', select: 'name email' },
+  { path: 'sections.updatedBy', select: 'name email' },
+  { path: 'timeline.user', select: 'name email' },
+  { path: 'actionItems.owner', select: 'name email' }
+];
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+/**
+ * Format a duration for the generated impact section ("2h 15m")
+ */
+const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  if (hours === 0) return `${minutes}m`;
+  return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+};
+
+/**
+ * Describe one timeline entry in a sentence
+ */
+const describeUpdate = (update) => {
+  const { content } = update;
+
+  switch (update.type) {
+    case 'status_change':
+      return content.previousStatus
+        ? `Status changed from ${content.previousStatus} to ${content.newStatus}`
+        : `Incident opened (${content.newStatus})`;
+    case 'commander_change':
+      return `Command handed to ${content.targetUserId?.name || 'another responder'}`;
+    case 'stakeholder_update':
+      return `Stakeholder update: ${content.text}`;
+    case 'public_update':
+      return `Status page update (${content.newStatus}): ${content.text}`;
+    case 'relationship':
+      return content.relationship === 'duplicate_of'
+        ? `Merged into "${content.relatedIncidentId?.title || 'another incident'}"`
+        : `Merged duplicate "${content.relatedIncidentId?.title || 'another incident'}"`;
+    default:
+      return content.text;
+  }
+};
+
+/**
+ * Snapshot the incident timeline and action items
+ * (including those of incidents merged into it)
+ * @param {string} incidentId
+ * @returns {Object} - { timeline, actionItems }
+ */
+const buildSnapshot = async (incidentId) => {
+  const mergedIds = await Incident.find({ mergedInto: incidentId }).distinct('_id');
+  const incidentIds = [incidentId, ...mergedIds];
+
+  const [updates, items] = await Promise.all([
+    IncidentUpdate.find({
+      incidentId: { $in: incidentIds },
+      $or: [
+        { type: { $in: ['status_change', 'note', 'stakeholder_update', 'public_update'] } },
+        // Only completed handoffs (or offboarding reassignments) matter for the review
+        { type: 'commander_change', 'content.action': { $in: ['accepted', 'reassigned'] } },
+        // Merge entries once, from this incident's side
+        { incidentId, type: 'relationship', 'content.action': 'merged' }
+      ]
+    })
+      .populate([
+        { path: 'content.targetUserId', select: 'name' },
+        { path: 'content.relatedIncidentId', select: 'title' }
+      ])
+      .sort({ createdAt: 1 }),
+    ActionItem.find({ incidentId: { $in: incidentIds } })
+      .populate({ path: 'owner', select: 'name' })
+      .sort({ createdAt: 1 })
+  ]);
+
+  const timeline = updates.map((u) => ({
+    at: u.createdAt,
+    type: u.type,
+    text: describeUpdate(u),
+    user: u.userId
+  }));
+
+  const actionItems = items.map((item) => ({
+    actionItemId: item._id,
+    text: item.text,
+    status: item.status,
+    owner: item.owner,
+    dueDate: item.dueDate
+  }));
+
+  return { timeline, actionItems };
+};
+
+/**
+ * Initial section text drawn from the incident and its action items
+ */
+const buildSections = (incident, actionItems) => {
+  const prefilled = {
+    summary: [incident.title, incident.description].filter(Boolean).join('\n\n'),
+    impact: [
+      `Severity: ${incident.severity}`,
+      `Duration: ${formatDuration(incident.resolvedAt - incident.createdAt)}`
+    ].join('\n'),
+    follow_ups: actionItems
+      .filter((item) => item.status === 'open' || item.status === 'in_progress')
+      .map((item) => [
+        `- ${item.text}`,
+        item.owner ? ` (owner: ${item.owner.name})` : '',
+        item.dueDate ? ` due ${item.dueDate.toISOString().slice(0, 10)}` : ''
+      ].join(''))
+      .join('\n')
+  };
+
+  return Object.keys(POSTMORTEM_SECTIONS).map((key) => ({
+    key,
+    content: prefilled[key] || ''
+  }));
+};
+
+/**
+ * Load a postmortem document
+ * @throws {Error} - 404 if not found
+ */
+const findPostmortem = async (postmortemId) => {
+  const postmortem = mongoose.isValidObjectId(postmortemId)
+    ? await Postmortem.findById(postmortemId)
+    : null;
+
+  if (!postmortem) {
+    const error = new Error('Postmortem not found');
+    error.status = 404;
+    throw error;
+  }
+
+  return postmortem;
+};
+
+/**
+ * Resolve what the actor may do with a postmortem
+ * @returns {Object} - { isAdmin, isReviewOwner }
+ */
+const getPermissions = async (postmortem, actorUserId) => {
+  const [actor, incident] = await Promise.all([
+    User.findById(actorUserId).select('role'),
+    Incident.findById(postmortem.incidentId).select('commander')
+  ]);
+
+  const isAdmin = actor?.role === 'admin';
+  const isReviewOwner = isAdmin ||
+    idOf(incident?.commander) === idOf(actorUserId) ||
+    idOf(postmortem.createdBy) === idOf(actorUserId);
+
+  return { isAdmin, isReviewOwner };
+};
+
+/**
+ * Throw a 403 with the given message
+ */
+const forbidden = (message) => {
+  const error = new Error(message);
+  error.status = 403;
+  return error;
+};
+
+/**
+ * Load a section owner being assigned
+ * Only active people: pending or deactivated users and integration
+ * service accounts can never sign in to write the section
+ * @throws {Error} - 404 unknown user, 400 not an active person
+ */
+const findSectionOwner = async (userId) => {
+  const owner = mongoose.isValidObjectId(userId)
+    ? await User.findById(userId).select('status kind')
+    : null;
+
+  if (!owner) {
+    const error = new Error('User not found');
+    error.status = 404;
+    throw error;
+  }
+  if (owner.status !== 'active' || owner.kind === 'integration') {
+    const error = new Error('Section owner must be an active user');
+    error.status = 400;
+    throw error;
+  }
+
+  return owner;
+};
+
+/**
+ * Persist, populate and announce a changed postmortem
+ */
+const saveAndPublish = async (postmortem) => {
+  await postmortem.save();
+  await postmortem.populate(POSTMORTEM_POPULATE);
+
+  publish(INCIDENT_EVENTS.POSTMORTEM_UPDATED, {
+    incidentId: idOf(postmortem.incidentId),
+    postmortem
+  });
+
+  return postmortem;
+};
+
+/**
+ * List postmortems (review queue and incident lookup)
+ * @param {Object} filters - Optional { status, incidentId }
+ * @returns {Array} - Postmortems without timeline snapshots
+ */
+const getPostmortems = async (filters = {}) => {
+  const query = {};
+  if (filters.status) query.status = filters.status;
+  if (filters.incidentId) {
+    if (!mongoose.isValidObjectId(filters.incidentId)) {
+      const error = new Error('Invalid incident ID');
+      error.status = 400;
+      throw error;
+    }
+    query.incidentId = filters.incidentId;
+  }
+
+  return Postmortem.find(query)
+    .select('-timeline -actionItems -sections.content')
+    .populate(POSTMORTEM_POPULATE.slice(0, 3))
+    .sort({ updatedAt: -1 });
+};
+
+/**
+ * Get one postmortem with sections and snapshots
+ * @param {string} postmortemId
+ * @returns {Object} - Populated postmortem
+ */
+const getPostmortemById = async (postmortemId) => {
+  const postmortem = await findPostmortem(postmortemId);
+  await postmortem.populate(POSTMORTEM_POPULATE);
+  return postmortem;
+};
+
+/**
+ * Start the review for a resolved incident (commander or admin)
+ * Sections are pre-filled from the incident; the timeline and
+ * action items are copied from its IncidentUpdate records
+ * @param {string} incidentId
+ * @param {string} actorUserId
+ * @returns {Object} - Populated postmortem
+ * @throws {Error} - 404 unknown incident, 400 not resolved,
+ *                   403 not commander/admin, 409 already exists
+ */
+const createPostmortem = async (incidentId, actorUserId) => {
+  const incident = mongoose.isValidObjectId(incidentId)
+    ? await Incident.findById(incidentId)
+    : null;
+
+  if (!incident) {
+    const error = new Error('Incident not found');
+    error.status = 404;
+    throw error;
+  }
+
+  if (!incident.resolvedAt) {
+    const error = new Error('A postmortem can only be written once the incident is resolved');
+    error.status = 400;
+    throw error;
+  }
+
+  const actor = await User.findById(actorUserId).select('role');
+  if (idOf(incident.commander) !== idOf(actorUserId) && actor?.role !== 'admin') {
+    throw forbidden('Only the incident commander or an administrator can start a postmortem');
+  }
+
+  const existing = await Postmortem.findOne({ incidentId }).select('_id');
+  if (existing) {
+    const error = new Error('This incident already has a postmortem');
+    error.status = 409;
+    error.details = { postmortemId: existing._id };
+    throw error;
+  }
+
+  const { timeline, actionItems } = await buildSnapshot(incidentId);
+
+  const postmortem = new Postmortem({
+    incidentId,
+    createdBy: actorUserId,
+    sections: buildSections(incident, actionItems),
+    timeline,
+    actionItems,
+    generatedAt: new Date()
+  });
+
+  return saveAndPublish(postmortem);
+};
+
+/**
+ * Edit a section's content and/or owner
+ * @param {string} postmortemId
+ * @param {string} key - One of POSTMORTEM_SECTIONS
+ * @param {Object} changes - { content, owner (user ID or null) }
+ * @param {string} actorUserId
+ * @returns {Object} - Populated postmortem
+ * @throws {Error} - 400 unknown section / inactive owner, 403 not allowed,
+ *   404 unknown owner, 409 published
+ */
+const updateSection = async (postmortemId, key, changes, actorUserId) => {
+  if (!POSTMORTEM_SECTIONS[key]) {
+    const error = new Error(`Invalid section. Must be one of: ${Object.keys(POSTMORTEM_SECTIONS).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const postmortem = await findPostmortem(postmortemId);
+
+  if (postmortem.status === 'published') {
+    const error = new Error('Published postmortems are read-only; reopen it as a draft first');
+    error.status = 409;
+    throw error;
+  }
+
+  let section = postmortem.sections.find((s) => s.key === key);
+  if (!section) {
+    postmortem.sections.push({ key });
+    section = postmortem.sections[postmortem.sections.length - 1];
+  }
+
+  const { isReviewOwner } = await getPermissions(postmortem, actorUserId);
+  const isSectionOwner = idOf(section.owner) === idOf(actorUserId);
+
+  if (changes.owner !== undefined) {
+    if (!isReviewOwner) {
+      throw forbidden('Only the review owners can assign section owners');
+    }
+    section.owner = changes.owner ? (await findSectionOwner(changes.owner))._id : null;
+  }
+
+  if (changes.content !== undefined) {
+    if (!isReviewOwner && !isSectionOwner) {
+      throw forbidden(`You cannot edit the ${POSTMORTEM_SECTIONS[key].title} section`);
+    }
+    section.content = changes.content;
+    section.updatedBy = actorUserId;
+    section.updatedAt = new Date();
+  }
+
+  return saveAndPublish(postmortem);
+};
+
+/**
+ * Move the review to another state
+ * @param {string} postmortemId
+ * @param {string} status - draft | in_review | published
+ * @param {string} actorUserId
+ * @returns {Object} - Populated postmortem
+ * @throws {Error} - 409 invalid transition, 400 required sections empty,
+ *                   403 not a review owner (reopening needs an admin)
+ */
+const changeStatus = async (postmortemId, status, actorUserId) => {
+  const postmortem = await findPostmortem(postmortemId);
+  const allowed = STATUS_TRANSITIONS[postmortem.status] || [];
+
+  if (!allowed.includes(status)) {
+    const error = new Error(
+      `Invalid postmortem transition: ${postmortem.status} → ${status}. ` +
+      `Allowed: ${allowed.join(', ') || 'none'}`
+    );
+    error.status = 409;
+    error.code = 'INVALID_TRANSITION';
+    throw error;
+  }
+
+  const { isAdmin, isReviewOwner } = await getPermissions(postmortem, actorUserId);
+
+  if (postmortem.status === 'published' && !isAdmin) {
+    throw forbidden('Only an administrator can reopen a published postmortem');
+  }
+  if (!isReviewOwner) {
+    throw forbidden('Only the incident commander, the review author or an administrator can change the review state');
+  }
+
+  if (status === 'published') {
+    const missingSections = Object.entries(POSTMORTEM_SECTIONS)
+      .filter(([key, { required }]) =>
+        required && !postmortem.sections.find((s) => s.key === key)?.content?.trim()
+      )
+      .map(([key]) => key);
+
+    if (missingSections.length > 0) {
+      const error = new Error(
+        `Complete these sections before publishing: ` +
+        missingSections.map((key) => POSTMORTEM_SECTIONS[key].title).join(', ')
+      );
+      error.status = 400;
+      error.details = { missingSections };
+      throw error;
+    }
+  }
+
+  postmortem.status = status;
+  postmortem.publishedAt = status === 'published' ? new Date() : null;
+  postmortem.publishedBy = status === 'published' ? actorUserId : null;
+
+  return saveAndPublish(postmortem);
+};
+
+/**
+ * Refresh the timeline and action item snapshots (drafts only)
+ * Written sections are never overwritten
+ * @param {string} postmortemId
+ * @param {string} actorUserId
+ * @returns {Object} - Populated postmortem
+ */
+const regenerateSnapshot = async (postmortemId, actorUserId) => {
+  const postmortem = await findPostmortem(postmortemId);
+
+  if (postmortem.status !== 'draft') {
+    const error = new Error('Only draft postmortems can be regenerated');
+    error.status = 409;
+    throw error;
+  }
+
+  const { isReviewOwner } = await getPermissions(postmortem, actorUserId);
+  if (!isReviewOwner) {
+    throw forbidden('Only the review owners can regenerate the timeline');
+  }
+
+  const { timeline, actionItems } = await buildSnapshot(postmortem.incidentId);
+  postmortem.timeline = timeline;
+  postmortem.actionItems = actionItems;
+  postmortem.generatedAt = new Date();
+
+  return saveAndPublish(postmortem);
+};
+
+module.exports = {
+  POSTMORTEM_SECTIONS,
+  getPostmortems,
+  getPostmortemById,
+  createPostmortem,
+  updateSection,
+  changeStatus,
+  regenerateSnapshot
+};
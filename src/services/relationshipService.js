@@ -0,0 +1,318 @@
+/**
+ * Relationship Service
+ * Links between incidents and merging duplicates
+ *
+ * Responsibility: Link/unlink incidents (stored on both sides with the
+ *                 inverse type), merge a duplicate into its primary,
+ *                 audit every change on both timelines
+ * Does NOT: Handle HTTP/Socket responses (publishes domain events)
+ *
+ * Entries are validated before anything is saved and appended after,
+ * like every other audited change (incidentService).
+ *
+ * Merging never moves timeline entries: the duplicate is closed with
+ * mergedInto pointing at the primary, and the primary's timeline query
+ * includes entries of incidents merged into it (incidentService), so
+ * both audit trails stay intact.
+ */
+const mongoose = require('mongoose');
+const { Incident, User } = require('../models');
+const { INCIDENT_EVENTS, publish } = require('../events');
+const workflowService = require('./workflowService');
+const auditService = require('./auditService');
+const incidentService = require('./incidentService');
+
+// Each relationship type and the type stored on the other incident
+const INVERSE_TYPES = {
+  duplicate_of: 'duplicated_by',
+  duplicated_by: 'duplicate_of',
+  caused_by: 'causes',
+  causes: 'caused_by',
+  related: 'related',
+  parent_of: 'child_of',
+  child_of: 'parent_of'
+};
+
+// Types that can be linked by hand (duplicates come from merging)
+const LINK_TYPES = ['caused_by', 'causes', 'related', 'parent_of', 'child_of'];
+
+const UPDATE_POPULATE = [
+  { path: 'userId', select: 'name email status' },
+  { path: 'content.relatedIncidentId', select: 'title' }
+];
+
+/**
+ * Get the id string of a reference, populated or not
+ */
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+/**
+ * Build a 400 error for invalid input
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Load the other incident of a link or throw 404
+ */
+const findRelatedIncident = async (incidentId) => {
+  const incident = mongoose.isValidObjectId(incidentId) ? await Incident.findById(incidentId) : null;
+
+  if (!incident) {
+    const error = new Error('Related incident not found');
+    error.status = 404;
+    throw error;
+  }
+
+  return incident;
+};
+
+/**
+ * Relationship entry of an incident pointing at another one
+ */
+const findLink = (incident, otherId) =>
+  incident.relationships.find((r) => idOf(r.incident) === idOf(otherId));
+
+/**
+ * Drop any link to another incident
+ */
+const removeLink = (incident, otherId) => {
+  incident.relationships = incident.relationships.filter((r) => idOf(r.incident) !== idOf(otherId));
+};
+
+/**
+ * Relationship entry for one incident's timeline (not yet appended)
+ */
+const relationshipEntry = (incidentId, userId, action, relationship, relatedIncidentId) => ({
+  incidentId,
+  userId,
+  type: 'relationship',
+  content: { action, relationship, relatedIncidentId }
+});
+
+/**
+ * Append validated entries and populate them for clients
+ * @returns {Array} - Entries in input order
+ */
+const recordUpdates = async (entries) => {
+  const updates = await auditService.appendUpdates(entries);
+  return Promise.all(updates.map((update) => update.populate(UPDATE_POPULATE)));
+};
+
+/**
+ * Status that closes an incident for a merge: the first terminal status
+ * its workflow allows from the current one
+ * @throws {Error} - 409 when no terminal status is reachable
+ */
+const closingStatus = (incident, workflow) => {
+  const status = workflowService.getAllowedTransitions(workflow, incident.status)
+    .find((next) => workflowService.isTerminalStatus(workflow, next));
+
+  if (!status) {
+    const error = new Error(
+      `Incident cannot be closed from "${incident.status}"; ` +
+      'move it to a status that allows resolving it, then merge'
+    );
+    error.status = 409;
+    error.code = 'INVALID_TRANSITION';
+    throw error;
+  }
+
+  return status;
+};
+
+/**
+ * Throw 403 unless the actor commands one of the incidents or is an admin
+ */
+const assertCanMerge = async (duplicate, primary, actorUserId) => {
+  if ([duplicate, primary].some((incident) => idOf(incident.commander) === idOf(actorUserId))) return;
+
+  const actor = await User.findById(actorUserId).select('role');
+  if (actor?.role !== 'admin') {
+    const error = new Error('Only a commander of either incident or an admin can merge incidents');
+    error.status = 403;
+    throw error;
+  }
+};
+
+/**
+ * Link two incidents
+ * @param {string} incidentId
+ * @param {Object} link - { type (one of LINK_TYPES, from this incident's side), relatedIncidentId }
+ * @param {string} userId - Who made the link
+ * @returns {Object} - { incident, updates } for this incident
+ * @throws {Error} - 400 invalid type/self link, 404 unknown incident, 409 already linked
+ */
+const linkIncidents = async (incidentId, { type, relatedIncidentId }, userId) => {
+  if (!LINK_TYPES.includes(type)) {
+    throw badRequest(`type must be one of: ${LINK_TYPES.join(', ')}`);
+  }
+
+  const incident = await incidentService.getIncidentById(incidentId);
+  const related = await findRelatedIncident(relatedIncidentId);
+
+  if (idOf(incident) === idOf(related)) {
+    throw badRequest('An incident cannot be linked to itself');
+  }
+  if (findLink(incident, related._id)) {
+    const error = new Error('Incidents are already linked; remove the existing link first');
+    error.status = 409;
+    throw error;
+  }
+
+  const inverse = INVERSE_TYPES[type];
+  const entries = auditService.validateUpdates([
+    relationshipEntry(incident._id, userId, 'linked', type, related._id),
+    relationshipEntry(related._id, userId, 'linked', inverse, incident._id)
+  ]);
+
+  incident.relationships.push({ type, incident: related._id, createdBy: userId });
+  related.relationships.push({ type: inverse, incident: incident._id, createdBy: userId });
+  await Promise.all([incident.save(), related.save()]);
+
+  const [update, relatedUpdate] = await recordUpdates(entries);
+
+  const [populated, populatedRelated] = await Promise.all([
+    incidentService.getIncidentById(incident._id),
+    incidentService.getIncidentById(related._id)
+  ]);
+
+  publish(INCIDENT_EVENTS.RELATIONSHIPS_UPDATED, { incidentId: incident._id, incident: populated, updates: [update] });
+  publish(INCIDENT_EVENTS.RELATIONSHIPS_UPDATED, {
+    incidentId: related._id, incident: populatedRelated, updates: [relatedUpdate]
+  });
+
+  return { incident: populated, updates: [update] };
+};
+
+/**
+ * Remove the link between two incidents (both sides)
+ * @param {string} incidentId
+ * @param {string} relatedIncidentId
+ * @param {string} userId
+ * @returns {Object} - { incident, updates } for this incident
+ * @throws {Error} - 404 not linked, 400 for merges (they cannot be undone)
+ */
+const unlinkIncidents = async (incidentId, relatedIncidentId, userId) => {
+  const incident = await incidentService.getIncidentById(incidentId);
+  const link = findLink(incident, relatedIncidentId);
+
+  if (!link) {
+    const error = new Error('Incidents are not linked');
+    error.status = 404;
+    throw error;
+  }
+  if (!LINK_TYPES.includes(link.type)) {
+    throw badRequest('Merged incidents cannot be unlinked');
+  }
+
+  const related = await findRelatedIncident(relatedIncidentId);
+  const entries = auditService.validateUpdates([
+    relationshipEntry(incident._id, userId, 'unlinked', link.type, related._id),
+    relationshipEntry(related._id, userId, 'unlinked', INVERSE_TYPES[link.type], incident._id)
+  ]);
+
+  removeLink(incident, related._id);
+  removeLink(related, incident._id);
+  await Promise.all([incident.save(), related.save()]);
+
+  const [update, relatedUpdate] = await recordUpdates(entries);
+
+  const [populated, populatedRelated] = await Promise.all([
+    incidentService.getIncidentById(incident._id),
+    incidentService.getIncidentById(related._id)
+  ]);
+
+  publish(INCIDENT_EVENTS.RELATIONSHIPS_UPDATED, { incidentId: incident._id, incident: populated, updates: [update] });
+  publish(INCIDENT_EVENTS.RELATIONSHIPS_UPDATED, {
+    incidentId: related._id, incident: populatedRelated, updates: [relatedUpdate]
+  });
+
+  return { incident: populated, updates: [update] };
+};
+
+/**
+ * Merge a duplicate incident into a primary one
+ * The duplicate is closed (first terminal status its workflow allows
+ * from the current one), marked duplicate_of the primary and points at
+ * it via mergedInto. Incidents previously merged into the duplicate
+ * follow it into the primary.
+ * @param {string} duplicateId - Incident being closed
+ * @param {string} primaryId - Incident that carries on
+ * @param {string} userId - Who merged (commander of either incident or admin)
+ * @returns {Object} - { incident (duplicate), primary }
+ * @throws {Error} - 400 self/already merged, 403 not allowed, 404 unknown,
+ *   409 the duplicate cannot be closed from its current status
+ */
+const mergeIncident = async (duplicateId, primaryId, userId) => {
+  const duplicate = await incidentService.getIncidentById(duplicateId);
+  const primary = await findRelatedIncident(primaryId);
+
+  if (idOf(duplicate) === idOf(primary)) {
+    throw badRequest('An incident cannot be merged into itself');
+  }
+  if (duplicate.mergedInto) {
+    throw badRequest(`Incident was already merged into "${duplicate.mergedInto.title}"`);
+  }
+  if (primary.mergedInto) {
+    throw badRequest('Cannot merge into an incident that was itself merged; use its primary');
+  }
+
+  await assertCanMerge(duplicate, primary, userId);
+
+  // Close the duplicate through its workflow, like any status change
+  const wasResolved = Boolean(duplicate.resolvedAt);
+  const entries = [];
+  if (!wasResolved) {
+    const workflow = await workflowService.getWorkflow(duplicate.incidentType);
+    entries.push(incidentService.applyStatusChange(
+      duplicate, workflow, closingStatus(duplicate, workflow), userId
+    ));
+  }
+  entries.push(...auditService.validateUpdates([
+    relationshipEntry(duplicate._id, userId, 'merged', 'duplicate_of', primary._id),
+    relationshipEntry(primary._id, userId, 'merged', 'duplicated_by', duplicate._id)
+  ]));
+
+  removeLink(duplicate, primary._id);
+  removeLink(primary, duplicate._id);
+  duplicate.relationships.push({ type: 'duplicate_of', incident: primary._id, createdBy: userId });
+  primary.relationships.push({ type: 'duplicated_by', incident: duplicate._id, createdBy: userId });
+  duplicate.mergedInto = primary._id;
+  duplicate.mergedAt = new Date();
+
+  await Promise.all([duplicate.save(), primary.save()]);
+  await Incident.updateMany({ mergedInto: duplicate._id }, { mergedInto: primary._id });
+
+  // Duplicate's entries (status change first), then the primary's
+  const recorded = await recordUpdates(entries);
+  const primaryUpdate = recorded.pop();
+  const updates = recorded;
+
+  const [incident, populatedPrimary] = await Promise.all([
+    incidentService.getIncidentById(duplicate._id),
+    incidentService.getIncidentById(primary._id)
+  ]);
+
+  if (!wasResolved) {
+    const [statusUpdate] = updates;
+    publish(INCIDENT_EVENTS.STATUS_CHANGED, { incidentId: incident._id, incident, update: statusUpdate });
+    publish(INCIDENT_EVENTS.RESOLVED, { incidentId: incident._id, incident, update: statusUpdate });
+  }
+  publish(INCIDENT_EVENTS.MERGED, { incidentId: incident._id, incident, updates, primary: populatedPrimary });
+  publish(INCIDENT_EVENTS.RELATIONSHIPS_UPDATED, {
+    incidentId: populatedPrimary._id, incident: populatedPrimary, updates: [primaryUpdate]
+  });
+
+  return { incident, primary: populatedPrimary };
+};
+
+module.exports = {
+  LINK_TYPES,
+  linkIncidents,
+  unlinkIncidents,
+  mergeIncident
+};
@@ -0,0 +1,212 @@
+/**
+ * Service Catalog Service
+ * The systems incidents can affect: ownership, tier, runbook, dependencies
+ *
+ * Responsibility: Create/change catalog entries, keep dependencies valid
+ *                 (existing services, no cycles), resolve service IDs
+ *                 given for incidents
+ * Does NOT: Tag incidents (incidentService) or report MTTR
+ *           (analyticsService.getServiceResponseTimes)
+ */
+const mongoose = require('mongoose');
+const { Incident, Service } = require('../models');
+
+// Fields set from the request body on create and replace
+const SERVICE_FIELDS = ['name', 'description', 'team', 'tier', 'runbookUrl', 'dependencies'];
+
+/**
+ * Build a 400 error for invalid input
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Load a service or throw 404
+ */
+const findService = async (serviceId) => {
+  const service = mongoose.isValidObjectId(serviceId)
+    ? await Service.findById(serviceId)
+      .populate('dependencies', 'name tier')
+      .populate('createdBy', 'name email')
+    : null;
+
+  if (!service) {
+    const error = new Error('Service not found');
+    error.status = 404;
+    throw error;
+  }
+
+  return service;
+};
+
+/**
+ * Resolve a list of service IDs, dropping duplicates
+ * @param {Array} serviceIds
+ * @returns {Array} - Service documents (name only) in the order given
+ * @throws {Error} - 400 not an array / unknown service
+ */
+const resolveServices = async (serviceIds) => {
+  if (!Array.isArray(serviceIds)) {
+    throw badRequest('Services must be an array of service IDs');
+  }
+
+  const ids = [...new Set(serviceIds.map(String))];
+  const services = ids.every((id) => mongoose.isValidObjectId(id))
+    ? await Service.find({ _id: { $in: ids } }).select('name')
+    : [];
+
+  if (services.length !== ids.length) {
+    throw badRequest('Unknown service');
+  }
+
+  const byId = new Map(services.map((service) => [service._id.toString(), service]));
+  return ids.map((id) => byId.get(id));
+};
+
+/**
+ * Reject dependencies that would make a service depend on itself,
+ * directly or through other services
+ * @param {string|null} serviceId - Service being changed (null on create)
+ * @param {Array} dependencyIds
+ * @throws {Error} - 400
+ */
+const assertNoCycle = async (serviceId, dependencyIds) => {
+  if (!serviceId) return;
+  if (dependencyIds.includes(serviceId)) {
+    throw badRequest('A service cannot depend on itself');
+  }
+
+  // Walk everything reachable from the new dependencies
+  const seen = new Set();
+  let frontier = dependencyIds;
+  while (frontier.length > 0) {
+    frontier.forEach((id) => seen.add(id));
+    const services = await Service.find({ _id: { $in: frontier } }).select('dependencies');
+    const next = services
+      .flatMap((service) => service.dependencies.map(String))
+      .filter((id) => !seen.has(id));
+
+    if (next.includes(serviceId)) {
+      throw badRequest('Dependencies cannot form a cycle');
+    }
+    frontier = [...new Set(next)];
+  }
+};
+
+/**
+ * Copy accepted fields from a request body
+ */
+const toFields = (data) => {
+  const fields = {};
+  SERVICE_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) fields[field] = data[field];
+  });
+
+  const { runbookUrl } = fields;
+  if (runbookUrl && (typeof runbookUrl !== 'string' || !/^https?:\/\//i.test(runbookUrl.trim()))) {
+    throw badRequest('runbookUrl must be an http(s) URL');
+  }
+  return fields;
+};
+
+/**
+ * Validate dependencies and store them as IDs
+ * @throws {Error} - 400 unknown service / cycle
+ */
+const applyDependencies = async (fields, serviceId) => {
+  if (fields.dependencies === undefined) return;
+
+  const dependencies = await resolveServices(fields.dependencies);
+  const ids = dependencies.map((service) => service._id.toString());
+  await assertNoCycle(serviceId, ids);
+  fields.dependencies = ids;
+};
+
+/**
+ * List the catalog, alphabetically
+ * @returns {Array}
+ */
+const getServices = () =>
+  Service.find()
+    .populate('dependencies', 'name tier')
+    .sort({ name: 1 });
+
+/**
+ * Get a single service with the services that depend on it
+ * @returns {Object} - { service, dependents }
+ * @throws {Error} - 404
+ */
+const getServiceById = async (serviceId) => {
+  const service = await findService(serviceId);
+  const dependents = await Service.find({ dependencies: service._id })
+    .select('name tier')
+    .sort({ name: 1 });
+
+  return { service, dependents };
+};
+
+/**
+ * Add a service to the catalog
+ * @param {Object} data - { name, description, team, tier, runbookUrl, dependencies }
+ * @param {string} userId - Admin creating it
+ * @returns {Object} - Created service
+ * @throws {Error} - 400 invalid fields / unknown dependency
+ */
+const createService = async (data, userId) => {
+  const fields = toFields(data);
+  await applyDependencies(fields, null);
+
+  const created = await Service.create({ ...fields, createdBy: userId });
+  return findService(created._id);
+};
+
+/**
+ * Replace a service's fields
+ * @param {string} serviceId
+ * @param {Object} data - Same fields as createService
+ * @returns {Object} - Updated service
+ * @throws {Error} - 404 unknown, 400 invalid fields / dependency cycle
+ */
+const updateService = async (serviceId, data) => {
+  const service = await findService(serviceId);
+  const fields = toFields(data);
+  await applyDependencies(fields, service._id.toString());
+
+  service.set(fields);
+  await service.save();
+
+  return findService(serviceId);
+};
+
+/**
+ * Remove a service from the catalog, from incidents and from other
+ * services' dependencies (audit entries keep its name)
+ * @throws {Error} - 404
+ */
+const deleteService = async (serviceId) => {
+  const service = await findService(serviceId);
+  await service.deleteOne();
+
+  await Promise.all([
+    Incident.updateMany(
+      { affectedServices: service._id },
+      { $pull: { affectedServices: service._id } }
+    ),
+    Service.updateMany(
+      { dependencies: service._id },
+      { $pull: { dependencies: service._id } }
+    )
+  ]);
+};
+
+module.exports = {
+  getServices,
+  getServiceById,
+  createService,
+  updateService,
+  deleteService,
+  resolveServices
+};
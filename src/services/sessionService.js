@@ -0,0 +1,218 @@
+/**
+ * Session Service
+ * Signed-in devices: issue, rotate and revoke refresh tokens
+ *
+ * Responsibility: Start a session on sign-in, exchange a refresh token
+ *                 for a new token pair, list and revoke a user's sessions
+ * Does NOT: Check passwords or invites (authService, invitationService)
+ *           or verify access tokens (middleware/auth)
+ *
+ * TOKEN PAIR:
+ * ─────────────────────────
+ * - Access token: JWT { userId, sessionId }, valid for config.jwt.expiresIn.
+ *   Sent on every request; the middleware also checks its session is live,
+ *   so revoking takes effect immediately.
+ * - Refresh token: random, stored hashed on the Session, single use.
+ *   Presenting a token that was already rotated away means two parties
+ *   hold it, so the whole session is revoked (after a short grace period
+ *   for two tabs refreshing at the same moment).
+ */
+const mongoose = require('mongoose');
+const config = require('../config');
+const { Session, User } = require('../models');
+const { generateToken } = require('../middleware/auth');
+const { generateSecureToken, hashSecureToken } = require('../utils/secureTokens');
+const { ACCOUNT_EVENTS, publish } = require('../events');
+
+const REFRESH_TOKEN_PREFIX = 'rt_';
+
+// A just-rotated token replayed within this window is a refresh race, not theft
+const REUSE_GRACE_MS = 30 * 1000;
+
+/**
+ * Build a 401 error
+ */
+const unauthorized = (message) => {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+};
+
+/**
+ * Query matching sessions that can still be used
+ */
+const liveSessionQuery = () => ({
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+/**
+ * Keep device metadata within the schema limits
+ */
+const toDeviceMeta = ({ userAgent, ip } = {}) => ({
+  userAgent: String(userAgent || '').slice(0, 500),
+  ip: String(ip || '')
+});
+
+/**
+ * Revoke sessions and tell live sockets to drop them
+ * @param {Object} query - Extra conditions (always limited to live sessions)
+ * @param {string} reason - Session.revokedReason
+ * @returns {number} - Sessions revoked
+ */
+const revokeWhere = async (query, reason) => {
+  const sessions = await Session.find({ ...query, ...liveSessionQuery() }).select('user');
+  if (sessions.length === 0) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map((s) => s._id) } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  const byUser = new Map();
+  sessions.forEach((session) => {
+    const userId = session.user.toString();
+    byUser.set(userId, [...(byUser.get(userId) || []), session._id.toString()]);
+  });
+  byUser.forEach((sessionIds, userId) => {
+    publish(ACCOUNT_EVENTS.SESSIONS_REVOKED, { userId, sessionIds });
+  });
+
+  return sessions.length;
+};
+
+/**
+ * Start a session for a user who just proved who they are
+ * @param {Object} user - User document
+ * @param {Object} device - { userAgent, ip }
+ * @returns {Object} - { token, refreshToken, session }
+ */
+const startSession = async (user, device) => {
+  const { token: refreshToken, tokenHash } = generateSecureToken(REFRESH_TOKEN_PREFIX);
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: tokenHash,
+    ...toDeviceMeta(device),
+    expiresAt: new Date(Date.now() + config.jwt.refreshTtlDays * 24 * 60 * 60 * 1000)
+  });
+  await User.updateOne({ _id: user._id }, { lastLoginAt: session.createdAt });
+
+  return { token: generateToken(user._id, session._id), refreshToken, session };
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * @param {string} refreshToken
+ * @param {Object} device - { userAgent, ip }
+ * @returns {Object} - { user, token, refreshToken }
+ * @throws {Error} - 401 unknown, revoked, expired or replayed token
+ */
+const refreshSession = async (refreshToken, device) => {
+  const presentedHash = hashSecureToken(refreshToken);
+  const { token: nextToken, tokenHash: nextHash } = generateSecureToken(REFRESH_TOKEN_PREFIX);
+  const now = new Date();
+
+  // Atomic: of two requests with the same token only one rotates it
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: presentedHash, ...liveSessionQuery() },
+    {
+      refreshTokenHash: nextHash,
+      previousRefreshTokenHash: presentedHash,
+      rotatedAt: now,
+      lastUsedAt: now,
+      ...toDeviceMeta(device)
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const replayed = await Session.findOne({ previousRefreshTokenHash: presentedHash, ...liveSessionQuery() });
+    if (replayed && now - replayed.rotatedAt > REUSE_GRACE_MS) {
+      await revokeWhere({ _id: replayed._id }, 'token_reuse');
+    }
+    throw unauthorized('Session expired, please sign in again');
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || user.status !== 'active') {
+    await revokeWhere({ _id: session._id }, 'revoked');
+    throw unauthorized('Session expired, please sign in again');
+  }
+
+  return { user, token: generateToken(user._id, session._id), refreshToken: nextToken };
+};
+
+/**
+ * Sign out the session holding a refresh token
+ * Unknown or already revoked tokens are ignored (logging out twice is fine)
+ * @param {string} refreshToken
+ */
+const endSession = async (refreshToken) => {
+  await revokeWhere({ refreshTokenHash: hashSecureToken(refreshToken) }, 'logout');
+};
+
+/**
+ * A user's live sessions, most recently used first
+ * @param {string} userId
+ * @returns {Array}
+ */
+const getSessions = async (userId) => {
+  return Session.find({ user: userId, ...liveSessionQuery() })
+    .sort({ lastUsedAt: -1 });
+};
+
+/**
+ * Live session count and latest activity for each of several users
+ * @param {Array} userIds
+ * @returns {Map} - userId -> { active, lastActiveAt }
+ */
+const getSessionSummaries = async (userIds) => {
+  const rows = await Session.aggregate([
+    { $match: { user: { $in: userIds.map((id) => new mongoose.Types.ObjectId(id)) }, ...liveSessionQuery() } },
+    { $group: { _id: '$user', active: { $sum: 1 }, lastActiveAt: { $max: '$lastUsedAt' } } }
+  ]);
+
+  return new Map(rows.map((row) => [
+    row._id.toString(),
+    { active: row.active, lastActiveAt: row.lastActiveAt }
+  ]));
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @param {string} userId
+ * @param {string} sessionId
+ * @throws {Error} - 404 not one of the user's live sessions
+ */
+const revokeSession = async (userId, sessionId) => {
+  const revoked = mongoose.isValidObjectId(sessionId)
+    ? await revokeWhere({ _id: sessionId, user: userId }, 'revoked')
+    : 0;
+
+  if (revoked === 0) {
+    const error = new Error('Session not found');
+    error.status = 404;
+    throw error;
+  }
+};
+
+/**
+ * Sign a user out everywhere
+ * @param {string} userId
+ * @param {string} reason - Session.revokedReason (default 'logout_all')
+ * @returns {number} - Sessions revoked
+ */
+const revokeAllSessions = async (userId, reason = 'logout_all') => {
+  return revokeWhere({ user: userId }, reason);
+};
+
+module.exports = {
+  startSession,
+  refreshSession,
+  endSession,
+  getSessions,
+  getSessionSummaries,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,548 @@
+/**
+ * Status Page Service
+ * Public view of incidents for customers
+ *
+ * Responsibility: Manage status components, decide what an incident
+ *                 shows publicly, publish customer-facing updates and
+ *                 build the public summary, uptime history and feed
+ * Does NOT: Format feeds (utils/feeds) or authenticate (public routes)
+ *
+ * WHAT IS PUBLIC:
+ * ─────────────────────────
+ * Only incidents with isPublic, and of those only publicTitle,
+ * publicImpact, affected components, timestamps and PublicUpdates.
+ * Everything returned to unauthenticated callers goes through
+ * toPublicIncident/toPublicUpdate, so internal fields (description,
+ * notes, responders) cannot leak by adding a field to a query.
+ *
+ * COMPONENT STATE & UPTIME:
+ * ─────────────────────────
+ * A component takes the worst publicImpact of the unresolved public
+ * incidents affecting it. Uptime counts partial and major outages as
+ * downtime from incident creation to resolvedAt; degraded performance
+ * only colors the day. Days are UTC.
+ */
+const mongoose = require('mongoose');
+const { Incident, IncidentUpdate, PublicUpdate, StatusComponent, User } = require('../models');
+const { INCIDENT_EVENTS, publish } = require('../events');
+const incidentService = require('./incidentService');
+const auditService = require('./auditService');
+
+const { COMPONENT_STATES } = StatusComponent;
+const { PUBLIC_UPDATE_STATUSES } = PublicUpdate;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Uptime history length and how long resolved incidents stay listed
+const UPTIME_DAYS = 90;
+const PAST_INCIDENT_DAYS = 14;
+
+// Impacts that count as downtime in the uptime history
+const DOWNTIME_IMPACTS = ['partial_outage', 'major_outage'];
+
+const MAX_FEED_ITEMS = 100;
+
+/**
+ * Build a 400 error for invalid input
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Get the id string of a reference, populated or not
+ */
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+/**
+ * Most severe of several states/impacts ('operational' when none)
+ */
+const worstState = (states) =>
+  states.reduce(
+    (worst, state) => (COMPONENT_STATES.indexOf(state) > COMPONENT_STATES.indexOf(worst) ? state : worst),
+    'operational'
+  );
+
+/**
+ * Start of the UTC day containing a timestamp (ms)
+ */
+const startOfUtcDay = (ms) => ms - (ms % DAY_MS);
+
+/**
+ * Total time covered by possibly overlapping [start, end] intervals
+ * within [from, to] (all ms)
+ */
+const coveredMs = (intervals, from, to) => {
+  const clipped = intervals
+    .map(([start, end]) => [Math.max(start, from), Math.min(end, to)])
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let total = 0;
+  let current = null;
+  clipped.forEach(([start, end]) => {
+    if (current && start <= current[1]) {
+      current[1] = Math.max(current[1], end);
+      return;
+    }
+    if (current) total += current[1] - current[0];
+    current = [start, end];
+  });
+  if (current) total += current[1] - current[0];
+
+  return total;
+};
+
+/**
+ * Percentage with two decimals
+ */
+const toPercent = (fraction) => Math.round(fraction * 10000) / 100;
+
+/**
+ * Daily uptime of one component over the last UPTIME_DAYS days
+ * Days before the component existed have uptime null
+ * @param {Object} component - StatusComponent document
+ * @param {Array} incidents - Public incidents overlapping the window
+ * @param {number} now - ms
+ * @returns {Object} - { percent, days: [{ date, percent, impact }] }
+ */
+const buildUptime = (component, incidents, now) => {
+  const windowStart = startOfUtcDay(now) - (UPTIME_DAYS - 1) * DAY_MS;
+  const since = component.createdAt.getTime();
+
+  const intervals = incidents
+    .filter((incident) => incident.affectedComponents.some((c) => idOf(c) === idOf(component)))
+    .map((incident) => ({
+      start: incident.createdAt.getTime(),
+      end: incident.resolvedAt ? incident.resolvedAt.getTime() : now,
+      impact: incident.publicImpact
+    }));
+
+  let observedTotal = 0;
+  let downtimeTotal = 0;
+  const days = [];
+
+  for (let day = 0; day < UPTIME_DAYS; day++) {
+    const from = windowStart + day * DAY_MS;
+    const to = Math.min(from + DAY_MS, now);
+    const observedFrom = Math.max(from, since);
+    const date = new Date(from).toISOString().slice(0, 10);
+
+    if (observedFrom >= to) {
+      days.push({ date, percent: null, impact: null });
+      continue;
+    }
+
+    const overlapping = intervals.filter(({ start, end }) => start < to && end > observedFrom);
+    const downtime = coveredMs(
+      overlapping.filter(({ impact }) => DOWNTIME_IMPACTS.includes(impact)).map(({ start, end }) => [start, end]),
+      observedFrom,
+      to
+    );
+
+    observedTotal += to - observedFrom;
+    downtimeTotal += downtime;
+
+    const impact = worstState(overlapping.map(({ impact }) => impact));
+    days.push({
+      date,
+      percent: toPercent(1 - downtime / (to - observedFrom)),
+      impact: impact === 'operational' ? null : impact
+    });
+  }
+
+  return {
+    percent: observedTotal > 0 ? toPercent(1 - downtimeTotal / observedTotal) : null,
+    days
+  };
+};
+
+/**
+ * Public shape of a customer-facing update
+ */
+const toPublicUpdate = (update) => ({
+  id: update._id.toString(),
+  status: update.status,
+  message: update.message,
+  createdAt: update.createdAt
+});
+
+/**
+ * Public shape of an incident (never includes internal fields)
+ * @param {Object} incident - Incident with affectedComponents populated
+ * @param {Array} updates - Its PublicUpdates, newest first
+ */
+const toPublicIncident = (incident, updates) => ({
+  id: incident._id.toString(),
+  title: incident.publicTitle,
+  impact: incident.publicImpact,
+  // Resolved internally = resolved publicly, even without a final update
+  status: incident.resolvedAt ? 'resolved' : updates[0]?.status || 'investigating',
+  components: incident.affectedComponents.map((component) => ({
+    id: component._id.toString(),
+    name: component.name
+  })),
+  startedAt: incident.createdAt,
+  resolvedAt: incident.resolvedAt,
+  updates: updates.map(toPublicUpdate)
+});
+
+/**
+ * PublicUpdates of several incidents, grouped by incident, newest first
+ * @returns {Map} - incidentId → updates
+ */
+const loadPublicUpdates = async (incidentIds) => {
+  const updates = await PublicUpdate.find({ incidentId: { $in: incidentIds } })
+    .sort({ createdAt: -1 });
+
+  const byIncident = new Map(incidentIds.map((id) => [id.toString(), []]));
+  updates.forEach((update) => byIncident.get(update.incidentId.toString()).push(update));
+  return byIncident;
+};
+
+/**
+ * Throw 403 unless the actor commands the incident, is its
+ * communications lead or is an admin
+ */
+const assertCanCommunicate = async (incident, actorUserId) => {
+  if (idOf(incident.commander) === idOf(actorUserId)) return;
+  if (incident.roles.some((r) => r.role === 'comms_lead' && idOf(r.user) === idOf(actorUserId))) return;
+
+  const actor = await User.findById(actorUserId).select('role');
+  if (actor?.role !== 'admin') {
+    const error = new Error('Only the commander, communications lead or an admin can change what customers see');
+    error.status = 403;
+    throw error;
+  }
+};
+
+// ─────────────────────────────────────────
+// COMPONENTS (admin)
+// ─────────────────────────────────────────
+
+/**
+ * List status components in display order
+ * @returns {Array}
+ */
+const getComponents = () => StatusComponent.find().sort({ position: 1, name: 1 });
+
+/**
+ * Create a status component
+ * @param {Object} data - { name, description, position }
+ * @param {string} userId - Admin creating it
+ * @returns {Object} - Created component
+ */
+const createComponent = (data, userId) =>
+  StatusComponent.create({
+    name: data.name,
+    description: data.description,
+    position: data.position,
+    createdBy: userId
+  });
+
+/**
+ * Change a status component
+ * @param {string} componentId
+ * @param {Object} changes - Any of { name, description, position }
+ * @returns {Object} - Updated component
+ * @throws {Error} - 404
+ */
+const updateComponent = async (componentId, changes) => {
+  const component = mongoose.isValidObjectId(componentId)
+    ? await StatusComponent.findById(componentId)
+    : null;
+
+  if (!component) {
+    const error = new Error('Status component not found');
+    error.status = 404;
+    throw error;
+  }
+
+  ['name', 'description', 'position'].forEach((field) => {
+    if (changes[field] !== undefined) component[field] = changes[field];
+  });
+
+  await component.save();
+  return component;
+};
+
+/**
+ * Delete a status component and remove it from incidents
+ * @throws {Error} - 404
+ */
+const deleteComponent = async (componentId) => {
+  const component = mongoose.isValidObjectId(componentId)
+    ? await StatusComponent.findByIdAndDelete(componentId)
+    : null;
+
+  if (!component) {
+    const error = new Error('Status component not found');
+    error.status = 404;
+    throw error;
+  }
+
+  await Incident.updateMany(
+    { affectedComponents: component._id },
+    { $pull: { affectedComponents: component._id } }
+  );
+};
+
+// ─────────────────────────────────────────
+// INCIDENT PUBLICATION (commander, comms lead, admin)
+// ─────────────────────────────────────────
+
+/**
+ * Change what the status page shows for an incident
+ * Writes one field_change record per changed setting
+ * (affected components are recorded by name)
+ * @param {string} incidentId
+ * @param {Object} settings - Any of { isPublic, publicTitle, publicImpact, affectedComponents }
+ * @param {string} actorUserId
+ * @returns {Object} - { incident, updates }
+ * @throws {Error} - 403 not allowed, 400 invalid or unchanged settings
+ */
+const updatePublicSettings = async (incidentId, settings, actorUserId) => {
+  const incident = await incidentService.getIncidentById(incidentId);
+  await assertCanCommunicate(incident, actorUserId);
+
+  const changes = [];
+
+  if (settings.publicTitle !== undefined && settings.publicTitle.trim() !== incident.publicTitle) {
+    changes.push({ field: 'publicTitle', previousValue: incident.publicTitle, newValue: settings.publicTitle.trim() });
+    incident.publicTitle = settings.publicTitle.trim();
+  }
+
+  if (settings.publicImpact !== undefined && settings.publicImpact !== incident.publicImpact) {
+    changes.push({ field: 'publicImpact', previousValue: incident.publicImpact, newValue: settings.publicImpact });
+    incident.publicImpact = settings.publicImpact;
+  }
+
+  if (settings.affectedComponents !== undefined) {
+    const ids = [...new Set(settings.affectedComponents.map(String))];
+    const components = ids.every((id) => mongoose.isValidObjectId(id))
+      ? await StatusComponent.find({ _id: { $in: ids } }).select('name')
+      : [];
+
+    if (components.length !== ids.length) {
+      throw badRequest('Unknown status component');
+    }
+
+    const previous = incident.affectedComponents;
+    const sameSet = previous.length === ids.length && previous.every((c) => ids.includes(idOf(c)));
+    if (!sameSet) {
+      changes.push({
+        field: 'affectedComponents',
+        previousValue: previous.map((c) => c.name),
+        newValue: components.map((c) => c.name)
+      });
+      incident.affectedComponents = components.map((c) => c._id);
+    }
+  }
+
+  if (settings.isPublic !== undefined && settings.isPublic !== incident.isPublic) {
+    changes.push({ field: 'isPublic', previousValue: incident.isPublic, newValue: settings.isPublic });
+    incident.isPublic = settings.isPublic;
+  }
+
+  if (changes.length === 0) {
+    throw badRequest('No settings changed');
+  }
+
+  // The internal title is never shown publicly
+  if (incident.isPublic && !incident.publicTitle) {
+    throw badRequest('A public title is required to show the incident on the status page');
+  }
+
+  const entries = auditService.validateUpdates(changes.map((change) => ({
+    incidentId,
+    userId: actorUserId,
+    type: 'field_change',
+    content: change
+  })));
+
+  // save() runs schema validators (publicImpact enum)
+  await incident.save();
+
+  const updates = await auditService.appendUpdates(entries);
+  await IncidentUpdate.populate(updates, { path: 'userId', select: 'name email status' });
+
+  const updated = await incidentService.getIncidentById(incidentId);
+  publish(INCIDENT_EVENTS.FIELDS_UPDATED, { incidentId, incident: updated, updates });
+
+  return { incident: updated, updates };
+};
+
+/**
+ * Customer-facing updates of an incident (internal view, with author)
+ * @param {string} incidentId
+ * @returns {Array} - Newest first
+ */
+const getPublicUpdates = (incidentId) =>
+  PublicUpdate.find({ incidentId })
+    .populate('publishedBy', 'name email')
+    .sort({ createdAt: -1 });
+
+/**
+ * Publish a customer-facing update (incident must be public)
+ * Also recorded internally as a 'public_update' timeline entry
+ * @param {string} incidentId
+ * @param {Object} data - { status, message }
+ * @param {string} actorUserId
+ * @returns {Object} - { publicUpdate, update }
+ * @throws {Error} - 403 not allowed, 400 invalid status or private incident
+ */
+const addPublicUpdate = async (incidentId, { status, message }, actorUserId) => {
+  const incident = await incidentService.getIncidentById(incidentId);
+  await assertCanCommunicate(incident, actorUserId);
+
+  if (!incident.isPublic) {
+    throw badRequest('Show the incident on the status page before publishing updates');
+  }
+  if (!PUBLIC_UPDATE_STATUSES.includes(status)) {
+    throw badRequest(`Invalid status. Must be one of: ${PUBLIC_UPDATE_STATUSES.join(', ')}`);
+  }
+
+  // Checked first: customers must not see an update the timeline never recorded
+  const entry = auditService.validateUpdates({
+    incidentId,
+    userId: actorUserId,
+    type: 'public_update',
+    content: { text: message, newStatus: status }
+  });
+
+  const publicUpdate = await PublicUpdate.create({
+    incidentId,
+    status,
+    message,
+    publishedBy: actorUserId
+  });
+  await publicUpdate.populate('publishedBy', 'name email');
+
+  const update = await auditService.appendUpdates(entry);
+  await update.populate('userId', 'name email status');
+
+  publish(INCIDENT_EVENTS.PUBLIC_UPDATE_ADDED, { incidentId, publicUpdate, update });
+
+  return { publicUpdate, update };
+};
+
+// ─────────────────────────────────────────
+// PUBLIC VIEWS (no authentication)
+// ─────────────────────────────────────────
+
+/**
+ * Everything the status page shows
+ * @returns {Object} - { status, components, incidents, pastIncidents }
+ *   components: [{ id, name, description, state, uptime }]
+ */
+const getStatusSummary = async () => {
+  const now = Date.now();
+  const windowStart = new Date(startOfUtcDay(now) - (UPTIME_DAYS - 1) * DAY_MS);
+  const pastSince = new Date(now - PAST_INCIDENT_DAYS * DAY_MS);
+
+  const [components, incidents] = await Promise.all([
+    getComponents(),
+    Incident.find({
+      isPublic: true,
+      $or: [{ resolvedAt: null }, { resolvedAt: { $gte: windowStart } }]
+    })
+      .select('publicTitle publicImpact affectedComponents createdAt resolvedAt')
+      .populate('affectedComponents', 'name')
+      .sort({ createdAt: -1 })
+  ]);
+
+  const active = incidents.filter((incident) => !incident.resolvedAt);
+  const past = incidents.filter((incident) => incident.resolvedAt && incident.resolvedAt >= pastSince);
+  const updates = await loadPublicUpdates([...active, ...past].map((incident) => incident._id));
+  const withUpdates = (incident) => toPublicIncident(incident, updates.get(incident._id.toString()));
+
+  const componentViews = components.map((component) => ({
+    id: component._id.toString(),
+    name: component.name,
+    description: component.description,
+    state: worstState(
+      active
+        .filter((incident) => incident.affectedComponents.some((c) => idOf(c) === idOf(component)))
+        .map((incident) => incident.publicImpact)
+    ),
+    uptime: buildUptime(component, incidents, now)
+  }));
+
+  return {
+    status: worstState([
+      ...componentViews.map((component) => component.state),
+      ...active.map((incident) => incident.publicImpact)
+    ]),
+    components: componentViews,
+    incidents: active.map(withUpdates),
+    pastIncidents: past.map(withUpdates)
+  };
+};
+
+/**
+ * One public incident with all of its public updates
+ * @throws {Error} - 404 unknown or not public (indistinguishable)
+ */
+const getPublicIncident = async (incidentId) => {
+  const incident = mongoose.isValidObjectId(incidentId)
+    ? await Incident.findOne({ _id: incidentId, isPublic: true })
+      .select('publicTitle publicImpact affectedComponents createdAt resolvedAt')
+      .populate('affectedComponents', 'name')
+    : null;
+
+  if (!incident) {
+    const error = new Error('Incident not found');
+    error.status = 404;
+    throw error;
+  }
+
+  const updates = await loadPublicUpdates([incident._id]);
+  return toPublicIncident(incident, updates.get(incident._id.toString()));
+};
+
+/**
+ * Latest public updates across public incidents (feed items)
+ * @param {Object} options - { limit }
+ * @returns {Array} - [{ id, status, message, createdAt, incident: { id, title } }]
+ */
+const getPublicFeed = async ({ limit = 50 } = {}) => {
+  const items = await PublicUpdate.aggregate([
+    { $sort: { createdAt: -1 } },
+    {
+      $lookup: {
+        from: Incident.collection.name,
+        let: { incidentId: '$incidentId' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$incidentId'] } } },
+          { $project: { isPublic: 1, publicTitle: 1 } }
+        ],
+        as: 'incident'
+      }
+    },
+    { $unwind: '$incident' },
+    { $match: { 'incident.isPublic': true } },
+    { $limit: Math.min(limit, MAX_FEED_ITEMS) }
+  ]);
+
+  return items.map((item) => ({
+    ...toPublicUpdate(item),
+    incident: { id: item.incident._id.toString(), title: item.incident.publicTitle }
+  }));
+};
+
+module.exports = {
+  COMPONENT_STATES,
+  PUBLIC_UPDATE_STATUSES,
+  getComponents,
+  createComponent,
+  updateComponent,
+  deleteComponent,
+  updatePublicSettings,
+  getPublicUpdates,
+  addPublicUpdate,
+  getStatusSummary,
+  getPublicIncident,
+  getPublicFeed
+};
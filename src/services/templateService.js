@@ -0,0 +1,198 @@
+/**
+ * Template Service
+ * Incident templates: defaults, runbook and checklist for recurring incidents
+ *
+ * Responsibility: Create/change templates, expand a template into the
+ *                 fields of a new incident
+ * Does NOT: Create incidents or action items (incidentService does,
+ *           calling expandTemplate)
+ */
+const mongoose = require('mongoose');
+const { IncidentTemplate } = require('../models');
+const workflowService = require('./workflowService');
+
+// Fields set from the request body on create and replace
+const TEMPLATE_FIELDS = ['name', 'titlePattern', 'severity', 'incidentType', 'description', 'runbook', 'checklist'];
+
+/**
+ * Build a 400 error for invalid input
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Load a template or throw 404
+ */
+const findTemplate = async (templateId) => {
+  const template = mongoose.isValidObjectId(templateId)
+    ? await IncidentTemplate.findById(templateId).populate('createdBy', 'name email')
+    : null;
+
+  if (!template) {
+    const error = new Error('Template not found');
+    error.status = 404;
+    throw error;
+  }
+
+  return template;
+};
+
+/**
+ * Reject unknown incident types
+ * @throws {Error} - 400
+ */
+const assertIncidentType = async (incidentType) => {
+  try {
+    await workflowService.getWorkflow(incidentType);
+  } catch (error) {
+    if (error.status === 404) throw badRequest(`Unknown incident type: ${incidentType}`);
+    throw error;
+  }
+};
+
+/**
+ * Normalise checklist input to [{ text, priority }], dropping blank lines
+ * @throws {Error} - 400 if it is not an array
+ */
+const toChecklist = (checklist) => {
+  if (!Array.isArray(checklist)) {
+    throw badRequest('checklist must be an array');
+  }
+
+  return checklist
+    .map((item) => (typeof item === 'string' ? { text: item } : item || {}))
+    .filter((item) => typeof item.text === 'string' && item.text.trim())
+    .map((item) => ({ text: item.text.trim(), priority: item.priority || undefined }));
+};
+
+/**
+ * Copy accepted fields from a request body
+ */
+const toFields = (data) => {
+  const fields = {};
+  TEMPLATE_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) fields[field] = data[field];
+  });
+  if (fields.checklist !== undefined) fields.checklist = toChecklist(fields.checklist);
+  return fields;
+};
+
+/**
+ * Fill {date} and {time} placeholders (UTC)
+ * @param {string} pattern - e.g. 'Database failover {date}'
+ * @param {Date} now
+ * @returns {string}
+ */
+const expandTitlePattern = (pattern, now = new Date()) => {
+  const [date, time] = now.toISOString().split('T');
+  return pattern
+    .replace(/\{date\}/g, date)
+    .replace(/\{time\}/g, time.slice(0, 5));
+};
+
+/**
+ * List templates, alphabetically (shown when creating incidents)
+ * @returns {Array}
+ */
+const getTemplates = () =>
+  IncidentTemplate.find()
+    .populate('createdBy', 'name email')
+    .sort({ name: 1 });
+
+/**
+ * Get a single template
+ * @throws {Error} - 404
+ */
+const getTemplateById = (templateId) => findTemplate(templateId);
+
+/**
+ * Create a template
+ * @param {Object} data - { name, titlePattern, severity, incidentType,
+ *   description, runbook, checklist }
+ * @param {string} userId - Admin creating it
+ * @returns {Object} - Created template
+ * @throws {Error} - 400 unknown incident type / invalid fields
+ */
+const createTemplate = async (data, userId) => {
+  const fields = toFields(data);
+  await assertIncidentType(fields.incidentType || workflowService.DEFAULT_INCIDENT_TYPE);
+
+  const created = await IncidentTemplate.create({ ...fields, createdBy: userId });
+  return findTemplate(created._id);
+};
+
+/**
+ * Replace a template's fields
+ * Incidents already created from it keep their copy of the runbook
+ * @param {string} templateId
+ * @param {Object} data - Same fields as createTemplate
+ * @returns {Object} - Updated template
+ * @throws {Error} - 404 unknown, 400 invalid fields
+ */
+const updateTemplate = async (templateId, data) => {
+  const template = await findTemplate(templateId);
+  const fields = toFields(data);
+
+  if (fields.incidentType !== undefined) await assertIncidentType(fields.incidentType);
+
+  template.set(fields);
+  await template.save();
+
+  return findTemplate(templateId);
+};
+
+/**
+ * Delete a template (incidents keep their runbook copy)
+ * @throws {Error} - 404
+ */
+const deleteTemplate = async (templateId) => {
+  const template = await findTemplate(templateId);
+  await template.deleteOne();
+};
+
+/**
+ * Expand a template into the fields of a new incident
+ * Values given by the creator win over template defaults; {date}/{time}
+ * placeholders are filled in either way.
+ * @param {string} templateId
+ * @param {Object} data - { title, description, severity, incidentType } from the creator
+ * @returns {Object} - { fields, checklist } - incident fields (with runbook) and
+ *   the action items to create
+ * @throws {Error} - 400 unknown template
+ */
+const expandTemplate = async (templateId, data) => {
+  const template = mongoose.isValidObjectId(templateId)
+    ? await IncidentTemplate.findById(templateId)
+    : null;
+
+  if (!template) {
+    throw badRequest('Unknown incident template');
+  }
+
+  return {
+    fields: {
+      title: expandTitlePattern(data.title || template.titlePattern),
+      description: data.description || template.description,
+      severity: data.severity || template.severity,
+      incidentType: data.incidentType || template.incidentType,
+      runbook: {
+        templateId: template._id,
+        templateName: template.name,
+        markdown: template.runbook
+      }
+    },
+    checklist: template.checklist.map(({ text, priority }) => ({ text, priority }))
+  };
+};
+
+module.exports = {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  expandTemplate
+};
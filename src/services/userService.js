@@ -2,28 +2,133 @@
  * User Service
  * Handles user-related business logic
  *
- * Responsibility: User queries, role management
+ * Responsibility: User queries, role management, approving sign-ups,
+ *                 deactivation and offboarding, lifting sign-in lockouts,
+ *                 creating the first admin
  * Does NOT: Handle authentication (that's authService)
+ *
+ * OFFBOARDING:
+ * Users are never deleted once active: timeline entries reference them
+ * and the audit chain hashes those references. Deactivating blocks
+ * sign-in, revokes sessions and drops sockets, after handing open
+ * incidents, action items and integration command to another user
+ * (integrations may instead be left without a commander). Anonymizing
+ * also erases name and email from the account. Timeline entries refer
+ * to users by ID (action item owners too) and are named when read, so
+ * the erased name disappears from them without touching the chain.
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const { User, ActionItem } = require('../models');
+const { ACCOUNT_EVENTS, publish } = require('../events');
+const incidentService = require('./incidentService');
+const actionItemService = require('./actionItemService');
+const integrationService = require('./integrationService');
+const sessionService = require('./sessionService');
+const { resetRateLimit, normalizeEmail } = require('../middleware/rateLimit');
+
+// Shown in place of an anonymized user's name
+const ANONYMIZED_NAME = 'Former user';
+
+// Account state other members don't see (admins and the user do)
+const ADMIN_ONLY_FIELDS = [
+  'status', 'lastLoginAt', 'lockedUntil', 'approvedBy', 'approvedAt',
+  'invitedBy', 'deactivatedAt', 'deactivatedBy', 'anonymizedAt'
+];
+
+// Which accounts each status filter lists (pending sign-ups have their own queue)
+const STATUS_FILTERS = {
+  active: { $nin: ['pending', 'deactivated'] },
+  deactivated: 'deactivated',
+  all: { $ne: 'pending' }
+};
+
+/**
+ * Escape text for use inside a regular expression
  */
-const { User } = require('../models');
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 /**
  * Get all users (for assignment dropdowns, admin panel)
- * @param {Object} filters - Optional filters { role }
+ * @param {Object} filters - Optional filters
+ *   role, q (name or email contains), status ('active' default | 'deactivated' | 'all')
  * @returns {Array} - List of users (without sensitive data)
  */
 const getUsers = async (filters = {}) => {
-  const query = {};
+  // Integration service accounts are not people to pick or assign,
+  // pending sign-ups are not members yet and deactivated users left
+  const query = {
+    kind: { $ne: 'integration' },
+    status: STATUS_FILTERS[filters.status] || STATUS_FILTERS.active
+  };
 
   if (filters.role) {
     query.role = filters.role;
   }
 
+  if (filters.q) {
+    const pattern = new RegExp(escapeRegex(filters.q), 'i');
+    query.$or = [{ name: pattern }, { email: pattern }];
+  }
+
   return User.find(query)
     .select('-passwordHash')
     .sort({ name: 1 });
 };
 
+/**
+ * Users for the admin user list: getUsers plus live session info
+ * @param {Object} filters - Same as getUsers
+ * @returns {Array} - Users with sessions: { active, lastActiveAt }
+ */
+const getUserDirectory = async (filters = {}) => {
+  const users = await getUsers(filters);
+  const summaries = await sessionService.getSessionSummaries(users.map((u) => u._id));
+
+  return users.map((user) => ({
+    ...user.toJSON(),
+    sessions: summaries.get(user._id.toString()) || { active: 0, lastActiveAt: null }
+  }));
+};
+
+/**
+ * A user as the viewer may see them
+ * @param {Object} user - User document
+ * @param {Object} viewer - Requesting user
+ * @returns {Object} - Plain user, without account state unless the
+ *   viewer is an admin or the user themselves
+ */
+const toVisibleUser = (user, viewer) => {
+  const visible = user.toJSON();
+  if (viewer.role === 'admin' || user._id.equals(viewer._id)) return visible;
+
+  ADMIN_ONLY_FIELDS.forEach((field) => delete visible[field]);
+  return visible;
+};
+
+/**
+ * Build an error with a status
+ */
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Whether no other active person holds the admin role
+ * @param {Object} user - User document (an admin)
+ */
+const isLastActiveAdmin = async (user) => {
+  const otherAdmins = await User.countDocuments({
+    _id: { $ne: user._id },
+    role: 'admin',
+    kind: { $ne: 'integration' },
+    status: STATUS_FILTERS.active
+  });
+  return otherAdmins === 0;
+};
+
 /**
  * Get user by ID
  * @param {string} userId
@@ -41,19 +146,260 @@ const getUserById = async (userId) => {
 
 /**
  * Update user role (admin only)
+ * Open connections of the user pick up the new role right away
  * @param {string} userId
  * @param {string} newRole
  * @returns {Object} - Updated user
+ * @throws {Error} - 409 demoting the last active admin
  */
 const updateUserRole = async (userId, newRole) => {
   const user = await getUserById(userId);
+  if (user.role === newRole) return user;
+
+  if (user.role === 'admin' && await isLastActiveAdmin(user)) {
+    throw httpError(409, 'Cannot change the role of the last active administrator');
+  }
+
   user.role = newRole;
   await user.save();
+
+  publish(ACCOUNT_EVENTS.USER_UPDATED, { userId: user._id.toString(), user });
+  return user;
+};
+
+/**
+ * Sign-ups awaiting approval, oldest first
+ * @returns {Array}
+ */
+const getPendingUsers = async () => {
+  return User.find({ status: 'pending' })
+    .select('-passwordHash')
+    .sort({ createdAt: 1 });
+};
+
+/**
+ * Load a pending sign-up or throw
+ * @throws {Error} - 404 not found, 409 already approved
+ */
+const findPendingUser = async (userId) => {
+  const user = await getUserById(userId);
+  if (user.status !== 'pending') {
+    const error = new Error('User is not awaiting approval');
+    error.status = 409;
+    throw error;
+  }
+  return user;
+};
+
+/**
+ * Approve a sign-up with the role an admin chose
+ * @param {string} userId
+ * @param {string} role
+ * @param {string} adminId
+ * @returns {Object} - Updated user
+ */
+const approveUser = async (userId, role, adminId) => {
+  const user = await findPendingUser(userId);
+  user.status = 'active';
+  user.role = role;
+  user.approvedBy = adminId;
+  user.approvedAt = new Date();
+  await user.save();
+  return user;
+};
+
+/**
+ * Reject a sign-up (the account is deleted so the email can register again)
+ * @param {string} userId
+ */
+const rejectUser = async (userId) => {
+  const user = await findPendingUser(userId);
+  await user.deleteOne();
+};
+
+/**
+ * What a user still holds: open incidents (commander, assignee, response
+ * roles, offered handoffs), open action items they own and integrations
+ * they command
+ * @param {string} userId
+ * @returns {Object} - { user, incidents, actionItems, integrations }
+ */
+const getOffboardingPlan = async (userId) => {
+  const user = await getUserById(userId);
+
+  const [incidents, actionItems, integrations] = await Promise.all([
+    incidentService.getOpenResponsibilities(user._id),
+    ActionItem.find({ owner: user._id, status: { $nin: actionItemService.CLOSED_STATUSES } })
+      .select('text status priority dueDate incidentId')
+      .populate('incidentId', 'title')
+      .sort({ dueDate: 1, createdAt: 1 }),
+    integrationService.getCommandedIntegrations(user._id)
+  ]);
+
+  return { user, incidents, actionItems, integrations };
+};
+
+/**
+ * Deactivate a user after handing over what they hold
+ * Hand-over runs first and each step is audited on its incident; if it
+ * fails part-way the user stays active and the plan shows what is left.
+ * @param {string} userId
+ * @param {Object} options - { reassignTo, anonymize }
+ *   reassignTo: an active responder or admin; required while the user
+ *   holds open incidents or action items. Integrations they command go
+ *   to reassignTo, or are left without a commander when it is omitted.
+ * @param {string} adminId
+ * @returns {Object} - { user, reassigned: { incidents, actionItems, integrations } }
+ * @throws {Error} - 400 self / missing or invalid reassignTo,
+ *   404 unknown reassignTo, 409 already deactivated / last admin
+ */
+const deactivateUser = async (userId, { reassignTo, anonymize = false }, adminId) => {
+  const { user, incidents, actionItems, integrations } = await getOffboardingPlan(userId);
+  const id = user._id.toString();
+
+  if (id === adminId.toString()) {
+    throw httpError(400, 'You cannot deactivate your own account');
+  }
+  if (user.kind === 'integration') {
+    throw httpError(400, 'Integration accounts are managed from the integrations page');
+  }
+  if (user.status === 'deactivated') {
+    throw httpError(409, 'User is already deactivated');
+  }
+  if (user.role === 'admin' && await isLastActiveAdmin(user)) {
+    throw httpError(409, 'Cannot deactivate the last active administrator');
+  }
+
+  const hasResponsibilities = incidents.length > 0 || actionItems.length > 0;
+  if (hasResponsibilities && !reassignTo) {
+    throw httpError(400, 'reassignTo required: the user still holds open incidents or action items');
+  }
+  if (reassignTo && reassignTo.toString() === id) {
+    throw httpError(400, 'Cannot reassign to the user being deactivated');
+  }
+  // Checked up front: action items and integrations would otherwise take any active user
+  if (reassignTo) {
+    await incidentService.getResponsibleUser(reassignTo, 'Work can only be handed to a responder or administrator');
+  }
+
+  for (const incident of incidents) {
+    await incidentService.handOverResponsibilities(incident._id, id, reassignTo, adminId);
+  }
+  for (const actionItem of actionItems) {
+    await actionItemService.updateActionItem(actionItem._id, { owner: reassignTo }, adminId);
+  }
+  await integrationService.handOverCommand(user._id, reassignTo);
+
+  user.status = 'deactivated';
+  user.deactivatedAt = new Date();
+  user.deactivatedBy = adminId;
+  if (anonymize) {
+    user.name = ANONYMIZED_NAME;
+    user.email = `anonymized-${id}@users.invalid`;
+    user.passwordHash = crypto.randomBytes(32).toString('hex'); // Hashed by the pre-save hook
+    user.anonymizedAt = new Date();
+  }
+  await user.save();
+
+  await sessionService.revokeAllSessions(id, 'revoked');
+  publish(ACCOUNT_EVENTS.USER_UPDATED, { userId: id, user });
+
+  return {
+    user,
+    reassigned: {
+      incidents: incidents.length,
+      actionItems: actionItems.length,
+      integrations: integrations.length
+    }
+  };
+};
+
+/**
+ * Let a deactivated user sign in again (not after anonymizing)
+ * @param {string} userId
+ * @returns {Object} - Updated user
+ * @throws {Error} - 409 not deactivated / anonymized
+ */
+const reactivateUser = async (userId) => {
+  const user = await getUserById(userId);
+
+  if (user.status !== 'deactivated') {
+    throw httpError(409, 'User is not deactivated');
+  }
+  if (user.anonymizedAt) {
+    throw httpError(409, 'Anonymized accounts cannot be reactivated');
+  }
+
+  user.status = 'active';
+  user.deactivatedAt = null;
+  user.deactivatedBy = null;
+  await user.save();
+  return user;
+};
+
+/**
+ * Lift a sign-in lockout before it runs out
+ * Also clears the per-email attempt limit, so the user can sign in now
+ * @param {string} userId
+ * @returns {Object} - Updated user
+ */
+const unlockUser = async (userId) => {
+  const user = await getUserById(userId);
+
+  user.failedLoginCount = 0;
+  user.lockedUntil = null;
+  await user.save();
+
+  await resetRateLimit('login-account', normalizeEmail(user.email));
   return user;
 };
 
+/**
+ * Create the first admin from config.bootstrapAdmin (called on startup)
+ * Does nothing while any active admin exists. Never promotes an existing
+ * account: whoever signed up with that email first does not become admin.
+ */
+const ensureBootstrapAdmin = async () => {
+  const { email, password, name } = config.bootstrapAdmin;
+
+  const hasAdmin = await User.exists({
+    role: 'admin',
+    kind: { $ne: 'integration' },
+    status: STATUS_FILTERS.active
+  });
+  if (hasAdmin) return;
+
+  if (!email || !password) {
+    console.warn('No active admin: set ADMIN_EMAIL and ADMIN_PASSWORD to create one');
+    return;
+  }
+
+  try {
+    await User.create({ email, passwordHash: password, name, role: 'admin', status: 'active' });
+    console.log(`Created admin account ${email}`);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Another instance created it first, or the email is someone else's
+    const existing = await User.findOne({ email });
+    if (existing?.role !== 'admin' || existing.status !== 'active') {
+      console.error(`ADMIN_EMAIL ${email} belongs to an existing non-admin account; no admin created`);
+    }
+  }
+};
+
 module.exports = {
   getUsers,
+  getUserDirectory,
   getUserById,
-  updateUserRole
+  toVisibleUser,
+  updateUserRole,
+  getPendingUsers,
+  approveUser,
+  rejectUser,
+  getOffboardingPlan,
+  deactivateUser,
+  reactivateUser,
+  unlockUser,
+  ensureBootstrapAdmin
 };
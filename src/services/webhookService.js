@@ -0,0 +1,415 @@
+/**
+ * Webhook Service
+ * Outbound webhooks for incident lifecycle events
+ *
+ * Responsibility: Manage subscriptions, queue one delivery per matching
+ *                 subscription, sign and send deliveries, retry failures
+ *                 with exponential backoff, redeliver on request
+ * Does NOT: Decide which domain events become webhooks (src/webhooks)
+ *
+ * SIGNATURE:
+ * ─────────────────────────
+ * Each request carries
+ *   X-Webhook-Event      event name (e.g. incident.status_changed)
+ *   X-Webhook-Delivery   delivery ID (stable across retries)
+ *   X-Webhook-Timestamp  unix seconds of this attempt
+ *   X-Webhook-Signature  sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+ * Receivers recompute the HMAC over the raw body and reject stale
+ * timestamps to stop replays.
+ *
+ * RETRIES:
+ * ─────────────────────────
+ * Deliveries are persisted before the first attempt. Non-2xx responses,
+ * timeouts and network errors reschedule the delivery
+ * (RETRY_BASE_MS * 2^(attempt - 1)) until MAX_ATTEMPTS, after which it
+ * is marked failed. The queue lives in MongoDB, so a restart loses nothing.
+ */
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { WebhookSubscription, WebhookDelivery } = require('../models');
+const { parseLimit, buildCursorQuery, toPage } = require('../utils/pagination');
+
+const { WEBHOOK_EVENTS } = WebhookSubscription;
+
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// A claimed delivery is invisible to other workers for this long
+const CLAIM_LEASE_MS = 60 * 1000;
+
+// Deliveries attempted per worker run
+const WORKER_BATCH_SIZE = 20;
+
+// Response bodies are kept for debugging, truncated
+const RESPONSE_BODY_LIMIT = 2000;
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+/**
+ * Build a 400 error for invalid input
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Validate a subscription URL (http/https only)
+ * @throws {Error} - 400 for anything else
+ */
+const assertValidUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    throw badRequest('Invalid webhook URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw badRequest('Webhook URL must use http or https');
+  }
+};
+
+/**
+ * Validate an event filter (empty = all events)
+ * @throws {Error} - 400 for unknown events
+ */
+const assertValidEvents = (events) => {
+  if (!Array.isArray(events)) {
+    throw badRequest('events must be an array');
+  }
+  const unknown = events.filter((e) => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown events: ${unknown.join(', ')}. Must be any of: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+};
+
+/**
+ * Random signing secret
+ */
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Signature header value for a body
+ * @param {string} secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ */
+const sign = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - Attempts made so far (>= 1)
+ */
+const backoffMs = (attempts) => RETRY_BASE_MS * 2 ** (attempts - 1);
+
+/**
+ * Load a subscription or throw 404
+ */
+const findSubscription = async (subscriptionId) => {
+  const subscription = mongoose.isValidObjectId(subscriptionId)
+    ? await WebhookSubscription.findById(subscriptionId).populate('createdBy', 'name email')
+    : null;
+
+  if (!subscription) {
+    const error = new Error('Webhook subscription not found');
+    error.status = 404;
+    throw error;
+  }
+
+  return subscription;
+};
+
+/**
+ * List every subscription (secrets excluded)
+ * @returns {Array}
+ */
+const getSubscriptions = () =>
+  WebhookSubscription.find()
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 });
+
+/**
+ * Get a single subscription (secret excluded)
+ * @throws {Error} - 404
+ */
+const getSubscriptionById = (subscriptionId) => findSubscription(subscriptionId);
+
+/**
+ * Create a subscription
+ * @param {Object} data - { name, url, events, secret (generated if omitted) }
+ * @param {string} userId - Admin creating it
+ * @returns {Object} - { subscription, secret } (the only time the secret is returned)
+ * @throws {Error} - 400 invalid URL/events
+ */
+const createSubscription = async ({ name, url, events = [], secret }, userId) => {
+  assertValidUrl(url);
+  assertValidEvents(events);
+
+  const signingSecret = secret || generateSecret();
+  const created = await WebhookSubscription.create({
+    name,
+    url,
+    events: [...new Set(events)],
+    secret: signingSecret,
+    createdBy: userId
+  });
+
+  const subscription = await findSubscription(created._id);
+  return { subscription, secret: signingSecret };
+};
+
+/**
+ * Change a subscription
+ * @param {string} subscriptionId
+ * @param {Object} changes - Any of { name, url, events, active, secret }
+ * @returns {Object} - Updated subscription (secret excluded)
+ * @throws {Error} - 404 unknown, 400 invalid URL/events
+ */
+const updateSubscription = async (subscriptionId, changes) => {
+  const subscription = await findSubscription(subscriptionId);
+
+  if (changes.url !== undefined) assertValidUrl(changes.url);
+  if (changes.events !== undefined) assertValidEvents(changes.events);
+  if (changes.secret !== undefined && !changes.secret) {
+    throw badRequest('secret cannot be empty');
+  }
+
+  ['name', 'url', 'active', 'secret'].forEach((field) => {
+    if (changes[field] !== undefined) subscription[field] = changes[field];
+  });
+  if (changes.events !== undefined) {
+    subscription.events = [...new Set(changes.events)];
+  }
+
+  await subscription.save();
+  return findSubscription(subscriptionId);
+};
+
+/**
+ * Delete a subscription and its delivery log
+ * @throws {Error} - 404
+ */
+const deleteSubscription = async (subscriptionId) => {
+  const subscription = await findSubscription(subscriptionId);
+  await WebhookDelivery.deleteMany({ subscriptionId: subscription._id });
+  await subscription.deleteOne();
+};
+
+/**
+ * Delivery log of a subscription, newest first (cursor paginated)
+ * @param {string} subscriptionId
+ * @param {Object} filters - Optional { status, cursor, limit }
+ * @returns {Object} - { deliveries, nextCursor, hasMore }
+ */
+const getDeliveries = async (subscriptionId, filters = {}) => {
+  const subscription = await findSubscription(subscriptionId);
+  const conditions = [{ subscriptionId: subscription._id }];
+
+  if (filters.status) {
+    if (!DELIVERY_STATUSES.includes(filters.status)) {
+      throw badRequest(`Invalid status. Must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+    }
+    conditions.push({ status: filters.status });
+  }
+
+  const { sort, condition } = buildCursorQuery('createdAt', -1, filters.cursor);
+  if (condition) conditions.push(condition);
+
+  const limit = parseLimit(filters.limit);
+  const docs = await WebhookDelivery.find({ $and: conditions })
+    .sort(sort)
+    .limit(limit + 1)
+    .populate('requestedBy', 'name email');
+
+  const { items, nextCursor, hasMore } = toPage(docs, limit, 'createdAt');
+  return { deliveries: items, nextCursor, hasMore };
+};
+
+/**
+ * Queue an event for every active subscription that wants it
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {string} incidentId
+ * @param {Object} data - Event data (sent as payload.data)
+ * @returns {Array} - Created deliveries
+ */
+const enqueueEvent = async (event, incidentId, data) => {
+  const subscriptions = await WebhookSubscription.find({
+    active: true,
+    $or: [{ events: event }, { events: { $size: 0 } }]
+  }).select('_id');
+
+  if (subscriptions.length === 0) return [];
+
+  // Same event ID for every subscription so receivers can dedupe fan-out
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    occurredAt: new Date().toISOString(),
+    data
+  };
+
+  return WebhookDelivery.insertMany(subscriptions.map((subscription) => ({
+    subscriptionId: subscription._id,
+    event,
+    incidentId,
+    payload
+  })));
+};
+
+/**
+ * Queue a fresh copy of a past delivery (same payload, new delivery ID)
+ * @param {string} subscriptionId
+ * @param {string} deliveryId
+ * @param {string} userId - Admin asking for it
+ * @returns {Object} - The new delivery
+ * @throws {Error} - 404 unknown subscription/delivery
+ */
+const redeliver = async (subscriptionId, deliveryId, userId) => {
+  const subscription = await findSubscription(subscriptionId);
+  const original = mongoose.isValidObjectId(deliveryId)
+    ? await WebhookDelivery.findOne({ _id: deliveryId, subscriptionId: subscription._id })
+    : null;
+
+  if (!original) {
+    const error = new Error('Delivery not found');
+    error.status = 404;
+    throw error;
+  }
+
+  const delivery = await WebhookDelivery.create({
+    subscriptionId: subscription._id,
+    event: original.event,
+    incidentId: original.incidentId,
+    payload: original.payload,
+    redeliveryOf: original._id,
+    requestedBy: userId
+  });
+
+  return delivery.populate('requestedBy', 'name email');
+};
+
+/**
+ * Start of a response body, at most `limit` characters
+ * Stops reading once enough has arrived, so a huge or endless body is
+ * never buffered
+ */
+const readBodyPrefix = async (response, limit) => {
+  if (!response.body) return '';
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+
+  try {
+    while (text.length < limit) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      text += decoder.decode(value, { stream: true });
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+
+  return text.slice(0, limit);
+};
+
+/**
+ * Send one delivery and record the outcome
+ * @param {Object} delivery - Claimed WebhookDelivery document
+ */
+const attemptDelivery = async (delivery) => {
+  const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+  const now = new Date();
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = now;
+
+  // Disabled or deleted subscriptions drop their queue
+  if (!subscription || !subscription.active) {
+    delivery.status = 'failed';
+    delivery.error = 'Subscription is inactive';
+    await delivery.save();
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000);
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'IncidentPlatform-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': sign(subscription.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    delivery.responseStatus = response.status;
+    delivery.responseBody = await readBodyPrefix(response, RESPONSE_BODY_LIMIT);
+    delivery.error = response.ok ? null : `HTTP ${response.status}`;
+  } catch (error) {
+    delivery.responseStatus = null;
+    delivery.responseBody = null;
+    delivery.error = error.name === 'TimeoutError'
+      ? `Timed out after ${REQUEST_TIMEOUT_MS / 1000}s`
+      : error.cause?.message || error.message;
+  }
+
+  if (!delivery.error) {
+    delivery.status = 'succeeded';
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+  } else {
+    delivery.nextAttemptAt = new Date(now.getTime() + backoffMs(delivery.attempts));
+  }
+
+  await delivery.save();
+};
+
+/**
+ * Attempt every due pending delivery (up to one batch)
+ * Each delivery is claimed atomically by pushing nextAttemptAt past
+ * the lease, so overlapping runs never send the same attempt twice.
+ * @returns {number} - Deliveries attempted
+ */
+const processDueDeliveries = async () => {
+  let processed = 0;
+
+  while (processed < WORKER_BATCH_SIZE) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+
+    if (!delivery) break;
+
+    await attemptDelivery(delivery);
+    processed += 1;
+  }
+
+  return processed;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  getSubscriptions,
+  getSubscriptionById,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  getDeliveries,
+  enqueueEvent,
+  redeliver,
+  processDueDeliveries
+};
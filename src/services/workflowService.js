@@ -0,0 +1,331 @@
+/**
+ * Workflow Service
+ * Incident status state machines - single source of truth
+ *
+ * Responsibility: Workflow definitions (per incident type), transition
+ *                 checks, admin management of definitions
+ * Does NOT: Change incident status (incidentService enforces the rules
+ *           on every write)
+ *
+ * Why in the service layer?
+ * - Every entry point (REST, socket, integrations) goes through
+ *   incidentService.updateStatus, so the rules can't be bypassed
+ * - Clients fetch the same definitions via GET /api/workflows instead
+ *   of hardcoding their own copy
+ *
+ * Design Decision: Definitions live in MongoDB (Workflow model)
+ * - Admins add incident types (security, data loss...) without a deploy
+ * - The built-in 'default' workflow is seeded on startup and can be
+ *   edited but not deleted
+ */
+const { Workflow, Incident } = require('../models');
+
+const DEFAULT_INCIDENT_TYPE = 'default';
+
+// Seeded when no 'default' workflow exists yet
+const DEFAULT_WORKFLOW = {
+  incidentType: DEFAULT_INCIDENT_TYPE,
+  name: 'Standard Incident',
+  description: 'Investigate, identify, monitor and resolve',
+  statuses: [
+    { value: 'investigating', label: 'Investigating', color: '#EF4444' },
+    { value: 'identified', label: 'Identified', color: '#F59E0B' },
+    { value: 'monitoring', label: 'Monitoring', color: '#3B82F6' },
+    { value: 'resolved', label: 'Resolved', color: '#10B981' }
+  ],
+  transitions: {
+    investigating: ['identified', 'monitoring', 'resolved'],
+    identified: ['investigating', 'monitoring', 'resolved'],
+    monitoring: ['investigating', 'identified', 'resolved'],
+    resolved: ['investigating'] // Can only re-open, must start fresh investigation
+  },
+  initialStatus: 'investigating',
+  terminalStatuses: ['resolved']
+};
+
+/**
+ * Convert a Workflow document to the client-facing shape
+ * @param {Object} doc - Workflow document
+ * @returns {Object} - { incidentType, name, statuses[{..., terminal}], transitions, ... }
+ */
+const toDefinition = (doc) => {
+  const terminalStatuses = [...doc.terminalStatuses];
+  return {
+    incidentType: doc.incidentType,
+    name: doc.name,
+    description: doc.description,
+    statuses: doc.statuses.map((status) => ({
+      value: status.value,
+      label: status.label,
+      color: status.color,
+      terminal: terminalStatuses.includes(status.value)
+    })),
+    transitions: Object.fromEntries(
+      [...(doc.transitions || [])].map(([from, targets]) => [from, [...targets]])
+    ),
+    initialStatus: doc.initialStatus,
+    terminalStatuses,
+    updatedAt: doc.updatedAt
+  };
+};
+
+/**
+ * Create the default workflow if it does not exist (called on startup)
+ */
+const ensureDefaultWorkflow = async () => {
+  const existing = await Workflow.exists({ incidentType: DEFAULT_INCIDENT_TYPE });
+  if (!existing) {
+    await Workflow.create(DEFAULT_WORKFLOW);
+    console.log('Seeded default incident workflow');
+  }
+};
+
+/**
+ * Get all workflow definitions
+ * @returns {Array} - Workflow definitions, default first
+ */
+const listWorkflows = async () => {
+  const workflows = await Workflow.find().sort({ createdAt: 1 });
+  return workflows.map(toDefinition);
+};
+
+/**
+ * Get the workflow for an incident type
+ * @param {string} incidentType
+ * @returns {Object} - Workflow definition
+ * @throws {Error} - 400 if the type is not a string, 404 if no workflow exists for it
+ */
+const getWorkflow = async (incidentType = DEFAULT_INCIDENT_TYPE) => {
+  if (typeof incidentType !== 'string') {
+    const error = new Error('incidentType must be a string');
+    error.status = 400;
+    throw error;
+  }
+
+  const workflow = await Workflow.findOne({ incidentType: incidentType.toLowerCase() });
+
+  if (!workflow) {
+    const error = new Error(`No workflow defined for incident type "${incidentType}"`);
+    error.status = 404;
+    throw error;
+  }
+
+  return toDefinition(workflow);
+};
+
+/**
+ * Check if a status exists in the workflow
+ * @param {Object} workflow - Workflow definition
+ * @param {string} status
+ * @returns {boolean}
+ */
+const isKnownStatus = (workflow, status) => workflow.statuses.some((s) => s.value === status);
+
+/**
+ * Check if a status resolves the incident
+ * @param {Object} workflow - Workflow definition
+ * @param {string} status
+ * @returns {boolean}
+ */
+const isTerminalStatus = (workflow, status) => workflow.terminalStatuses.includes(status);
+
+/**
+ * Get statuses reachable from the given status
+ * @param {Object} workflow - Workflow definition
+ * @param {string} currentStatus
+ * @returns {Array<string>}
+ */
+const getAllowedTransitions = (workflow, currentStatus) => workflow.transitions[currentStatus] || [];
+
+/**
+ * Validate status transition against the workflow state machine
+ * @param {Object} workflow - Workflow definition
+ * @param {string} currentStatus
+ * @param {string} newStatus
+ * @returns {boolean}
+ */
+const isValidTransition = (workflow, currentStatus, newStatus) => {
+  if (currentStatus === newStatus) return false;
+  return getAllowedTransitions(workflow, currentStatus).includes(newStatus);
+};
+
+/**
+ * Throw a structured error if the transition is not allowed
+ * @param {Object} workflow - Workflow definition
+ * @param {string} currentStatus
+ * @param {string} newStatus
+ * @throws {Error} - 400 for unknown status, 409 for disallowed transition
+ */
+const assertTransition = (workflow, currentStatus, newStatus) => {
+  if (!isKnownStatus(workflow, newStatus)) {
+    const error = new Error(
+      `Invalid status for ${workflow.name}. ` +
+      `Must be one of: ${workflow.statuses.map((s) => s.value).join(', ')}`
+    );
+    error.status = 400;
+    error.code = 'INVALID_STATUS';
+    throw error;
+  }
+
+  if (!isValidTransition(workflow, currentStatus, newStatus)) {
+    const allowedTransitions = getAllowedTransitions(workflow, currentStatus);
+    const error = new Error(
+      `Invalid status transition: ${currentStatus} → ${newStatus}. ` +
+      `Allowed: ${allowedTransitions.join(', ') || 'none'}`
+    );
+    error.status = 409;
+    error.code = 'INVALID_TRANSITION';
+    error.details = {
+      incidentType: workflow.incidentType,
+      currentStatus,
+      requestedStatus: newStatus,
+      allowedTransitions
+    };
+    throw error;
+  }
+};
+
+/**
+ * Pick the admin-editable fields from a request body
+ */
+const pickDefinition = (data) => {
+  const fields = ['name', 'description', 'statuses', 'transitions', 'initialStatus', 'terminalStatuses'];
+  return Object.fromEntries(
+    fields.filter((field) => data[field] !== undefined).map((field) => [field, data[field]])
+  );
+};
+
+/**
+ * Create a workflow for a new incident type (admin only)
+ * @param {Object} data - { incidentType, name, statuses, transitions, initialStatus, terminalStatuses }
+ * @param {string} userId - Admin creating it
+ * @returns {Object} - Workflow definition
+ */
+const createWorkflow = async (data, userId) => {
+  const workflow = await Workflow.create({
+    incidentType: data.incidentType,
+    ...pickDefinition(data),
+    createdBy: userId
+  });
+
+  return toDefinition(workflow);
+};
+
+/**
+ * Reject a workflow change if incidents of its type sit in the statuses
+ * it touches
+ * @throws {Error} - 409 with details.statusesInUse
+ */
+const assertStatusesUnused = async (workflow, statuses, message) => {
+  if (statuses.length === 0) return;
+
+  const inUse = await Incident.distinct('status', {
+    incidentType: workflow.incidentType,
+    status: { $in: statuses }
+  });
+
+  if (inUse.length > 0) {
+    const error = new Error(`${message}: ${inUse.join(', ')}`);
+    error.status = 409;
+    error.details = { statusesInUse: inUse };
+    throw error;
+  }
+};
+
+/**
+ * Update a workflow definition (admin only)
+ * Statuses still used by incidents of this type cannot be removed, or
+ * become or stop being terminal: incidents in them would keep a
+ * resolvedAt that no longer matches their status (analytics, the
+ * postmortem gate and alert dedupe all read resolvedAt)
+ * @param {string} incidentType
+ * @param {Object} data - Fields to replace
+ * @returns {Object} - Workflow definition
+ * @throws {Error} - 400 if statuses is not an array, 404 unknown type,
+ *   409 if a removed or re-classified status is in use
+ */
+const updateWorkflow = async (incidentType, data) => {
+  const workflow = await Workflow.findOne({ incidentType: incidentType.toLowerCase() });
+
+  if (!workflow) {
+    const error = new Error(`No workflow defined for incident type "${incidentType}"`);
+    error.status = 404;
+    throw error;
+  }
+
+  const updates = pickDefinition(data);
+
+  if (updates.statuses !== undefined && !Array.isArray(updates.statuses)) {
+    const error = new Error('statuses must be an array');
+    error.status = 400;
+    throw error;
+  }
+
+  if (updates.statuses) {
+    const kept = updates.statuses.map((s) => s.value);
+    const removed = workflow.statuses.map((s) => s.value).filter((v) => !kept.includes(v));
+    await assertStatusesUnused(workflow, removed, 'Cannot remove statuses still used by incidents');
+  }
+
+  if (Array.isArray(updates.terminalStatuses)) {
+    const previous = [...workflow.terminalStatuses];
+    const next = updates.terminalStatuses;
+    const reclassified = [
+      ...previous.filter((v) => !next.includes(v)),
+      ...next.filter((v) => !previous.includes(v))
+    ];
+    await assertStatusesUnused(
+      workflow,
+      reclassified,
+      'Cannot change whether statuses resolve incidents while incidents use them'
+    );
+  }
+
+  workflow.set(updates);
+  await workflow.save();
+
+  return toDefinition(workflow);
+};
+
+/**
+ * Delete a workflow (admin only)
+ * @param {string} incidentType
+ * @throws {Error} - 400 for the default workflow, 409 if incidents use it
+ */
+const deleteWorkflow = async (incidentType) => {
+  const type = incidentType.toLowerCase();
+
+  if (type === DEFAULT_INCIDENT_TYPE) {
+    const error = new Error('The default workflow cannot be deleted');
+    error.status = 400;
+    throw error;
+  }
+
+  if (await Incident.exists({ incidentType: type })) {
+    const error = new Error('Workflow is used by existing incidents');
+    error.status = 409;
+    throw error;
+  }
+
+  const result = await Workflow.deleteOne({ incidentType: type });
+  if (result.deletedCount === 0) {
+    const error = new Error(`No workflow defined for incident type "${incidentType}"`);
+    error.status = 404;
+    throw error;
+  }
+};
+
+module.exports = {
+  DEFAULT_INCIDENT_TYPE,
+  ensureDefaultWorkflow,
+  listWorkflows,
+  getWorkflow,
+  isKnownStatus,
+  isTerminalStatus,
+  getAllowedTransitions,
+  isValidTransition,
+  assertTransition,
+  createWorkflow,
+  updateWorkflow,
+  deleteWorkflow
+};
@@ -6,7 +6,11 @@
  * ───────────────────────────────────────────
  * - Each incident has a room: `incident:{id}`
  * - Users join rooms when viewing incidents
+ * - Every socket is also in `user:{id}` and `session:{id}`, so account
+ *   changes (role, sign-out) reach all of a user's open connections
  * - Server broadcasts updates to room members only
+ * - Broadcasts are driven by service-layer domain events, so REST
+ *   and socket mutations reach the room identically
  * - Presence tracked in MongoDB for persistence
  *
  * Why room-based broadcasting?
@@ -26,18 +30,23 @@
  *
  * STATE MACHINE VALIDATION:
  * ─────────────────────────
- * Status transitions are validated against an allowed state machine.
- * Example: "resolved" cannot go back to "investigating" without
+ * Status transitions are validated against the workflow for the
+ * incident's type (Workflow model, admin-defined, see workflowService)
+ * and enforced inside incidentService.updateStatus, so REST and
+ * socket writes share it.
+ * Example (default workflow): "resolved" cannot go back to "investigating" without
  * explicit re-opening. This prevents accidental state regression
  * and maintains audit trail integrity.
  *
  * IDEMPOTENCY CONSIDERATIONS:
  * ───────────────────────────
- * Update handlers are designed to be idempotent where possible to
- * avoid duplicate writes on reconnects. For example:
- * - Assigning an already-assigned user returns success (no duplicate)
+ * A write replayed after a reconnect never records a second audit
+ * entry; the service rejects it or finds nothing to change:
+ * - Assigning an already-assigned user is rejected (400, no duplicate)
+ * - Unassigning a user who is not assigned is rejected (400)
  * - Status unchanged throws error (prevents duplicate audit records)
- * - Action item toggles use explicit boolean (not toggle operation)
+ * - Action item changes carry explicit values (status, owner...), not
+ *   toggles; fields that already hold the value are not recorded again
  *
  * ERROR HANDLING STRATEGY:
  * - All event handlers wrapped in try/catch
@@ -53,7 +62,7 @@
  * - No audit requirements
  *
  * This system has:
- * - Structured update types (status_change, note, assignment, action_item)
+ * - Structured update types (status_change, field_change, note, assignment, action_item)
  * - Role-based authorization
  * - Server validation of state transitions
  * - Immutable audit trail for post-incident review
@@ -76,7 +85,9 @@
  */
 const { Server } = require('socket.io');
 const { authenticateSocket } = require('../middleware/auth');
-const { presenceService, incidentService } = require('../services');
+const { presenceService, incidentService, actionItemService } = require('../services');
+const domainEvents = require('../events');
+const { INCIDENT_EVENTS, ACCOUNT_EVENTS } = domainEvents;
 const config = require('../config');
 
 let io;
@@ -88,15 +99,6 @@ let io;
 // Roles that can modify incidents
 const WRITE_ROLES = ['admin', 'responder'];
 
-// Status transition state machine
-// Key = current status, Value = allowed next statuses
-const STATUS_TRANSITIONS = {
-  investigating: ['identified', 'monitoring', 'resolved'],
-  identified: ['investigating', 'monitoring', 'resolved'],
-  monitoring: ['investigating', 'identified', 'resolved'],
-  resolved: ['investigating'] // Can only re-open, must start fresh investigation
-};
-
 // Focus throttle: minimum ms between focus updates per user
 const FOCUS_THROTTLE_MS = 100;
 
@@ -128,15 +130,6 @@ const FOCUS_COLORS = [
  */
 const canWrite = (user) => WRITE_ROLES.includes(user.role);
 
-/**
- * Validate status transition against state machine
- */
-const isValidTransition = (currentStatus, newStatus) => {
-  if (currentStatus === newStatus) return false;
-  const allowed = STATUS_TRANSITIONS[currentStatus];
-  return allowed && allowed.includes(newStatus);
-};
-
 /**
  * Get deterministic color for user based on their ID
  * Same user always gets same color across sessions
@@ -179,7 +172,8 @@ const withErrorHandler = (handler) => {
       console.error(`Socket error [${socket.id}]:`, error.message);
       socket.emit('error', {
         message: error.message || 'An error occurred',
-        code: error.code || 'INTERNAL_ERROR'
+        code: error.code || 'INTERNAL_ERROR',
+        ...(error.details ? { details: error.details } : {})
       });
     }
   };
@@ -203,6 +197,9 @@ const initializeSocket = (httpServer) => {
   // Apply authentication middleware
   io.use(authenticateSocket);
 
+  // Fan out service-layer domain events to rooms
+  registerDomainEventBroadcasts();
+
   // Connection handler
   io.on('connection', (socket) => {
     console.log(`User connected: ${socket.user.name} (${socket.id})`);
@@ -210,6 +207,10 @@ const initializeSocket = (httpServer) => {
     // Assign consistent color to user
     socket.userColor = getUserColor(socket.user._id);
 
+    // Lets account changes find this user's and this session's sockets
+    socket.join(`user:${socket.user._id}`);
+    socket.join(`session:${socket.sessionId}`);
+
     // ─────────────────────────────────────────
     // PRESENCE EVENTS
     // ─────────────────────────────────────────
@@ -243,6 +244,10 @@ const initializeSocket = (httpServer) => {
       withErrorHandler(handleStatusUpdate)(socket, data)
     );
 
+    socket.on('incident:updateFields', (data) =>
+      withErrorHandler(handleUpdateFields)(socket, data)
+    );
+
     socket.on('incident:addNote', (data) =>
       withErrorHandler(handleAddNote)(socket, data)
     );
@@ -251,12 +256,40 @@ const initializeSocket = (httpServer) => {
       withErrorHandler(handleAssignment)(socket, data)
     );
 
+    socket.on('incident:unassign', (data) =>
+      withErrorHandler(handleUnassignment)(socket, data)
+    );
+
+    socket.on('incident:proposeHandoff', (data) =>
+      withErrorHandler(handleProposeHandoff)(socket, data)
+    );
+
+    socket.on('incident:acceptHandoff', (data) =>
+      withErrorHandler(handleAcceptHandoff)(socket, data)
+    );
+
+    socket.on('incident:declineHandoff', (data) =>
+      withErrorHandler(handleDeclineHandoff)(socket, data)
+    );
+
+    socket.on('incident:assignRole', (data) =>
+      withErrorHandler(handleAssignRole)(socket, data)
+    );
+
+    socket.on('incident:vacateRole', (data) =>
+      withErrorHandler(handleVacateRole)(socket, data)
+    );
+
+    socket.on('incident:addStakeholderUpdate', (data) =>
+      withErrorHandler(handleStakeholderUpdate)(socket, data)
+    );
+
     socket.on('incident:addActionItem', (data) =>
       withErrorHandler(handleActionItem)(socket, data)
     );
 
-    socket.on('incident:toggleActionItem', (data) =>
-      withErrorHandler(handleToggleActionItem)(socket, data)
+    socket.on('incident:updateActionItem', (data) =>
+      withErrorHandler(handleUpdateActionItem)(socket, data)
     );
 
     // ─────────────────────────────────────────
@@ -414,7 +447,7 @@ const handleDisconnect = async (socket) => {
  * Client sends: { incidentId: string, section: string, fieldId?: string }
  * Server relays to room (throttled): { odId, section, fieldId, color, name }
  *
- * Sections: 'status', 'severity', 'description', 'notes', 'assignees', 'action_items'
+ * Sections: 'status', 'title', 'severity', 'description', 'notes', 'assignees', 'action_items'
  * fieldId: Optional specific field within section (e.g., note ID being edited)
  *
  * Performance considerations:
@@ -431,7 +464,7 @@ const handleFocusUpdate = async (socket, { incidentId, section, fieldId }) => {
   }
 
   // Validate section
-  const validSections = ['status', 'severity', 'description', 'notes', 'assignees', 'action_items', 'commander'];
+  const validSections = ['status', 'title', 'severity', 'description', 'notes', 'assignees', 'action_items', 'commander', 'roles', 'stakeholder_updates'];
   if (!validSections.includes(section)) {
     throw new Error(`Invalid section. Must be one of: ${validSections.join(', ')}`);
   }
@@ -477,7 +510,8 @@ const handleFocusClear = async (socket, { incidentId }) => {
 
 // ═══════════════════════════════════════════════════════════════
 // INCIDENT UPDATE HANDLERS
-// Server-authoritative: validate → persist → broadcast
+// Server-authoritative: validate → persist (service publishes event)
+// Broadcasting happens in DOMAIN EVENT BROADCASTS below
 // ═══════════════════════════════════════════════════════════════
 
 /**
@@ -486,12 +520,13 @@ const handleFocusClear = async (socket, { incidentId }) => {
  * Event contract:
  * Client sends: { incidentId: string, status: string }
  * Server validates: role, status value, state transition
- * Server broadcasts: { incident, update } to room
- *
- * Status values: investigating → identified → monitoring → resolved
+ * Room receives: incident:updated { incident, update }
  *
- * State machine enforced: not all transitions are allowed.
- * Example: "resolved" can only go back to "investigating" (re-open)
+ * State machine enforced by incidentService using the workflow
+ * for the incident's type (see workflowService).
+ * Example (default workflow): "resolved" can only go back to "investigating" (re-open)
+ * A rejected transition emits 'error' with code INVALID_TRANSITION
+ * and details.allowedTransitions.
  */
 const handleStatusUpdate = async (socket, { incidentId, status }) => {
   // 1. Authorize
@@ -500,52 +535,47 @@ const handleStatusUpdate = async (socket, { incidentId, status }) => {
   }
 
   // 2. Validate input
-  const validStatuses = ['investigating', 'identified', 'monitoring', 'resolved'];
-  if (!validStatuses.includes(status)) {
-    throw new Error(`Invalid status. Must be one of: ${validStatuses.join(', ')}`);
+  if (!status) {
+    throw new Error('Status required');
   }
 
-  // 3. Get current incident to validate state transition
-  const currentIncident = await incidentService.getIncidentById(incidentId);
+  // 3. Persist via service (validates transition, records update, publishes event)
+  await incidentService.updateStatus(incidentId, status, socket.user._id);
 
-  // 4. Validate state transition (state machine enforcement)
-  if (!isValidTransition(currentIncident.status, status)) {
-    throw new Error(
-      `Invalid status transition: ${currentIncident.status} → ${status}. ` +
-      `Allowed: ${STATUS_TRANSITIONS[currentIncident.status].join(', ')}`
-    );
+  console.log(`Status updated: ${incidentId} → ${status} by ${socket.user.name}`);
+};
+
+/**
+ * Handle incident field edits (title, description, severity, affected services)
+ *
+ * Event contract:
+ * Client sends: { incidentId: string, fields: { title?, description?, severity?, affectedServices? } }
+ * Server validates: role, field values (via Incident schema and the service catalog)
+ * Room receives: incident:fieldsUpdated { incident, updates }
+ *
+ * One field_change update is recorded per changed field, so a
+ * severity escalation and a description rewrite show up as
+ * separate timeline entries.
+ */
+const handleUpdateFields = async (socket, { incidentId, fields }) => {
+  // 1. Authorize
+  if (!canWrite(socket.user)) {
+    throw new Error('Insufficient permissions');
+  }
+
+  // 2. Validate input
+  if (!fields || typeof fields !== 'object') {
+    throw new Error('Fields to update required');
   }
 
-  // 5. Persist via service (service handles business logic)
-  const incident = await incidentService.updateStatus(
+  // 3. Persist via service (schema validation happens on save)
+  const { updates } = await incidentService.updateFields(
     incidentId,
-    status,
+    fields,
     socket.user._id
   );
 
-  // 6. Create the update record for timeline
-  const update = {
-    type: 'status_change',
-    content: {
-      previousStatus: currentIncident.status,
-      newStatus: status
-    },
-    userId: {
-      _id: socket.user._id,
-      name: socket.user.name,
-      email: socket.user.email
-    },
-    createdAt: new Date()
-  };
-
-  // 7. Broadcast confirmed update to ALL users in room (including sender)
-  io.to(`incident:${incidentId}`).emit('incident:updated', {
-    incidentId,
-    incident,
-    update
-  });
-
-  console.log(`Status updated: ${incidentId} ${currentIncident.status} → ${status} by ${socket.user.name}`);
+  console.log(`Fields updated on ${incidentId} (${updates.map(u => u.content.field).join(', ')}) by ${socket.user.name}`);
 };
 
 /**
@@ -554,7 +584,7 @@ const handleStatusUpdate = async (socket, { incidentId, status }) => {
  * Event contract:
  * Client sends: { incidentId: string, text: string }
  * Server validates: role, text not empty
- * Server broadcasts: { update } to room
+ * Room receives: incident:noteAdded { update }
  *
  * Notes are investigation findings, observations, or decisions.
  * NOT chat messages or casual conversation.
@@ -575,27 +605,7 @@ const handleAddNote = async (socket, { incidentId, text }) => {
   }
 
   // 3. Persist via service
-  const update = await incidentService.addNote(
-    incidentId,
-    text.trim(),
-    socket.user._id
-  );
-
-  // 4. Broadcast to room
-  io.to(`incident:${incidentId}`).emit('incident:noteAdded', {
-    incidentId,
-    update: {
-      _id: update._id,
-      type: 'note',
-      content: { text: update.content.text },
-      userId: {
-        _id: socket.user._id,
-        name: socket.user.name,
-        email: socket.user.email
-      },
-      createdAt: update.createdAt
-    }
-  });
+  await incidentService.addNote(incidentId, text.trim(), socket.user._id);
 
   console.log(`Note added to ${incidentId} by ${socket.user.name}`);
 };
@@ -621,118 +631,337 @@ const handleAssignment = async (socket, { incidentId, targetUserId }) => {
   }
 
   // 3. Persist via service (idempotent - throws if already assigned)
-  const incident = await incidentService.assignUser(
-    incidentId,
-    targetUserId,
-    socket.user._id
-  );
+  await incidentService.assignUser(incidentId, targetUserId, socket.user._id);
 
-  // Find the assigned user details from populated incident
-  const assignedUser = incident.assignees.find(
-    a => a._id.toString() === targetUserId
-  );
+  console.log(`User ${targetUserId} assigned to ${incidentId} by ${socket.user.name}`);
+};
 
-  // 4. Broadcast to room
-  io.to(`incident:${incidentId}`).emit('incident:assigned', {
-    incidentId,
-    incident,
-    update: {
-      type: 'assignment',
-      content: {
-        action: 'assigned',
-        targetUser: assignedUser ? {
-          _id: assignedUser._id,
-          name: assignedUser.name,
-          email: assignedUser.email
-        } : { _id: targetUserId }
-      },
-      userId: {
-        _id: socket.user._id,
-        name: socket.user.name,
-        email: socket.user.email
-      },
-      createdAt: new Date()
-    }
-  });
+/**
+ * Handle user unassignment request
+ *
+ * RBAC: Same rule as assignment - only admins change who is working
+ * the incident.
+ *
+ * Idempotency: If user is not assigned, the service throws
+ * "User not assigned to this incident" - no audit record is written.
+ */
+const handleUnassignment = async (socket, { incidentId, targetUserId }) => {
+  // 1. Authorize - ADMIN ONLY (not just canWrite)
+  if (socket.user.role !== 'admin') {
+    throw new Error('Only administrators can unassign responders');
+  }
 
-  console.log(`User ${targetUserId} assigned to ${incidentId} by ${socket.user.name}`);
+  // 2. Validate input
+  if (!targetUserId) {
+    throw new Error('Target user ID required');
+  }
+
+  // 3. Persist via service (broadcast as incident:unassigned via domain event)
+  await incidentService.unassignUser(incidentId, targetUserId, socket.user._id);
+
+  console.log(`User ${targetUserId} unassigned from ${incidentId} by ${socket.user.name}`);
+};
+
+/**
+ * Handle commander handoff proposal
+ *
+ * RBAC: Requires write access here; the service additionally requires
+ * the current commander or an admin (it knows who commands the incident).
+ *
+ * The commander does not change until the target accepts.
+ */
+const handleProposeHandoff = async (socket, { incidentId, targetUserId, notes }) => {
+  // 1. Authorize
+  if (!canWrite(socket.user)) {
+    throw new Error('Insufficient permissions');
+  }
+
+  // 2. Validate input
+  if (!targetUserId) {
+    throw new Error('Target user ID required');
+  }
+
+  // 3. Persist via service (broadcast as incident:handoffProposed)
+  await incidentService.proposeHandoff(incidentId, targetUserId, notes?.trim(), socket.user._id);
+
+  console.log(`Command of ${incidentId} offered to ${targetUserId} by ${socket.user.name}`);
+};
+
+/**
+ * Handle commander handoff acceptance
+ * Only the proposed commander can accept (enforced by the service)
+ */
+const handleAcceptHandoff = async (socket, { incidentId }) => {
+  // 1. Authorize
+  if (!canWrite(socket.user)) {
+    throw new Error('Insufficient permissions');
+  }
+
+  // 2. Persist via service (broadcast as incident:commanderChanged)
+  await incidentService.respondToHandoff(incidentId, true, socket.user._id);
+
+  console.log(`${socket.user.name} took command of ${incidentId}`);
+};
+
+/**
+ * Handle commander handoff decline
+ * Only the proposed commander can decline (enforced by the service)
+ */
+const handleDeclineHandoff = async (socket, { incidentId, reason }) => {
+  // 1. Authorize
+  if (!canWrite(socket.user)) {
+    throw new Error('Insufficient permissions');
+  }
+
+  // 2. Persist via service (broadcast as incident:handoffDeclined)
+  await incidentService.respondToHandoff(incidentId, false, socket.user._id, reason?.trim());
+
+  console.log(`${socket.user.name} declined command of ${incidentId}`);
+};
+
+/**
+ * Handle response role assignment (scribe, comms_lead, sme)
+ *
+ * RBAC: Requires write access here; the service additionally requires
+ * the incident commander or an admin.
+ */
+const handleAssignRole = async (socket, { incidentId, role, targetUserId }) => {
+  // 1. Authorize
+  if (!canWrite(socket.user)) {
+    throw new Error('Insufficient permissions');
+  }
+
+  // 2. Validate input
+  if (!role || !targetUserId) {
+    throw new Error('Role and target user ID required');
+  }
+
+  // 3. Persist via service (broadcast as incident:rolesUpdated)
+  await incidentService.assignIncidentRole(incidentId, role, targetUserId, socket.user._id);
+
+  console.log(`${role} on ${incidentId} given to ${targetUserId} by ${socket.user.name}`);
+};
+
+/**
+ * Handle response role vacancy
+ * Holders may step down; anyone else needs commander/admin (service)
+ */
+const handleVacateRole = async (socket, { incidentId, role, targetUserId }) => {
+  // 1. Authorize
+  if (!canWrite(socket.user)) {
+    throw new Error('Insufficient permissions');
+  }
+
+  // 2. Validate input
+  if (!role || !targetUserId) {
+    throw new Error('Role and target user ID required');
+  }
+
+  // 3. Persist via service (broadcast as incident:rolesUpdated)
+  await incidentService.vacateIncidentRole(incidentId, role, targetUserId, socket.user._id);
+
+  console.log(`${role} on ${incidentId} vacated by ${socket.user.name}`);
+};
+
+/**
+ * Handle stakeholder update
+ * Only the incident's communications lead may publish (service)
+ */
+const handleStakeholderUpdate = async (socket, { incidentId, text }) => {
+  // 1. Authorize
+  if (!canWrite(socket.user)) {
+    throw new Error('Insufficient permissions');
+  }
+
+  // 2. Validate input
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    throw new Error('Update text cannot be empty');
+  }
+
+  if (text.length > 2000) {
+    throw new Error('Update text cannot exceed 2000 characters');
+  }
+
+  // 3. Persist via service
+  await incidentService.addStakeholderUpdate(incidentId, text.trim(), socket.user._id);
+
+  console.log(`Stakeholder update on ${incidentId} by ${socket.user.name}`);
 };
 
 /**
  * Handle add action item request
+ * Owner, due date and priority are optional
  */
-const handleActionItem = async (socket, { incidentId, text }) => {
+const handleActionItem = async (socket, { incidentId, text, owner, dueDate, priority }) => {
   // 1. Authorize
   if (!canWrite(socket.user)) {
     throw new Error('Insufficient permissions');
   }
 
   // 2. Validate input
-  if (!text || text.trim().length === 0) {
+  if (typeof text !== 'string' || text.trim().length === 0) {
     throw new Error('Action item text cannot be empty');
   }
 
   // 3. Persist via service
-  const update = await incidentService.addActionItem(
+  await actionItemService.createActionItem(
     incidentId,
-    text.trim(),
+    { text: text.trim(), owner, dueDate, priority },
     socket.user._id
   );
 
-  // 4. Broadcast to room
-  io.to(`incident:${incidentId}`).emit('incident:actionItemAdded', {
-    incidentId,
-    update: {
-      _id: update._id,
-      type: 'action_item',
-      content: {
-        text: update.content.text,
-        completed: false
-      },
-      userId: {
-        _id: socket.user._id,
-        name: socket.user.name,
-        email: socket.user.email
-      },
-      createdAt: update.createdAt
-    }
-  });
-
   console.log(`Action item added to ${incidentId} by ${socket.user.name}`);
 };
 
 /**
- * Handle toggle action item completion
+ * Handle action item change (status, owner, due date, priority, text)
  *
- * Idempotency: Uses explicit boolean value (not toggle).
- * Calling with completed=true when already true is a no-op.
+ * Idempotency: Sends explicit values (not toggles).
+ * Setting a field to its current value is a no-op (no audit entry).
  * This is intentional for reliability on reconnects.
  */
-const handleToggleActionItem = async (socket, { incidentId, updateId, completed }) => {
+const handleUpdateActionItem = async (socket, { actionItemId, changes }) => {
   // 1. Authorize
   if (!canWrite(socket.user)) {
     throw new Error('Insufficient permissions');
   }
 
-  // 2. Persist via service
-  const update = await incidentService.toggleActionItem(
-    updateId,
-    completed,
-    socket.user._id
-  );
+  // 2. Validate input
+  if (!changes || typeof changes !== 'object') {
+    throw new Error('No changes provided');
+  }
+  if (changes.text !== undefined && !String(changes.text).trim()) {
+    throw new Error('Action item text cannot be empty');
+  }
 
-  // 3. Broadcast to room
-  io.to(`incident:${incidentId}`).emit('incident:actionItemToggled', {
-    incidentId,
-    updateId,
-    completed: update.content.completed,
-    toggledBy: {
-      _id: socket.user._id,
-      name: socket.user.name
+  // 3. Persist via service
+  await actionItemService.updateActionItem(actionItemId, changes, socket.user._id);
+
+  console.log(`Action item ${actionItemId} updated by ${socket.user.name}`);
+};
+
+// ═══════════════════════════════════════════════════════════════
+// DOMAIN EVENT BROADCASTS
+// Single subscriber for every write path (REST, socket, integrations)
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Subscribe to incidentService domain events and fan them out
+ *
+ * This is the ONLY place incident mutations are broadcast. Handlers
+ * above and REST routes just call the service; the service publishes
+ * once the change is persisted, and this maps it onto the room
+ * events the client already listens for.
+ *
+ * Registered once per process (initializeSocket is called once).
+ */
+const registerDomainEventBroadcasts = () => {
+  const toRoom = (incidentId) => io.to(`incident:${incidentId}`);
+
+  domainEvents.subscribe(INCIDENT_EVENTS.CREATED, ({ incident }) => {
+    // Dashboards are not in a room, so new incidents go to everyone
+    io.emit('incident:created', { incident });
+  });
+
+  domainEvents.subscribe(INCIDENT_EVENTS.STATUS_CHANGED, ({ incidentId, incident, update }) => {
+    toRoom(incidentId).emit('incident:updated', { incidentId, incident, update });
+  });
+
+  domainEvents.subscribe(INCIDENT_EVENTS.FIELDS_UPDATED, ({ incidentId, incident, updates }) => {
+    toRoom(incidentId).emit('incident:fieldsUpdated', { incidentId, incident, updates });
+  });
+
+  domainEvents.subscribe(INCIDENT_EVENTS.ASSIGNED, ({ incidentId, incident, update }) => {
+    toRoom(incidentId).emit('incident:assigned', { incidentId, incident, update });
+  });
+
+  domainEvents.subscribe(INCIDENT_EVENTS.UNASSIGNED, ({ incidentId, incident, update }) => {
+    toRoom(incidentId).emit('incident:unassigned', { incidentId, incident, update });
+  });
+
+  domainEvents.subscribe(INCIDENT_EVENTS.HANDOFF_PROPOSED, ({ incidentId, incident, update }) => {
+    toRoom(incidentId).emit('incident:handoffProposed', { incidentId, incident, update });
+  });
+
+  domainEvents.subscribe(INCIDENT_EVENTS.COMMANDER_CHANGED, ({ incidentId, incident, update }) => {
+    toRoom(incidentId).emit('incident:commanderChanged', { incidentId, incident, update });
+  });
+
+  domainEvents.subscribe(INCIDENT_EVENTS.HANDOFF_DECLINED, ({ incidentId, incident, update }) => {
+    toRoom(incidentId).emit('incident:handoffDeclined', { incidentId, incident, update });
+  });
+
+  domainEvents.subscribe(INCIDENT_EVENTS.ROLES_UPDATED, ({ incidentId, incident, updates }) => {
+    toRoom(incidentId).emit('incident:rolesUpdated', { incidentId, incident, updates });
+  });
+
+  domainEvents.subscribe(INCIDENT_EVENTS.STAKEHOLDER_UPDATE_ADDED, ({ incidentId, update }) => {
+    toRoom(incidentId).emit('incident:stakeholderUpdateAdded', { incidentId, update });
+  });
+
+  domainEvents.subscribe(INCIDENT_EVENTS.PUBLIC_UPDATE_ADDED, ({ incidentId, publicUpdate, update }) => {
+    toRoom(incidentId).emit('incident:publicUpdateAdded', { incidentId, publicUpdate, update });
+  });
+
+  domainEvents.subscribe(INCIDENT_EVENTS.RELATIONSHIPS_UPDATED, ({ incidentId, incident, updates }) => {
+    toRoom(incidentId).emit('incident:relationshipsUpdated', { incidentId, incident, updates });
+  });
+
+  domainEvents.subscribe(INCIDENT_EVENTS.MERGED, ({ incidentId, incident, updates, primary }) => {
+    // Viewers of the duplicate are sent to the primary
+    toRoom(incidentId).emit('incident:merged', {
+      incidentId,
+      incident,
+      updates,
+      mergedInto: { _id: primary._id, title: primary.title }
+    });
+  });
+
+  domainEvents.subscribe(INCIDENT_EVENTS.POSTMORTEM_UPDATED, ({ incidentId, postmortem }) => {
+    // Summary only: the review itself is edited over REST
+    toRoom(incidentId).emit('incident:postmortemUpdated', {
+      incidentId,
+      postmortem: { _id: postmortem._id, status: postmortem.status }
+    });
+  });
+
+  domainEvents.subscribe(INCIDENT_EVENTS.NOTE_ADDED, ({ incidentId, update }) => {
+    toRoom(incidentId).emit('incident:noteAdded', { incidentId, update });
+  });
+
+  domainEvents.subscribe(INCIDENT_EVENTS.ACTION_ITEM_ADDED, ({ incidentId, actionItem, update }) => {
+    toRoom(incidentId).emit('incident:actionItemAdded', { incidentId, actionItem, update });
+  });
+
+  domainEvents.subscribe(INCIDENT_EVENTS.ACTION_ITEM_UPDATED, ({ incidentId, actionItem, updates }) => {
+    toRoom(incidentId).emit('incident:actionItemUpdated', { incidentId, actionItem, updates });
+  });
+
+  domainEvents.subscribe(ACCOUNT_EVENTS.USER_UPDATED, ({ userId, user }) => {
+    const room = `user:${userId}`;
+
+    // Accounts that may no longer sign in lose their connections
+    if (user.status !== 'active') {
+      io.in(room).disconnectSockets(true);
+      return;
     }
+
+    // socket.user was loaded at handshake; permission checks read it
+    const socketIds = io.of('/').adapter.rooms.get(room) || new Set();
+    socketIds.forEach((socketId) => {
+      const socket = io.sockets.sockets.get(socketId);
+      if (socket) socket.user = user;
+    });
+
+    io.to(room).emit('session:roleChanged', { user });
   });
 
-  console.log(`Action item ${updateId} toggled to ${completed} by ${socket.user.name}`);
+  domainEvents.subscribe(ACCOUNT_EVENTS.SESSIONS_REVOKED, ({ sessionIds }) => {
+    // The handshake check only runs on connect; end open connections too
+    sessionIds.forEach((sessionId) => {
+      io.in(`session:${sessionId}`).disconnectSockets(true);
+    });
+  });
 };
 
 // ═══════════════════════════════════════════════════════════════
@@ -0,0 +1,63 @@
+/**
+ * Audit Chain Helpers
+ * Hashing for the per-incident chain of IncidentUpdate entries
+ *
+ * Each entry stores sha256(previousHash + canonical JSON of the entry),
+ * so editing, removing or reordering an entry breaks every hash after
+ * it. Canonical JSON sorts object keys and writes ObjectIds as hex and
+ * dates as ISO strings, so a document hashes the same before insert and
+ * when read back.
+ */
+const crypto = require('crypto');
+
+// First entry of every chain links to this instead of a previous hash
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Convert a value to a JSON-safe form with a stable key order
+ */
+const canonicalize = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value._bsontype === 'ObjectId') return value.toHexString();
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (typeof value === 'object') {
+    return Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .reduce((result, key) => {
+        result[key] = canonicalize(value[key]);
+        return result;
+      }, {});
+  }
+  return value;
+};
+
+/**
+ * Hash one entry
+ * @param {Object} entry - Plain entry ({ _id, incidentId, sequence, userId,
+ *   type, content, createdAt }); other fields are ignored
+ * @param {string} previousHash - Hash of the entry before it (GENESIS_HASH for the first)
+ * @returns {string} - Hex sha256
+ */
+const hashEntry = (entry, previousHash) => {
+  const payload = canonicalize({
+    _id: entry._id,
+    incidentId: entry.incidentId,
+    sequence: entry.sequence,
+    userId: entry.userId,
+    type: entry.type,
+    content: entry.content || {},
+    createdAt: entry.createdAt
+  });
+
+  return crypto
+    .createHash('sha256')
+    .update(`${previousHash}.${JSON.stringify(payload)}`)
+    .digest('hex');
+};
+
+module.exports = {
+  GENESIS_HASH,
+  hashEntry
+};
@@ -0,0 +1,96 @@
+/**
+ * Feed Helpers
+ * JSON Feed 1.1 and RSS 2.0 documents for the public status page
+ *
+ * Both take the same input so the routes stay format-agnostic:
+ *   meta:  { title, url, feedUrl }
+ *   items: [{ id, title, content, url, publishedAt }]
+ */
+
+const STATUS_LABELS = {
+  investigating: 'Investigating',
+  identified: 'Identified',
+  monitoring: 'Monitoring',
+  resolved: 'Resolved'
+};
+
+/**
+ * Escape text for XML element content
+ */
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Turn public updates (statusPageService.getPublicFeed) into feed items
+ * @param {Array} updates - [{ id, status, message, createdAt, incident: { id, title } }]
+ * @param {string} statusPageUrl - Public status page URL
+ * @returns {Array} - Feed items
+ */
+const toFeedItems = (updates, statusPageUrl) =>
+  updates.map((update) => ({
+    id: update.id,
+    title: `${update.incident.title}: ${STATUS_LABELS[update.status] || update.status}`,
+    content: update.message,
+    url: `${statusPageUrl}/incidents/${update.incident.id}`,
+    publishedAt: update.createdAt
+  }));
+
+/**
+ * Build a JSON Feed 1.1 document
+ * @returns {Object}
+ */
+const renderJsonFeed = (meta, items) => ({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: meta.title,
+  home_page_url: meta.url,
+  feed_url: meta.feedUrl,
+  items: items.map((item) => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    content_text: item.content,
+    date_published: new Date(item.publishedAt).toISOString()
+  }))
+});
+
+/**
+ * Build an RSS 2.0 document
+ * @returns {string} - XML
+ */
+const renderRss = (meta, items) => {
+  const entries = items.map((item) => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.url)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+    `      <pubDate>${new Date(item.publishedAt).toUTCString()}</pubDate>`,
+    `      <description>${escapeXml(item.content)}</description>`,
+    '    </item>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(meta.title)}</title>`,
+    `    <link>${escapeXml(meta.url)}</link>`,
+    `    <description>${escapeXml(`Incident updates for ${meta.title}`)}</description>`,
+    `    <atom:link href="${escapeXml(meta.feedUrl)}" rel="self" type="application/rss+xml" />`,
+    ...(items[0] ? [`    <lastBuildDate>${new Date(items[0].publishedAt).toUTCString()}</lastBuildDate>`] : []),
+    ...entries,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+};
+
+module.exports = {
+  toFeedItems,
+  renderJsonFeed,
+  renderRss
+};
@@ -0,0 +1,135 @@
+/**
+ * Cursor Pagination Helpers
+ * Keyset pagination over a sort field + _id tiebreaker
+ *
+ * Why cursors instead of skip/limit?
+ * - skip() scans every skipped document, so deep pages get slower
+ * - New incidents arriving in real time shift offsets; a cursor
+ *   ("everything after this record") never repeats or skips rows
+ *
+ * A cursor is an opaque base64 string of { v: sortValue, id: _id }.
+ */
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+/**
+ * Build a 400 error for malformed pagination input
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Clamp a requested page size
+ * @param {string|number} limit
+ * @returns {number}
+ */
+const parseLimit = (limit) => {
+  const parsed = parseInt(limit, 10);
+  if (Number.isNaN(parsed) || parsed < 1) return DEFAULT_LIMIT;
+  return Math.min(parsed, MAX_LIMIT);
+};
+
+/**
+ * Encode the position after a document
+ * @param {Object} doc - Last document of the page
+ * @param {string} field - Sort field
+ * @returns {string} - Opaque cursor
+ */
+const encodeCursor = (doc, field) => {
+  const value = doc[field];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: doc._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Whether a decoded sort value is one encodeCursor could have written
+ * Cursors come back from clients, so anything else (e.g. { $ne: null })
+ * would reach the query as an operator. null is an unset sort field
+ * (an action item without a due date).
+ */
+const isCursorValue = (v, d) => {
+  if (d) return typeof v === 'string' && !Number.isNaN(new Date(v).getTime());
+  return v === null || typeof v === 'string' || Number.isFinite(v);
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor
+ * @returns {Object} - { value, id }
+ * @throws {Error} - 400 if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(id)) throw new Error('bad id');
+    if (!isCursorValue(v, d)) throw new Error('bad value');
+    return {
+      value: d ? new Date(v) : v,
+      id: new mongoose.Types.ObjectId(id)
+    };
+  } catch (err) {
+    throw badRequest('Invalid cursor');
+  }
+};
+
+/**
+ * Build the sort spec and the "after cursor" condition
+ * @param {string} field - Sort field
+ * @param {number} direction - 1 ascending, -1 descending
+ * @param {string} [cursor] - Cursor from the previous page
+ * @returns {Object} - { sort, condition } (condition is null for the first page)
+ */
+const buildCursorQuery = (field, direction, cursor) => {
+  const sort = { [field]: direction, _id: direction };
+  if (!cursor) return { sort, condition: null };
+
+  const { value, id } = decodeCursor(cursor);
+  const op = direction === 1 ? '$gt' : '$lt';
+
+  return {
+    sort,
+    condition: {
+      $or: [
+        { [field]: { [op]: value } },
+        { [field]: value, _id: { [op]: id } }
+      ]
+    }
+  };
+};
+
+/**
+ * Split a limit+1 result into a page and the next cursor
+ * @param {Array} docs - Results fetched with limit + 1
+ * @param {number} limit
+ * @param {string} field - Sort field
+ * @returns {Object} - { items, nextCursor, hasMore }
+ */
+const toPage = (docs, limit, field) => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], field) : null,
+    hasMore
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery,
+  toPage
+};
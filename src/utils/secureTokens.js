@@ -0,0 +1,32 @@
+/**
+ * Secure Token Helpers
+ * Random bearer tokens that are stored only as a hash
+ *
+ * Used for invitation links, refresh tokens and integration keys; the
+ * plain token is shown once. Tokens are long random strings, so a fast
+ * unsalted SHA-256 is enough (no dictionary to attack) and allows an
+ * indexed lookup.
+ */
+const crypto = require('crypto');
+
+/**
+ * Generate a token
+ * @param {string} prefix - Tells token kinds apart, e.g. 'inv_'
+ * @returns {Object} - { token, tokenHash }
+ */
+const generateSecureToken = (prefix) => {
+  const token = `${prefix}${crypto.randomBytes(32).toString('base64url')}`;
+  return { token, tokenHash: hashSecureToken(token) };
+};
+
+/**
+ * Hash a presented token for lookup
+ * @param {string} token
+ * @returns {string} - Hex SHA-256
+ */
+const hashSecureToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = {
+  generateSecureToken,
+  hashSecureToken
+};
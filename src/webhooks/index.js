@@ -0,0 +1,149 @@
+/**
+ * Webhook Dispatch
+ * Turns domain events into outbound webhook deliveries
+ *
+ * ARCHITECTURE:
+ * ─────────────────────────
+ * Subscribes to the same domain events as the socket broadcasts
+ * (src/socket registerDomainEventBroadcasts), so every write path that
+ * reaches an incident room also reaches webhook subscribers.
+ *
+ *   Service → publish() → socket subscriber  → incident:{id} room
+ *                       → webhook subscriber → WebhookDelivery (queued)
+ *                                            → delivery worker → HTTP POST
+ *
+ * Payloads are plain JSON snapshots (IDs as strings, users as
+ * { id, name }) so receivers never see internal document shapes.
+ */
+const domainEvents = require('../events');
+const { INCIDENT_EVENTS } = domainEvents;
+const { incidentService, webhookService } = require('../services');
+
+// How often the worker looks for due retries
+const WORKER_INTERVAL_MS = 5 * 1000;
+
+let workerTimer = null;
+let workerRunning = false;
+
+/**
+ * { id, name } for a populated user reference
+ */
+const toUser = (user) => (user ? { id: user._id.toString(), name: user.name } : null);
+
+/**
+ * Public snapshot of an incident
+ */
+const toIncident = (incident) => ({
+  id: incident._id.toString(),
+  title: incident.title,
+  description: incident.description,
+  severity: incident.severity,
+  status: incident.status,
+  incidentType: incident.incidentType,
+  commander: toUser(incident.commander),
+  assignees: (incident.assignees || []).map(toUser),
+  createdAt: incident.createdAt,
+  resolvedAt: incident.resolvedAt || null
+});
+
+/**
+ * Public snapshot of a timeline entry
+ */
+const toUpdate = (update) => ({
+  id: update._id.toString(),
+  type: update.type,
+  user: toUser(update.userId),
+  createdAt: update.createdAt
+});
+
+/**
+ * Attempt due deliveries unless a run is already in progress
+ */
+const runWorker = async () => {
+  if (workerRunning) return;
+  workerRunning = true;
+
+  try {
+    await webhookService.processDueDeliveries();
+  } catch (error) {
+    console.error('Webhook worker error:', error.message);
+  } finally {
+    workerRunning = false;
+  }
+};
+
+/**
+ * Queue a webhook event and send it right away
+ */
+const dispatch = async (event, incidentId, data) => {
+  const deliveries = await webhookService.enqueueEvent(event, incidentId, data);
+  if (deliveries.length > 0) runWorker();
+};
+
+/**
+ * Subscribe webhook dispatch to domain events
+ */
+const registerWebhookDispatch = () => {
+  domainEvents.subscribe(INCIDENT_EVENTS.CREATED, ({ incidentId, incident, update }) =>
+    dispatch('incident.created', incidentId, {
+      incident: toIncident(incident),
+      update: toUpdate(update)
+    })
+  );
+
+  domainEvents.subscribe(INCIDENT_EVENTS.STATUS_CHANGED, ({ incidentId, incident, update }) =>
+    dispatch('incident.status_changed', incidentId, {
+      incident: toIncident(incident),
+      previousStatus: update.content.previousStatus,
+      newStatus: update.content.newStatus,
+      update: toUpdate(update)
+    })
+  );
+
+  domainEvents.subscribe(INCIDENT_EVENTS.ASSIGNED, ({ incidentId, incident, update }) =>
+    dispatch('incident.assigned', incidentId, {
+      incident: toIncident(incident),
+      assignee: toUser(update.content.targetUserId),
+      update: toUpdate(update)
+    })
+  );
+
+  // Note events carry no incident; load it for the snapshot
+  domainEvents.subscribe(INCIDENT_EVENTS.NOTE_ADDED, async ({ incidentId, update }) => {
+    const incident = await incidentService.getIncidentById(incidentId);
+    return dispatch('incident.note_added', incidentId, {
+      incident: toIncident(incident),
+      note: { ...toUpdate(update), text: update.content.text }
+    });
+  });
+
+  domainEvents.subscribe(INCIDENT_EVENTS.RESOLVED, ({ incidentId, incident, update }) =>
+    dispatch('incident.resolved', incidentId, {
+      incident: toIncident(incident),
+      resolvedStatus: update.content.newStatus,
+      update: toUpdate(update)
+    })
+  );
+};
+
+/**
+ * Start the retry worker (also sends anything queued before a restart)
+ * @returns {Function} - Stops the worker
+ */
+const startDeliveryWorker = () => {
+  if (!workerTimer) {
+    workerTimer = setInterval(runWorker, WORKER_INTERVAL_MS);
+    workerTimer.unref();
+    runWorker();
+  }
+
+  return () => {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  };
+};
+
+module.exports = {
+  registerWebhookDispatch,
+  startDeliveryWorker
+};
@@ -0,0 +1,75 @@
+/**
+ * Test helpers
+ * Service tests run without MongoDB: model calls are stubbed with
+ * node:test mocks (restored by each file's afterEach).
+ */
+const { mock } = require('node:test');
+const { IncidentUpdate } = require('../../src/models');
+
+/**
+ * Stand-in for a Mongoose query: chainable and awaitable
+ * @param {*} value - What the query resolves to
+ */
+const query = (value) => ({
+  select() { return this; },
+  populate() { return this; },
+  sort() { return this; },
+  lean() { return this; },
+  then(resolve, reject) { return Promise.resolve(value).then(resolve, reject); }
+});
+
+/**
+ * Stub audit inserts, validating entries against the IncidentUpdate
+ * schema the way insertMany would
+ * @param {Array} [steps] - Gets 'audit.insert' per insert, to check ordering
+ * @returns {Array} - Entries inserted so far
+ */
+const captureAuditInserts = (steps = []) => {
+  const appended = [];
+  mock.method(IncidentUpdate, 'insertMany', async (docs) => {
+    docs.forEach((doc) => {
+      const error = doc.validateSync();
+      if (error) throw error;
+    });
+    steps.push('audit.insert');
+    appended.push(...docs);
+    return docs;
+  });
+  return appended;
+};
+
+/**
+ * Stand-in for an Express response: records status, headers and body
+ */
+const response = () => ({
+  statusCode: 200,
+  headers: {},
+  body: undefined,
+  set(name, value) { this.headers[name] = value; return this; },
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+/**
+ * Run an Express middleware (or a list of them, in order)
+ * @returns {Object} - { res, passed (every next() was called), error }
+ */
+const runMiddleware = async (middleware, req, res = response()) => {
+  let error = null;
+  for (const handler of [].concat(middleware)) {
+    let passed = false;
+    await handler(req, res, (err) => {
+      passed = !err;
+      error = err || null;
+    });
+    if (!passed) return { res, passed: false, error };
+  }
+  return { res, passed: true, error };
+};
+
+module.exports = {
+  query,
+  captureAuditInserts,
+  response,
+  runMiddleware
+};
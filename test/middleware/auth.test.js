@@ -0,0 +1,94 @@
+/**
+ * middleware/auth authenticateHTTP / authenticateSocket
+ * An access token only works while its session is live, so revoking a
+ * session locks it out of REST and sockets before the token expires
+ */
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const config = require('../../src/config');
+const { Session, User } = require('../../src/models');
+const { authenticateHTTP, authenticateSocket, generateToken } = require('../../src/middleware/auth');
+const { query, runMiddleware } = require('../helpers');
+
+const user = new User({ email: 'ana@example.com', name: 'Ana', passwordHash: 'x', role: 'responder' });
+const sessionId = new mongoose.Types.ObjectId();
+const token = generateToken(user._id, sessionId);
+
+/**
+ * Back Session.exists with one session, revoked or not
+ */
+const stubSession = (revoked) => {
+  const exists = mock.method(Session, 'exists', async (filter) => (
+    !revoked && filter._id === sessionId.toString() && filter.revokedAt === null ? { _id: sessionId } : null
+  ));
+  const findUser = mock.method(User, 'findById', () => query(user));
+  return { exists, findUser };
+};
+
+const httpRequest = (accessToken) => ({ headers: { authorization: `Bearer ${accessToken}` } });
+
+/**
+ * Run authenticateSocket on a handshake
+ * @returns {Object} - { socket, error }
+ */
+const connect = async (accessToken) => {
+  const socket = { handshake: { auth: { token: accessToken } } };
+  let error;
+  await authenticateSocket(socket, (err) => { error = err; });
+  return { socket, error };
+};
+
+afterEach(() => mock.restoreAll());
+
+test('a live session authenticates REST requests', async () => {
+  stubSession(false);
+  const req = httpRequest(token);
+
+  const { passed } = await runMiddleware(authenticateHTTP, req);
+
+  assert.equal(passed, true);
+  assert.equal(req.user, user);
+  assert.equal(req.sessionId, sessionId.toString());
+});
+
+test('a revoked session is refused on REST although its token is still valid', async () => {
+  const { findUser } = stubSession(true);
+
+  const { passed, res } = await runMiddleware(authenticateHTTP, httpRequest(token));
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.error, 'Session revoked');
+  assert.equal(findUser.mock.callCount(), 0);
+});
+
+test('tokens issued without a session are refused', async () => {
+  const exists = mock.method(Session, 'exists', async () => ({ _id: sessionId }));
+  const legacy = jwt.sign({ userId: user.id }, config.jwt.secret);
+
+  const { res } = await runMiddleware(authenticateHTTP, httpRequest(legacy));
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(exists.mock.callCount(), 0);
+});
+
+test('a live session authenticates socket connections', async () => {
+  stubSession(false);
+
+  const { socket, error } = await connect(token);
+
+  assert.equal(error, undefined);
+  assert.equal(socket.user, user);
+  assert.equal(socket.sessionId, sessionId.toString());
+});
+
+test('a revoked session cannot open a socket', async () => {
+  stubSession(true);
+
+  const { socket, error } = await connect(token);
+
+  assert.equal(error.message, 'Session revoked');
+  assert.equal(socket.user, undefined);
+});
@@ -0,0 +1,138 @@
+/**
+ * middleware/rateLimit (memory store)
+ * Per-IP, per-email and per-user windows, 429 with Retry-After, and the
+ * paths the write limit leaves alone
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const config = require('../../src/config');
+const { runMiddleware } = require('../helpers');
+
+// Limits are read when the middleware module loads
+config.rateLimit = {
+  ...config.rateLimit,
+  store: 'memory',
+  authMaxPerIp: 3,
+  loginMaxPerAccount: 2,
+  maxPerIp: 4,
+  max: 2
+};
+const {
+  rateLimit,
+  resetRateLimit,
+  credentialRateLimit,
+  loginRateLimit,
+  writeRateLimit
+} = require('../../src/middleware/rateLimit');
+
+const request = (overrides = {}) => ({
+  ip: '203.0.113.10',
+  method: 'POST',
+  originalUrl: '/api/incidents',
+  headers: {},
+  body: {},
+  ...overrides
+});
+
+/**
+ * Send the same request n times, returning the last result
+ */
+const repeat = async (middleware, n, req) => {
+  let result;
+  for (let i = 0; i < n; i += 1) {
+    result = await runMiddleware(middleware, req());
+  }
+  return result;
+};
+
+test('requests over the limit get 429 with Retry-After', async () => {
+  const limiter = rateLimit({ name: 'test-window', max: 2, windowMs: 60 * 1000, keyOf: (req) => req.ip });
+
+  assert.equal((await repeat(limiter, 2, request)).passed, true);
+
+  const { res, passed } = await runMiddleware(limiter, request());
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 429);
+  const retryAfter = Number(res.headers['Retry-After']);
+  assert.ok(retryAfter > 0 && retryAfter <= 60, `Retry-After ${retryAfter}`);
+  assert.equal(res.body.details.retryAfter, retryAfter);
+});
+
+test('a new window starts once the old one ends', async () => {
+  const limiter = rateLimit({ name: 'test-expiry', max: 1, windowMs: 20, keyOf: (req) => req.ip });
+
+  assert.equal((await runMiddleware(limiter, request())).passed, true);
+  assert.equal((await runMiddleware(limiter, request())).passed, false);
+
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal((await runMiddleware(limiter, request())).passed, true);
+});
+
+test('credential endpoints are limited per IP', async () => {
+  const fromIp = (ip) => () => request({ ip, originalUrl: '/api/auth/register' });
+
+  assert.equal((await repeat(credentialRateLimit, 3, fromIp('198.51.100.1'))).passed, true);
+  assert.equal((await runMiddleware(credentialRateLimit, fromIp('198.51.100.1')())).res.statusCode, 429);
+
+  // Another client is unaffected
+  assert.equal((await runMiddleware(credentialRateLimit, fromIp('198.51.100.2')())).passed, true);
+});
+
+test('sign-in attempts are limited per email from any IP', async () => {
+  const login = (email, ip) => request({ ip, originalUrl: '/api/auth/login', body: { email } });
+
+  assert.equal((await runMiddleware(loginRateLimit, login('ana@example.com', '198.51.100.3'))).passed, true);
+  // Same account, differently written, from another IP
+  assert.equal((await runMiddleware(loginRateLimit, login(' Ana@Example.com', '198.51.100.4'))).passed, true);
+  assert.equal((await runMiddleware(loginRateLimit, login('ana@example.com', '198.51.100.5'))).res.statusCode, 429);
+
+  assert.equal((await runMiddleware(loginRateLimit, login('bo@example.com', '198.51.100.3'))).passed, true);
+  // Without an email there is no account to count against
+  assert.equal((await repeat(loginRateLimit, 5, () => login(undefined, '198.51.100.3'))).passed, true);
+});
+
+test('a reset lets the client in again', async () => {
+  const login = () => request({ originalUrl: '/api/auth/login', body: { email: 'cy@example.com' } });
+  await repeat(loginRateLimit, 3, login);
+  assert.equal((await runMiddleware(loginRateLimit, login())).passed, false);
+
+  await resetRateLimit('login-account', 'cy@example.com');
+  assert.equal((await runMiddleware(loginRateLimit, login())).passed, true);
+});
+
+test('write requests are limited per signed-in user across IPs', async () => {
+  const token = jwt.sign({ userId: 'user-1' }, config.jwt.secret);
+  const write = (ip) => () => request({ ip, headers: { authorization: `Bearer ${token}` } });
+
+  assert.equal((await runMiddleware(writeRateLimit, write('198.51.100.6')())).passed, true);
+  assert.equal((await runMiddleware(writeRateLimit, write('198.51.100.7')())).passed, true);
+  assert.equal((await runMiddleware(writeRateLimit, write('198.51.100.8')())).res.statusCode, 429);
+
+  // A forged token spends nobody's budget but the IP's
+  const forged = jwt.sign({ userId: 'user-1' }, 'not-the-secret');
+  const { passed } = await runMiddleware(
+    writeRateLimit,
+    request({ ip: '198.51.100.9', headers: { authorization: `Bearer ${forged}` } })
+  );
+  assert.equal(passed, true);
+});
+
+test('token refresh, logout, reads and alerts do not use the write budget', async () => {
+  const ip = '198.51.100.10';
+  const exempt = [
+    { originalUrl: '/api/auth/refresh' },
+    { originalUrl: '/api/auth/logout' },
+    { originalUrl: '/api/integrations/alerts' },
+    { method: 'GET', originalUrl: '/api/incidents' }
+  ];
+
+  for (const overrides of exempt) {
+    const result = await repeat(writeRateLimit, 6, () => request({ ip, ...overrides }));
+    assert.equal(result.passed, true, overrides.originalUrl);
+  }
+
+  // The IP's whole write budget is still there
+  assert.equal((await repeat(writeRateLimit, 4, () => request({ ip }))).passed, true);
+  assert.equal((await runMiddleware(writeRateLimit, request({ ip }))).res.statusCode, 429);
+});
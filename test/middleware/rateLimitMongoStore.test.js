@@ -0,0 +1,85 @@
+/**
+ * middleware/rateLimit (mongo store)
+ * Counters shared through RateLimitCounter: one upsert per request, a
+ * retry when two first requests race, and resets by key
+ *
+ * The store is picked on first use, so this file runs apart from the
+ * memory store tests. RateLimitCounter calls are stubbed.
+ */
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../../src/config');
+const { RateLimitCounter } = require('../../src/models');
+const { runMiddleware } = require('../helpers');
+
+config.rateLimit = { ...config.rateLimit, store: 'mongo' };
+const { rateLimit, resetRateLimit } = require('../../src/middleware/rateLimit');
+
+const WINDOW_MS = 60 * 1000;
+
+const limiter = rateLimit({ name: 'test-ip', max: 2, windowMs: WINDOW_MS, keyOf: (req) => req.ip });
+const request = () => ({ ip: '203.0.113.20', method: 'POST', originalUrl: '/api/incidents', headers: {} });
+
+/**
+ * Counter documents as MongoDB would return them after each upsert
+ */
+const stubCounter = () => {
+  let count = 0;
+  const resetAt = new Date(Date.now() + WINDOW_MS);
+  return mock.method(RateLimitCounter, 'findOneAndUpdate', async () => {
+    count += 1;
+    return { count, resetAt };
+  });
+};
+
+afterEach(() => mock.restoreAll());
+
+test('each request is one upsert of the limiter and client key', async () => {
+  const upsert = stubCounter();
+
+  assert.equal((await runMiddleware(limiter, request())).passed, true);
+
+  const [filter, pipeline, options] = upsert.mock.calls[0].arguments;
+  assert.deepEqual(filter, { key: 'test-ip:203.0.113.20' });
+  assert.deepEqual(Object.keys(pipeline[0].$set), ['count', 'resetAt']);
+  assert.deepEqual(options, { upsert: true, new: true });
+});
+
+test('the shared count decides, with Retry-After from the stored window', async () => {
+  stubCounter();
+
+  await runMiddleware(limiter, request());
+  await runMiddleware(limiter, request());
+  const { res, passed } = await runMiddleware(limiter, request());
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 429);
+  assert.ok(Number(res.headers['Retry-After']) > WINDOW_MS / 1000 - 5);
+});
+
+test('a duplicate key from a racing first request is retried once', async () => {
+  const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+  let calls = 0;
+  mock.method(RateLimitCounter, 'findOneAndUpdate', async () => {
+    calls += 1;
+    if (calls === 1) throw duplicate;
+    return { count: 2, resetAt: new Date(Date.now() + WINDOW_MS) };
+  });
+
+  assert.equal((await runMiddleware(limiter, request())).passed, true);
+  assert.equal(calls, 2);
+
+  // A second duplicate is not a race any more
+  mock.method(RateLimitCounter, 'findOneAndUpdate', async () => { throw duplicate; });
+  const { passed, error } = await runMiddleware(limiter, request());
+  assert.equal(passed, false);
+  assert.equal(error, duplicate);
+});
+
+test('a reset deletes the counter', async () => {
+  const deleteOne = mock.method(RateLimitCounter, 'deleteOne', async () => ({ deletedCount: 1 }));
+
+  await resetRateLimit('login-account', 'ana@example.com');
+
+  assert.deepEqual(deleteOne.mock.calls[0].arguments, [{ key: 'login-account:ana@example.com' }]);
+});
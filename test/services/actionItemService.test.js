@@ -0,0 +1,144 @@
+/**
+ * actionItemService.migrateLegacyActionItems / updateActionItem
+ * Legacy entries migrated by another instance are skipped, not fatal;
+ * only active people can own an action item
+ */
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { ActionItem, IncidentUpdate, User } = require('../../src/models');
+const { actionItemService } = require('../../src/services');
+const { query } = require('../helpers');
+
+const legacyEntry = (text) => ({
+  _id: new mongoose.Types.ObjectId(),
+  incidentId: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  type: 'action_item',
+  content: { text, completed: false },
+  createdAt: new Date()
+});
+
+const bulkWriteError = (codes, insertedCount) => Object.assign(new Error('bulk write failed'), {
+  name: 'MongoBulkWriteError',
+  code: codes[0],
+  writeErrors: codes.map((code) => ({ code })),
+  result: { insertedCount }
+});
+
+/**
+ * ActionItem collection whose unique legacyUpdateId index exists only
+ * once init() has finished building it
+ */
+const stubActionItems = () => {
+  const items = [];
+  let indexBuilt = false;
+
+  mock.method(ActionItem, 'init', async () => {
+    await new Promise((resolve) => setImmediate(resolve));
+    indexBuilt = true;
+  });
+  mock.method(ActionItem, 'countDocuments', async () => items.length);
+  mock.method(ActionItem, 'insertMany', async (docs) => {
+    const codes = [];
+    docs.forEach((doc) => {
+      const taken = items.some((item) => item.legacyUpdateId.equals(doc.legacyUpdateId));
+      if (indexBuilt && taken) {
+        codes.push(11000);
+      } else {
+        items.push(doc);
+      }
+    });
+    if (codes.length > 0) throw bulkWriteError(codes, docs.length - codes.length);
+    return docs;
+  });
+
+  return items;
+};
+
+afterEach(() => mock.restoreAll());
+
+test('entries another instance already migrated are skipped', async () => {
+  const legacy = [legacyEntry('Rotate keys'), legacyEntry('Add alert')];
+  mock.method(IncidentUpdate, 'countDocuments', async () => 2);
+  mock.method(ActionItem, 'countDocuments', async () => 1);
+  mock.method(ActionItem, 'init', async () => {});
+  mock.method(IncidentUpdate, 'find', () => query(legacy));
+  const insertMany = mock.method(ActionItem, 'insertMany', async () => {
+    throw bulkWriteError([11000], 1);
+  });
+  const logged = mock.method(console, 'log', () => {});
+
+  await actionItemService.migrateLegacyActionItems();
+
+  const [docs, options] = insertMany.mock.calls[0].arguments;
+  assert.deepEqual(docs.map((doc) => doc.legacyUpdateId), legacy.map((entry) => entry._id));
+  assert.equal(options.ordered, false);
+  assert.equal(logged.mock.calls[0].arguments[0], 'Migrated 1 legacy action items');
+});
+
+test('nothing is read once every entry is migrated', async () => {
+  mock.method(IncidentUpdate, 'countDocuments', async () => 2);
+  mock.method(ActionItem, 'countDocuments', async () => 2);
+  mock.method(ActionItem, 'init', async () => {});
+  const find = mock.method(IncidentUpdate, 'find', () => query([]));
+
+  await actionItemService.migrateLegacyActionItems();
+
+  assert.equal(find.mock.callCount(), 0);
+});
+
+test('other write errors still fail the migration', async () => {
+  mock.method(IncidentUpdate, 'countDocuments', async () => 1);
+  mock.method(ActionItem, 'countDocuments', async () => 0);
+  mock.method(ActionItem, 'init', async () => {});
+  mock.method(IncidentUpdate, 'find', () => query([legacyEntry('Fix DNS')]));
+  mock.method(ActionItem, 'insertMany', async () => {
+    throw bulkWriteError([11000, 121], 0);
+  });
+
+  await assert.rejects(actionItemService.migrateLegacyActionItems(), { message: 'bulk write failed' });
+});
+
+test('two instances migrating at once insert each item once', async () => {
+  const legacy = [legacyEntry('Rotate keys'), legacyEntry('Add alert')];
+  mock.method(IncidentUpdate, 'countDocuments', async () => legacy.length);
+  mock.method(IncidentUpdate, 'find', () => query(legacy));
+  mock.method(console, 'log', () => {});
+  const items = stubActionItems();
+
+  await Promise.all([
+    actionItemService.migrateLegacyActionItems(),
+    actionItemService.migrateLegacyActionItems()
+  ]);
+  await actionItemService.migrateLegacyActionItems();
+
+  assert.deepEqual(
+    items.map((item) => item.legacyUpdateId.toString()).sort(),
+    legacy.map((entry) => entry._id.toString()).sort()
+  );
+});
+
+test('integration service accounts cannot own an action item', async () => {
+  const serviceAccount = new User({
+    email: 'integration-1@integrations.invalid',
+    name: 'Prometheus (integration)',
+    passwordHash: 'x',
+    role: 'viewer',
+    kind: 'integration'
+  });
+  const actionItem = new ActionItem({
+    incidentId: new mongoose.Types.ObjectId(),
+    text: 'Tune the alert threshold',
+    createdBy: new mongoose.Types.ObjectId()
+  });
+  mock.method(ActionItem, 'findById', () => query(actionItem));
+  mock.method(User, 'findById', () => query(serviceAccount));
+  const save = mock.method(actionItem, 'save', async () => actionItem);
+
+  await assert.rejects(
+    actionItemService.updateActionItem(actionItem.id, { owner: serviceAccount.id }, new mongoose.Types.ObjectId()),
+    { status: 400, message: 'Owner is not an active user' }
+  );
+  assert.equal(save.mock.callCount(), 0);
+});
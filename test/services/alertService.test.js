@@ -0,0 +1,92 @@
+/**
+ * alertService.ingestAlerts
+ * Concurrent deliveries of one alert share an incident; one failing alert
+ * does not lose the rest of the batch
+ */
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Incident, Integration } = require('../../src/models');
+const { alertService, incidentService } = require('../../src/services');
+const { query } = require('../helpers');
+
+const integration = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Prometheus',
+  serviceUser: new mongoose.Types.ObjectId(),
+  severityLabel: 'severity',
+  defaultSeverity: 'medium',
+  incidentType: 'default',
+  commander: null
+};
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key'), {
+  code: 11000,
+  keyPattern: { 'alert.integrationId': 1, 'alert.fingerprint': 1 }
+});
+
+afterEach(() => mock.restoreAll());
+
+test('an alert that loses the race to open its incident is deduplicated', async () => {
+  const winner = new Incident({
+    title: 'High latency',
+    severity: 'medium',
+    status: 'investigating',
+    createdBy: integration.serviceUser,
+    alert: { integrationId: integration._id, fingerprint: 'abc', lastNotedAt: new Date() }
+  });
+
+  // Nothing open when first checked; the other request's incident afterwards
+  let lookups = 0;
+  mock.method(Incident, 'findOne', () => query(lookups++ === 0 ? null : winner));
+  mock.method(incidentService, 'createIncident', async () => { throw duplicateKeyError(); });
+  const bumped = mock.method(Incident, 'updateOne', async () => ({}));
+  mock.method(Integration, 'updateOne', async () => ({}));
+
+  const { results, summary } = await alertService.ingestAlerts(integration, {
+    fingerprint: 'abc',
+    title: 'High latency'
+  });
+
+  assert.deepEqual(results, [{ fingerprint: 'abc', action: 'deduplicated', incidentId: winner._id }]);
+  assert.equal(summary.created, 0);
+  assert.equal(bumped.mock.calls[0].arguments[1].$inc['alert.occurrences'], 1);
+});
+
+test('an alert that fails to apply is reported and the batch continues', async () => {
+  mock.method(Incident, 'findOne', () => query(null));
+  mock.method(incidentService, 'createIncident', async (data) => {
+    if (data.alert.fingerprint === 'bad') throw new Error('connection reset');
+    return { _id: new mongoose.Types.ObjectId() };
+  });
+  mock.method(Integration, 'updateOne', async () => ({}));
+  mock.method(console, 'error', () => {});
+
+  const { results, summary } = await alertService.ingestAlerts(integration, {
+    alerts: [{ fingerprint: 'bad' }, { fingerprint: 'good' }]
+  });
+
+  assert.deepEqual(results.map(({ action }) => action), ['failed', 'created']);
+  assert.equal(results[0].error, 'connection reset');
+  assert.equal(summary.failed, 1);
+  assert.equal(summary.created, 1);
+});
+
+test('resolving an alert incident releases its fingerprint', async () => {
+  const incident = new Incident({
+    title: 'Disk full',
+    severity: 'high',
+    status: 'investigating',
+    createdBy: integration.serviceUser,
+    alert: { integrationId: integration._id, fingerprint: 'disk' }
+  });
+  assert.equal(incident.alert.open, true);
+
+  incident.resolvedAt = new Date();
+  await incident.validate();
+  assert.equal(incident.alert.open, false);
+
+  incident.resolvedAt = null;
+  await incident.validate();
+  assert.equal(incident.alert.open, true);
+});
@@ -0,0 +1,91 @@
+/**
+ * analyticsService response times
+ * What counts as acknowledging an incident (MTTA)
+ *
+ * Runs without MongoDB: the stages handed to Incident.aggregate are
+ * checked, and aggregate results are stubbed.
+ */
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Incident, User } = require('../../src/models');
+const { analyticsService } = require('../../src/services');
+
+/**
+ * Filter of the firstResponse lookup (after the incidentId join)
+ */
+const firstResponseMatch = (pipeline) => {
+  const lookup = pipeline.find((stage) => stage.$lookup?.as === 'firstResponse').$lookup;
+  return lookup.pipeline.find((stage) => stage.$match && !stage.$match.$expr).$match;
+};
+
+/**
+ * Stub the service account lookup and capture the aggregate pipeline
+ */
+const stubAggregate = (serviceAccountIds, groups = []) => {
+  const distinct = mock.method(User, 'distinct', async () => serviceAccountIds);
+  const aggregate = mock.method(Incident, 'aggregate', async () => groups);
+  return { distinct, aggregate };
+};
+
+afterEach(() => mock.restoreAll());
+
+test('a template incident\'s checklist entries do not acknowledge it', async () => {
+  const { aggregate } = stubAggregate([]);
+
+  await analyticsService.getResponseTimes({});
+
+  const match = firstResponseMatch(aggregate.mock.calls[0].arguments[0]);
+  assert.ok(!match.type.$in.includes('action_item'));
+  assert.ok(match.type.$in.includes('note'));
+  assert.ok(match.type.$in.includes('assignment'));
+  // The creation status change is not a response either
+  assert.deepEqual(match.$nor, [{ type: 'status_change', 'content.previousStatus': null }]);
+});
+
+test('entries by integration service accounts do not acknowledge', async () => {
+  const serviceAccount = new mongoose.Types.ObjectId();
+  const { distinct, aggregate } = stubAggregate([serviceAccount]);
+
+  await analyticsService.getResponseTimes({});
+
+  assert.deepEqual(distinct.mock.calls[0].arguments, ['_id', { kind: 'integration' }]);
+  const match = firstResponseMatch(aggregate.mock.calls[0].arguments[0]);
+  assert.deepEqual(match.userId, { $nin: [serviceAccount] });
+});
+
+test('per-service response times leave out service accounts too', async () => {
+  const serviceAccount = new mongoose.Types.ObjectId();
+  const { aggregate } = stubAggregate([serviceAccount]);
+
+  await analyticsService.getServiceResponseTimes({});
+
+  const match = firstResponseMatch(aggregate.mock.calls[0].arguments[0]);
+  assert.deepEqual(match.userId, { $nin: [serviceAccount] });
+});
+
+test('unacknowledged incidents are left out of the mean', async () => {
+  stubAggregate([], [{
+    _id: 'high',
+    incidents: 3,
+    acknowledged: 2,
+    resolved: 0,
+    ackTotalMs: 30 * 60 * 1000,
+    resolveTotalMs: 0
+  }]);
+
+  const { bySeverity, overall } = await analyticsService.getResponseTimes({});
+
+  assert.equal(bySeverity.high.mttaMs, 15 * 60 * 1000);
+  assert.equal(bySeverity.high.mttrMs, null);
+  assert.equal(overall.incidents, 3);
+});
+
+test('a repeated incidentType parameter is a bad request', async () => {
+  const { aggregate } = stubAggregate([]);
+  const query = { incidentType: ['default', 'security'] };
+
+  await assert.rejects(analyticsService.getTrends(query), { status: 400 });
+  await assert.rejects(analyticsService.getResponseTimes(query), { status: 400 });
+  assert.equal(aggregate.mock.callCount(), 0);
+});
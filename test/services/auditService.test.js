@@ -0,0 +1,202 @@
+/**
+ * auditService chain
+ * Appends extend an incident's hash chain, also when another process
+ * takes a sequence number first, and verification names what was
+ * tampered with
+ *
+ * Stored entries live in an array with the unique (incidentId, sequence)
+ * index enforced by the insertMany stub.
+ */
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Incident, IncidentUpdate } = require('../../src/models');
+const { auditService } = require('../../src/services');
+const { GENESIS_HASH, hashEntry } = require('../../src/utils/auditChain');
+const { query } = require('../helpers');
+
+/**
+ * One incident and its stored timeline
+ * @param {Function} [beforeInsert] - (doc, store) before each ordered insert
+ * @returns {Object} - { incident, entries }
+ */
+const stubChainStore = (beforeInsert = () => {}) => {
+  const incident = { _id: new mongoose.Types.ObjectId(), auditHead: null };
+  const store = { incident, entries: [] };
+  const last = () => store.entries.reduce(
+    (found, entry) => (!found || entry.sequence > found.sequence ? entry : found),
+    null
+  );
+
+  mock.method(Incident, 'findById', () => query(incident));
+  mock.method(Incident, 'updateOne', async (filter, { $set }) => {
+    if (!incident.auditHead || incident.auditHead.sequence < $set.auditHead.sequence) {
+      incident.auditHead = $set.auditHead;
+    }
+    return {};
+  });
+  mock.method(IncidentUpdate, 'findOne', () => query(last()));
+  mock.method(IncidentUpdate, 'find', (filter) => {
+    if (filter._id) {
+      const ids = filter._id.$in.map(String);
+      const written = store.entries.filter((entry) => ids.includes(entry._id.toString()));
+      return { distinct: async () => written.map((entry) => entry._id) };
+    }
+    return query([...store.entries].sort((a, b) => a.sequence - b.sequence));
+  });
+  mock.method(IncidentUpdate, 'insertMany', async (docs) => {
+    for (const doc of docs) {
+      beforeInsert(doc, store);
+      if (store.entries.some((entry) => entry.sequence === doc.sequence)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), {
+          code: 11000,
+          keyPattern: { incidentId: 1, sequence: 1 }
+        });
+      }
+      store.entries.push(doc.toObject({ depopulate: true }));
+    }
+    return docs;
+  });
+
+  return store;
+};
+
+const note = (incidentId, text) => ({
+  incidentId,
+  userId: new mongoose.Types.ObjectId(),
+  type: 'note',
+  content: { text }
+});
+
+/**
+ * Append notes and return the stored chain
+ */
+const appendNotes = async (store, texts) => {
+  await auditService.appendUpdates(texts.map((text) => note(store.incident._id, text)));
+  return store.entries;
+};
+
+const issues = (report) => report.problems.map(({ sequence, issue }) => ({ sequence, issue }));
+
+afterEach(() => mock.restoreAll());
+
+test('appended entries form a chain that verifies', async () => {
+  const store = stubChainStore();
+  await appendNotes(store, ['Paging on-call', 'Rolled back']);
+  const entries = await appendNotes(store, ['Error rate normal']);
+
+  assert.deepEqual(entries.map((entry) => entry.sequence), [0, 1, 2]);
+  assert.equal(entries[0].previousHash, GENESIS_HASH);
+  assert.equal(entries[2].previousHash, entries[1].hash);
+  assert.deepEqual(store.incident.auditHead, { sequence: 2, hash: entries[2].hash });
+
+  const report = await auditService.verifyIncidentAudit(store.incident._id);
+  assert.equal(report.valid, true);
+  assert.equal(report.entries, 3);
+});
+
+test('a removed entry is reported as a gap', async () => {
+  const store = stubChainStore();
+  const entries = await appendNotes(store, ['one', 'two', 'three']);
+  entries.splice(1, 1);
+
+  const report = await auditService.verifyIncidentAudit(store.incident._id);
+  assert.equal(report.valid, false);
+  assert.deepEqual(issues(report), [
+    { sequence: 2, issue: 'gap' },
+    { sequence: 2, issue: 'broken_link' }
+  ]);
+});
+
+test('an edited entry no longer matches its hash', async () => {
+  const store = stubChainStore();
+  const entries = await appendNotes(store, ['Cause: bad deploy', 'Rolled back']);
+  entries[0].content.text = 'Cause: unknown';
+
+  const report = await auditService.verifyIncidentAudit(store.incident._id);
+  assert.deepEqual(issues(report), [{ sequence: 0, issue: 'edited' }]);
+});
+
+test('an edited entry whose hash was recomputed breaks the link to the next one', async () => {
+  const store = stubChainStore();
+  const entries = await appendNotes(store, ['Cause: bad deploy', 'Rolled back', 'Resolved']);
+  entries[1].content.text = 'Nothing was rolled back';
+  entries[1].hash = hashEntry(entries[1], entries[1].previousHash);
+
+  const report = await auditService.verifyIncidentAudit(store.incident._id);
+  assert.deepEqual(issues(report), [{ sequence: 2, issue: 'broken_link' }]);
+});
+
+test('removing the latest entries is caught by the incident\'s audit head', async () => {
+  const store = stubChainStore();
+  const entries = await appendNotes(store, ['one', 'two', 'three']);
+  entries.pop();
+
+  const report = await auditService.verifyIncidentAudit(store.incident._id);
+  assert.deepEqual(issues(report), [{ sequence: 2, issue: 'truncated' }]);
+});
+
+test('an append that loses a sequence number to another process is chained after it', async () => {
+  // Another process appends right after our first entry lands
+  let raced = false;
+  const foreignId = new mongoose.Types.ObjectId();
+  const store = stubChainStore((doc, { incident, entries }) => {
+    if (raced || entries.length !== 1) return;
+    raced = true;
+    const [previous] = entries;
+    const foreign = {
+      ...note(incident._id, 'Written by another server'),
+      _id: foreignId,
+      sequence: previous.sequence + 1,
+      previousHash: previous.hash,
+      createdAt: new Date()
+    };
+    foreign.hash = hashEntry(foreign, foreign.previousHash);
+    entries.push(foreign);
+  });
+
+  const inserted = await auditService.appendUpdates([
+    note(store.incident._id, 'first'),
+    note(store.incident._id, 'second')
+  ]);
+
+  assert.deepEqual(inserted.map((entry) => entry.content.text), ['first', 'second']);
+  assert.deepEqual(
+    store.entries.map((entry) => [entry.sequence, entry.content.text]),
+    [[0, 'first'], [1, 'Written by another server'], [2, 'second']]
+  );
+  assert.equal(store.entries[2].previousHash, store.entries[1].hash);
+  assert.equal(IncidentUpdate.insertMany.mock.callCount(), 2);
+
+  const report = await auditService.verifyIncidentAudit(store.incident._id);
+  assert.equal(report.valid, true);
+  assert.deepEqual(report.head, { sequence: 2, hash: store.entries[2].hash });
+});
+
+test('the backfill reports only the incidents it chained', async () => {
+  const fresh = new mongoose.Types.ObjectId();
+  const started = new mongoose.Types.ObjectId();
+  const legacy = (incidentId) => ({
+    _id: new mongoose.Types.ObjectId(),
+    incidentId,
+    userId: new mongoose.Types.ObjectId(),
+    type: 'note',
+    content: { text: 'Before the chain' },
+    createdAt: new Date('2026-01-05T10:00:00Z')
+  });
+
+  mock.method(IncidentUpdate, 'distinct', async () => [fresh, started]);
+  mock.method(IncidentUpdate, 'countDocuments', async ({ incidentId }) => (incidentId === started ? 3 : 0));
+  mock.method(IncidentUpdate, 'find', ({ incidentId }) => query([legacy(incidentId), legacy(incidentId)]));
+  const bulkWrite = mock.method(IncidentUpdate.collection, 'bulkWrite', async () => ({}));
+  const setHead = mock.method(Incident.collection, 'updateOne', async () => ({}));
+  const warn = mock.method(console, 'warn', () => {});
+  const log = mock.method(console, 'log', () => {});
+
+  await auditService.backfillAuditChains();
+
+  assert.equal(bulkWrite.mock.callCount(), 1);
+  assert.deepEqual(setHead.mock.calls[0].arguments[0], { _id: fresh });
+  assert.equal(warn.mock.callCount(), 1);
+  assert.deepEqual(log.mock.calls.map((call) => call.arguments[0]), ['Chained audit entries of 1 incidents']);
+});
@@ -0,0 +1,130 @@
+/**
+ * authService.register / authService.login / userService.ensureBootstrapAdmin
+ * Registering never yields an admin; the first admin comes from config;
+ * wrong passwords lock the account for longer and longer
+ */
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../../src/config');
+const { User } = require('../../src/models');
+const { authService, userService } = require('../../src/services');
+const { query } = require('../helpers');
+
+const withConfig = (section, values) => {
+  const previous = config[section];
+  config[section] = { ...previous, ...values };
+  return () => { config[section] = previous; };
+};
+
+afterEach(() => mock.restoreAll());
+
+test('registering on an empty deployment creates a pending viewer', async (t) => {
+  t.after(withConfig('registration', { open: true }));
+  mock.method(User, 'findOne', () => query(null));
+  mock.method(User, 'create', async (data) => new User(data));
+
+  const { user, token } = await authService.register({
+    email: 'first@example.com',
+    password: 'password1',
+    name: 'First'
+  });
+
+  assert.equal(user.role, 'viewer');
+  assert.equal(user.status, 'pending');
+  assert.equal(token, undefined);
+});
+
+test('registration is closed by default', async (t) => {
+  t.after(withConfig('registration', { open: false }));
+  const create = mock.method(User, 'create', async () => {});
+
+  await assert.rejects(
+    authService.register({ email: 'a@example.com', password: 'password1', name: 'A' }),
+    { status: 403 }
+  );
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('the bootstrap admin never promotes an existing account', async (t) => {
+  t.after(withConfig('bootstrapAdmin', { email: 'admin@example.com', password: 'password1' }));
+  const squatter = new User({ email: 'admin@example.com', name: 'Early', passwordHash: 'x', role: 'viewer', status: 'pending' });
+  const save = mock.method(squatter, 'save', async () => squatter);
+  mock.method(User, 'exists', async () => null);
+  mock.method(User, 'create', async () => {
+    throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+  });
+  mock.method(User, 'findOne', () => query(squatter));
+  const logged = mock.method(console, 'error', () => {});
+
+  await userService.ensureBootstrapAdmin();
+
+  assert.equal(squatter.role, 'viewer');
+  assert.equal(save.mock.callCount(), 0);
+  assert.equal(logged.mock.callCount(), 1);
+});
+
+/**
+ * A user whose password check fails, with failed sign-ins counted in `failures`
+ */
+const setUpWrongPassword = (failures) => {
+  const user = new User({ email: 'ana@example.com', name: 'Ana', passwordHash: 'x', role: 'responder' });
+  mock.method(User, 'findOne', () => query(user));
+  mock.method(user, 'comparePassword', async () => false);
+  mock.method(User, 'findOneAndUpdate', async () => ({ failedLoginCount: failures }));
+  const updateOne = mock.method(User, 'updateOne', async () => ({}));
+  return { user, updateOne };
+};
+
+const lockMinutes = (updateOne) => {
+  const { lockedUntil } = updateOne.mock.calls[0].arguments[1];
+  return Math.round((lockedUntil - Date.now()) / (60 * 1000));
+};
+
+test('wrong passwords below the threshold are only counted', async (t) => {
+  t.after(withConfig('lockout', { threshold: 5 }));
+  const { updateOne } = setUpWrongPassword(4);
+
+  await assert.rejects(
+    authService.login({ email: 'ana@example.com', password: 'nope' }, {}),
+    { status: 401, message: 'Invalid credentials' }
+  );
+  assert.equal(updateOne.mock.callCount(), 0);
+});
+
+test('the lock doubles with each failure past the threshold, up to the maximum', async (t) => {
+  t.after(withConfig('lockout', { threshold: 5, baseMinutes: 1, maxMinutes: 60 }));
+
+  for (const [failures, minutes] of [[5, 1], [6, 2], [8, 8], [20, 60]]) {
+    const { updateOne } = setUpWrongPassword(failures);
+
+    await assert.rejects(
+      authService.login({ email: 'ana@example.com', password: 'nope' }, {}),
+      (error) => {
+        assert.equal(error.status, 429);
+        assert.equal(error.code, 'ACCOUNT_LOCKED');
+        assert.ok(Math.abs(error.details.retryAfter - minutes * 60) <= 1);
+        return true;
+      }
+    );
+    assert.equal(lockMinutes(updateOne), minutes, `${failures} failures`);
+    mock.restoreAll();
+  }
+});
+
+test('a locked account is refused before the password is checked', async () => {
+  const user = new User({
+    email: 'ana@example.com',
+    name: 'Ana',
+    passwordHash: 'x',
+    role: 'responder',
+    lockedUntil: new Date(Date.now() + 5 * 60 * 1000)
+  });
+  mock.method(User, 'findOne', () => query(user));
+  const compare = mock.method(user, 'comparePassword', async () => true);
+
+  await assert.rejects(
+    authService.login({ email: 'ana@example.com', password: 'right' }, {}),
+    { status: 429, code: 'ACCOUNT_LOCKED' }
+  );
+  assert.equal(compare.mock.callCount(), 0);
+});
@@ -0,0 +1,163 @@
+/**
+ * incidentService
+ * Users referenced by an incident carry no account state, reopening
+ * an alert incident respects the one-open-incident-per-fingerprint index,
+ * and malformed list filters are bad requests
+ *
+ * User lookups made by populate return full fixtures, projected on the
+ * populate's select.
+ */
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { User, Incident, IncidentUpdate } = require('../../src/models');
+const { incidentService, auditService, workflowService } = require('../../src/services');
+
+const ADMIN_ONLY_FIELDS = [
+  'status', 'lastLoginAt', 'lockedUntil', 'approvedBy', 'approvedAt',
+  'invitedBy', 'deactivatedAt', 'deactivatedBy', 'anonymizedAt',
+  'failedLoginCount', 'lastFailedLoginAt', 'passwordHash'
+];
+
+const fullUser = (name) => new User({
+  email: `${name.toLowerCase()}@example.com`,
+  name,
+  passwordHash: 'x',
+  role: 'responder',
+  approvedBy: new mongoose.Types.ObjectId(),
+  approvedAt: new Date(),
+  invitedBy: new mongoose.Types.ObjectId(),
+  lastLoginAt: new Date(),
+  failedLoginCount: 3,
+  lastFailedLoginAt: new Date(),
+  lockedUntil: new Date(Date.now() + 60 * 1000)
+});
+
+/**
+ * Answer populate's User.find from fixtures, keeping only selected fields
+ */
+const stubUserLookups = (users) => {
+  const find = User.find;
+  mock.method(User, 'find', function (match, select, options) {
+    const query = find.call(this, match, select, options);
+    query.exec = async () => {
+      const ids = (match?._id?.$in || []).map(String);
+      const projection = query._fields ? { _id: 1, ...query._fields } : undefined;
+      const fields = Object.keys(projection || {});
+      return users
+        .filter((user) => ids.includes(user.id))
+        .map((user) => {
+          const raw = user.toObject();
+          const picked = fields.length > 0
+            ? Object.fromEntries(fields.map((field) => [field, raw[field]]))
+            : raw;
+          return User.hydrate(picked, projection);
+        });
+    };
+    return query;
+  });
+};
+
+const assertNoAccountState = (user) => {
+  ADMIN_ONLY_FIELDS.forEach((field) => {
+    assert.equal(field in user, false, `${user.name}: ${field}`);
+  });
+};
+
+afterEach(() => mock.restoreAll());
+
+test('incident users are populated without account state', async () => {
+  const creator = fullUser('Creator');
+  const assignee = fullUser('Assignee');
+  const newcomer = fullUser('Newcomer');
+  stubUserLookups([creator, assignee, newcomer]);
+
+  const incident = new Incident({
+    title: 'Payments down',
+    severity: 'critical',
+    status: 'investigating',
+    createdBy: creator._id,
+    commander: creator._id,
+    assignees: [assignee._id]
+  });
+  mock.method(Incident, 'findById', () => ({
+    populate: (paths) => incident.populate(paths)
+  }));
+  mock.method(incident, 'save', async () => incident);
+  mock.method(auditService, 'appendUpdates', async (entry) => new IncidentUpdate(entry));
+  mock.method(IncidentUpdate.prototype, 'populate', async function () { return this; });
+
+  const loaded = (await incidentService.getIncidentById(incident.id)).toJSON();
+  assertNoAccountState(loaded.createdBy);
+  assertNoAccountState(loaded.commander);
+  loaded.assignees.forEach(assertNoAccountState);
+  assert.equal(loaded.commander.name, 'Creator');
+
+  const assigned = await incidentService.assignUser(incident.id, newcomer.id, creator.id);
+  const payload = JSON.parse(JSON.stringify(assigned));
+  assert.deepEqual(payload.assignees.map((user) => user.name), ['Assignee', 'Newcomer']);
+  payload.assignees.forEach(assertNoAccountState);
+});
+
+test('reopening an alert incident whose fingerprint a newer incident holds is a conflict', async () => {
+  const responder = new mongoose.Types.ObjectId();
+  const incident = new Incident({
+    title: 'HighErrorRate',
+    severity: 'high',
+    status: 'resolved',
+    resolvedAt: new Date(),
+    createdBy: responder,
+    alert: { integrationId: new mongoose.Types.ObjectId(), fingerprint: 'abc123', open: false }
+  });
+  mock.method(Incident, 'findById', () => ({ populate: async () => incident }));
+  mock.method(workflowService, 'getWorkflow', async () => ({
+    incidentType: 'default',
+    statuses: ['investigating', 'resolved'].map((value) => ({ value })),
+    transitions: { investigating: ['resolved'], resolved: ['investigating'] },
+    terminalStatuses: ['resolved']
+  }));
+  // The unique partial index: a newer incident is open for the same fingerprint
+  mock.method(incident, 'save', async function () {
+    await this.validate();
+    if (this.alert.open) {
+      throw Object.assign(new Error('E11000 duplicate key error'), {
+        code: 11000,
+        keyPattern: { 'alert.integrationId': 1, 'alert.fingerprint': 1 }
+      });
+    }
+    return this;
+  });
+  const append = mock.method(auditService, 'appendUpdates', async (entry) => new IncidentUpdate(entry));
+
+  await assert.rejects(
+    incidentService.updateStatus(incident.id, 'investigating', responder),
+    { status: 409, message: 'Cannot reopen: a newer open incident already tracks this alert' }
+  );
+  assert.equal(append.mock.callCount(), 0);
+});
+
+test('a repeated or bracketed search is a bad request', async () => {
+  const find = mock.method(Incident, 'find', () => { throw new Error('not reached'); });
+
+  for (const q of [['disk', 'full'], { $ne: null }]) {
+    await assert.rejects(
+      incidentService.getIncidents({ q }),
+      { status: 400, message: 'q must be a single search string' }
+    );
+  }
+  assert.equal(find.mock.callCount(), 0);
+});
+
+test('a cursor whose sort value is not a plain value is a bad request', async () => {
+  const find = mock.method(Incident, 'find', () => { throw new Error('not reached'); });
+  const id = new mongoose.Types.ObjectId().toString();
+  const cursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+  for (const payload of [{ v: { $ne: null }, id }, { v: ['x'], id }, { v: 'not a date', d: true, id }]) {
+    await assert.rejects(
+      incidentService.getIncidents({ cursor: cursor(payload) }),
+      { status: 400, message: 'Invalid cursor' }
+    );
+  }
+  assert.equal(find.mock.callCount(), 0);
+});
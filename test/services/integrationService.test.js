@@ -0,0 +1,46 @@
+/**
+ * integrationService commander
+ * Only an active responder or admin can command an integration's alert
+ * incidents
+ */
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Integration, User } = require('../../src/models');
+const { integrationService } = require('../../src/services');
+const { query } = require('../helpers');
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * An integration and a prospective commander
+ */
+const setUp = (commanderFields) => {
+  const commander = new User({ email: 'ic@example.com', name: 'IC', passwordHash: 'x', role: 'responder', ...commanderFields });
+  const integration = new Integration({ name: 'Prometheus', keyHash: 'hash', keyPrefix: 'ik_abc' });
+  mock.method(Integration, 'findById', () => query(integration));
+  mock.method(User, 'findById', () => query(commander));
+  const save = mock.method(integration, 'save', async () => integration);
+  return { commander, integration, save };
+};
+
+test('pending and deactivated users cannot command an integration', async () => {
+  for (const status of ['pending', 'deactivated']) {
+    const { commander, integration, save } = setUp({ status });
+
+    await assert.rejects(
+      integrationService.updateIntegration(integration.id, { commander: commander.id }),
+      { status: 400, message: 'Commander must be an active responder or admin' }
+    );
+    assert.equal(save.mock.callCount(), 0, status);
+    mock.restoreAll();
+  }
+});
+
+test('an active responder can command an integration', async () => {
+  const { commander, integration, save } = setUp({ status: 'active' });
+
+  await integrationService.updateIntegration(integration.id, { commander: commander.id });
+
+  assert.equal(save.mock.callCount(), 1);
+  assert.equal(integration.commander.toString(), commander.id);
+});
@@ -0,0 +1,66 @@
+/**
+ * postmortemService.updateSection
+ * Sections can only be handed to people who can sign in and write them
+ */
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Postmortem, Incident, User } = require('../../src/models');
+const { postmortemService } = require('../../src/services');
+const { query } = require('../helpers');
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * A draft review owned by an admin, and a prospective section owner
+ */
+const setUp = (ownerFields) => {
+  const admin = new User({ email: 'admin@example.com', name: 'Admin', passwordHash: 'x', role: 'admin' });
+  const owner = new User({ email: 'sme@example.com', name: 'SME', passwordHash: 'x', role: 'responder', ...ownerFields });
+  const postmortem = new Postmortem({
+    incidentId: new mongoose.Types.ObjectId(),
+    createdBy: admin._id
+  });
+
+  const users = new Map([[admin.id, admin], [owner.id, owner]]);
+  mock.method(Postmortem, 'findById', () => query(postmortem));
+  mock.method(User, 'findById', (id) => query(users.get(id.toString()) || null));
+  mock.method(Incident, 'findById', () => query({ commander: admin._id }));
+  const save = mock.method(postmortem, 'save', async () => postmortem);
+  mock.method(postmortem, 'populate', async () => postmortem);
+
+  return { admin, owner, postmortem, save };
+};
+
+test('pending, deactivated and integration accounts cannot own a section', async () => {
+  for (const fields of [{ status: 'pending' }, { status: 'deactivated' }, { kind: 'integration', role: 'viewer' }]) {
+    const { admin, owner, postmortem, save } = setUp(fields);
+
+    await assert.rejects(
+      postmortemService.updateSection(postmortem.id, 'summary', { owner: owner.id }, admin._id),
+      { status: 400, message: 'Section owner must be an active user' },
+      JSON.stringify(fields)
+    );
+    assert.equal(save.mock.callCount(), 0);
+    mock.restoreAll();
+  }
+});
+
+test('an active user can own a section', async () => {
+  const { admin, owner, postmortem, save } = setUp({});
+
+  await postmortemService.updateSection(postmortem.id, 'summary', { owner: owner.id }, admin._id);
+
+  assert.equal(save.mock.callCount(), 1);
+  const section = postmortem.sections.find((s) => s.key === 'summary');
+  assert.equal(section.owner.toString(), owner.id);
+});
+
+test('an unknown section owner is not found', async () => {
+  const { admin, postmortem } = setUp({});
+
+  await assert.rejects(
+    postmortemService.updateSection(postmortem.id, 'summary', { owner: 'not-an-id' }, admin._id),
+    { status: 404 }
+  );
+});
@@ -0,0 +1,88 @@
+/**
+ * relationshipService.mergeIncident
+ * Merging closes the duplicate through its workflow and audits it in the
+ * same validate, save, append order as other changes
+ */
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Incident, IncidentUpdate } = require('../../src/models');
+const { relationshipService, incidentService, workflowService } = require('../../src/services');
+const { query, captureAuditInserts } = require('../helpers');
+
+// 'cancelled' comes first but only 'closed' is reachable from monitoring
+const WORKFLOW = {
+  incidentType: 'default',
+  name: 'Change Review',
+  statuses: ['investigating', 'monitoring', 'cancelled', 'closed'].map((value) => ({ value })),
+  transitions: {
+    investigating: ['monitoring'],
+    monitoring: ['investigating', 'closed'],
+    cancelled: [],
+    closed: ['investigating']
+  },
+  terminalStatuses: ['cancelled', 'closed']
+};
+
+/**
+ * Duplicate and primary incidents with stubbed persistence
+ * @returns {Object} - { duplicate, primary, commander, steps, appended }
+ */
+const setUpMerge = (duplicateStatus) => {
+  const commander = new mongoose.Types.ObjectId();
+  const incident = (title, status) => new Incident({
+    title, severity: 'high', status, createdBy: commander, commander
+  });
+  const duplicate = incident('Checkout 500s (dup)', duplicateStatus);
+  const primary = incident('Checkout 500s', 'investigating');
+
+  const steps = [];
+  mock.method(incidentService, 'getIncidentById', async (id) => (
+    id.toString() === duplicate.id ? duplicate : primary
+  ));
+  mock.method(Incident, 'findById', () => query(primary));
+  mock.method(Incident, 'updateMany', async () => ({}));
+  mock.method(Incident, 'updateOne', async () => ({}));
+  mock.method(workflowService, 'getWorkflow', async () => WORKFLOW);
+  mock.method(duplicate, 'save', async () => { steps.push('duplicate.save'); });
+  mock.method(primary, 'save', async () => { steps.push('primary.save'); });
+  mock.method(IncidentUpdate, 'findOne', () => query(null));
+  mock.method(IncidentUpdate.prototype, 'populate', async function () { return this; });
+  const appended = captureAuditInserts(steps);
+
+  return { duplicate, primary, commander, steps, appended };
+};
+
+afterEach(() => mock.restoreAll());
+
+test('merging closes the duplicate with a status its workflow allows', async () => {
+  const { duplicate, primary, commander, steps, appended } = setUpMerge('monitoring');
+
+  await relationshipService.mergeIncident(duplicate.id, primary.id, commander);
+
+  assert.equal(duplicate.status, 'closed');
+  assert.ok(duplicate.resolvedAt);
+  assert.equal(duplicate.mergedInto.toString(), primary.id);
+  assert.deepEqual(steps.slice(0, 2).sort(), ['duplicate.save', 'primary.save']);
+  assert.deepEqual(steps.slice(2), ['audit.insert', 'audit.insert']);
+
+  const [statusChange, merged, duplicatedBy] = appended;
+  assert.deepEqual(
+    { type: statusChange.type, ...statusChange.content.toObject() },
+    { type: 'status_change', previousStatus: 'monitoring', newStatus: 'closed' }
+  );
+  assert.equal(merged.content.relationship, 'duplicate_of');
+  assert.equal(duplicatedBy.incidentId.toString(), primary.id);
+});
+
+test('a duplicate that cannot reach a terminal status is not merged', async () => {
+  const { duplicate, primary, commander, steps } = setUpMerge('investigating');
+
+  await assert.rejects(
+    relationshipService.mergeIncident(duplicate.id, primary.id, commander),
+    { status: 409 }
+  );
+  assert.deepEqual(steps, []);
+  assert.equal(duplicate.mergedInto, null);
+  assert.equal(duplicate.status, 'investigating');
+});
@@ -0,0 +1,25 @@
+/**
+ * serviceCatalogService.createService
+ * A runbook link must be an http(s) URL
+ */
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Service } = require('../../src/models');
+const { serviceCatalogService } = require('../../src/services');
+
+afterEach(() => mock.restoreAll());
+
+test('a runbook URL that is not an http(s) string is a bad request', async () => {
+  const create = mock.method(Service, 'create', async (data) => new Service(data));
+  const adminId = new mongoose.Types.ObjectId();
+
+  for (const runbookUrl of [123, ['https://wiki.example.com'], { href: 'https://wiki.example.com' }, 'ftp://wiki']) {
+    await assert.rejects(
+      serviceCatalogService.createService({ name: 'Checkout', runbookUrl }, adminId),
+      { status: 400, message: 'runbookUrl must be an http(s) URL' },
+      JSON.stringify(runbookUrl)
+    );
+  }
+  assert.equal(create.mock.callCount(), 0);
+});
@@ -0,0 +1,95 @@
+/**
+ * sessionService.refreshSession
+ * Refresh tokens are single use; a rotated token replayed after the
+ * grace period revokes the session
+ *
+ * Session calls are answered from one in-memory session.
+ */
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Session, User } = require('../../src/models');
+const { sessionService } = require('../../src/services');
+const { ACCOUNT_EVENTS, subscribe } = require('../../src/events');
+const { query } = require('../helpers');
+
+const isLive = (session) => !session.revokedAt && session.expiresAt > new Date();
+
+/**
+ * Sign a user in, backing Session with a single stored session
+ * @returns {Object} - { session, refreshToken, revokedEvents }
+ */
+const signIn = async () => {
+  const user = new User({ email: 'ana@example.com', name: 'Ana', passwordHash: 'x', role: 'responder' });
+  let session = null;
+
+  mock.method(User, 'updateOne', async () => ({}));
+  mock.method(User, 'findById', () => query(user));
+  mock.method(Session, 'create', async (data) => {
+    session = new Session(data);
+    return session;
+  });
+  mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    if (!isLive(session) || session.refreshTokenHash !== filter.refreshTokenHash) return null;
+    Object.assign(session, update);
+    return session;
+  });
+  mock.method(Session, 'findOne', async (filter) => (
+    isLive(session) && session.previousRefreshTokenHash === filter.previousRefreshTokenHash ? session : null
+  ));
+  mock.method(Session, 'find', () => query(isLive(session) ? [session] : []));
+  mock.method(Session, 'updateMany', async (filter, update) => {
+    Object.assign(session, update);
+    return { modifiedCount: 1 };
+  });
+
+  const revokedEvents = [];
+  const unsubscribe = subscribe(ACCOUNT_EVENTS.SESSIONS_REVOKED, (event) => revokedEvents.push(event));
+  const { refreshToken } = await sessionService.startSession(user, { userAgent: 'test', ip: '203.0.113.40' });
+
+  return { session, refreshToken, revokedEvents, unsubscribe };
+};
+
+afterEach(() => mock.restoreAll());
+
+test('refreshing rotates the token: the old one stops working', async (t) => {
+  const { session, refreshToken, unsubscribe } = await signIn();
+  t.after(unsubscribe);
+
+  const rotated = await sessionService.refreshSession(refreshToken, {});
+  assert.notEqual(rotated.refreshToken, refreshToken);
+  assert.ok(rotated.token);
+
+  const next = await sessionService.refreshSession(rotated.refreshToken, {});
+  assert.ok(next.refreshToken);
+  assert.equal(session.revokedAt, null);
+});
+
+test('a rotated token replayed within the grace period is refused but the session lives', async (t) => {
+  const { session, refreshToken, revokedEvents, unsubscribe } = await signIn();
+  t.after(unsubscribe);
+
+  // Two tabs refreshing with the same token at the same moment
+  const rotated = await sessionService.refreshSession(refreshToken, {});
+  await assert.rejects(sessionService.refreshSession(refreshToken, {}), { status: 401 });
+
+  assert.equal(session.revokedAt, null);
+  assert.deepEqual(revokedEvents, []);
+  assert.ok((await sessionService.refreshSession(rotated.refreshToken, {})).token);
+});
+
+test('a rotated token replayed after the grace period revokes the session', async (t) => {
+  const { session, refreshToken, revokedEvents, unsubscribe } = await signIn();
+  t.after(unsubscribe);
+
+  const rotated = await sessionService.refreshSession(refreshToken, {});
+  session.rotatedAt = new Date(Date.now() - 31 * 1000);
+
+  await assert.rejects(sessionService.refreshSession(refreshToken, {}), { status: 401 });
+
+  assert.ok(session.revokedAt);
+  assert.equal(session.revokedReason, 'token_reuse');
+  assert.deepEqual(revokedEvents.map((event) => event.sessionIds), [[session.id]]);
+
+  // Whoever holds the current token is signed out too
+  await assert.rejects(sessionService.refreshSession(rotated.refreshToken, {}), { status: 401 });
+});
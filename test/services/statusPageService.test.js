@@ -0,0 +1,58 @@
+/**
+ * statusPageService.addPublicUpdate
+ * A customer-facing update is only published once its timeline entry
+ * is known to be valid
+ */
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Incident, IncidentUpdate, PublicUpdate } = require('../../src/models');
+const { statusPageService, incidentService } = require('../../src/services');
+const { query, captureAuditInserts } = require('../helpers');
+
+afterEach(() => mock.restoreAll());
+
+const setUp = () => {
+  const commander = new mongoose.Types.ObjectId();
+  const incident = new Incident({
+    title: 'Checkout errors',
+    severity: 'high',
+    status: 'investigating',
+    createdBy: commander,
+    commander,
+    isPublic: true
+  });
+  mock.method(incidentService, 'getIncidentById', async () => incident);
+  mock.method(Incident, 'updateOne', async () => ({}));
+  const create = mock.method(PublicUpdate, 'create', async (data) => {
+    const publicUpdate = new PublicUpdate(data);
+    mock.method(publicUpdate, 'populate', async () => publicUpdate);
+    return publicUpdate;
+  });
+  return { incident, commander, create };
+};
+
+test('an update whose timeline entry is invalid is not published', async () => {
+  const { incident, commander, create } = setUp();
+  const appended = captureAuditInserts();
+
+  await assert.rejects(
+    statusPageService.addPublicUpdate(incident.id, { status: 'investigating', message: { text: 'Looking into it' } }, commander),
+    { name: 'ValidationError' }
+  );
+
+  assert.equal(create.mock.callCount(), 0);
+  assert.equal(appended.length, 0);
+});
+
+test('a valid update is published and recorded on the timeline', async () => {
+  const { incident, commander, create } = setUp();
+  const appended = captureAuditInserts();
+  mock.method(IncidentUpdate, 'findOne', () => query(null));
+  mock.method(IncidentUpdate.prototype, 'populate', async function () { return this; });
+
+  await statusPageService.addPublicUpdate(incident.id, { status: 'identified', message: 'Fix rolling out' }, commander);
+
+  assert.equal(create.mock.callCount(), 1);
+  assert.deepEqual(appended.map((doc) => doc.content.text), ['Fix rolling out']);
+});
@@ -0,0 +1,270 @@
+/**
+ * userService.deactivateUser / userService.unlockUser
+ * Offboarding hands command, roles, action items and integrations to a
+ * responder or admin, auditing each incident change; unlocking lifts a
+ * sign-in lockout and the per-email attempt limit
+ */
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { User, Incident, IncidentUpdate, ActionItem, Session, Integration } = require('../../src/models');
+const { userService } = require('../../src/services');
+const { loginRateLimit } = require('../../src/middleware/rateLimit');
+const { query, captureAuditInserts, runMiddleware } = require('../helpers');
+
+afterEach(() => mock.restoreAll());
+
+test('deactivating an incident commander reassigns command and audits it', async () => {
+  const adminId = new mongoose.Types.ObjectId();
+  const successor = new User({ email: 'next@example.com', name: 'Next', passwordHash: 'x', role: 'responder' });
+  const departing = new User({ email: 'ic@example.com', name: 'Commander', passwordHash: 'x', role: 'responder' });
+  const incident = new Incident({
+    title: 'Checkout errors',
+    severity: 'high',
+    status: 'investigating',
+    createdBy: departing._id,
+    commander: departing._id
+  });
+
+  const users = new Map([[departing.id, departing], [successor.id, successor]]);
+  mock.method(User, 'findById', (id) => query(users.get(id.toString()) || null));
+  mock.method(Incident, 'find', () => query([incident]));
+  mock.method(Incident, 'findById', () => query(incident));
+  mock.method(Incident, 'updateOne', async () => ({}));
+  mock.method(ActionItem, 'find', () => query([]));
+  mock.method(Integration, 'find', () => query([]));
+  mock.method(Integration, 'updateMany', async () => ({ modifiedCount: 0 }));
+  mock.method(Session, 'find', () => query([]));
+  mock.method(IncidentUpdate, 'findOne', () => query(null));
+  mock.method(IncidentUpdate, 'populate', async (docs) => docs);
+
+  const steps = [];
+  mock.method(incident, 'save', async () => { steps.push('incident.save'); });
+  mock.method(incident, 'populate', async () => incident);
+  mock.method(departing, 'save', async () => departing);
+
+  const appended = captureAuditInserts(steps);
+
+  const { user, reassigned } = await userService.deactivateUser(
+    departing.id,
+    { reassignTo: successor.id },
+    adminId
+  );
+
+  assert.equal(user.status, 'deactivated');
+  assert.deepEqual(reassigned, { incidents: 1, actionItems: 0, integrations: 0 });
+  assert.equal(incident.commander.toString(), successor.id);
+  assert.deepEqual(steps, ['incident.save', 'audit.insert']);
+
+  assert.equal(appended.length, 1);
+  const [entry] = appended;
+  assert.equal(entry.type, 'commander_change');
+  assert.equal(entry.content.action, 'reassigned');
+  assert.equal(entry.content.targetUserId.toString(), successor.id);
+  assert.equal(entry.content.previousCommanderId.toString(), departing.id);
+  assert.equal(entry.userId.toString(), adminId.toString());
+});
+
+test('a departing user\'s offered handoff is withdrawn with an audit entry', async () => {
+  const adminId = new mongoose.Types.ObjectId();
+  const commander = new mongoose.Types.ObjectId();
+  const successor = new User({ email: 'next@example.com', name: 'Next', passwordHash: 'x', role: 'responder' });
+  const departing = new User({ email: 'sme@example.com', name: 'Offered', passwordHash: 'x', role: 'responder' });
+  const incident = new Incident({
+    title: 'Queue backlog',
+    severity: 'medium',
+    status: 'investigating',
+    createdBy: commander,
+    commander,
+    pendingHandoff: { toUser: departing._id, proposedBy: commander }
+  });
+
+  const users = new Map([[departing.id, departing], [successor.id, successor]]);
+  mock.method(User, 'findById', (id) => query(users.get(id.toString()) || null));
+  mock.method(Incident, 'find', () => query([incident]));
+  mock.method(Incident, 'findById', () => query(incident));
+  mock.method(Incident, 'updateOne', async () => ({}));
+  mock.method(ActionItem, 'find', () => query([]));
+  mock.method(Integration, 'find', () => query([]));
+  mock.method(Integration, 'updateMany', async () => ({ modifiedCount: 0 }));
+  mock.method(Session, 'find', () => query([]));
+  mock.method(IncidentUpdate, 'findOne', () => query(null));
+  mock.method(IncidentUpdate, 'populate', async (docs) => docs);
+  mock.method(incident, 'save', async () => {});
+  mock.method(incident, 'populate', async () => incident);
+  mock.method(departing, 'save', async () => departing);
+
+  const appended = captureAuditInserts();
+
+  await userService.deactivateUser(departing.id, { reassignTo: successor.id }, adminId);
+
+  assert.equal(incident.pendingHandoff, null);
+  assert.equal(incident.commander.toString(), commander.toString());
+  assert.deepEqual(appended.map((doc) => doc.content.action), ['withdrawn']);
+});
+
+test('action items cannot be handed to a viewer', async () => {
+  const adminId = new mongoose.Types.ObjectId();
+  const viewer = new User({ email: 'view@example.com', name: 'Viewer', passwordHash: 'x', role: 'viewer' });
+  const departing = new User({ email: 'owner@example.com', name: 'Owner', passwordHash: 'x', role: 'responder' });
+  const actionItem = new ActionItem({
+    incidentId: new mongoose.Types.ObjectId(),
+    text: 'Add a queue depth alert',
+    owner: departing._id,
+    createdBy: departing._id
+  });
+
+  const users = new Map([[departing.id, departing], [viewer.id, viewer]]);
+  mock.method(User, 'findById', (id) => query(users.get(id.toString()) || null));
+  mock.method(Incident, 'find', () => query([]));
+  mock.method(ActionItem, 'find', () => query([actionItem]));
+  mock.method(Integration, 'find', () => query([]));
+  const handOver = mock.method(Integration, 'updateMany', async () => ({ modifiedCount: 0 }));
+  const updateItem = mock.method(ActionItem, 'findById', () => query(actionItem));
+  const saveUser = mock.method(departing, 'save', async () => departing);
+
+  await assert.rejects(
+    userService.deactivateUser(departing.id, { reassignTo: viewer.id }, adminId),
+    { status: 400, message: 'Work can only be handed to a responder or administrator' }
+  );
+
+  assert.equal(updateItem.mock.callCount(), 0);
+  assert.equal(handOver.mock.callCount(), 0);
+  assert.equal(saveUser.mock.callCount(), 0);
+  assert.equal(departing.status, 'active');
+});
+
+test('integrations commanded by a departing user go to the successor or to nobody', async () => {
+  const adminId = new mongoose.Types.ObjectId();
+  const successor = new User({ email: 'next@example.com', name: 'Next', passwordHash: 'x', role: 'admin' });
+  const departing = new User({ email: 'ic@example.com', name: 'Commander', passwordHash: 'x', role: 'responder' });
+  const integration = new Integration({ name: 'Prometheus', commander: departing._id });
+
+  const users = new Map([[departing.id, departing], [successor.id, successor]]);
+  mock.method(User, 'findById', (id) => query(users.get(id.toString()) || null));
+  mock.method(Incident, 'find', () => query([]));
+  mock.method(ActionItem, 'find', () => query([]));
+  mock.method(Integration, 'find', (filter) => query(
+    integration.commander?.toString() === filter.commander.toString() ? [integration] : []
+  ));
+  mock.method(Integration, 'updateMany', async (filter, update) => {
+    if (integration.commander?.toString() !== filter.commander.toString()) return { modifiedCount: 0 };
+    integration.commander = update.commander;
+    return { modifiedCount: 1 };
+  });
+  mock.method(Session, 'find', () => query([]));
+  mock.method(departing, 'save', async () => departing);
+
+  const { reassigned } = await userService.deactivateUser(departing.id, { reassignTo: successor.id }, adminId);
+  assert.deepEqual(reassigned, { incidents: 0, actionItems: 0, integrations: 1 });
+  assert.equal(integration.commander.toString(), successor.id);
+
+  // Nothing else to hand over, so no successor is needed: command is cleared
+  const leaving = new User({ email: 'next2@example.com', name: 'Leaving', passwordHash: 'x', role: 'responder' });
+  users.set(leaving.id, leaving);
+  integration.commander = leaving._id;
+  mock.method(leaving, 'save', async () => leaving);
+
+  await userService.deactivateUser(leaving.id, {}, adminId);
+  assert.equal(integration.commander, null);
+});
+
+test('other members do not see a user\'s account state', () => {
+  const user = new User({
+    email: 'ana@example.com',
+    name: 'Ana',
+    passwordHash: 'x',
+    role: 'responder',
+    lastLoginAt: new Date(),
+    lockedUntil: new Date(Date.now() + 60 * 1000)
+  });
+  const colleague = new User({ email: 'bo@example.com', name: 'Bo', passwordHash: 'x', role: 'responder' });
+  const admin = new User({ email: 'root@example.com', name: 'Root', passwordHash: 'x', role: 'admin' });
+
+  const seenByColleague = userService.toVisibleUser(user, colleague);
+  assert.equal(seenByColleague.name, 'Ana');
+  assert.equal(seenByColleague.role, 'responder');
+  ['status', 'lastLoginAt', 'lockedUntil', 'failedLoginCount'].forEach((field) => {
+    assert.equal(field in seenByColleague, false, field);
+  });
+
+  assert.ok(userService.toVisibleUser(user, admin).lockedUntil);
+  assert.equal(userService.toVisibleUser(user, user).status, 'active');
+});
+
+test('anonymizing leaves no trace of the name in handed-over action item entries', async () => {
+  const adminId = new mongoose.Types.ObjectId();
+  const successor = new User({ email: 'next@example.com', name: 'Next', passwordHash: 'x', role: 'responder' });
+  const departing = new User({ email: 'dana@example.com', name: 'Dana Whitfield', passwordHash: 'x', role: 'responder' });
+  const actionItem = new ActionItem({
+    incidentId: new mongoose.Types.ObjectId(),
+    text: 'Add a queue depth alert',
+    owner: departing,
+    createdBy: departing._id
+  });
+
+  const users = new Map([[departing.id, departing], [successor.id, successor]]);
+  mock.method(User, 'findById', (id) => query(users.get(id.toString()) || null));
+  mock.method(Incident, 'find', () => query([]));
+  mock.method(Incident, 'updateOne', async () => ({}));
+  mock.method(ActionItem, 'find', () => query([actionItem]));
+  mock.method(ActionItem, 'findById', () => query(actionItem));
+  mock.method(actionItem, 'save', async () => actionItem);
+  mock.method(actionItem, 'populate', async () => actionItem);
+  mock.method(Integration, 'find', () => query([]));
+  mock.method(Integration, 'updateMany', async () => ({ modifiedCount: 0 }));
+  mock.method(Session, 'find', () => query([]));
+  mock.method(IncidentUpdate, 'findOne', () => query(null));
+  mock.method(IncidentUpdate, 'populate', async (docs) => docs);
+  mock.method(departing, 'save', async () => departing);
+
+  const appended = captureAuditInserts();
+
+  const { user } = await userService.deactivateUser(
+    departing.id,
+    { reassignTo: successor.id, anonymize: true },
+    adminId
+  );
+
+  assert.notEqual(user.name, 'Dana Whitfield');
+  assert.equal(actionItem.owner._id.toString(), successor.id);
+
+  assert.equal(appended.length, 1);
+  const [entry] = appended;
+  assert.equal(entry.content.field, 'owner');
+  assert.equal(entry.content.previousOwnerId.toString(), departing.id);
+  assert.equal(entry.content.targetUserId.toString(), successor.id);
+  appended.forEach((doc) => {
+    assert.ok(!JSON.stringify(doc.toObject()).includes('Dana Whitfield'));
+  });
+});
+
+test('unlocking lifts the lockout and the sign-in attempt limit', async () => {
+  const user = new User({
+    email: 'Locked@Example.com',
+    name: 'Locked',
+    passwordHash: 'x',
+    role: 'responder',
+    failedLoginCount: 7,
+    lockedUntil: new Date(Date.now() + 60 * 60 * 1000)
+  });
+  mock.method(User, 'findById', () => query(user));
+  const save = mock.method(user, 'save', async () => user);
+
+  const signIn = () => runMiddleware(loginRateLimit, {
+    ip: '203.0.113.30',
+    body: { email: 'locked@example.com' }
+  });
+  let result;
+  do {
+    result = await signIn();
+  } while (result.passed);
+  assert.equal(result.res.statusCode, 429);
+
+  await userService.unlockUser(user.id);
+
+  assert.equal(user.failedLoginCount, 0);
+  assert.equal(user.lockedUntil, null);
+  assert.equal(save.mock.callCount(), 1);
+  assert.equal((await signIn()).passed, true);
+});
@@ -0,0 +1,56 @@
+/**
+ * webhookService delivery
+ * Only the start of a receiver's response is read and kept
+ *
+ * No receiver is contacted: fetch is stubbed with a streaming body.
+ */
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { WebhookDelivery, WebhookSubscription } = require('../../src/models');
+const { webhookService } = require('../../src/services');
+const { query } = require('../helpers');
+
+afterEach(() => mock.restoreAll());
+
+test('an endless response body is truncated and the stream cancelled', async () => {
+  const subscription = new WebhookSubscription({
+    url: 'https://hooks.example.com/incidents',
+    secret: 'whsec_test',
+    events: ['incident.created'],
+    createdBy: new mongoose.Types.ObjectId()
+  });
+  const delivery = new WebhookDelivery({
+    subscriptionId: subscription._id,
+    event: 'incident.created',
+    payload: { event: 'incident.created' }
+  });
+
+  let chunksRead = 0;
+  let cancelled = false;
+  const endless = new ReadableStream({
+    pull(controller) {
+      chunksRead += 1;
+      controller.enqueue(new TextEncoder().encode('x'.repeat(1024)));
+    },
+    cancel() { cancelled = true; }
+  });
+
+  mock.method(WebhookSubscription, 'findById', () => query(subscription));
+  let claimed = false;
+  mock.method(WebhookDelivery, 'findOneAndUpdate', async () => {
+    if (claimed) return null;
+    claimed = true;
+    return delivery;
+  });
+  mock.method(delivery, 'save', async () => delivery);
+  mock.method(globalThis, 'fetch', async () => new Response(endless, { status: 500 }));
+
+  await webhookService.processDueDeliveries();
+
+  assert.equal(delivery.responseStatus, 500);
+  assert.equal(delivery.responseBody.length, 2000);
+  assert.equal(delivery.error, 'HTTP 500');
+  assert.ok(cancelled);
+  assert.ok(chunksRead < 10);
+});
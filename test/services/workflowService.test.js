@@ -0,0 +1,97 @@
+/**
+ * workflowService.updateWorkflow / getWorkflow
+ * Statuses incidents sit in keep their meaning: they cannot be removed
+ * or start or stop resolving incidents
+ */
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Workflow, Incident } = require('../../src/models');
+const { workflowService } = require('../../src/services');
+const { query } = require('../helpers');
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * The default workflow, with incidents of its type in `statusesInUse`
+ */
+const setUp = (statusesInUse) => {
+  const workflow = new Workflow({
+    incidentType: 'default',
+    name: 'Standard Incident',
+    statuses: [
+      { value: 'investigating', label: 'Investigating' },
+      { value: 'monitoring', label: 'Monitoring' },
+      { value: 'resolved', label: 'Resolved' },
+      { value: 'closed', label: 'Closed' }
+    ],
+    transitions: {
+      investigating: ['monitoring', 'resolved'],
+      monitoring: ['investigating', 'resolved'],
+      resolved: ['investigating', 'closed'],
+      closed: []
+    },
+    initialStatus: 'investigating',
+    terminalStatuses: ['resolved', 'closed']
+  });
+  mock.method(Workflow, 'findOne', () => query(workflow));
+  const distinct = mock.method(Incident, 'distinct', async (field, filter) => (
+    statusesInUse.filter((status) => filter.status.$in.includes(status))
+  ));
+  const save = mock.method(workflow, 'save', async () => workflow);
+  return { workflow, distinct, save };
+};
+
+test('a status incidents sit in cannot stop resolving them', async () => {
+  const { save } = setUp(['resolved']);
+
+  await assert.rejects(
+    workflowService.updateWorkflow('default', { terminalStatuses: ['closed'] }),
+    (error) => {
+      assert.equal(error.status, 409);
+      assert.deepEqual(error.details, { statusesInUse: ['resolved'] });
+      return true;
+    }
+  );
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test('a status incidents sit in cannot start resolving them', async () => {
+  const { save } = setUp(['monitoring']);
+
+  await assert.rejects(
+    workflowService.updateWorkflow('default', { terminalStatuses: ['resolved', 'closed', 'monitoring'] }),
+    { status: 409 }
+  );
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test('unused statuses can change whether they resolve incidents', async () => {
+  const { distinct, save } = setUp(['investigating']);
+
+  const definition = await workflowService.updateWorkflow('default', { terminalStatuses: ['closed'] });
+
+  assert.deepEqual(distinct.mock.calls[0].arguments[1].status, { $in: ['resolved'] });
+  assert.equal(save.mock.callCount(), 1);
+  assert.deepEqual(definition.terminalStatuses, ['closed']);
+});
+
+test('a non-string incident type is a bad request', async () => {
+  const findOne = mock.method(Workflow, 'findOne', () => query(null));
+
+  await assert.rejects(workflowService.getWorkflow(['security']), { status: 400 });
+  await assert.rejects(workflowService.getWorkflow(null), { status: 400 });
+  assert.equal(findOne.mock.callCount(), 0);
+});
+
+test('statuses that are not a list are a bad request', async () => {
+  const { distinct, save } = setUp([]);
+
+  for (const statuses of [{ value: 'investigating' }, 'investigating']) {
+    await assert.rejects(
+      workflowService.updateWorkflow('default', { statuses }),
+      { status: 400, message: 'statuses must be an array' }
+    );
+  }
+  assert.equal(distinct.mock.callCount(), 0);
+  assert.equal(save.mock.callCount(), 0);
+});
@@ -0,0 +1,85 @@
+/**
+ * socket account events
+ * Role changes reach a user's open connections; deactivated users and
+ * revoked sessions lose theirs
+ *
+ * Runs a Socket.io server that never listens: stand-in sockets are put
+ * in the namespace and its rooms the way a connection would join them.
+ */
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const mongoose = require('mongoose');
+const { User } = require('../../src/models');
+const { initializeSocket } = require('../../src/socket');
+const { ACCOUNT_EVENTS, publish } = require('../../src/events');
+
+const io = initializeSocket(http.createServer());
+after(() => io.close());
+
+/**
+ * A connected socket of a user in one session
+ */
+const connect = (user, sessionId = new mongoose.Types.ObjectId()) => {
+  const nsp = io.of('/');
+  const socket = {
+    id: new mongoose.Types.ObjectId().toString(),
+    user,
+    sessionId: sessionId.toString(),
+    emitted: [],
+    disconnected: false,
+    notifyOutgoingListeners(packet) { this.emitted.push(packet.data); },
+    client: { writeToEngine() {} },
+    disconnect(close) { this.disconnected = close; }
+  };
+
+  nsp.sockets.set(socket.id, socket);
+  nsp.adapter.addAll(socket.id, new Set([`user:${user._id}`, `session:${socket.sessionId}`]));
+  return socket;
+};
+
+const responder = (name) => new User({ email: `${name}@example.com`, name, passwordHash: 'x', role: 'responder' });
+
+test('a demoted user\'s open connections get the new role at once', () => {
+  const user = responder('demoted');
+  const laptop = connect(user);
+  const phone = connect(user);
+  const bystander = connect(responder('bystander'));
+
+  const demoted = new User({ ...user.toObject(), role: 'viewer' });
+  publish(ACCOUNT_EVENTS.USER_UPDATED, { userId: user.id, user: demoted });
+
+  [laptop, phone].forEach((socket) => {
+    // Permission checks read socket.user, so writes are refused from now on
+    assert.equal(socket.user.role, 'viewer');
+    assert.deepEqual(socket.emitted, [['session:roleChanged', { user: demoted }]]);
+    assert.equal(socket.disconnected, false);
+  });
+  assert.equal(bystander.user.role, 'responder');
+  assert.deepEqual(bystander.emitted, []);
+});
+
+test('a deactivated user\'s open connections are closed', () => {
+  const user = responder('departing');
+  const laptop = connect(user);
+  const phone = connect(user);
+  const bystander = connect(responder('colleague'));
+
+  const deactivated = new User({ ...user.toObject(), status: 'deactivated' });
+  publish(ACCOUNT_EVENTS.USER_UPDATED, { userId: user.id, user: deactivated });
+
+  assert.equal(laptop.disconnected, true);
+  assert.equal(phone.disconnected, true);
+  assert.equal(bystander.disconnected, false);
+});
+
+test('revoking a session closes only that session\'s connections', () => {
+  const user = responder('signed-out');
+  const revoked = connect(user);
+  const other = connect(user);
+
+  publish(ACCOUNT_EVENTS.SESSIONS_REVOKED, { userId: user.id, sessionIds: [revoked.sessionId] });
+
+  assert.equal(revoked.disconnected, true);
+  assert.equal(other.disconnected, false);
+});